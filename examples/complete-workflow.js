@@ -13,6 +13,7 @@
 import { classifyWaste, generateWasteProfile } from '../src/services/wasteClassifier.js';
 import { findApprovedFacilities, calculateOptimalRoute } from '../src/services/facilityMatcher.js';
 import { createManifest, trackManifest, signManifest } from '../src/services/manifestGenerator.js';
+import { createWasteProfile, transitionWasteProfile } from '../src/services/wasteProfileService.js';
 import { getAIOpsMetrics } from '../src/services/ai/aiops-example.js';
 
 // Sample lab report for a hospital
@@ -196,7 +197,27 @@ async function runCompleteWorkflow() {
     console.log('📝 STEP 5: CREATING ELECTRONIC MANIFEST');
     console.log('-'.repeat(80));
 
-    const manifest = await createManifest(wasteProfile, route.facility, route, {
+    const storedProfile = await createWasteProfile({
+      wasteName: 'Chemistry lab solvent waste',
+      wasteCodes: wasteProfile.wasteCodes || [wasteProfile.wasteCode],
+      category: wasteProfile.category,
+      physicalState: 'liquid',
+      quantity: wasteProfile.quantityKg,
+      classification: wasteProfile.classification,
+      profileDocument: wasteProfile.profileDocument,
+      status: 'pending_review',
+    });
+
+    // The receiving facility must accept the profile before waste can ship to it
+    await transitionWasteProfile(storedProfile.id, 'submitted', generatorInfo.contactName, {
+      facilityId: route.facility.id,
+    });
+    await transitionWasteProfile(storedProfile.id, 'accepted', route.facility.name, {
+      approvalNumber: 'DEMO-APPROVAL-001',
+      expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
+    });
+
+    const manifest = await createManifest(storedProfile.id, route.facility, route, {
       traceId: 'demo-trace-005',
       generatorInfo,
     });
@@ -207,7 +228,7 @@ async function runCompleteWorkflow() {
     console.log(`  Status: ${manifest.status}`);
     console.log(`  Generator: ${manifest.generator.name}`);
     console.log(`  Facility: ${manifest.facility.name}`);
-    console.log(`  Transporter: ${manifest.transporter.name}`);
+    console.log(`  Transporter: ${manifest.transporters[0].name}`);
     console.log();
 
     // STEP 6: Sign Manifest
@@ -0,0 +1,60 @@
+/**
+ * Create waste_profiles table
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  return knex.schema.createTable('waste_profiles', (table) => {
+    if (isPostgres) {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    } else {
+      table.uuid('id').primary();
+    }
+    table.string('profile_name', 255).notNullable();
+    table.string('waste_code', 10);
+    table.string('category', 50);
+    table.string('generator_id', 50).references('id').inTable('generators');
+    table.string('physical_state', 50);
+    table.decimal('quantity_kg', 10, 2);
+    table.string('container_type', 100);
+    table.text('profile_document');
+    table.decimal('ai_classification_confidence', 3, 2);
+    table.integer('version').notNullable().defaultTo(1);
+    table.string('status', 50).notNullable().defaultTo('draft');
+    table.string('created_by', 255);
+    table.string('updated_by', 255);
+
+    // Ordered waste codes, composition, classification and lineage - PostgreSQL uses jsonb
+    if (isPostgres) {
+      table.jsonb('waste_codes');
+      table.jsonb('chemical_composition');
+      table.jsonb('classification');
+      table.jsonb('parent_streams');
+    } else {
+      table.json('waste_codes');
+      table.json('chemical_composition');
+      table.json('classification');
+      table.json('parent_streams');
+    }
+
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    // Indexes for performance
+    table.index('waste_code');
+    table.index('status');
+    table.index('generator_id');
+    table.index('created_at');
+  });
+}
+
+/**
+ * Drop waste_profiles table
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export function down(knex) {
+  return knex.schema.dropTableIfExists('waste_profiles');
+}
@@ -0,0 +1,53 @@
+/**
+ * Add facility approval fields to waste_profiles table
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  return knex.schema.table('waste_profiles', (table) => {
+    // Receiving facility and its approval of the profile
+    table.string('facility_id', 50).references('id').inTable('facilities');
+    table.string('facility_approval_number', 100);
+    table.timestamp('approval_expires_at');
+    table.timestamp('submitted_at');
+    table.timestamp('accepted_at');
+    table.text('rejection_reason');
+
+    // Internal review sign-off
+    table.string('reviewed_by', 255);
+    table.timestamp('reviewed_at');
+
+    // Status transition history - PostgreSQL uses jsonb, SQLite uses json
+    if (isPostgres) {
+      table.jsonb('status_history');
+    } else {
+      table.json('status_history');
+    }
+
+    table.index('facility_id');
+    table.index('approval_expires_at');
+  });
+}
+
+/**
+ * Remove facility approval fields from waste_profiles table
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema.table('waste_profiles', (table) => {
+    table.dropIndex('facility_id');
+    table.dropIndex('approval_expires_at');
+    table.dropColumn('facility_id');
+    table.dropColumn('facility_approval_number');
+    table.dropColumn('approval_expires_at');
+    table.dropColumn('submitted_at');
+    table.dropColumn('accepted_at');
+    table.dropColumn('rejection_reason');
+    table.dropColumn('reviewed_by');
+    table.dropColumn('reviewed_at');
+    table.dropColumn('status_history');
+  });
+}
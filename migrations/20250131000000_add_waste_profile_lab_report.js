@@ -0,0 +1,31 @@
+/**
+ * Keep the lab report a waste profile was classified from, for recertification
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  return knex.schema.table('waste_profiles', (table) => {
+    table.text('lab_report_text');
+
+    // Structured analyte rows - PostgreSQL uses jsonb, SQLite uses json
+    if (isPostgres) {
+      table.jsonb('lab_analytes');
+    } else {
+      table.json('lab_analytes');
+    }
+  });
+}
+
+/**
+ * Remove lab report fields from waste_profiles table
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema.table('waste_profiles', (table) => {
+    table.dropColumn('lab_report_text');
+    table.dropColumn('lab_analytes');
+  });
+}
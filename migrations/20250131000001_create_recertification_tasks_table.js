@@ -0,0 +1,51 @@
+/**
+ * Create recertification_tasks table
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  return knex.schema.createTable('recertification_tasks', (table) => {
+    if (isPostgres) {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    } else {
+      table.uuid('id').primary();
+    }
+    table.uuid('waste_profile_id').notNullable().references('id').inTable('waste_profiles');
+    table.string('status', 50).notNullable().defaultTo('open');
+    table.integer('window_days').notNullable();
+    table.timestamp('expires_at').notNullable();
+    table.boolean('changes_detected');
+    table.text('error');
+
+    // Reclassification result and code differences - PostgreSQL uses jsonb
+    if (isPostgres) {
+      table.jsonb('previous_waste_codes');
+      table.jsonb('reclassification');
+      table.jsonb('code_changes');
+    } else {
+      table.json('previous_waste_codes');
+      table.json('reclassification');
+      table.json('code_changes');
+    }
+
+    table.timestamp('resolved_at');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    // Indexes for performance
+    table.index('waste_profile_id');
+    table.index('status');
+    table.index('expires_at');
+  });
+}
+
+/**
+ * Drop recertification_tasks table
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export function down(knex) {
+  return knex.schema.dropTableIfExists('recertification_tasks');
+}
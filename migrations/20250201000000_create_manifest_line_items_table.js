@@ -0,0 +1,49 @@
+/**
+ * Create manifest_line_items table (Form 8700-22 items 9-13, continued on Form 8700-22A)
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  return knex.schema.createTable('manifest_line_items', (table) => {
+    if (isPostgres) {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    } else {
+      table.uuid('id').primary();
+    }
+    table.uuid('manifest_id').notNullable().references('id').inTable('manifests');
+    table.integer('line_number').notNullable();
+    table.uuid('waste_profile_id').notNullable().references('id').inTable('waste_profiles');
+    table.integer('profile_version');
+    table.boolean('hazardous_material').notNullable().defaultTo(true);
+    table.integer('container_count').notNullable();
+    table.string('container_type', 2).notNullable();
+    table.decimal('quantity', 12, 3).notNullable();
+    table.string('unit', 1).notNullable();
+
+    // Waste codes and generated DOT description - PostgreSQL uses jsonb, SQLite uses json
+    if (isPostgres) {
+      table.jsonb('waste_codes');
+      table.jsonb('dot_description');
+    } else {
+      table.json('waste_codes');
+      table.json('dot_description');
+    }
+
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['manifest_id', 'line_number']);
+    table.index('waste_profile_id');
+  });
+}
+
+/**
+ * Drop manifest_line_items table
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export function down(knex) {
+  return knex.schema.dropTableIfExists('manifest_line_items');
+}
@@ -0,0 +1,33 @@
+/**
+ * Add fields for manifests imported from e-Manifest documents
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export async function up(knex) {
+  await knex.schema.table('manifests', (table) => {
+    // Where the manifest came from: created locally or imported from an e-Manifest document
+    table.string('origin', 50).notNullable().defaultTo('local');
+  });
+
+  await knex.schema.alterTable('manifest_line_items', (table) => {
+    // Imported lines describe the waste directly and have no local waste profile
+    table.uuid('waste_profile_id').nullable().alter();
+    table.string('waste_description', 500);
+  });
+}
+
+/**
+ * Remove e-Manifest import fields
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('manifest_line_items', (table) => {
+    table.dropColumn('waste_description');
+    table.uuid('waste_profile_id').notNullable().alter();
+  });
+
+  await knex.schema.table('manifests', (table) => {
+    table.dropColumn('origin');
+  });
+}
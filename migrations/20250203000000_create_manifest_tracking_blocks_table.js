@@ -0,0 +1,38 @@
+/**
+ * Create manifest_tracking_blocks table
+ * Each row is a range of tracking number serials for one registrant suffix; next_serial is
+ * the sequence numbers are allocated from.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  return knex.schema.createTable('manifest_tracking_blocks', (table) => {
+    if (isPostgres) {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    } else {
+      table.uuid('id').primary();
+    }
+    table.string('suffix', 3).notNullable();
+    table.bigInteger('first_serial').notNullable();
+    table.bigInteger('last_serial').notNullable();
+    table.bigInteger('next_serial').notNullable();
+    table.string('registrant', 255);
+    table.string('created_by', 255);
+
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['suffix', 'first_serial']);
+  });
+}
+
+/**
+ * Drop manifest_tracking_blocks table
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export function down(knex) {
+  return knex.schema.dropTableIfExists('manifest_tracking_blocks');
+}
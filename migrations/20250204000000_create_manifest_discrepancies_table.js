@@ -0,0 +1,53 @@
+/**
+ * Create manifest_discrepancies table (Form 8700-22 item 18) and link manifests for rejected
+ * waste to the manifest it was rejected from
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  await knex.schema.createTable('manifest_discrepancies', (table) => {
+    if (isPostgres) {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    } else {
+      table.uuid('id').primary();
+    }
+    table.uuid('manifest_id').notNullable().references('id').inTable('manifests');
+    table.integer('line_number');
+    table.string('discrepancy_type', 30).notNullable();
+
+    // Manifested and received quantities - PostgreSQL uses jsonb, SQLite uses json
+    if (isPostgres) {
+      table.jsonb('manifested');
+      table.jsonb('received');
+    } else {
+      table.json('manifested');
+      table.json('received');
+    }
+
+    table.decimal('variance_percent', 8, 2);
+    table.text('description');
+    table.uuid('reference_manifest_id').references('id').inTable('manifests');
+    table.string('reported_by', 255).notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['manifest_id', 'line_number']);
+  });
+
+  await knex.schema.alterTable('manifests', (table) => {
+    table.uuid('source_manifest_id').references('id').inTable('manifests');
+  });
+}
+
+/**
+ * Drop manifest_discrepancies table and the source manifest link
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('manifests', (table) => {
+    table.dropColumn('source_manifest_id');
+  });
+  await knex.schema.dropTableIfExists('manifest_discrepancies');
+}
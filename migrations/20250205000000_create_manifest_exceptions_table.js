@@ -0,0 +1,54 @@
+/**
+ * Create manifest_exceptions table for manifests the designated facility has not signed for
+ * within the generator's exception reporting period, and stamp when manifests go in transit
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  await knex.schema.alterTable('manifests', (table) => {
+    table.timestamp('in_transit_at');
+  });
+
+  await knex.schema.createTable('manifest_exceptions', (table) => {
+    if (isPostgres) {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    } else {
+      table.uuid('id').primary();
+    }
+    table.uuid('manifest_id').notNullable().unique().references('id').inTable('manifests');
+    table.string('status', 20).notNullable().defaultTo('open');
+    table.string('generator_category', 10).notNullable();
+    table.integer('days_allowed').notNullable();
+    table.timestamp('in_transit_at').notNullable();
+    table.timestamp('detected_at').notNullable();
+    table.timestamp('report_due_at').notNullable();
+
+    // Tracing efforts - PostgreSQL uses jsonb, SQLite uses json
+    if (isPostgres) {
+      table.jsonb('tracing_efforts');
+    } else {
+      table.json('tracing_efforts');
+    }
+
+    table.text('resolution');
+    table.timestamp('resolved_at');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.index('status');
+  });
+}
+
+/**
+ * Drop manifest_exceptions table and the in-transit stamp
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('manifest_exceptions');
+  await knex.schema.alterTable('manifests', (table) => {
+    table.dropColumn('in_transit_at');
+  });
+}
@@ -0,0 +1,52 @@
+/**
+ * Create manifest_revisions table for corrections made after a manifest leaves draft
+ * Each revision keeps a snapshot of the correctable fields and the diff from the one before;
+ * revision 1 is the manifest as originally submitted.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  await knex.schema.alterTable('manifests', (table) => {
+    table.integer('revision_number').notNullable().defaultTo(1);
+  });
+
+  await knex.schema.createTable('manifest_revisions', (table) => {
+    if (isPostgres) {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    } else {
+      table.uuid('id').primary();
+    }
+    table.uuid('manifest_id').notNullable().references('id').inTable('manifests');
+    table.integer('revision_number').notNullable();
+    table.boolean('is_current').notNullable().defaultTo(false);
+
+    // Snapshot and field diff - PostgreSQL uses jsonb, SQLite uses json
+    if (isPostgres) {
+      table.jsonb('snapshot').notNullable();
+      table.jsonb('changes').notNullable();
+    } else {
+      table.json('snapshot').notNullable();
+      table.json('changes').notNullable();
+    }
+
+    table.text('reason');
+    table.string('corrected_by', 255);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.unique(['manifest_id', 'revision_number']);
+  });
+}
+
+/**
+ * Drop manifest_revisions table and the revision number
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('manifest_revisions');
+  await knex.schema.alterTable('manifests', (table) => {
+    table.dropColumn('revision_number');
+  });
+}
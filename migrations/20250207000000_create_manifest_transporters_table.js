@@ -0,0 +1,74 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Create manifest_transporters table for the ordered transporters on a manifest
+ * Each transporter signs for the waste separately and hands it off to the next transporter
+ * or the facility. Existing manifests get their single transporter as the first one; the
+ * transporter_name and transporter_epa_id columns keep the first transporter for listings.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  await knex.schema.createTable('manifest_transporters', (table) => {
+    if (isPostgres) {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    } else {
+      table.uuid('id').primary();
+    }
+    table.uuid('manifest_id').notNullable().references('id').inTable('manifests');
+    table.integer('transporter_index').notNullable();
+    table.string('name', 255).notNullable();
+    table.string('epa_id', 50).notNullable();
+    table.string('vehicle_type', 50);
+    table.string('signed_by', 255);
+    table.timestamp('signed_at');
+    table.text('signature');
+    table.timestamp('handed_off_at');
+    table.timestamps(true, true);
+
+    table.unique(['manifest_id', 'transporter_index']);
+  });
+
+  const manifests = await knex('manifests').select(
+    'id',
+    'transporter_name',
+    'transporter_epa_id',
+    'route_details',
+    'signatures'
+  );
+  const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value) || {};
+
+  for (const manifest of manifests) {
+    if (!manifest.transporter_name) {
+      continue;
+    }
+
+    const routeDetails = parse(manifest.route_details);
+    const signatures = parse(manifest.signatures);
+    const signature = signatures.transporter;
+
+    await knex('manifest_transporters').insert({
+      id: randomUUID(),
+      manifest_id: manifest.id,
+      transporter_index: 0,
+      name: manifest.transporter_name,
+      epa_id: manifest.transporter_epa_id,
+      vehicle_type: routeDetails.transporter?.vehicleType || routeDetails.method || null,
+      signed_by: signature?.signedBy || null,
+      signed_at: signature?.signedAt || null,
+      signature: signature?.signature || null,
+      handed_off_at: signature && signatures.facility ? signatures.facility.signedAt : null,
+    });
+  }
+}
+
+/**
+ * Drop manifest_transporters table
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('manifest_transporters');
+}
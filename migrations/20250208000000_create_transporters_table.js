@@ -0,0 +1,56 @@
+/**
+ * Create transporters table for the registry of hazardous waste carriers
+ * A transporter is permitted to carry a shipment while its hazmat registration and insurance
+ * certificate are current and it operates the vehicle type in every state on the route.
+ * Manifest transporters keep a reference to the registry entry they were taken from.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  await knex.schema.createTable('transporters', (table) => {
+    if (isPostgres) {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    } else {
+      table.uuid('id').primary();
+    }
+    table.string('name', 255).notNullable();
+    table.string('epa_id', 50).notNullable().unique();
+    table.string('dot_number', 20);
+    table.timestamp('hazmat_registration_expires_at');
+    table.timestamp('insurance_expires_at');
+
+    // Vehicle types and two-letter state codes - PostgreSQL uses jsonb, SQLite uses json
+    if (isPostgres) {
+      table.jsonb('vehicle_types').notNullable();
+      table.jsonb('states_served').notNullable();
+    } else {
+      table.json('vehicle_types').notNullable();
+      table.json('states_served').notNullable();
+    }
+
+    table.boolean('active').notNullable().defaultTo(true);
+    table.string('created_by', 255);
+    table.string('updated_by', 255);
+    table.timestamps(true, true);
+
+    table.index('active');
+  });
+
+  await knex.schema.alterTable('manifest_transporters', (table) => {
+    table.uuid('transporter_id').references('id').inTable('transporters');
+  });
+}
+
+/**
+ * Drop transporters table and the manifest transporter reference
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('manifest_transporters', (table) => {
+    table.dropColumn('transporter_id');
+  });
+  await knex.schema.dropTableIfExists('transporters');
+}
@@ -0,0 +1,31 @@
+/**
+ * Add treatment capabilities and certification expiry to facilities
+ * These were only in the built-in facility list; the facility repository serves both from
+ * the database now.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  await knex.schema.alterTable('facilities', (table) => {
+    if (isPostgres) {
+      table.jsonb('capabilities');
+    } else {
+      table.json('capabilities');
+    }
+    table.date('certification_expiry');
+  });
+}
+
+/**
+ * Remove facility capabilities and certification expiry
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('facilities', (table) => {
+    table.dropColumn('capabilities');
+    table.dropColumn('certification_expiry');
+  });
+}
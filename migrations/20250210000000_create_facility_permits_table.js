@@ -0,0 +1,50 @@
+/**
+ * Create facility_permits table for the permits a facility operates under
+ * Each permit lists the waste codes and processes it covers and when it expires. The daily
+ * permit scan records when it warned of an upcoming expiry and when it found the permit lapsed.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  await knex.schema.createTable('facility_permits', (table) => {
+    if (isPostgres) {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    } else {
+      table.uuid('id').primary();
+    }
+    table.string('facility_id', 50).notNullable().references('id').inTable('facilities');
+    table.string('permit_type', 50).notNullable().defaultTo('rcra_part_b');
+    table.string('permit_number', 100).notNullable();
+
+    // Covered waste codes and processes - PostgreSQL uses jsonb, SQLite uses json
+    if (isPostgres) {
+      table.jsonb('waste_codes').notNullable();
+      table.jsonb('processes').notNullable();
+    } else {
+      table.json('waste_codes').notNullable();
+      table.json('processes').notNullable();
+    }
+
+    table.date('issued_at');
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('warned_at');
+    table.timestamp('lapsed_at');
+    table.string('created_by', 255);
+    table.string('updated_by', 255);
+    table.timestamps(true, true);
+
+    table.unique(['facility_id', 'permit_number']);
+    table.index('expires_at');
+  });
+}
+
+/**
+ * Drop facility_permits table
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('facility_permits');
+}
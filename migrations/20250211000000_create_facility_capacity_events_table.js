@@ -0,0 +1,44 @@
+/**
+ * Create facility_capacity_events table and track reserved capacity on facilities
+ * Each event reserves, releases or consumes capacity for a manifest; together they are the
+ * facility's capacity timeline. reserved_capacity_kg holds what submitted manifests have
+ * booked, current_capacity_kg what completed ones have delivered.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  await knex.schema.alterTable('facilities', (table) => {
+    table.integer('reserved_capacity_kg').notNullable().defaultTo(0);
+  });
+
+  await knex.schema.createTable('facility_capacity_events', (table) => {
+    if (isPostgres) {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    } else {
+      table.uuid('id').primary();
+    }
+    table.string('facility_id', 50).notNullable().references('id').inTable('facilities');
+    table.uuid('manifest_id').notNullable().references('id').inTable('manifests');
+    table.string('event', 20).notNullable();
+    table.integer('quantity_kg').notNullable();
+    table.string('reason', 255);
+    table.timestamp('recorded_at').notNullable();
+
+    table.index(['facility_id', 'recorded_at']);
+    table.index('manifest_id');
+  });
+}
+
+/**
+ * Drop facility_capacity_events table and the reserved capacity column
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('facility_capacity_events');
+  await knex.schema.alterTable('facilities', (table) => {
+    table.dropColumn('reserved_capacity_kg');
+  });
+}
@@ -0,0 +1,29 @@
+/**
+ * Add handling methods to facilities
+ * For each accepted waste code, the management method codes (H codes) the facility uses,
+ * preferred first.
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  await knex.schema.alterTable('facilities', (table) => {
+    if (isPostgres) {
+      table.jsonb('handling_methods');
+    } else {
+      table.json('handling_methods');
+    }
+  });
+}
+
+/**
+ * Remove facility handling methods
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.alterTable('facilities', (table) => {
+    table.dropColumn('handling_methods');
+  });
+}
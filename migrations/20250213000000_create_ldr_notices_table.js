@@ -0,0 +1,47 @@
+/**
+ * Create ldr_notices table for land disposal restriction notices and certifications
+ * A generator sends one notice per waste stream (profile version) and receiving facility,
+ * with the first manifest that ships the stream there (40 CFR 268.7(a)).
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  const isPostgres = knex.client.config.client === 'pg';
+
+  await knex.schema.createTable('ldr_notices', (table) => {
+    if (isPostgres) {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    } else {
+      table.uuid('id').primary();
+    }
+    table.uuid('waste_profile_id').notNullable().references('id').inTable('waste_profiles');
+    table.integer('profile_version').notNullable();
+    table.string('facility_id', 50).notNullable();
+    table.uuid('manifest_id').references('id').inTable('manifests');
+    table.string('notice_type', 20).notNullable();
+    table.string('treatability_group', 20).notNullable();
+
+    // Notice document - PostgreSQL uses jsonb, SQLite uses json
+    if (isPostgres) {
+      table.jsonb('document').notNullable();
+    } else {
+      table.json('document').notNullable();
+    }
+
+    table.string('created_by', 255);
+    table.timestamp('attached_at');
+    table.timestamps(true, true);
+
+    table.unique(['waste_profile_id', 'profile_version', 'facility_id']);
+    table.index('manifest_id');
+  });
+}
+
+/**
+ * Drop ldr_notices table
+ * @param {import('knex').Knex} knex
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('ldr_notices');
+}
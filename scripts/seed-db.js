@@ -2,6 +2,7 @@ import pg from 'pg';
 import dotenv from 'dotenv';
 import { EPA_WASTE_CODES } from '../src/data/epaWasteCodes.js';
 import { TSDF_FACILITIES } from '../src/data/facilityData.js';
+import { TRANSPORTERS } from '../src/data/transporterData.js';
 
 dotenv.config();
 
@@ -54,8 +55,11 @@ async function seedFacilities(client) {
       `INSERT INTO facilities (
         id, name, epa_id, address, city, state, zip_code,
         latitude, longitude, accepted_waste_codes, price_per_kg,
-        max_capacity_kg, current_capacity_kg, certifications, rating, phone, email
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+        max_capacity_kg, current_capacity_kg, certifications, rating, phone, email,
+        capabilities, certification_expiry, handling_methods
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20
+      )
       ON CONFLICT (id) DO UPDATE SET
         name = EXCLUDED.name,
         epa_id = EXCLUDED.epa_id,
@@ -69,7 +73,10 @@ async function seedFacilities(client) {
         price_per_kg = EXCLUDED.price_per_kg,
         max_capacity_kg = EXCLUDED.max_capacity_kg,
         certifications = EXCLUDED.certifications,
-        rating = EXCLUDED.rating`,
+        rating = EXCLUDED.rating,
+        capabilities = EXCLUDED.capabilities,
+        certification_expiry = EXCLUDED.certification_expiry,
+        handling_methods = EXCLUDED.handling_methods`,
       [
         facility.id,
         facility.name,
@@ -88,6 +95,9 @@ async function seedFacilities(client) {
         facility.rating,
         facility.phone,
         facility.email,
+        JSON.stringify(facility.capabilities),
+        facility.certification_expiry,
+        JSON.stringify(facility.handling_methods),
       ]
     );
     count++;
@@ -96,6 +106,41 @@ async function seedFacilities(client) {
   return count;
 }
 
+async function seedTransporters(client) {
+  console.log('\n🚚 Seeding transporters...');
+  let count = 0;
+
+  for (const transporter of TRANSPORTERS) {
+    await client.query(
+      `INSERT INTO transporters (
+        id, name, epa_id, dot_number, hazmat_registration_expires_at,
+        insurance_expires_at, vehicle_types, states_served
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (id) DO UPDATE SET
+        name = EXCLUDED.name,
+        epa_id = EXCLUDED.epa_id,
+        dot_number = EXCLUDED.dot_number,
+        hazmat_registration_expires_at = EXCLUDED.hazmat_registration_expires_at,
+        insurance_expires_at = EXCLUDED.insurance_expires_at,
+        vehicle_types = EXCLUDED.vehicle_types,
+        states_served = EXCLUDED.states_served`,
+      [
+        transporter.id,
+        transporter.name,
+        transporter.epa_id,
+        transporter.dot_number,
+        transporter.hazmat_registration_expires_at,
+        transporter.insurance_expires_at,
+        JSON.stringify(transporter.vehicle_types),
+        JSON.stringify(transporter.states_served),
+      ]
+    );
+    count++;
+  }
+  console.log(`   ✅ Inserted/updated ${count} transporters`);
+  return count;
+}
+
 async function seedGenerators(client) {
   console.log('\n🏥 Seeding sample generators...');
   const sampleGenerators = [
@@ -172,10 +217,12 @@ async function printDatabaseStatistics(client) {
   console.log('\n📊 Database Statistics:');
   const wasteCodesResult = await client.query('SELECT COUNT(*) FROM waste_codes');
   const facilitiesResult = await client.query('SELECT COUNT(*) FROM facilities');
+  const transportersResult = await client.query('SELECT COUNT(*) FROM transporters');
   const generatorsResult = await client.query('SELECT COUNT(*) FROM generators');
 
   console.log(`   - Waste Codes: ${wasteCodesResult.rows[0].count}`);
   console.log(`   - Facilities: ${facilitiesResult.rows[0].count}`);
+  console.log(`   - Transporters: ${transportersResult.rows[0].count}`);
   console.log(`   - Generators: ${generatorsResult.rows[0].count}`);
 }
 
@@ -194,6 +241,7 @@ async function seedDatabase() {
 
     await seedWasteCodes(client);
     await seedFacilities(client);
+    await seedTransporters(client);
     await seedGenerators(client);
     await printDatabaseStatistics(client);
 
@@ -221,47 +269,6 @@ async function seedDatabase() {
 //   return zipMatch ? zipMatch[0] : '00000';
 // }
 
-// Export MOCK_FACILITIES for seeding
-export const MOCK_FACILITIES_EXPORT = [
-  {
-    id: 'fac-001',
-    name: 'SafeWaste Disposal LLC',
-    state: 'TX',
-    epaId: 'TXD987654321',
-    address: '1234 Industrial Pkwy, Houston, TX 77002',
-    city: 'Houston',
-    zipCode: '77002',
-    acceptedWasteCodes: ['D001', 'D002', 'D003', 'F001', 'F002', 'F003'],
-    pricePerKg: 2.5,
-    maxCapacityKg: 50000,
-    currentCapacityKg: 12000,
-    certifications: ['RCRA-TSD', 'EPA-Certified', 'ISO-14001'],
-    rating: 4.7,
-    location: { lat: 29.7604, lng: -95.3698 },
-    phone: '(713) 555-0100',
-    email: 'contact@safewaste-tx.example.com',
-  },
-  {
-    id: 'fac-002',
-    name: 'HazardPro Environmental Services',
-    state: 'TX',
-    epaId: 'TXD123456789',
-    address: '5678 Safety Blvd, Dallas, TX 75201',
-    city: 'Dallas',
-    zipCode: '75201',
-    acceptedWasteCodes: ['D001', 'D002', 'D004', 'D005', 'D006', 'D007', 'D008', 'D009'],
-    pricePerKg: 3.0,
-    maxCapacityKg: 75000,
-    currentCapacityKg: 25000,
-    certifications: ['RCRA-TSD', 'EPA-Certified', 'TSCA-Approved'],
-    rating: 4.5,
-    location: { lat: 32.7767, lng: -96.797 },
-    phone: '(214) 555-0200',
-    email: 'info@hazardpro-tx.example.com',
-  },
-  // Add remaining facilities...
-];
-
 // Only run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   seedDatabase();
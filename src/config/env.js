@@ -74,6 +74,36 @@ const envSchema = {
     enum: ['trace', 'debug', 'info', 'warn', 'error', 'fatal'],
   },
 
+  // Facility Configuration
+  FACILITY_OFFLINE_MODE: {
+    type: 'boolean',
+    required: false,
+    default: false,
+  },
+
+  // Manifest Configuration
+  MANIFEST_REGISTRANT_SUFFIX: {
+    type: 'string',
+    required: false,
+    default: 'HHZ',
+    validator: (val) => /^[A-Z]{3}$/.test(val),
+    errorMessage: 'MANIFEST_REGISTRANT_SUFFIX must be three uppercase letters',
+  },
+  MANIFEST_DEFAULT_FIRST_SERIAL: {
+    type: 'number',
+    required: false,
+    default: 1,
+    validator: (val) => Number.isInteger(val) && val >= 1 && val < 10 ** 11,
+    errorMessage: 'MANIFEST_DEFAULT_FIRST_SERIAL must be a serial from 1 to 99999999999',
+  },
+  MANIFEST_DEFAULT_LAST_SERIAL: {
+    type: 'number',
+    required: false,
+    default: 999999,
+    validator: (val) => Number.isInteger(val) && val >= 0 && val < 10 ** 11,
+    errorMessage: 'MANIFEST_DEFAULT_LAST_SERIAL must be 0 or a serial up to 99999999999',
+  },
+
   // CORS Configuration
   ALLOWED_ORIGINS: {
     type: 'string',
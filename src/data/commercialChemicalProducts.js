@@ -0,0 +1,735 @@
+/**
+ * Discarded Commercial Chemical Products (40 CFR 261.33)
+ *
+ * - P-list (261.33(e)): acutely hazardous commercial chemical products
+ * - U-list (261.33(f)): toxic commercial chemical products
+ *
+ * A listing applies to the unused commercial product, off-specification product, container
+ * residues and spill cleanup residues of a chemical that is the sole active ingredient.
+ * It does not apply to a spent or used material, or to a mixture in which the chemical is
+ * only one of several active ingredients.
+ *
+ * Entries carry the CAS number and common synonyms so unused products from lab-pack
+ * inventories can be matched. Listings whose code depends on concentration (warfarin,
+ * zinc phosphide) carry the concentration range in percent. The chlorophenol formulations
+ * that 261.33 refers to F027 (pentachlorophenol, tetra- and trichlorophenols, 2,4,5-T,
+ * Silvex) are not repeated here.
+ */
+
+export const P_LISTED_CHEMICALS = [
+  {
+    code: 'P001',
+    name: 'Warfarin',
+    casNumber: '81-81-2',
+    synonyms: ['Coumadin'],
+    minConcentrationPercent: 0.3,
+  },
+  { code: 'P002', name: '1-Acetyl-2-thiourea', casNumber: '591-08-2', synonyms: [] },
+  { code: 'P003', name: 'Acrolein', casNumber: '107-02-8', synonyms: ['2-Propenal'] },
+  { code: 'P004', name: 'Aldrin', casNumber: '309-00-2', synonyms: [] },
+  { code: 'P005', name: 'Allyl alcohol', casNumber: '107-18-6', synonyms: ['2-Propen-1-ol'] },
+  { code: 'P006', name: 'Aluminum phosphide', casNumber: '20859-73-8', synonyms: [] },
+  {
+    code: 'P007',
+    name: '5-(Aminomethyl)-3-isoxazolol',
+    casNumber: '2763-96-4',
+    synonyms: ['Muscimol'],
+  },
+  { code: 'P008', name: '4-Aminopyridine', casNumber: '504-24-5', synonyms: ['4-Pyridinamine'] },
+  { code: 'P009', name: 'Ammonium picrate', casNumber: '131-74-8', synonyms: [] },
+  { code: 'P010', name: 'Arsenic acid', casNumber: '7778-39-4', synonyms: [] },
+  {
+    code: 'P011',
+    name: 'Arsenic pentoxide',
+    casNumber: '1303-28-2',
+    synonyms: ['Arsenic(V) oxide'],
+  },
+  {
+    code: 'P012',
+    name: 'Arsenic trioxide',
+    casNumber: '1327-53-3',
+    synonyms: ['Arsenic(III) oxide'],
+  },
+  { code: 'P013', name: 'Barium cyanide', casNumber: '542-62-1', synonyms: [] },
+  { code: 'P014', name: 'Benzenethiol', casNumber: '108-98-5', synonyms: ['Thiophenol'] },
+  { code: 'P015', name: 'Beryllium powder', casNumber: '7440-41-7', synonyms: ['Beryllium'] },
+  {
+    code: 'P016',
+    name: 'Dichloromethyl ether',
+    casNumber: '542-88-1',
+    synonyms: ['Bis(chloromethyl) ether'],
+  },
+  { code: 'P017', name: 'Bromoacetone', casNumber: '598-31-2', synonyms: [] },
+  { code: 'P018', name: 'Brucine', casNumber: '357-57-3', synonyms: [] },
+  { code: 'P020', name: 'Dinoseb', casNumber: '88-85-7', synonyms: [] },
+  { code: 'P021', name: 'Calcium cyanide', casNumber: '592-01-8', synonyms: [] },
+  { code: 'P022', name: 'Carbon disulfide', casNumber: '75-15-0', synonyms: [] },
+  { code: 'P023', name: 'Chloroacetaldehyde', casNumber: '107-20-0', synonyms: [] },
+  { code: 'P024', name: 'p-Chloroaniline', casNumber: '106-47-8', synonyms: ['4-Chloroaniline'] },
+  { code: 'P026', name: '1-(o-Chlorophenyl)thiourea', casNumber: '5344-82-1', synonyms: [] },
+  { code: 'P027', name: '3-Chloropropionitrile', casNumber: '542-76-7', synonyms: [] },
+  { code: 'P028', name: 'Benzyl chloride', casNumber: '100-44-7', synonyms: [] },
+  { code: 'P029', name: 'Copper cyanide', casNumber: '544-92-3', synonyms: [] },
+  { code: 'P030', name: 'Cyanides (soluble cyanide salts)', casNumber: null, synonyms: [] },
+  { code: 'P031', name: 'Cyanogen', casNumber: '460-19-5', synonyms: [] },
+  { code: 'P033', name: 'Cyanogen chloride', casNumber: '506-77-4', synonyms: [] },
+  { code: 'P034', name: '2-Cyclohexyl-4,6-dinitrophenol', casNumber: '131-89-5', synonyms: [] },
+  { code: 'P036', name: 'Dichlorophenylarsine', casNumber: '696-28-6', synonyms: [] },
+  { code: 'P037', name: 'Dieldrin', casNumber: '60-57-1', synonyms: [] },
+  { code: 'P038', name: 'Diethylarsine', casNumber: '692-42-2', synonyms: [] },
+  { code: 'P039', name: 'Disulfoton', casNumber: '298-04-4', synonyms: [] },
+  {
+    code: 'P040',
+    name: 'O,O-Diethyl O-pyrazinyl phosphorothioate',
+    casNumber: '297-97-2',
+    synonyms: ['Thionazin'],
+  },
+  { code: 'P041', name: 'Diethyl-p-nitrophenyl phosphate', casNumber: '311-45-5', synonyms: [] },
+  { code: 'P042', name: 'Epinephrine', casNumber: '51-43-4', synonyms: ['Adrenaline'] },
+  {
+    code: 'P043',
+    name: 'Diisopropylfluorophosphate',
+    casNumber: '55-91-4',
+    synonyms: ['DFP'],
+  },
+  { code: 'P044', name: 'Dimethoate', casNumber: '60-51-5', synonyms: [] },
+  { code: 'P045', name: 'Thiofanox', casNumber: '39196-18-4', synonyms: [] },
+  {
+    code: 'P046',
+    name: 'alpha,alpha-Dimethylphenethylamine',
+    casNumber: '122-09-8',
+    synonyms: ['Phentermine'],
+  },
+  { code: 'P047', name: '4,6-Dinitro-o-cresol', casNumber: '534-52-1', synonyms: ['DNOC'] },
+  { code: 'P048', name: '2,4-Dinitrophenol', casNumber: '51-28-5', synonyms: [] },
+  { code: 'P049', name: 'Dithiobiuret', casNumber: '541-53-7', synonyms: [] },
+  { code: 'P050', name: 'Endosulfan', casNumber: '115-29-7', synonyms: [] },
+  { code: 'P051', name: 'Endrin', casNumber: '72-20-8', synonyms: [] },
+  { code: 'P054', name: 'Aziridine', casNumber: '151-56-4', synonyms: ['Ethyleneimine'] },
+  { code: 'P056', name: 'Fluorine', casNumber: '7782-41-4', synonyms: [] },
+  { code: 'P057', name: 'Fluoroacetamide', casNumber: '640-19-7', synonyms: [] },
+  {
+    code: 'P058',
+    name: 'Fluoroacetic acid, sodium salt',
+    casNumber: '62-74-8',
+    synonyms: ['Sodium fluoroacetate', 'Compound 1080'],
+  },
+  { code: 'P059', name: 'Heptachlor', casNumber: '76-44-8', synonyms: [] },
+  { code: 'P060', name: 'Isodrin', casNumber: '465-73-6', synonyms: [] },
+  { code: 'P062', name: 'Hexaethyl tetraphosphate', casNumber: '757-58-4', synonyms: [] },
+  { code: 'P063', name: 'Hydrogen cyanide', casNumber: '74-90-8', synonyms: ['Hydrocyanic acid'] },
+  { code: 'P064', name: 'Methyl isocyanate', casNumber: '624-83-9', synonyms: [] },
+  { code: 'P065', name: 'Mercury fulminate', casNumber: '628-86-4', synonyms: [] },
+  { code: 'P066', name: 'Methomyl', casNumber: '16752-77-5', synonyms: [] },
+  {
+    code: 'P067',
+    name: '2-Methylaziridine',
+    casNumber: '75-55-8',
+    synonyms: ['1,2-Propylenimine'],
+  },
+  { code: 'P068', name: 'Methyl hydrazine', casNumber: '60-34-4', synonyms: [] },
+  {
+    code: 'P069',
+    name: '2-Methyllactonitrile',
+    casNumber: '75-86-5',
+    synonyms: ['Acetone cyanohydrin'],
+  },
+  { code: 'P070', name: 'Aldicarb', casNumber: '116-06-3', synonyms: [] },
+  { code: 'P071', name: 'Methyl parathion', casNumber: '298-00-0', synonyms: [] },
+  {
+    code: 'P072',
+    name: 'alpha-Naphthylthiourea',
+    casNumber: '86-88-4',
+    synonyms: ['ANTU'],
+  },
+  { code: 'P073', name: 'Nickel carbonyl', casNumber: '13463-39-3', synonyms: [] },
+  { code: 'P074', name: 'Nickel cyanide', casNumber: '557-19-7', synonyms: [] },
+  { code: 'P075', name: 'Nicotine', casNumber: '54-11-5', synonyms: [] },
+  { code: 'P076', name: 'Nitric oxide', casNumber: '10102-43-9', synonyms: [] },
+  { code: 'P077', name: 'p-Nitroaniline', casNumber: '100-01-6', synonyms: ['4-Nitroaniline'] },
+  { code: 'P078', name: 'Nitrogen dioxide', casNumber: '10102-44-0', synonyms: [] },
+  { code: 'P081', name: 'Nitroglycerine', casNumber: '55-63-0', synonyms: ['Nitroglycerin'] },
+  { code: 'P082', name: 'N-Nitrosodimethylamine', casNumber: '62-75-9', synonyms: ['NDMA'] },
+  { code: 'P084', name: 'N-Nitrosomethylvinylamine', casNumber: '4549-40-0', synonyms: [] },
+  { code: 'P085', name: 'Octamethylpyrophosphoramide', casNumber: '152-16-9', synonyms: [] },
+  { code: 'P087', name: 'Osmium tetroxide', casNumber: '20816-12-0', synonyms: ['Osmium oxide'] },
+  { code: 'P088', name: 'Endothall', casNumber: '145-73-3', synonyms: [] },
+  { code: 'P089', name: 'Parathion', casNumber: '56-38-2', synonyms: [] },
+  { code: 'P092', name: 'Phenylmercury acetate', casNumber: '62-38-4', synonyms: [] },
+  { code: 'P093', name: 'Phenylthiourea', casNumber: '103-85-5', synonyms: [] },
+  { code: 'P094', name: 'Phorate', casNumber: '298-02-2', synonyms: [] },
+  { code: 'P095', name: 'Phosgene', casNumber: '75-44-5', synonyms: ['Carbonic dichloride'] },
+  { code: 'P096', name: 'Phosphine', casNumber: '7803-51-2', synonyms: [] },
+  { code: 'P097', name: 'Famphur', casNumber: '52-85-7', synonyms: [] },
+  { code: 'P098', name: 'Potassium cyanide', casNumber: '151-50-8', synonyms: [] },
+  { code: 'P099', name: 'Potassium silver cyanide', casNumber: '506-61-6', synonyms: [] },
+  { code: 'P101', name: 'Ethyl cyanide', casNumber: '107-12-0', synonyms: ['Propanenitrile'] },
+  { code: 'P102', name: 'Propargyl alcohol', casNumber: '107-19-7', synonyms: ['2-Propyn-1-ol'] },
+  { code: 'P103', name: 'Selenourea', casNumber: '630-10-4', synonyms: [] },
+  { code: 'P104', name: 'Silver cyanide', casNumber: '506-64-9', synonyms: [] },
+  { code: 'P105', name: 'Sodium azide', casNumber: '26628-22-8', synonyms: [] },
+  { code: 'P106', name: 'Sodium cyanide', casNumber: '143-33-9', synonyms: [] },
+  { code: 'P108', name: 'Strychnine', casNumber: '57-24-9', synonyms: [] },
+  { code: 'P109', name: 'Tetraethyldithiopyrophosphate', casNumber: '3689-24-5', synonyms: [] },
+  { code: 'P110', name: 'Tetraethyl lead', casNumber: '78-00-2', synonyms: [] },
+  {
+    code: 'P111',
+    name: 'Tetraethyl pyrophosphate',
+    casNumber: '107-49-3',
+    synonyms: ['TEPP'],
+  },
+  { code: 'P112', name: 'Tetranitromethane', casNumber: '509-14-8', synonyms: [] },
+  {
+    code: 'P113',
+    name: 'Thallic oxide',
+    casNumber: '1314-32-5',
+    synonyms: ['Thallium(III) oxide'],
+  },
+  { code: 'P114', name: 'Thallium(I) selenite', casNumber: '12039-52-0', synonyms: [] },
+  { code: 'P115', name: 'Thallium(I) sulfate', casNumber: '7446-18-6', synonyms: [] },
+  { code: 'P116', name: 'Thiosemicarbazide', casNumber: '79-19-6', synonyms: [] },
+  { code: 'P118', name: 'Trichloromethanethiol', casNumber: '75-70-7', synonyms: [] },
+  { code: 'P119', name: 'Ammonium vanadate', casNumber: '7803-55-6', synonyms: [] },
+  { code: 'P120', name: 'Vanadium pentoxide', casNumber: '1314-62-1', synonyms: [] },
+  { code: 'P121', name: 'Zinc cyanide', casNumber: '557-21-1', synonyms: [] },
+  {
+    code: 'P122',
+    name: 'Zinc phosphide',
+    casNumber: '1314-84-7',
+    synonyms: [],
+    minConcentrationPercent: 10,
+  },
+  { code: 'P123', name: 'Toxaphene', casNumber: '8001-35-2', synonyms: [] },
+  { code: 'P127', name: 'Carbofuran', casNumber: '1563-66-2', synonyms: [] },
+  { code: 'P128', name: 'Mexacarbate', casNumber: '315-18-4', synonyms: [] },
+  { code: 'P185', name: 'Tirpate', casNumber: '26419-73-8', synonyms: [] },
+  { code: 'P188', name: 'Physostigmine salicylate', casNumber: '57-64-7', synonyms: [] },
+  { code: 'P189', name: 'Carbosulfan', casNumber: '55285-14-8', synonyms: [] },
+  { code: 'P190', name: 'Metolcarb', casNumber: '1129-41-5', synonyms: [] },
+  { code: 'P191', name: 'Dimetilan', casNumber: '644-64-4', synonyms: [] },
+  { code: 'P192', name: 'Isolan', casNumber: '119-38-0', synonyms: [] },
+  { code: 'P194', name: 'Oxamyl', casNumber: '23135-22-0', synonyms: [] },
+  {
+    code: 'P196',
+    name: 'Manganese dimethyldithiocarbamate',
+    casNumber: '15339-36-3',
+    synonyms: [],
+  },
+  { code: 'P197', name: 'Formparanate', casNumber: '17702-57-7', synonyms: [] },
+  { code: 'P198', name: 'Formetanate hydrochloride', casNumber: '23422-53-9', synonyms: [] },
+  { code: 'P199', name: 'Methiocarb', casNumber: '2032-65-7', synonyms: [] },
+  { code: 'P201', name: 'Promecarb', casNumber: '2631-37-0', synonyms: [] },
+  { code: 'P202', name: 'm-Cumenyl methylcarbamate', casNumber: '64-00-6', synonyms: [] },
+  { code: 'P203', name: 'Aldicarb sulfone', casNumber: '1646-88-4', synonyms: [] },
+  { code: 'P204', name: 'Physostigmine', casNumber: '57-47-6', synonyms: ['Eserine'] },
+  { code: 'P205', name: 'Ziram', casNumber: '137-30-4', synonyms: [] },
+];
+
+export const U_LISTED_CHEMICALS = [
+  { code: 'U001', name: 'Acetaldehyde', casNumber: '75-07-0', synonyms: ['Ethanal'] },
+  { code: 'U002', name: 'Acetone', casNumber: '67-64-1', synonyms: ['2-Propanone'] },
+  { code: 'U003', name: 'Acetonitrile', casNumber: '75-05-8', synonyms: ['Methyl cyanide'] },
+  { code: 'U004', name: 'Acetophenone', casNumber: '98-86-2', synonyms: [] },
+  { code: 'U005', name: '2-Acetylaminofluorene', casNumber: '53-96-3', synonyms: [] },
+  { code: 'U006', name: 'Acetyl chloride', casNumber: '75-36-5', synonyms: [] },
+  { code: 'U007', name: 'Acrylamide', casNumber: '79-06-1', synonyms: [] },
+  { code: 'U008', name: 'Acrylic acid', casNumber: '79-10-7', synonyms: [] },
+  { code: 'U009', name: 'Acrylonitrile', casNumber: '107-13-1', synonyms: [] },
+  { code: 'U010', name: 'Mitomycin C', casNumber: '50-07-7', synonyms: [] },
+  { code: 'U011', name: 'Amitrole', casNumber: '61-82-5', synonyms: [] },
+  { code: 'U012', name: 'Aniline', casNumber: '62-53-3', synonyms: ['Benzenamine'] },
+  { code: 'U014', name: 'Auramine', casNumber: '492-80-8', synonyms: [] },
+  { code: 'U015', name: 'Azaserine', casNumber: '115-02-6', synonyms: [] },
+  { code: 'U016', name: 'Benz[c]acridine', casNumber: '225-51-4', synonyms: [] },
+  { code: 'U017', name: 'Benzal chloride', casNumber: '98-87-3', synonyms: [] },
+  { code: 'U018', name: 'Benz[a]anthracene', casNumber: '56-55-3', synonyms: [] },
+  { code: 'U019', name: 'Benzene', casNumber: '71-43-2', synonyms: [] },
+  { code: 'U020', name: 'Benzenesulfonyl chloride', casNumber: '98-09-9', synonyms: [] },
+  { code: 'U021', name: 'Benzidine', casNumber: '92-87-5', synonyms: [] },
+  { code: 'U022', name: 'Benzo[a]pyrene', casNumber: '50-32-8', synonyms: [] },
+  { code: 'U023', name: 'Benzotrichloride', casNumber: '98-07-7', synonyms: [] },
+  { code: 'U024', name: 'Bis(2-chloroethoxy)methane', casNumber: '111-91-1', synonyms: [] },
+  { code: 'U025', name: 'Bis(2-chloroethyl) ether', casNumber: '111-44-4', synonyms: [] },
+  { code: 'U026', name: 'Chlornaphazin', casNumber: '494-03-1', synonyms: [] },
+  { code: 'U027', name: 'Bis(2-chloroisopropyl) ether', casNumber: '108-60-1', synonyms: [] },
+  {
+    code: 'U028',
+    name: 'Bis(2-ethylhexyl) phthalate',
+    casNumber: '117-81-7',
+    synonyms: ['DEHP', 'Diethylhexyl phthalate'],
+  },
+  { code: 'U029', name: 'Methyl bromide', casNumber: '74-83-9', synonyms: ['Bromomethane'] },
+  { code: 'U030', name: '4-Bromophenyl phenyl ether', casNumber: '101-55-3', synonyms: [] },
+  {
+    code: 'U031',
+    name: 'n-Butyl alcohol',
+    casNumber: '71-36-3',
+    synonyms: ['1-Butanol', 'n-Butanol'],
+  },
+  { code: 'U032', name: 'Calcium chromate', casNumber: '13765-19-0', synonyms: [] },
+  { code: 'U033', name: 'Carbonyl fluoride', casNumber: '353-50-4', synonyms: [] },
+  { code: 'U034', name: 'Chloral', casNumber: '75-87-6', synonyms: ['Trichloroacetaldehyde'] },
+  { code: 'U035', name: 'Chlorambucil', casNumber: '305-03-3', synonyms: [] },
+  { code: 'U036', name: 'Chlordane', casNumber: '57-74-9', synonyms: [] },
+  { code: 'U037', name: 'Chlorobenzene', casNumber: '108-90-7', synonyms: [] },
+  { code: 'U038', name: 'Chlorobenzilate', casNumber: '510-15-6', synonyms: [] },
+  { code: 'U039', name: 'p-Chloro-m-cresol', casNumber: '59-50-7', synonyms: [] },
+  { code: 'U041', name: 'Epichlorohydrin', casNumber: '106-89-8', synonyms: [] },
+  { code: 'U042', name: '2-Chloroethyl vinyl ether', casNumber: '110-75-8', synonyms: [] },
+  { code: 'U043', name: 'Vinyl chloride', casNumber: '75-01-4', synonyms: ['Chloroethene'] },
+  { code: 'U044', name: 'Chloroform', casNumber: '67-66-3', synonyms: ['Trichloromethane'] },
+  { code: 'U045', name: 'Methyl chloride', casNumber: '74-87-3', synonyms: ['Chloromethane'] },
+  { code: 'U046', name: 'Chloromethyl methyl ether', casNumber: '107-30-2', synonyms: [] },
+  {
+    code: 'U047',
+    name: 'beta-Chloronaphthalene',
+    casNumber: '91-58-7',
+    synonyms: ['2-Chloronaphthalene'],
+  },
+  { code: 'U048', name: 'o-Chlorophenol', casNumber: '95-57-8', synonyms: ['2-Chlorophenol'] },
+  {
+    code: 'U049',
+    name: '4-Chloro-o-toluidine, hydrochloride',
+    casNumber: '3165-93-3',
+    synonyms: [],
+  },
+  { code: 'U050', name: 'Chrysene', casNumber: '218-01-9', synonyms: [] },
+  { code: 'U051', name: 'Creosote', casNumber: '8001-58-9', synonyms: [] },
+  { code: 'U052', name: 'Cresols', casNumber: '1319-77-3', synonyms: ['Cresylic acid'] },
+  { code: 'U053', name: 'Crotonaldehyde', casNumber: '4170-30-3', synonyms: [] },
+  { code: 'U055', name: 'Cumene', casNumber: '98-82-8', synonyms: ['Isopropylbenzene'] },
+  { code: 'U056', name: 'Cyclohexane', casNumber: '110-82-7', synonyms: [] },
+  { code: 'U057', name: 'Cyclohexanone', casNumber: '108-94-1', synonyms: [] },
+  { code: 'U058', name: 'Cyclophosphamide', casNumber: '50-18-0', synonyms: [] },
+  { code: 'U059', name: 'Daunomycin', casNumber: '20830-81-3', synonyms: ['Daunorubicin'] },
+  { code: 'U060', name: 'DDD', casNumber: '72-54-8', synonyms: [] },
+  { code: 'U061', name: 'DDT', casNumber: '50-29-3', synonyms: [] },
+  { code: 'U062', name: 'Diallate', casNumber: '2303-16-4', synonyms: [] },
+  { code: 'U063', name: 'Dibenz[a,h]anthracene', casNumber: '53-70-3', synonyms: [] },
+  { code: 'U064', name: 'Dibenzo[a,i]pyrene', casNumber: '189-55-9', synonyms: [] },
+  { code: 'U066', name: '1,2-Dibromo-3-chloropropane', casNumber: '96-12-8', synonyms: ['DBCP'] },
+  {
+    code: 'U067',
+    name: 'Ethylene dibromide',
+    casNumber: '106-93-4',
+    synonyms: ['1,2-Dibromoethane', 'EDB'],
+  },
+  { code: 'U068', name: 'Dibromomethane', casNumber: '74-95-3', synonyms: ['Methylene bromide'] },
+  { code: 'U069', name: 'Dibutyl phthalate', casNumber: '84-74-2', synonyms: [] },
+  {
+    code: 'U070',
+    name: 'o-Dichlorobenzene',
+    casNumber: '95-50-1',
+    synonyms: ['1,2-Dichlorobenzene'],
+  },
+  {
+    code: 'U071',
+    name: 'm-Dichlorobenzene',
+    casNumber: '541-73-1',
+    synonyms: ['1,3-Dichlorobenzene'],
+  },
+  {
+    code: 'U072',
+    name: 'p-Dichlorobenzene',
+    casNumber: '106-46-7',
+    synonyms: ['1,4-Dichlorobenzene'],
+  },
+  { code: 'U073', name: '3,3′-Dichlorobenzidine', casNumber: '91-94-1', synonyms: [] },
+  { code: 'U074', name: '1,4-Dichloro-2-butene', casNumber: '764-41-0', synonyms: [] },
+  { code: 'U075', name: 'Dichlorodifluoromethane', casNumber: '75-71-8', synonyms: ['CFC-12'] },
+  {
+    code: 'U076',
+    name: 'Ethylidene dichloride',
+    casNumber: '75-34-3',
+    synonyms: ['1,1-Dichloroethane'],
+  },
+  {
+    code: 'U077',
+    name: 'Ethylene dichloride',
+    casNumber: '107-06-2',
+    synonyms: ['1,2-Dichloroethane'],
+  },
+  {
+    code: 'U078',
+    name: '1,1-Dichloroethylene',
+    casNumber: '75-35-4',
+    synonyms: ['Vinylidene chloride'],
+  },
+  { code: 'U079', name: '1,2-Dichloroethylene', casNumber: '156-60-5', synonyms: [] },
+  {
+    code: 'U080',
+    name: 'Methylene chloride',
+    casNumber: '75-09-2',
+    synonyms: ['Dichloromethane', 'DCM'],
+  },
+  { code: 'U081', name: '2,4-Dichlorophenol', casNumber: '120-83-2', synonyms: [] },
+  { code: 'U082', name: '2,6-Dichlorophenol', casNumber: '87-65-0', synonyms: [] },
+  {
+    code: 'U083',
+    name: 'Propylene dichloride',
+    casNumber: '78-87-5',
+    synonyms: ['1,2-Dichloropropane'],
+  },
+  { code: 'U084', name: '1,3-Dichloropropene', casNumber: '542-75-6', synonyms: [] },
+  { code: 'U085', name: '1,2:3,4-Diepoxybutane', casNumber: '1464-53-5', synonyms: [] },
+  { code: 'U086', name: 'N,N′-Diethylhydrazine', casNumber: '1615-80-1', synonyms: [] },
+  {
+    code: 'U087',
+    name: 'O,O-Diethyl S-methyl dithiophosphate',
+    casNumber: '3288-58-2',
+    synonyms: [],
+  },
+  { code: 'U088', name: 'Diethyl phthalate', casNumber: '84-66-2', synonyms: [] },
+  {
+    code: 'U089',
+    name: 'Diethylstilbesterol',
+    casNumber: '56-53-1',
+    synonyms: ['Diethylstilbestrol'],
+  },
+  { code: 'U090', name: 'Dihydrosafrole', casNumber: '94-58-6', synonyms: [] },
+  { code: 'U091', name: '3,3′-Dimethoxybenzidine', casNumber: '119-90-4', synonyms: [] },
+  { code: 'U092', name: 'Dimethylamine', casNumber: '124-40-3', synonyms: [] },
+  { code: 'U093', name: 'p-Dimethylaminoazobenzene', casNumber: '60-11-7', synonyms: [] },
+  { code: 'U094', name: '7,12-Dimethylbenz[a]anthracene', casNumber: '57-97-6', synonyms: [] },
+  { code: 'U095', name: '3,3′-Dimethylbenzidine', casNumber: '119-93-7', synonyms: ['o-Tolidine'] },
+  {
+    code: 'U096',
+    name: 'alpha,alpha-Dimethylbenzylhydroperoxide',
+    casNumber: '80-15-9',
+    synonyms: ['Cumene hydroperoxide'],
+  },
+  { code: 'U097', name: 'Dimethylcarbamoyl chloride', casNumber: '79-44-7', synonyms: [] },
+  { code: 'U098', name: '1,1-Dimethylhydrazine', casNumber: '57-14-7', synonyms: ['UDMH'] },
+  { code: 'U099', name: '1,2-Dimethylhydrazine', casNumber: '540-73-8', synonyms: [] },
+  { code: 'U101', name: '2,4-Dimethylphenol', casNumber: '105-67-9', synonyms: [] },
+  { code: 'U102', name: 'Dimethyl phthalate', casNumber: '131-11-3', synonyms: [] },
+  { code: 'U103', name: 'Dimethyl sulfate', casNumber: '77-78-1', synonyms: [] },
+  { code: 'U105', name: '2,4-Dinitrotoluene', casNumber: '121-14-2', synonyms: [] },
+  { code: 'U106', name: '2,6-Dinitrotoluene', casNumber: '606-20-2', synonyms: [] },
+  { code: 'U107', name: 'Di-n-octyl phthalate', casNumber: '117-84-0', synonyms: [] },
+  { code: 'U108', name: '1,4-Dioxane', casNumber: '123-91-1', synonyms: ['p-Dioxane'] },
+  { code: 'U109', name: '1,2-Diphenylhydrazine', casNumber: '122-66-7', synonyms: [] },
+  { code: 'U110', name: 'Dipropylamine', casNumber: '142-84-7', synonyms: [] },
+  { code: 'U111', name: 'Di-n-propylnitrosamine', casNumber: '621-64-7', synonyms: [] },
+  { code: 'U112', name: 'Ethyl acetate', casNumber: '141-78-6', synonyms: [] },
+  { code: 'U113', name: 'Ethyl acrylate', casNumber: '140-88-5', synonyms: [] },
+  { code: 'U114', name: 'Ethylenebisdithiocarbamic acid', casNumber: '111-54-6', synonyms: [] },
+  { code: 'U115', name: 'Ethylene oxide', casNumber: '75-21-8', synonyms: ['Oxirane'] },
+  { code: 'U116', name: 'Ethylenethiourea', casNumber: '96-45-7', synonyms: [] },
+  { code: 'U117', name: 'Ethyl ether', casNumber: '60-29-7', synonyms: ['Diethyl ether'] },
+  { code: 'U118', name: 'Ethyl methacrylate', casNumber: '97-63-2', synonyms: [] },
+  { code: 'U119', name: 'Ethyl methanesulfonate', casNumber: '62-50-0', synonyms: [] },
+  { code: 'U120', name: 'Fluoranthene', casNumber: '206-44-0', synonyms: [] },
+  { code: 'U121', name: 'Trichloromonofluoromethane', casNumber: '75-69-4', synonyms: ['CFC-11'] },
+  { code: 'U122', name: 'Formaldehyde', casNumber: '50-00-0', synonyms: ['Formalin'] },
+  { code: 'U123', name: 'Formic acid', casNumber: '64-18-6', synonyms: [] },
+  { code: 'U124', name: 'Furan', casNumber: '110-00-9', synonyms: [] },
+  { code: 'U125', name: 'Furfural', casNumber: '98-01-1', synonyms: [] },
+  { code: 'U126', name: 'Glycidylaldehyde', casNumber: '765-34-4', synonyms: [] },
+  { code: 'U127', name: 'Hexachlorobenzene', casNumber: '118-74-1', synonyms: [] },
+  { code: 'U128', name: 'Hexachlorobutadiene', casNumber: '87-68-3', synonyms: [] },
+  { code: 'U129', name: 'Lindane', casNumber: '58-89-9', synonyms: ['gamma-BHC'] },
+  { code: 'U130', name: 'Hexachlorocyclopentadiene', casNumber: '77-47-4', synonyms: [] },
+  { code: 'U131', name: 'Hexachloroethane', casNumber: '67-72-1', synonyms: [] },
+  { code: 'U132', name: 'Hexachlorophene', casNumber: '70-30-4', synonyms: [] },
+  { code: 'U133', name: 'Hydrazine', casNumber: '302-01-2', synonyms: [] },
+  {
+    code: 'U134',
+    name: 'Hydrogen fluoride',
+    casNumber: '7664-39-3',
+    synonyms: ['Hydrofluoric acid'],
+  },
+  { code: 'U135', name: 'Hydrogen sulfide', casNumber: '7783-06-4', synonyms: [] },
+  { code: 'U136', name: 'Cacodylic acid', casNumber: '75-60-5', synonyms: [] },
+  { code: 'U137', name: 'Indeno[1,2,3-cd]pyrene', casNumber: '193-39-5', synonyms: [] },
+  { code: 'U138', name: 'Methyl iodide', casNumber: '74-88-4', synonyms: ['Iodomethane'] },
+  { code: 'U140', name: 'Isobutyl alcohol', casNumber: '78-83-1', synonyms: ['Isobutanol'] },
+  { code: 'U141', name: 'Isosafrole', casNumber: '120-58-1', synonyms: [] },
+  { code: 'U142', name: 'Kepone', casNumber: '143-50-0', synonyms: ['Chlordecone'] },
+  { code: 'U143', name: 'Lasiocarpine', casNumber: '303-34-4', synonyms: [] },
+  { code: 'U144', name: 'Lead acetate', casNumber: '301-04-2', synonyms: [] },
+  { code: 'U145', name: 'Lead phosphate', casNumber: '7446-27-7', synonyms: [] },
+  { code: 'U146', name: 'Lead subacetate', casNumber: '1335-32-6', synonyms: [] },
+  { code: 'U147', name: 'Maleic anhydride', casNumber: '108-31-6', synonyms: [] },
+  { code: 'U148', name: 'Maleic hydrazide', casNumber: '123-33-1', synonyms: [] },
+  { code: 'U149', name: 'Malononitrile', casNumber: '109-77-3', synonyms: [] },
+  { code: 'U150', name: 'Melphalan', casNumber: '148-82-3', synonyms: [] },
+  { code: 'U151', name: 'Mercury', casNumber: '7439-97-6', synonyms: [] },
+  { code: 'U152', name: 'Methacrylonitrile', casNumber: '126-98-7', synonyms: [] },
+  { code: 'U153', name: 'Methanethiol', casNumber: '74-93-1', synonyms: ['Methyl mercaptan'] },
+  { code: 'U154', name: 'Methanol', casNumber: '67-56-1', synonyms: ['Methyl alcohol'] },
+  { code: 'U155', name: 'Methapyrilene', casNumber: '91-80-5', synonyms: [] },
+  {
+    code: 'U156',
+    name: 'Methyl chlorocarbonate',
+    casNumber: '79-22-1',
+    synonyms: ['Methyl chloroformate'],
+  },
+  { code: 'U157', name: '3-Methylcholanthrene', casNumber: '56-49-5', synonyms: [] },
+  {
+    code: 'U158',
+    name: '4,4′-Methylenebis(2-chloroaniline)',
+    casNumber: '101-14-4',
+    synonyms: ['MOCA'],
+  },
+  {
+    code: 'U159',
+    name: 'Methyl ethyl ketone',
+    casNumber: '78-93-3',
+    synonyms: ['MEK', '2-Butanone'],
+  },
+  {
+    code: 'U160',
+    name: 'Methyl ethyl ketone peroxide',
+    casNumber: '1338-23-4',
+    synonyms: ['MEKP'],
+  },
+  {
+    code: 'U161',
+    name: 'Methyl isobutyl ketone',
+    casNumber: '108-10-1',
+    synonyms: ['MIBK', '4-Methyl-2-pentanone'],
+  },
+  { code: 'U162', name: 'Methyl methacrylate', casNumber: '80-62-6', synonyms: [] },
+  {
+    code: 'U163',
+    name: 'N-Methyl-N′-nitro-N-nitrosoguanidine',
+    casNumber: '70-25-7',
+    synonyms: [],
+  },
+  { code: 'U164', name: 'Methylthiouracil', casNumber: '56-04-2', synonyms: [] },
+  { code: 'U165', name: 'Naphthalene', casNumber: '91-20-3', synonyms: [] },
+  { code: 'U166', name: '1,4-Naphthoquinone', casNumber: '130-15-4', synonyms: [] },
+  {
+    code: 'U167',
+    name: 'alpha-Naphthylamine',
+    casNumber: '134-32-7',
+    synonyms: ['1-Naphthylamine'],
+  },
+  { code: 'U168', name: 'beta-Naphthylamine', casNumber: '91-59-8', synonyms: ['2-Naphthylamine'] },
+  { code: 'U169', name: 'Nitrobenzene', casNumber: '98-95-3', synonyms: [] },
+  { code: 'U170', name: 'p-Nitrophenol', casNumber: '100-02-7', synonyms: ['4-Nitrophenol'] },
+  { code: 'U171', name: '2-Nitropropane', casNumber: '79-46-9', synonyms: [] },
+  { code: 'U172', name: 'N-Nitrosodi-n-butylamine', casNumber: '924-16-3', synonyms: [] },
+  { code: 'U173', name: 'N-Nitrosodiethanolamine', casNumber: '1116-54-7', synonyms: [] },
+  { code: 'U174', name: 'N-Nitrosodiethylamine', casNumber: '55-18-5', synonyms: [] },
+  { code: 'U176', name: 'N-Nitroso-N-ethylurea', casNumber: '759-73-9', synonyms: [] },
+  { code: 'U177', name: 'N-Nitroso-N-methylurea', casNumber: '684-93-5', synonyms: [] },
+  { code: 'U178', name: 'N-Nitroso-N-methylurethane', casNumber: '615-53-2', synonyms: [] },
+  { code: 'U179', name: 'N-Nitrosopiperidine', casNumber: '100-75-4', synonyms: [] },
+  { code: 'U180', name: 'N-Nitrosopyrrolidine', casNumber: '930-55-2', synonyms: [] },
+  { code: 'U181', name: '5-Nitro-o-toluidine', casNumber: '99-55-8', synonyms: [] },
+  { code: 'U182', name: 'Paraldehyde', casNumber: '123-63-7', synonyms: [] },
+  { code: 'U183', name: 'Pentachlorobenzene', casNumber: '608-93-5', synonyms: [] },
+  { code: 'U184', name: 'Pentachloroethane', casNumber: '76-01-7', synonyms: [] },
+  { code: 'U185', name: 'Pentachloronitrobenzene', casNumber: '82-68-8', synonyms: ['PCNB'] },
+  { code: 'U186', name: '1,3-Pentadiene', casNumber: '504-60-9', synonyms: [] },
+  { code: 'U187', name: 'Phenacetin', casNumber: '62-44-2', synonyms: [] },
+  { code: 'U188', name: 'Phenol', casNumber: '108-95-2', synonyms: ['Carbolic acid'] },
+  { code: 'U189', name: 'Phosphorus sulfide', casNumber: '1314-80-3', synonyms: [] },
+  { code: 'U190', name: 'Phthalic anhydride', casNumber: '85-44-9', synonyms: [] },
+  { code: 'U191', name: '2-Picoline', casNumber: '109-06-8', synonyms: ['2-Methylpyridine'] },
+  { code: 'U192', name: 'Pronamide', casNumber: '23950-58-5', synonyms: [] },
+  { code: 'U193', name: '1,3-Propane sultone', casNumber: '1120-71-4', synonyms: [] },
+  { code: 'U194', name: 'n-Propylamine', casNumber: '107-10-8', synonyms: ['1-Propanamine'] },
+  { code: 'U196', name: 'Pyridine', casNumber: '110-86-1', synonyms: [] },
+  { code: 'U197', name: 'p-Benzoquinone', casNumber: '106-51-4', synonyms: ['Quinone'] },
+  { code: 'U200', name: 'Reserpine', casNumber: '50-55-5', synonyms: [] },
+  { code: 'U201', name: 'Resorcinol', casNumber: '108-46-3', synonyms: [] },
+  { code: 'U203', name: 'Safrole', casNumber: '94-59-7', synonyms: [] },
+  { code: 'U204', name: 'Selenium dioxide', casNumber: '7783-00-8', synonyms: ['Selenious acid'] },
+  { code: 'U205', name: 'Selenium sulfide', casNumber: '7488-56-4', synonyms: [] },
+  { code: 'U206', name: 'Streptozotocin', casNumber: '18883-66-4', synonyms: [] },
+  { code: 'U207', name: '1,2,4,5-Tetrachlorobenzene', casNumber: '95-94-3', synonyms: [] },
+  { code: 'U208', name: '1,1,1,2-Tetrachloroethane', casNumber: '630-20-6', synonyms: [] },
+  { code: 'U209', name: '1,1,2,2-Tetrachloroethane', casNumber: '79-34-5', synonyms: [] },
+  {
+    code: 'U210',
+    name: 'Tetrachloroethylene',
+    casNumber: '127-18-4',
+    synonyms: ['Perchloroethylene', 'PCE', 'Tetrachloroethene'],
+  },
+  {
+    code: 'U211',
+    name: 'Carbon tetrachloride',
+    casNumber: '56-23-5',
+    synonyms: ['Tetrachloromethane'],
+  },
+  { code: 'U213', name: 'Tetrahydrofuran', casNumber: '109-99-9', synonyms: ['THF'] },
+  { code: 'U214', name: 'Thallium(I) acetate', casNumber: '563-68-8', synonyms: [] },
+  { code: 'U215', name: 'Thallium(I) carbonate', casNumber: '6533-73-9', synonyms: [] },
+  { code: 'U216', name: 'Thallium(I) chloride', casNumber: '7791-12-0', synonyms: [] },
+  { code: 'U217', name: 'Thallium(I) nitrate', casNumber: '10102-45-1', synonyms: [] },
+  { code: 'U218', name: 'Thioacetamide', casNumber: '62-55-5', synonyms: [] },
+  { code: 'U219', name: 'Thiourea', casNumber: '62-56-6', synonyms: [] },
+  { code: 'U220', name: 'Toluene', casNumber: '108-88-3', synonyms: ['Methylbenzene'] },
+  { code: 'U221', name: 'Toluenediamine', casNumber: '25376-45-8', synonyms: [] },
+  { code: 'U222', name: 'o-Toluidine hydrochloride', casNumber: '636-21-5', synonyms: [] },
+  { code: 'U223', name: 'Toluene diisocyanate', casNumber: '26471-62-5', synonyms: ['TDI'] },
+  { code: 'U225', name: 'Bromoform', casNumber: '75-25-2', synonyms: ['Tribromomethane'] },
+  {
+    code: 'U226',
+    name: 'Methyl chloroform',
+    casNumber: '71-55-6',
+    synonyms: ['1,1,1-Trichloroethane'],
+  },
+  { code: 'U227', name: '1,1,2-Trichloroethane', casNumber: '79-00-5', synonyms: [] },
+  {
+    code: 'U228',
+    name: 'Trichloroethylene',
+    casNumber: '79-01-6',
+    synonyms: ['TCE', 'Trichloroethene'],
+  },
+  { code: 'U234', name: '1,3,5-Trinitrobenzene', casNumber: '99-35-4', synonyms: [] },
+  { code: 'U235', name: 'Tris(2,3-dibromopropyl) phosphate', casNumber: '126-72-7', synonyms: [] },
+  { code: 'U236', name: 'Trypan blue', casNumber: '72-57-1', synonyms: [] },
+  { code: 'U237', name: 'Uracil mustard', casNumber: '66-75-1', synonyms: [] },
+  { code: 'U238', name: 'Ethyl carbamate', casNumber: '51-79-6', synonyms: ['Urethane'] },
+  {
+    code: 'U239',
+    name: 'Xylene',
+    casNumber: '1330-20-7',
+    synonyms: ['Xylenes', 'Dimethylbenzene'],
+  },
+  {
+    code: 'U240',
+    name: '2,4-D',
+    casNumber: '94-75-7',
+    synonyms: ['2,4-Dichlorophenoxyacetic acid'],
+  },
+  { code: 'U243', name: 'Hexachloropropene', casNumber: '1888-71-7', synonyms: [] },
+  { code: 'U244', name: 'Thiram', casNumber: '137-26-8', synonyms: [] },
+  { code: 'U246', name: 'Cyanogen bromide', casNumber: '506-68-3', synonyms: [] },
+  { code: 'U247', name: 'Methoxychlor', casNumber: '72-43-5', synonyms: [] },
+  {
+    code: 'U248',
+    name: 'Warfarin',
+    casNumber: '81-81-2',
+    synonyms: ['Coumadin'],
+    maxConcentrationPercent: 0.3,
+  },
+  {
+    code: 'U249',
+    name: 'Zinc phosphide',
+    casNumber: '1314-84-7',
+    synonyms: [],
+    maxConcentrationPercent: 10,
+  },
+  { code: 'U271', name: 'Benomyl', casNumber: '17804-35-2', synonyms: [] },
+  { code: 'U278', name: 'Bendiocarb', casNumber: '22781-23-3', synonyms: [] },
+  { code: 'U279', name: 'Carbaryl', casNumber: '63-25-2', synonyms: ['Sevin'] },
+  { code: 'U280', name: 'Barban', casNumber: '101-27-9', synonyms: [] },
+  { code: 'U328', name: 'o-Toluidine', casNumber: '95-53-4', synonyms: ['2-Methylaniline'] },
+  { code: 'U353', name: 'p-Toluidine', casNumber: '106-49-0', synonyms: ['4-Methylaniline'] },
+  {
+    code: 'U359',
+    name: '2-Ethoxyethanol',
+    casNumber: '110-80-5',
+    synonyms: ['Ethylene glycol monoethyl ether', 'Cellosolve'],
+  },
+  { code: 'U364', name: 'Bendiocarb phenol', casNumber: '22961-82-6', synonyms: [] },
+  { code: 'U367', name: 'Carbofuran phenol', casNumber: '1563-38-8', synonyms: [] },
+  { code: 'U372', name: 'Carbendazim', casNumber: '10605-21-7', synonyms: [] },
+  { code: 'U373', name: 'Propham', casNumber: '122-42-9', synonyms: [] },
+  { code: 'U387', name: 'Prosulfocarb', casNumber: '52888-80-9', synonyms: [] },
+  { code: 'U389', name: 'Triallate', casNumber: '2303-17-5', synonyms: [] },
+  { code: 'U394', name: 'A2213', casNumber: '30558-43-1', synonyms: [] },
+  { code: 'U395', name: 'Diethylene glycol, dicarbamate', casNumber: '5952-26-1', synonyms: [] },
+  { code: 'U404', name: 'Triethylamine', casNumber: '121-44-8', synonyms: [] },
+  { code: 'U409', name: 'Thiophanate-methyl', casNumber: '23564-05-8', synonyms: [] },
+  { code: 'U410', name: 'Thiodicarb', casNumber: '59669-26-0', synonyms: [] },
+  { code: 'U411', name: 'Propoxur', casNumber: '114-26-1', synonyms: ['Baygon'] },
+];
+
+export const LISTED_COMMERCIAL_CHEMICALS = [...P_LISTED_CHEMICALS, ...U_LISTED_CHEMICALS];
+
+function normalizeName(name) {
+  return name
+    .toLowerCase()
+    .replace(/[′']/g, "'")
+    .replace(/[^a-z0-9,'[\]()-]+/g, ' ')
+    .trim();
+}
+
+const BY_CAS = new Map();
+const BY_NAME = new Map();
+
+for (const chemical of LISTED_COMMERCIAL_CHEMICALS) {
+  if (chemical.casNumber) {
+    BY_CAS.set(chemical.casNumber, [...(BY_CAS.get(chemical.casNumber) || []), chemical]);
+  }
+  for (const name of [chemical.name, ...chemical.synonyms]) {
+    const key = normalizeName(name);
+    BY_NAME.set(key, [...(BY_NAME.get(key) || []), chemical]);
+  }
+}
+
+/**
+ * Check a CAS Registry Number's format and check digit
+ */
+export function isValidCasNumber(casNumber) {
+  const match = /^(\d{2,7})-(\d{2})-(\d)$/.exec(casNumber?.trim() || '');
+  if (!match) {
+    return false;
+  }
+
+  const digits = `${match[1]}${match[2]}`.split('').reverse();
+  const sum = digits.reduce((total, digit, index) => total + Number(digit) * (index + 1), 0);
+
+  return sum % 10 === Number(match[3]);
+}
+
+/**
+ * Keep the listings whose concentration range covers the product
+ * Without a known concentration every candidate listing is kept.
+ */
+function filterByConcentration(chemicals, concentrationPercent) {
+  if (concentrationPercent === undefined || concentrationPercent === null) {
+    return chemicals;
+  }
+
+  return chemicals.filter(
+    (chemical) =>
+      (chemical.minConcentrationPercent === undefined ||
+        concentrationPercent > chemical.minConcentrationPercent) &&
+      (chemical.maxConcentrationPercent === undefined ||
+        concentrationPercent <= chemical.maxConcentrationPercent)
+  );
+}
+
+/**
+ * Find P/U listings by CAS number
+ */
+export function findListedChemicalsByCas(casNumber, options = {}) {
+  const chemicals = BY_CAS.get(casNumber?.trim()) || [];
+  return filterByConcentration(chemicals, options.concentrationPercent);
+}
+
+/**
+ * Find P/U listings by chemical name or synonym (case-insensitive exact match)
+ */
+export function findListedChemicalsByName(name, options = {}) {
+  const chemicals = BY_NAME.get(normalizeName(name || '')) || [];
+  return filterByConcentration(chemicals, options.concentrationPercent);
+}
+
+/**
+ * Look up a commercial chemical product by CAS number, falling back to its name
+ */
+export function lookupCommercialChemical({ casNumber, name, concentrationPercent } = {}) {
+  if (casNumber) {
+    const byCas = findListedChemicalsByCas(casNumber, { concentrationPercent });
+    if (byCas.length > 0) {
+      return byCas;
+    }
+  }
+
+  return name ? findListedChemicalsByName(name, { concentrationPercent }) : [];
+}
+
+/**
+ * Get a P/U listing by waste code
+ */
+export function getListedChemical(code) {
+  return LISTED_COMMERCIAL_CHEMICALS.find((chemical) => chemical.code === code) || null;
+}
@@ -0,0 +1,199 @@
+/**
+ * Bundled schema for EPA e-Manifest documents (JSON Schema draft-07)
+ *
+ * Covers the parts of the national e-Manifest manifest document this system exchanges:
+ * tracking number and status, generator, transporters in order, designated facility,
+ * waste lines (Form 8700-22 items 9-13 and 27-31) and the signature of each party.
+ * The same schema describes the XML form, where each array item is a repeated element.
+ */
+
+const SIGNATURE_INFO = {
+  type: 'object',
+  required: ['printedName', 'signatureDate'],
+  properties: {
+    printedName: { type: 'string', minLength: 1, maxLength: 255 },
+    signatureDate: { type: 'string', format: 'date-time' },
+  },
+  additionalProperties: false,
+};
+
+export const E_MANIFEST_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'urn:hospital-hazard:emanifest:manifest',
+  title: 'e-Manifest hazardous waste manifest',
+  type: 'object',
+  required: [
+    'manifestTrackingNumber',
+    'status',
+    'submissionType',
+    'generator',
+    'transporters',
+    'designatedFacility',
+    'wastes',
+  ],
+  properties: {
+    manifestTrackingNumber: { type: 'string', pattern: '^\\d{12}[A-Z]{3}$' },
+    status: {
+      type: 'string',
+      enum: ['Pending', 'Scheduled', 'InTransit', 'ReadyForSignature', 'Signed'],
+    },
+    submissionType: {
+      type: 'string',
+      enum: ['FullElectronic', 'Hybrid', 'DataImage5Copy', 'Image'],
+    },
+    originType: { type: 'string', enum: ['Web', 'Service', 'Mail'] },
+    createdDate: { type: 'string', format: 'date-time' },
+    updatedDate: { type: 'string', format: 'date-time' },
+    generator: { $ref: '#/definitions/handler' },
+    transporters: {
+      type: 'array',
+      minItems: 1,
+      items: { $ref: '#/definitions/transporter' },
+    },
+    designatedFacility: { $ref: '#/definitions/handler' },
+    wastes: {
+      type: 'array',
+      minItems: 1,
+      items: { $ref: '#/definitions/waste' },
+    },
+  },
+  additionalProperties: false,
+  definitions: {
+    epaSiteId: { type: 'string', pattern: '^[A-Z]{2}[A-Z0-9]{10}$' },
+    address: {
+      type: 'object',
+      required: ['address1'],
+      properties: {
+        address1: { type: 'string', minLength: 1, maxLength: 255 },
+        city: { type: 'string', maxLength: 100 },
+        state: { type: 'string', pattern: '^[A-Z]{2}$' },
+        zip: { type: 'string', maxLength: 10 },
+      },
+      additionalProperties: false,
+    },
+    phone: {
+      type: 'object',
+      required: ['number'],
+      properties: {
+        number: { type: 'string', minLength: 1, maxLength: 20 },
+      },
+      additionalProperties: false,
+    },
+    handler: {
+      type: 'object',
+      required: ['epaSiteId', 'name'],
+      properties: {
+        epaSiteId: { $ref: '#/definitions/epaSiteId' },
+        name: { type: 'string', minLength: 1, maxLength: 255 },
+        siteAddress: { $ref: '#/definitions/address' },
+        contact: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', maxLength: 255 },
+            phone: { $ref: '#/definitions/phone' },
+            email: { type: 'string', maxLength: 255 },
+          },
+          additionalProperties: false,
+        },
+        emergencyPhone: { $ref: '#/definitions/phone' },
+        signatureInfo: SIGNATURE_INFO,
+      },
+      additionalProperties: false,
+    },
+    transporter: {
+      type: 'object',
+      required: ['order', 'epaSiteId', 'name'],
+      properties: {
+        order: { type: 'integer', minimum: 1 },
+        epaSiteId: { $ref: '#/definitions/epaSiteId' },
+        name: { type: 'string', minLength: 1, maxLength: 255 },
+        signatureInfo: SIGNATURE_INFO,
+      },
+      additionalProperties: false,
+    },
+    waste: {
+      type: 'object',
+      required: ['lineNumber', 'dotHazardous', 'quantity', 'hazardousWaste'],
+      properties: {
+        lineNumber: { type: 'integer', minimum: 1 },
+        dotHazardous: { type: 'boolean' },
+        dotInformation: {
+          type: 'object',
+          required: ['printedDotInformation'],
+          properties: {
+            idNumber: {
+              type: 'object',
+              required: ['code'],
+              properties: { code: { type: 'string', pattern: '^(UN|NA)\\d{4}$' } },
+              additionalProperties: false,
+            },
+            printedDotInformation: { type: 'string', minLength: 1, maxLength: 500 },
+          },
+          additionalProperties: false,
+        },
+        wasteDescription: { type: 'string', maxLength: 500 },
+        quantity: {
+          type: 'object',
+          required: ['containerNumber', 'containerType', 'quantity', 'unitOfMeasurement'],
+          properties: {
+            containerNumber: { type: 'integer', minimum: 1, maximum: 999 },
+            containerType: {
+              type: 'object',
+              required: ['code'],
+              properties: {
+                code: {
+                  type: 'string',
+                  enum: [
+                    'BA',
+                    'CF',
+                    'CM',
+                    'CW',
+                    'CY',
+                    'DF',
+                    'DM',
+                    'DT',
+                    'DW',
+                    'HG',
+                    'TC',
+                    'TP',
+                    'TT',
+                  ],
+                },
+              },
+              additionalProperties: false,
+            },
+            quantity: { type: 'number', exclusiveMinimum: 0, maximum: 99999 },
+            unitOfMeasurement: {
+              type: 'object',
+              required: ['code'],
+              properties: {
+                code: { type: 'string', enum: ['G', 'K', 'L', 'M', 'N', 'P', 'T', 'Y'] },
+              },
+              additionalProperties: false,
+            },
+          },
+          additionalProperties: false,
+        },
+        hazardousWaste: {
+          type: 'object',
+          required: ['federalWasteCodes'],
+          properties: {
+            federalWasteCodes: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 6,
+              items: {
+                type: 'object',
+                required: ['code'],
+                properties: { code: { type: 'string', pattern: '^[DFKPU]\\d{3}$' } },
+                additionalProperties: false,
+              },
+            },
+          },
+          additionalProperties: false,
+        },
+      },
+      additionalProperties: false,
+    },
+  },
+};
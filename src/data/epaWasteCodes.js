@@ -10,6 +10,8 @@
  * - U-codes: Toxic commercial chemical products
  */
 
+import { LISTED_COMMERCIAL_CHEMICALS } from './commercialChemicalProducts.js';
+
 export const EPA_WASTE_CODES = {
   // ==================== D-CODES: CHARACTERISTIC WASTES ====================
 
@@ -65,6 +67,9 @@ export const EPA_WASTE_CODES = {
     code: 'D004',
     category: 'toxic',
     type: 'characteristic',
+    constituent: 'Arsenic',
+    casNumber: '7440-38-2',
+    regulatoryLevel: 5.0,
     description: 'Toxic for arsenic (TCLP ≥ 5.0 mg/L)',
     hazardClass: 'Toxic Metal',
     examples: ['Wood preservatives', 'Pesticides', 'Glass manufacturing waste'],
@@ -75,6 +80,9 @@ export const EPA_WASTE_CODES = {
     code: 'D005',
     category: 'toxic',
     type: 'characteristic',
+    constituent: 'Barium',
+    casNumber: '7440-39-3',
+    regulatoryLevel: 100.0,
     description: 'Toxic for barium (TCLP ≥ 100.0 mg/L)',
     hazardClass: 'Toxic Metal',
     examples: ['Pigments', 'Drilling muds', 'Spark plug wastes'],
@@ -85,6 +93,9 @@ export const EPA_WASTE_CODES = {
     code: 'D006',
     category: 'toxic',
     type: 'characteristic',
+    constituent: 'Cadmium',
+    casNumber: '7440-43-9',
+    regulatoryLevel: 1.0,
     description: 'Toxic for cadmium (TCLP ≥ 1.0 mg/L)',
     hazardClass: 'Toxic Metal',
     examples: ['Battery manufacturing', 'Electroplating wastes', 'Paint pigments'],
@@ -95,6 +106,9 @@ export const EPA_WASTE_CODES = {
     code: 'D007',
     category: 'toxic',
     type: 'characteristic',
+    constituent: 'Chromium',
+    casNumber: '7440-47-3',
+    regulatoryLevel: 5.0,
     description: 'Toxic for chromium (TCLP ≥ 5.0 mg/L)',
     hazardClass: 'Toxic Metal',
     examples: ['Leather tanning', 'Electroplating', 'Wood preservatives'],
@@ -105,6 +119,9 @@ export const EPA_WASTE_CODES = {
     code: 'D008',
     category: 'toxic',
     type: 'characteristic',
+    constituent: 'Lead',
+    casNumber: '7439-92-1',
+    regulatoryLevel: 5.0,
     description: 'Toxic for lead (TCLP ≥ 5.0 mg/L)',
     hazardClass: 'Toxic Metal',
     examples: ['Lead-acid batteries', 'Paint waste', 'Ammunition manufacturing'],
@@ -115,6 +132,9 @@ export const EPA_WASTE_CODES = {
     code: 'D009',
     category: 'toxic',
     type: 'characteristic',
+    constituent: 'Mercury',
+    casNumber: '7439-97-6',
+    regulatoryLevel: 0.2,
     description: 'Toxic for mercury (TCLP ≥ 0.2 mg/L)',
     hazardClass: 'Toxic Metal',
     examples: ['Fluorescent lamps', 'Thermometers', 'Dental amalgam'],
@@ -125,6 +145,9 @@ export const EPA_WASTE_CODES = {
     code: 'D010',
     category: 'toxic',
     type: 'characteristic',
+    constituent: 'Selenium',
+    casNumber: '7782-49-2',
+    regulatoryLevel: 1.0,
     description: 'Toxic for selenium (TCLP ≥ 1.0 mg/L)',
     hazardClass: 'Toxic Metal',
     examples: ['Electronics manufacturing', 'Glass production', 'Photocopier drums'],
@@ -135,6 +158,9 @@ export const EPA_WASTE_CODES = {
     code: 'D011',
     category: 'toxic',
     type: 'characteristic',
+    constituent: 'Silver',
+    casNumber: '7440-22-4',
+    regulatoryLevel: 5.0,
     description: 'Toxic for silver (TCLP ≥ 5.0 mg/L)',
     hazardClass: 'Toxic Metal',
     examples: ['Photographic processing', 'X-ray film', 'Electronics'],
@@ -142,6 +168,426 @@ export const EPA_WASTE_CODES = {
     handlingPrecautions: 'Recoverable precious metal',
   },
 
+  D012: {
+    code: 'D012',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Endrin',
+    casNumber: '72-20-8',
+    regulatoryLevel: 0.02,
+    description: 'Toxic for endrin (TCLP ≥ 0.02 mg/L)',
+    hazardClass: 'Toxic Pesticide',
+    examples: [
+      'Banned organochlorine pesticide stocks',
+      'Contaminated soil from pesticide mixing areas',
+    ],
+    disposal: 'High-temperature incineration',
+    handlingPrecautions: 'Persistent organic pollutant - avoid skin contact',
+  },
+  D013: {
+    code: 'D013',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Lindane',
+    casNumber: '58-89-9',
+    regulatoryLevel: 0.4,
+    description: 'Toxic for lindane (TCLP ≥ 0.4 mg/L)',
+    hazardClass: 'Toxic Pesticide',
+    examples: ['Pediculicide shampoo waste', 'Seed treatment residues'],
+    disposal: 'High-temperature incineration',
+    handlingPrecautions: 'Neurotoxin - avoid skin absorption',
+  },
+  D014: {
+    code: 'D014',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Methoxychlor',
+    casNumber: '72-43-5',
+    regulatoryLevel: 10.0,
+    description: 'Toxic for methoxychlor (TCLP ≥ 10.0 mg/L)',
+    hazardClass: 'Toxic Pesticide',
+    examples: ['Expired insecticide formulations', 'Livestock spray residues'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Avoid dust generation and skin contact',
+  },
+  D015: {
+    code: 'D015',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Toxaphene',
+    casNumber: '8001-35-2',
+    regulatoryLevel: 0.5,
+    description: 'Toxic for toxaphene (TCLP ≥ 0.5 mg/L)',
+    hazardClass: 'Toxic Pesticide',
+    examples: ['Legacy cotton insecticide stocks', 'Contaminated soil'],
+    disposal: 'High-temperature incineration',
+    handlingPrecautions: 'Probable carcinogen - persistent in environment',
+  },
+  D016: {
+    code: 'D016',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: '2,4-D',
+    casNumber: '94-75-7',
+    regulatoryLevel: 10.0,
+    description: 'Toxic for 2,4-D (TCLP ≥ 10.0 mg/L)',
+    hazardClass: 'Toxic Pesticide',
+    examples: ['Herbicide rinsate', 'Off-specification herbicide formulations'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Eye and skin irritant',
+  },
+  D017: {
+    code: 'D017',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: '2,4,5-TP (Silvex)',
+    casNumber: '93-72-1',
+    regulatoryLevel: 1.0,
+    description: 'Toxic for 2,4,5-TP (Silvex) (TCLP ≥ 1.0 mg/L)',
+    hazardClass: 'Toxic Pesticide',
+    examples: ['Legacy herbicide stocks', 'Dioxin-contaminated residues'],
+    disposal: 'High-temperature incineration',
+    handlingPrecautions: 'May contain dioxin impurities',
+  },
+  D018: {
+    code: 'D018',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Benzene',
+    casNumber: '71-43-2',
+    regulatoryLevel: 0.5,
+    description: 'Toxic for benzene (TCLP ≥ 0.5 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Petroleum tank bottoms', 'Laboratory solvent waste', 'Contaminated gasoline'],
+    disposal: 'Incineration or fuel blending',
+    handlingPrecautions: 'Known human carcinogen - highly flammable',
+  },
+  D019: {
+    code: 'D019',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Carbon tetrachloride',
+    casNumber: '56-23-5',
+    regulatoryLevel: 0.5,
+    description: 'Toxic for carbon tetrachloride (TCLP ≥ 0.5 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Legacy degreasing solvent', 'Fire extinguisher fluid'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Hepatotoxic - use in ventilated area',
+  },
+  D020: {
+    code: 'D020',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Chlordane',
+    casNumber: '57-74-9',
+    regulatoryLevel: 0.03,
+    description: 'Toxic for chlordane (TCLP ≥ 0.03 mg/L)',
+    hazardClass: 'Toxic Pesticide',
+    examples: ['Termiticide residues', 'Contaminated soil around foundations'],
+    disposal: 'High-temperature incineration',
+    handlingPrecautions: 'Persistent organic pollutant - avoid skin contact',
+  },
+  D021: {
+    code: 'D021',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Chlorobenzene',
+    casNumber: '108-90-7',
+    regulatoryLevel: 100.0,
+    description: 'Toxic for chlorobenzene (TCLP ≥ 100.0 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Pesticide manufacturing solvent', 'Degreasing waste'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Flammable - avoid inhalation',
+  },
+  D022: {
+    code: 'D022',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Chloroform',
+    casNumber: '67-66-3',
+    regulatoryLevel: 6.0,
+    description: 'Toxic for chloroform (TCLP ≥ 6.0 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Laboratory extraction solvent', 'Pharmaceutical manufacturing waste'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Probable carcinogen - forms phosgene when heated',
+  },
+  D023: {
+    code: 'D023',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'o-Cresol',
+    casNumber: '95-48-7',
+    regulatoryLevel: 200.0,
+    description: 'Toxic for o-Cresol (TCLP ≥ 200.0 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Disinfectant manufacturing waste', 'Resin production residues'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Corrosive to skin - absorbed through skin',
+  },
+  D024: {
+    code: 'D024',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'm-Cresol',
+    casNumber: '108-39-4',
+    regulatoryLevel: 200.0,
+    description: 'Toxic for m-Cresol (TCLP ≥ 200.0 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Disinfectant manufacturing waste', 'Wire enamel solvent'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Corrosive to skin - absorbed through skin',
+  },
+  D025: {
+    code: 'D025',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'p-Cresol',
+    casNumber: '106-44-5',
+    regulatoryLevel: 200.0,
+    description: 'Toxic for p-Cresol (TCLP ≥ 200.0 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Antioxidant manufacturing waste', 'Coal tar residues'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Corrosive to skin - absorbed through skin',
+  },
+  D026: {
+    code: 'D026',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Cresol',
+    casNumber: '1319-77-3',
+    regulatoryLevel: 200.0,
+    description: 'Toxic for cresol (TCLP ≥ 200.0 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Creosote-treated wood waste', 'Cresylic acid degreasers'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Corrosive to skin - absorbed through skin',
+  },
+  D027: {
+    code: 'D027',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: '1,4-Dichlorobenzene',
+    casNumber: '106-46-7',
+    regulatoryLevel: 7.5,
+    description: 'Toxic for 1,4-Dichlorobenzene (TCLP ≥ 7.5 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Mothball and deodorizer block waste', 'Urinal cake manufacturing waste'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Avoid vapor inhalation',
+  },
+  D028: {
+    code: 'D028',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: '1,2-Dichloroethane',
+    casNumber: '107-06-2',
+    regulatoryLevel: 0.5,
+    description: 'Toxic for 1,2-Dichloroethane (TCLP ≥ 0.5 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Vinyl chloride production waste', 'Leaded fuel additive residues'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Probable carcinogen - highly flammable',
+  },
+  D029: {
+    code: 'D029',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: '1,1-Dichloroethylene',
+    casNumber: '75-35-4',
+    regulatoryLevel: 0.7,
+    description: 'Toxic for 1,1-Dichloroethylene (TCLP ≥ 0.7 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Polyvinylidene chloride production waste', 'Degreaser breakdown products'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Extremely flammable - may polymerize',
+  },
+  D030: {
+    code: 'D030',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: '2,4-Dinitrotoluene',
+    casNumber: '121-14-2',
+    regulatoryLevel: 0.13,
+    description: 'Toxic for 2,4-Dinitrotoluene (TCLP ≥ 0.13 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Explosives manufacturing waste', 'Polyurethane production residues'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Explosive when dry - probable carcinogen',
+  },
+  D031: {
+    code: 'D031',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Heptachlor',
+    casNumber: '76-44-8',
+    regulatoryLevel: 0.008,
+    description: 'Toxic for heptachlor (TCLP ≥ 0.008 mg/L)',
+    hazardClass: 'Toxic Pesticide',
+    examples: ['Legacy termiticide stocks', 'Contaminated soil'],
+    disposal: 'High-temperature incineration',
+    handlingPrecautions: 'Persistent organic pollutant - avoid skin contact',
+  },
+  D032: {
+    code: 'D032',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Hexachlorobenzene',
+    casNumber: '118-74-1',
+    regulatoryLevel: 0.13,
+    description: 'Toxic for hexachlorobenzene (TCLP ≥ 0.13 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Chlorinated solvent production residues', 'Fungicide stocks'],
+    disposal: 'High-temperature incineration',
+    handlingPrecautions: 'Probable carcinogen - persistent in environment',
+  },
+  D033: {
+    code: 'D033',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Hexachlorobutadiene',
+    casNumber: '87-68-3',
+    regulatoryLevel: 0.5,
+    description: 'Toxic for hexachlorobutadiene (TCLP ≥ 0.5 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Chlorinated solvent still bottoms', 'Heat transfer fluid waste'],
+    disposal: 'High-temperature incineration',
+    handlingPrecautions: 'Nephrotoxic - avoid skin contact',
+  },
+  D034: {
+    code: 'D034',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Hexachloroethane',
+    casNumber: '67-72-1',
+    regulatoryLevel: 3.0,
+    description: 'Toxic for hexachloroethane (TCLP ≥ 3.0 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Smoke munition residues', 'Aluminum degassing waste'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Avoid dust and vapor inhalation',
+  },
+  D035: {
+    code: 'D035',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Methyl ethyl ketone',
+    casNumber: '78-93-3',
+    regulatoryLevel: 200.0,
+    description: 'Toxic for methyl ethyl ketone (TCLP ≥ 200.0 mg/L)',
+    hazardClass: 'Toxic/Ignitable',
+    examples: ['Paint and coating solvent waste', 'Adhesive cleanup solvent'],
+    disposal: 'Fuel blending or incineration',
+    handlingPrecautions: 'Highly flammable - keep away from ignition sources',
+  },
+  D036: {
+    code: 'D036',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Nitrobenzene',
+    casNumber: '98-95-3',
+    regulatoryLevel: 2.0,
+    description: 'Toxic for nitrobenzene (TCLP ≥ 2.0 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Aniline production waste', 'Dye manufacturing residues'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Absorbed through skin - methemoglobinemia risk',
+  },
+  D037: {
+    code: 'D037',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Pentachlorophenol',
+    casNumber: '87-86-5',
+    regulatoryLevel: 100.0,
+    description: 'Toxic for pentachlorophenol (TCLP ≥ 100.0 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Treated utility poles', 'Wood preservative sludges'],
+    disposal: 'High-temperature incineration',
+    handlingPrecautions: 'May contain dioxin impurities',
+  },
+  D038: {
+    code: 'D038',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Pyridine',
+    casNumber: '110-86-1',
+    regulatoryLevel: 5.0,
+    description: 'Toxic for pyridine (TCLP ≥ 5.0 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Pharmaceutical synthesis solvent', 'Laboratory reagent waste'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Flammable - strong odor, avoid inhalation',
+  },
+  D039: {
+    code: 'D039',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Tetrachloroethylene',
+    casNumber: '127-18-4',
+    regulatoryLevel: 0.7,
+    description: 'Toxic for tetrachloroethylene (TCLP ≥ 0.7 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Dry cleaning still bottoms', 'Vapor degreasing waste'],
+    disposal: 'Incineration or solvent recovery',
+    handlingPrecautions: 'Probable carcinogen - use in ventilated area',
+  },
+  D040: {
+    code: 'D040',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Trichloroethylene',
+    casNumber: '79-01-6',
+    regulatoryLevel: 0.5,
+    description: 'Toxic for trichloroethylene (TCLP ≥ 0.5 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Vapor degreasing waste', 'Contaminated groundwater treatment residues'],
+    disposal: 'Incineration or solvent recovery',
+    handlingPrecautions: 'Known carcinogen - use in ventilated area',
+  },
+  D041: {
+    code: 'D041',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: '2,4,5-Trichlorophenol',
+    casNumber: '95-95-4',
+    regulatoryLevel: 400.0,
+    description: 'Toxic for 2,4,5-Trichlorophenol (TCLP ≥ 400.0 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Legacy fungicide and preservative stocks', 'Herbicide manufacturing residues'],
+    disposal: 'High-temperature incineration',
+    handlingPrecautions: 'May contain dioxin impurities',
+  },
+  D042: {
+    code: 'D042',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: '2,4,6-Trichlorophenol',
+    casNumber: '88-06-2',
+    regulatoryLevel: 2.0,
+    description: 'Toxic for 2,4,6-Trichlorophenol (TCLP ≥ 2.0 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['Wood and glue preservative waste', 'Antiseptic manufacturing residues'],
+    disposal: 'High-temperature incineration',
+    handlingPrecautions: 'Probable carcinogen - avoid skin contact',
+  },
+  D043: {
+    code: 'D043',
+    category: 'toxic',
+    type: 'characteristic',
+    constituent: 'Vinyl chloride',
+    casNumber: '75-01-4',
+    regulatoryLevel: 0.2,
+    description: 'Toxic for vinyl chloride (TCLP ≥ 0.2 mg/L)',
+    hazardClass: 'Toxic Organic',
+    examples: ['PVC production residues', 'Chlorinated solvent degradation products'],
+    disposal: 'Incineration',
+    handlingPrecautions: 'Known human carcinogen - extremely flammable gas',
+  },
+
   // ==================== F-CODES: PROCESS WASTES ====================
 
   // F001-F005: Spent Halogenated Solvents
@@ -607,6 +1053,29 @@ export const EPA_WASTE_CODES = {
   },
 };
 
+// Remaining P- and U-listed commercial chemical products from the 40 CFR 261.33 registry
+for (const chemical of LISTED_COMMERCIAL_CHEMICALS) {
+  if (EPA_WASTE_CODES[chemical.code]) {
+    continue;
+  }
+
+  const acutelyHazardous = chemical.code.startsWith('P');
+  EPA_WASTE_CODES[chemical.code] = {
+    code: chemical.code,
+    category: 'commercial-chemical',
+    type: acutelyHazardous ? 'acutely-hazardous' : 'toxic',
+    description: chemical.name,
+    hazardClass: acutelyHazardous ? 'Acutely Toxic' : 'Toxic',
+    casNumber: chemical.casNumber,
+    examples: [
+      `Unused or off-specification ${chemical.name}`,
+      'Container and spill cleanup residues',
+    ],
+    disposal: null,
+    handlingPrecautions: null,
+  };
+}
+
 /**
  * Get waste code by EPA code
  */
@@ -621,6 +1090,41 @@ export function getWasteCodesByCategory(category) {
   return Object.values(EPA_WASTE_CODES).filter((waste) => waste.category === category);
 }
 
+/**
+ * Get the toxicity characteristic regulatory level for a D-code (40 CFR 261.24, Table 1)
+ * Returns { code, constituent, casNumber, regulatoryLevel, unit } with the level in mg/L
+ * of TCLP extract, or null for codes without one.
+ */
+export function getRegulatoryLevel(code) {
+  const waste = EPA_WASTE_CODES[code];
+  if (!waste || waste.regulatoryLevel === undefined) {
+    return null;
+  }
+
+  return {
+    code: waste.code,
+    constituent: waste.constituent,
+    casNumber: waste.casNumber,
+    regulatoryLevel: waste.regulatoryLevel,
+    unit: 'mg/L',
+  };
+}
+
+/**
+ * Get the regulatory levels of every toxicity characteristic constituent (D004-D043)
+ */
+export function getToxicityCharacteristicLevels() {
+  return Object.keys(EPA_WASTE_CODES).map(getRegulatoryLevel).filter(Boolean);
+}
+
+/**
+ * Find the toxicity characteristic regulatory level for a constituent by CAS number
+ */
+export function findRegulatoryLevelByCas(casNumber) {
+  const trimmed = casNumber?.trim();
+  return getToxicityCharacteristicLevels().find((level) => level.casNumber === trimmed) || null;
+}
+
 /**
  * Search waste codes by type
  */
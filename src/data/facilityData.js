@@ -1,8 +1,16 @@
 /**
  * Realistic TSDF (Treatment, Storage, and Disposal Facility) data
  * Based on actual facility types and locations across the US
+ * Records use the facilities table's columns; they seed the database and are the facility
+ * list in offline mode (see facilityRepository.js). handling_methods lists the management
+ * method codes (managementMethodCodes.js) used for each accepted waste code, preferred first.
  */
 
+/**
+ * Kinds of permit a facility's permit records can hold
+ */
+export const PERMIT_TYPES = ['rcra_part_b', 'rcra_interim_status', 'state'];
+
 export const TSDF_FACILITIES = [
   // California Facilities
   {
@@ -36,6 +44,25 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 5000000,
     current_capacity_kg: 2300000,
     certifications: ['RCRA Part B', 'ISO 14001', 'OHSAS 18001'],
+    capabilities: ['incineration', 'chemical-treatment', 'stabilization'],
+    handling_methods: {
+      D001: ['H040', 'H070'],
+      D002: ['H121'],
+      D003: ['H040', 'H070'],
+      D004: ['H070', 'H110'],
+      D005: ['H070', 'H110'],
+      D006: ['H070', 'H110'],
+      D007: ['H070', 'H110'],
+      D008: ['H070', 'H110'],
+      D009: ['H070', 'H110'],
+      D010: ['H070', 'H110'],
+      D011: ['H070', 'H110'],
+      F001: ['H040'],
+      F002: ['H040'],
+      F003: ['H040'],
+      F005: ['H040'],
+    },
+    certification_expiry: '2028-03-31',
     rating: 4.7,
     phone: '(714) 547-4141',
     email: 'losangeles@cleanharbors.com',
@@ -68,6 +95,21 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 3000000,
     current_capacity_kg: 1500000,
     certifications: ['RCRA Part B', 'ISO 14001', 'R2 Certified'],
+    capabilities: ['chemical-treatment', 'recycling'],
+    handling_methods: {
+      D001: ['H020', 'H061', 'H070'],
+      D002: ['H121'],
+      D003: ['H070'],
+      D006: ['H070'],
+      D007: ['H070'],
+      D008: ['H070'],
+      D009: ['H070'],
+      P001: ['H070'],
+      P002: ['H070'],
+      U001: ['H070'],
+      U002: ['H070'],
+    },
+    certification_expiry: '2027-09-30',
     rating: 4.5,
     phone: '(916) 372-2300',
     email: 'sacramento@stericycle.com',
@@ -107,6 +149,28 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 10000000,
     current_capacity_kg: 4200000,
     certifications: ['RCRA Subtitle C', 'ISO 14001', 'TSCA Approved'],
+    capabilities: ['stabilization', 'secure-landfill'],
+    handling_methods: {
+      D001: ['H132'],
+      D002: ['H132'],
+      D003: ['H132'],
+      D004: ['H111'],
+      D005: ['H111'],
+      D006: ['H111'],
+      D007: ['H111'],
+      D008: ['H111'],
+      D009: ['H111'],
+      D010: ['H111'],
+      D011: ['H111'],
+      F001: ['H132'],
+      F002: ['H132'],
+      F003: ['H132'],
+      F004: ['H132'],
+      F005: ['H132'],
+      K001: ['H111'],
+      K002: ['H111'],
+    },
+    certification_expiry: '2029-06-30',
     rating: 4.8,
     phone: '(775) 553-2203',
     email: 'beatty@usecology.com',
@@ -145,6 +209,25 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 8000000,
     current_capacity_kg: 3800000,
     certifications: ['RCRA Part B', 'ISO 14001', 'OHSAS 18001'],
+    capabilities: ['incineration', 'chemical-treatment', 'stabilization'],
+    handling_methods: {
+      D001: ['H040', 'H070'],
+      D002: ['H121'],
+      D003: ['H040', 'H070'],
+      D004: ['H070', 'H110'],
+      D005: ['H070', 'H110'],
+      D006: ['H070', 'H110'],
+      D007: ['H070', 'H110'],
+      D008: ['H070', 'H110'],
+      D009: ['H070', 'H110'],
+      F001: ['H040'],
+      F002: ['H040'],
+      F003: ['H040'],
+      F004: ['H040'],
+      F005: ['H040'],
+      K001: ['H040', 'H110'],
+    },
+    certification_expiry: '2028-12-31',
     rating: 4.6,
     phone: '(281) 930-2300',
     email: 'deerpark@cleanharbors.com',
@@ -165,6 +248,16 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 4000000,
     current_capacity_kg: 1900000,
     certifications: ['RCRA Part B', 'ISO 14001'],
+    capabilities: ['stabilization', 'landfill'],
+    handling_methods: {
+      D001: ['H132'],
+      D002: ['H132'],
+      D006: ['H111'],
+      D007: ['H111'],
+      D008: ['H111'],
+      D009: ['H111'],
+    },
+    certification_expiry: '2027-06-30',
     rating: 4.3,
     phone: '(915) 856-8900',
     email: 'elpaso@wm.com',
@@ -202,6 +295,24 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 6000000,
     current_capacity_kg: 2800000,
     certifications: ['RCRA Part B', 'ISO 14001'],
+    capabilities: ['incineration', 'metal-recovery', 'stabilization'],
+    handling_methods: {
+      D001: ['H040'],
+      D002: ['H141'],
+      D003: ['H040'],
+      D004: ['H010', 'H110'],
+      D005: ['H010', 'H110'],
+      D006: ['H010', 'H110'],
+      D007: ['H010', 'H110'],
+      D008: ['H010', 'H110'],
+      D009: ['H010', 'H110'],
+      D010: ['H010', 'H110'],
+      D011: ['H010', 'H110'],
+      F001: ['H040'],
+      F002: ['H040'],
+      F003: ['H040'],
+    },
+    certification_expiry: '2028-06-30',
     rating: 4.5,
     phone: '(708) 839-6600',
     email: 'chicago@cleanharbors.com',
@@ -238,6 +349,23 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 5000000,
     current_capacity_kg: 2400000,
     certifications: ['RCRA Part B', 'ISO 14001', 'R2 Certified'],
+    capabilities: ['recycling', 'distillation', 'chemical-treatment'],
+    handling_methods: {
+      D001: ['H020', 'H061', 'H070'],
+      D002: ['H121'],
+      D003: ['H070'],
+      D004: ['H070'],
+      D005: ['H070'],
+      D006: ['H070'],
+      D007: ['H070'],
+      D008: ['H070'],
+      D009: ['H070'],
+      F001: ['H020'],
+      F002: ['H020'],
+      F003: ['H020'],
+      F005: ['H020'],
+    },
+    certification_expiry: '2027-12-31',
     rating: 4.4,
     phone: '(317) 856-2800',
     email: 'indianapolis@heritage-enviro.com',
@@ -271,6 +399,20 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 4000000,
     current_capacity_kg: 2100000,
     certifications: ['RCRA Part B', 'ISO 14001', 'R2 Certified'],
+    capabilities: ['incineration', 'chemical-treatment'],
+    handling_methods: {
+      D001: ['H040', 'H070'],
+      D002: ['H121'],
+      D003: ['H040', 'H070'],
+      D006: ['H070'],
+      D007: ['H070'],
+      D008: ['H070'],
+      D009: ['H070'],
+      F001: ['H040'],
+      F002: ['H040'],
+      F003: ['H040'],
+    },
+    certification_expiry: '2028-09-30',
     rating: 4.6,
     phone: '(201) 955-2900',
     email: 'kearny@cleanearthinc.com',
@@ -306,6 +448,22 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 3500000,
     current_capacity_kg: 1600000,
     certifications: ['RCRA Part B', 'ISO 14001'],
+    capabilities: ['stabilization', 'secure-landfill'],
+    handling_methods: {
+      D001: ['H132'],
+      D002: ['H132'],
+      D003: ['H132'],
+      D004: ['H111'],
+      D005: ['H111'],
+      D006: ['H111'],
+      D007: ['H111'],
+      D008: ['H111'],
+      D009: ['H111'],
+      F001: ['H132'],
+      F002: ['H132'],
+      F003: ['H132'],
+    },
+    certification_expiry: '2027-11-30',
     rating: 4.5,
     phone: '(781) 849-0200',
     email: 'braintree@cleanharbors.com',
@@ -328,6 +486,19 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 4500000,
     current_capacity_kg: 2000000,
     certifications: ['RCRA Part B', 'ISO 14001'],
+    capabilities: ['chemical-treatment', 'stabilization'],
+    handling_methods: {
+      D001: ['H070'],
+      D002: ['H121'],
+      D003: ['H070'],
+      D006: ['H070', 'H110'],
+      D007: ['H070', 'H110'],
+      D008: ['H070', 'H110'],
+      D009: ['H070', 'H110'],
+      F001: ['H141'],
+      F002: ['H141'],
+    },
+    certification_expiry: '2028-02-29',
     rating: 4.4,
     phone: '(404) 766-1500',
     email: 'atlanta@cleanharbors.com',
@@ -362,6 +533,21 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 5500000,
     current_capacity_kg: 2600000,
     certifications: ['RCRA Subtitle C', 'ISO 14001'],
+    capabilities: ['stabilization', 'secure-landfill'],
+    handling_methods: {
+      D001: ['H132'],
+      D002: ['H132'],
+      D003: ['H132'],
+      D004: ['H111'],
+      D005: ['H111'],
+      D006: ['H111'],
+      D007: ['H111'],
+      D008: ['H111'],
+      D009: ['H111'],
+      D010: ['H111'],
+      D011: ['H111'],
+    },
+    certification_expiry: '2029-03-31',
     rating: 4.5,
     phone: '(602) 269-5511',
     email: 'phoenix@usecology.com',
@@ -395,6 +581,20 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 4000000,
     current_capacity_kg: 1800000,
     certifications: ['RCRA Part B', 'ISO 14001', 'R2 Certified'],
+    capabilities: ['chemical-treatment', 'recycling', 'stabilization'],
+    handling_methods: {
+      D001: ['H020', 'H061', 'H070'],
+      D002: ['H121'],
+      D003: ['H070'],
+      D006: ['H070', 'H110'],
+      D007: ['H070', 'H110'],
+      D008: ['H070', 'H110'],
+      D009: ['H070', 'H110'],
+      F001: ['H020'],
+      F002: ['H020'],
+      F003: ['H020'],
+    },
+    certification_expiry: '2028-04-30',
     rating: 4.7,
     phone: '(206) 767-3835',
     email: 'seattle@cleanharbors.com',
@@ -429,6 +629,21 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 4500000,
     current_capacity_kg: 2100000,
     certifications: ['RCRA Part B', 'ISO 14001'],
+    capabilities: ['incineration', 'stabilization'],
+    handling_methods: {
+      D001: ['H040'],
+      D002: ['H141'],
+      D003: ['H040'],
+      D004: ['H110'],
+      D005: ['H110'],
+      D006: ['H110'],
+      D007: ['H110'],
+      D008: ['H110'],
+      D009: ['H110'],
+      F001: ['H040'],
+      F002: ['H040'],
+    },
+    certification_expiry: '2027-08-31',
     rating: 4.3,
     phone: '(313) 342-5500',
     email: 'detroit@usecology.com',
@@ -462,6 +677,20 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 3500000,
     current_capacity_kg: 1700000,
     certifications: ['RCRA Part B', 'ISO 14001'],
+    capabilities: ['chemical-treatment', 'stabilization'],
+    handling_methods: {
+      D001: ['H070'],
+      D002: ['H121'],
+      D003: ['H070'],
+      D006: ['H070', 'H110'],
+      D007: ['H070', 'H110'],
+      D008: ['H070', 'H110'],
+      D009: ['H070', 'H110'],
+      F001: ['H141'],
+      F002: ['H141'],
+      F003: ['H141'],
+    },
+    certification_expiry: '2028-01-31',
     rating: 4.5,
     phone: '(305) 591-8700',
     email: 'miami@cleanharbors.com',
@@ -484,37 +713,21 @@ export const TSDF_FACILITIES = [
     max_capacity_kg: 3000000,
     current_capacity_kg: 1400000,
     certifications: ['RCRA Part B', 'ISO 14001'],
+    capabilities: ['chemical-treatment', 'stabilization'],
+    handling_methods: {
+      D001: ['H070'],
+      D002: ['H121'],
+      D003: ['H070'],
+      D006: ['H070', 'H110'],
+      D007: ['H070', 'H110'],
+      D008: ['H070', 'H110'],
+      F001: ['H141'],
+      F002: ['H141'],
+    },
+    certification_expiry: '2028-01-31',
     rating: 4.4,
     phone: '(704) 394-0023',
     email: 'charlotte@heritage-enviro.com',
     active: true,
   },
 ];
-
-/**
- * Get all facilities
- */
-export function getAllFacilities() {
-  return TSDF_FACILITIES;
-}
-
-/**
- * Get facility by ID
- */
-export function getFacilityById(id) {
-  return TSDF_FACILITIES.find((facility) => facility.id === id);
-}
-
-/**
- * Get facilities by state
- */
-export function getFacilitiesByState(state) {
-  return TSDF_FACILITIES.filter((facility) => facility.state === state);
-}
-
-/**
- * Get facilities that accept specific waste code
- */
-export function getFacilitiesByWasteCode(wasteCode) {
-  return TSDF_FACILITIES.filter((facility) => facility.accepted_waste_codes.includes(wasteCode));
-}
@@ -0,0 +1,779 @@
+/**
+ * Hazardous Materials Table (49 CFR 172.101) and its appendices
+ *
+ * - HAZMAT_TABLE: entries for chemicals common in hospital and laboratory waste streams,
+ *   plus the generic n.o.s. entries used when a waste is a mixture. Entries marked
+ *   technicalNameRequired carry the "G" designation in column 1 of the table.
+ * - REPORTABLE_QUANTITIES: hazardous substances and their RQ in pounds (Appendix A).
+ * - WASTE_STREAM_REPORTABLE_QUANTITIES: RQs for EPA waste codes, used when the hazardous
+ *   substance is identified by its waste code (Appendix A, Table 1 notes).
+ * - MARINE_POLLUTANTS: marine pollutants (Appendix B); severe ones are flagged.
+ *
+ * This is a subset of the full table. Wastes that match no entry here fall back to the
+ * generic n.o.s. entries, or to NA3082/NA3077 "Hazardous waste, n.o.s." (Class 9).
+ */
+
+export const HAZMAT_TABLE = [
+  // ==================== CLASS 3: FLAMMABLE LIQUIDS ====================
+  {
+    unNumber: 'UN1090',
+    properShippingName: 'Acetone',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['67-64-1'],
+    synonyms: ['Dimethyl ketone', '2-Propanone'],
+  },
+  {
+    unNumber: 'UN1219',
+    properShippingName: 'Isopropanol',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['67-63-0'],
+    synonyms: ['Isopropyl alcohol', '2-Propanol', 'IPA', 'Rubbing alcohol'],
+  },
+  {
+    unNumber: 'UN1170',
+    properShippingName: 'Ethanol',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['II', 'III'],
+    casNumbers: ['64-17-5'],
+    synonyms: ['Ethyl alcohol', 'Alcohol'],
+  },
+  {
+    unNumber: 'UN1230',
+    properShippingName: 'Methanol',
+    hazardClass: '3',
+    subsidiaryHazards: ['6.1'],
+    packingGroups: ['II'],
+    casNumbers: ['67-56-1'],
+    synonyms: ['Methyl alcohol', 'Wood alcohol'],
+  },
+  {
+    unNumber: 'UN1294',
+    properShippingName: 'Toluene',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['108-88-3'],
+    synonyms: ['Toluol', 'Methylbenzene'],
+  },
+  {
+    unNumber: 'UN1307',
+    properShippingName: 'Xylenes',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['II', 'III'],
+    casNumbers: ['1330-20-7'],
+    synonyms: ['Xylene', 'Xylol', 'Dimethylbenzene'],
+  },
+  {
+    unNumber: 'UN1114',
+    properShippingName: 'Benzene',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['71-43-2'],
+    synonyms: ['Benzol'],
+  },
+  {
+    unNumber: 'UN1648',
+    properShippingName: 'Acetonitrile',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['75-05-8'],
+    synonyms: ['Methyl cyanide'],
+  },
+  {
+    unNumber: 'UN1173',
+    properShippingName: 'Ethyl acetate',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['141-78-6'],
+    synonyms: [],
+  },
+  {
+    unNumber: 'UN1193',
+    properShippingName: 'Ethyl methyl ketone',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['78-93-3'],
+    synonyms: ['Methyl ethyl ketone', 'MEK', '2-Butanone'],
+  },
+  {
+    unNumber: 'UN1155',
+    properShippingName: 'Diethyl ether',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['I'],
+    casNumbers: ['60-29-7'],
+    synonyms: ['Ethyl ether', 'Ether'],
+  },
+  {
+    unNumber: 'UN1208',
+    properShippingName: 'Hexanes',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['110-54-3'],
+    synonyms: ['Hexane', 'n-Hexane'],
+  },
+  {
+    unNumber: 'UN2056',
+    properShippingName: 'Tetrahydrofuran',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['109-99-9'],
+    synonyms: ['THF'],
+  },
+  {
+    unNumber: 'UN1134',
+    properShippingName: 'Chlorobenzene',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['III'],
+    casNumbers: ['108-90-7'],
+    synonyms: ['Monochlorobenzene'],
+  },
+  {
+    unNumber: 'UN1282',
+    properShippingName: 'Pyridine',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['110-86-1'],
+    synonyms: [],
+  },
+  {
+    unNumber: 'UN1093',
+    properShippingName: 'Acrylonitrile, stabilized',
+    hazardClass: '3',
+    subsidiaryHazards: ['6.1'],
+    packingGroups: ['I'],
+    casNumbers: ['107-13-1'],
+    synonyms: ['Acrylonitrile'],
+  },
+
+  // ==================== CLASS 5.1: OXIDIZERS ====================
+  {
+    unNumber: 'UN1493',
+    properShippingName: 'Silver nitrate',
+    hazardClass: '5.1',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['7761-88-8'],
+    synonyms: [],
+  },
+  {
+    unNumber: 'UN2014',
+    properShippingName: 'Hydrogen peroxide, aqueous solutions',
+    hazardClass: '5.1',
+    subsidiaryHazards: ['8'],
+    packingGroups: ['II'],
+    casNumbers: ['7722-84-1'],
+    synonyms: ['Hydrogen peroxide'],
+  },
+
+  // ==================== CLASS 6.1: TOXIC ====================
+  {
+    unNumber: 'UN1593',
+    properShippingName: 'Dichloromethane',
+    hazardClass: '6.1',
+    subsidiaryHazards: [],
+    packingGroups: ['III'],
+    casNumbers: ['75-09-2'],
+    synonyms: ['Methylene chloride'],
+  },
+  {
+    unNumber: 'UN1888',
+    properShippingName: 'Chloroform',
+    hazardClass: '6.1',
+    subsidiaryHazards: [],
+    packingGroups: ['III'],
+    casNumbers: ['67-66-3'],
+    synonyms: ['Trichloromethane'],
+  },
+  {
+    unNumber: 'UN1897',
+    properShippingName: 'Tetrachloroethylene',
+    hazardClass: '6.1',
+    subsidiaryHazards: [],
+    packingGroups: ['III'],
+    casNumbers: ['127-18-4'],
+    synonyms: ['Perchloroethylene', 'PCE', 'Tetrachloroethene'],
+  },
+  {
+    unNumber: 'UN1710',
+    properShippingName: 'Trichloroethylene',
+    hazardClass: '6.1',
+    subsidiaryHazards: [],
+    packingGroups: ['III'],
+    casNumbers: ['79-01-6'],
+    synonyms: ['TCE', 'Trichloroethene'],
+  },
+  {
+    unNumber: 'UN1846',
+    properShippingName: 'Carbon tetrachloride',
+    hazardClass: '6.1',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['56-23-5'],
+    synonyms: ['Tetrachloromethane'],
+  },
+  {
+    unNumber: 'UN1671',
+    properShippingName: 'Phenol, solid',
+    hazardClass: '6.1',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['108-95-2'],
+    synonyms: ['Phenol', 'Carbolic acid'],
+    physicalState: 'solid',
+  },
+  {
+    unNumber: 'UN2821',
+    properShippingName: 'Phenol solutions',
+    hazardClass: '6.1',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['108-95-2'],
+    synonyms: ['Phenol', 'Carbolic acid'],
+    physicalState: 'liquid',
+  },
+  {
+    unNumber: 'UN2076',
+    properShippingName: 'Cresols, liquid',
+    hazardClass: '6.1',
+    subsidiaryHazards: ['8'],
+    packingGroups: ['II'],
+    casNumbers: ['1319-77-3'],
+    synonyms: ['Cresol', 'Cresylic acid'],
+  },
+  {
+    unNumber: 'UN1689',
+    properShippingName: 'Sodium cyanide, solid',
+    hazardClass: '6.1',
+    subsidiaryHazards: [],
+    packingGroups: ['I'],
+    casNumbers: ['143-33-9'],
+    synonyms: ['Sodium cyanide'],
+  },
+  {
+    unNumber: 'UN1561',
+    properShippingName: 'Arsenic trioxide',
+    hazardClass: '6.1',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['1327-53-3'],
+    synonyms: ['Arsenic(III) oxide'],
+  },
+  {
+    unNumber: 'UN1624',
+    properShippingName: 'Mercuric chloride',
+    hazardClass: '6.1',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['7487-94-7'],
+    synonyms: ['Mercury(II) chloride'],
+  },
+
+  // ==================== CLASS 8: CORROSIVES ====================
+  {
+    unNumber: 'UN1789',
+    properShippingName: 'Hydrochloric acid',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['7647-01-0'],
+    synonyms: ['Muriatic acid', 'Hydrogen chloride solution'],
+  },
+  {
+    unNumber: 'UN1830',
+    properShippingName: 'Sulfuric acid',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['7664-93-9'],
+    synonyms: ['Sulphuric acid'],
+  },
+  {
+    unNumber: 'UN2031',
+    properShippingName: 'Nitric acid',
+    hazardClass: '8',
+    subsidiaryHazards: ['5.1'],
+    packingGroups: ['II'],
+    casNumbers: ['7697-37-2'],
+    synonyms: [],
+  },
+  {
+    unNumber: 'UN1790',
+    properShippingName: 'Hydrofluoric acid',
+    hazardClass: '8',
+    subsidiaryHazards: ['6.1'],
+    packingGroups: ['II'],
+    casNumbers: ['7664-39-3'],
+    synonyms: [],
+  },
+  {
+    unNumber: 'UN1805',
+    properShippingName: 'Phosphoric acid, solution',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['III'],
+    casNumbers: ['7664-38-2'],
+    synonyms: ['Phosphoric acid'],
+  },
+  {
+    unNumber: 'UN2789',
+    properShippingName: 'Acetic acid, glacial',
+    hazardClass: '8',
+    subsidiaryHazards: ['3'],
+    packingGroups: ['II'],
+    casNumbers: ['64-19-7'],
+    synonyms: ['Acetic acid', 'Glacial acetic acid'],
+  },
+  {
+    unNumber: 'UN1824',
+    properShippingName: 'Sodium hydroxide solution',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['1310-73-2'],
+    synonyms: ['Sodium hydroxide', 'Caustic soda'],
+    physicalState: 'liquid',
+  },
+  {
+    unNumber: 'UN1823',
+    properShippingName: 'Sodium hydroxide, solid',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['1310-73-2'],
+    synonyms: ['Sodium hydroxide', 'Caustic soda'],
+    physicalState: 'solid',
+  },
+  {
+    unNumber: 'UN1814',
+    properShippingName: 'Potassium hydroxide, solution',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['II'],
+    casNumbers: ['1310-58-3'],
+    synonyms: ['Potassium hydroxide', 'Caustic potash'],
+  },
+  {
+    unNumber: 'UN2209',
+    properShippingName: 'Formaldehyde, solutions',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['III'],
+    casNumbers: ['50-00-0'],
+    synonyms: ['Formaldehyde', 'Formalin'],
+  },
+  {
+    unNumber: 'UN1791',
+    properShippingName: 'Hypochlorite solution',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['III'],
+    casNumbers: ['7681-52-9'],
+    synonyms: ['Sodium hypochlorite', 'Bleach'],
+  },
+  {
+    unNumber: 'UN2672',
+    properShippingName: 'Ammonia solution',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['III'],
+    casNumbers: ['1336-21-6'],
+    synonyms: ['Ammonium hydroxide', 'Aqueous ammonia'],
+  },
+  {
+    unNumber: 'UN2809',
+    properShippingName: 'Mercury',
+    hazardClass: '8',
+    subsidiaryHazards: ['6.1'],
+    packingGroups: ['III'],
+    casNumbers: ['7439-97-6'],
+    synonyms: ['Elemental mercury', 'Quicksilver'],
+  },
+
+  // ==================== GENERIC N.O.S. ENTRIES ====================
+  {
+    unNumber: 'UN1993',
+    properShippingName: 'Flammable liquids, n.o.s.',
+    hazardClass: '3',
+    subsidiaryHazards: [],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'liquid',
+  },
+  {
+    unNumber: 'UN2924',
+    properShippingName: 'Flammable liquid, corrosive, n.o.s.',
+    hazardClass: '3',
+    subsidiaryHazards: ['8'],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'liquid',
+  },
+  {
+    unNumber: 'UN1992',
+    properShippingName: 'Flammable liquid, toxic, n.o.s.',
+    hazardClass: '3',
+    subsidiaryHazards: ['6.1'],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'liquid',
+  },
+  {
+    unNumber: 'UN1325',
+    properShippingName: 'Flammable solids, organic, n.o.s.',
+    hazardClass: '4.1',
+    subsidiaryHazards: [],
+    packingGroups: ['II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'solid',
+  },
+  {
+    unNumber: 'UN2925',
+    properShippingName: 'Flammable solids, corrosive, organic, n.o.s.',
+    hazardClass: '4.1',
+    subsidiaryHazards: ['8'],
+    packingGroups: ['II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'solid',
+  },
+  {
+    unNumber: 'UN3148',
+    properShippingName: 'Water-reactive liquid, n.o.s.',
+    hazardClass: '4.3',
+    subsidiaryHazards: [],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'liquid',
+  },
+  {
+    unNumber: 'UN2813',
+    properShippingName: 'Water-reactive solid, n.o.s.',
+    hazardClass: '4.3',
+    subsidiaryHazards: [],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'solid',
+  },
+  {
+    unNumber: 'UN3139',
+    properShippingName: 'Oxidizing liquid, n.o.s.',
+    hazardClass: '5.1',
+    subsidiaryHazards: [],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'liquid',
+  },
+  {
+    unNumber: 'UN1479',
+    properShippingName: 'Oxidizing solid, n.o.s.',
+    hazardClass: '5.1',
+    subsidiaryHazards: [],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'solid',
+  },
+  {
+    unNumber: 'UN2810',
+    properShippingName: 'Toxic, liquids, organic, n.o.s.',
+    hazardClass: '6.1',
+    subsidiaryHazards: [],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'liquid',
+  },
+  {
+    unNumber: 'UN2811',
+    properShippingName: 'Toxic, solids, organic, n.o.s.',
+    hazardClass: '6.1',
+    subsidiaryHazards: [],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'solid',
+  },
+  {
+    unNumber: 'UN3264',
+    properShippingName: 'Corrosive liquid, acidic, inorganic, n.o.s.',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'liquid',
+    acidity: 'acidic',
+  },
+  {
+    unNumber: 'UN3266',
+    properShippingName: 'Corrosive liquid, basic, inorganic, n.o.s.',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'liquid',
+    acidity: 'basic',
+  },
+  {
+    unNumber: 'UN1760',
+    properShippingName: 'Corrosive liquids, n.o.s.',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'liquid',
+  },
+  {
+    unNumber: 'UN1759',
+    properShippingName: 'Corrosive solids, n.o.s.',
+    hazardClass: '8',
+    subsidiaryHazards: [],
+    packingGroups: ['I', 'II', 'III'],
+    technicalNameRequired: true,
+    generic: true,
+    physicalState: 'solid',
+  },
+  {
+    unNumber: 'NA3082',
+    properShippingName: 'Hazardous waste, liquid, n.o.s.',
+    hazardClass: '9',
+    subsidiaryHazards: [],
+    packingGroups: ['III'],
+    generic: true,
+    physicalState: 'liquid',
+  },
+  {
+    unNumber: 'NA3077',
+    properShippingName: 'Hazardous waste, solid, n.o.s.',
+    hazardClass: '9',
+    subsidiaryHazards: [],
+    packingGroups: ['III'],
+    generic: true,
+    physicalState: 'solid',
+  },
+];
+
+/**
+ * Hazardous substances and their reportable quantities in pounds (Appendix A)
+ */
+export const REPORTABLE_QUANTITIES = [
+  { name: 'Acetone', casNumber: '67-64-1', rqPounds: 5000 },
+  { name: 'Acetic acid', casNumber: '64-19-7', rqPounds: 5000 },
+  { name: 'Acetonitrile', casNumber: '75-05-8', rqPounds: 5000 },
+  { name: 'Acrylonitrile', casNumber: '107-13-1', rqPounds: 100 },
+  { name: 'Ammonia', casNumber: '1336-21-6', rqPounds: 100 },
+  { name: 'Arsenic trioxide', casNumber: '1327-53-3', rqPounds: 1 },
+  { name: 'Benzene', casNumber: '71-43-2', rqPounds: 10 },
+  { name: 'Carbon tetrachloride', casNumber: '56-23-5', rqPounds: 10 },
+  { name: 'Chlorobenzene', casNumber: '108-90-7', rqPounds: 100 },
+  { name: 'Chloroform', casNumber: '67-66-3', rqPounds: 10 },
+  { name: 'Cresols', casNumber: '1319-77-3', rqPounds: 100 },
+  { name: 'Dichloromethane', casNumber: '75-09-2', rqPounds: 1000 },
+  { name: 'Diethyl ether', casNumber: '60-29-7', rqPounds: 100 },
+  { name: 'Ethyl acetate', casNumber: '141-78-6', rqPounds: 5000 },
+  { name: 'Ethyl methyl ketone', casNumber: '78-93-3', rqPounds: 5000 },
+  { name: 'Formaldehyde', casNumber: '50-00-0', rqPounds: 100 },
+  { name: 'Hexane', casNumber: '110-54-3', rqPounds: 5000 },
+  { name: 'Hydrochloric acid', casNumber: '7647-01-0', rqPounds: 5000 },
+  { name: 'Hydrofluoric acid', casNumber: '7664-39-3', rqPounds: 100 },
+  { name: 'Mercuric chloride', casNumber: '7487-94-7', rqPounds: 1 },
+  { name: 'Mercury', casNumber: '7439-97-6', rqPounds: 1 },
+  { name: 'Methanol', casNumber: '67-56-1', rqPounds: 5000 },
+  { name: 'Nitric acid', casNumber: '7697-37-2', rqPounds: 1000 },
+  { name: 'Phenol', casNumber: '108-95-2', rqPounds: 1000 },
+  { name: 'Phosphoric acid', casNumber: '7664-38-2', rqPounds: 5000 },
+  { name: 'Potassium hydroxide', casNumber: '1310-58-3', rqPounds: 1000 },
+  { name: 'Pyridine', casNumber: '110-86-1', rqPounds: 1000 },
+  { name: 'Silver nitrate', casNumber: '7761-88-8', rqPounds: 1 },
+  { name: 'Sodium cyanide', casNumber: '143-33-9', rqPounds: 10 },
+  { name: 'Sodium hydroxide', casNumber: '1310-73-2', rqPounds: 1000 },
+  { name: 'Sodium hypochlorite', casNumber: '7681-52-9', rqPounds: 100 },
+  { name: 'Sulfuric acid', casNumber: '7664-93-9', rqPounds: 1000 },
+  { name: 'Tetrachloroethylene', casNumber: '127-18-4', rqPounds: 100 },
+  { name: 'Tetrahydrofuran', casNumber: '109-99-9', rqPounds: 1000 },
+  { name: 'Toluene', casNumber: '108-88-3', rqPounds: 1000 },
+  { name: 'Trichloroethylene', casNumber: '79-01-6', rqPounds: 100 },
+  { name: 'Xylenes', casNumber: '1330-20-7', rqPounds: 100 },
+];
+
+/**
+ * Reportable quantities in pounds for EPA hazardous waste codes
+ */
+export const WASTE_STREAM_REPORTABLE_QUANTITIES = {
+  D001: 100,
+  D002: 100,
+  D003: 100,
+  D004: 1,
+  D005: 1000,
+  D006: 10,
+  D007: 10,
+  D008: 10,
+  D009: 1,
+  D010: 10,
+  D011: 1,
+  D012: 1,
+  D013: 1,
+  D014: 1,
+  D015: 1,
+  D016: 100,
+  D017: 100,
+  D018: 10,
+  D019: 10,
+  D020: 1,
+  D021: 100,
+  D022: 10,
+  D023: 100,
+  D024: 100,
+  D025: 100,
+  D026: 100,
+  D027: 100,
+  D028: 100,
+  D029: 100,
+  D030: 10,
+  D031: 1,
+  D032: 10,
+  D033: 1,
+  D034: 100,
+  D035: 5000,
+  D036: 1000,
+  D037: 10,
+  D038: 1000,
+  D039: 100,
+  D040: 100,
+  D041: 10,
+  D042: 10,
+  D043: 1,
+  F001: 10,
+  F002: 10,
+  F003: 100,
+  F004: 100,
+  F005: 100,
+};
+
+/**
+ * Marine pollutants (Appendix B); severe marine pollutants carry the "PP" designation
+ */
+export const MARINE_POLLUTANTS = [
+  { name: 'Chlordane', casNumber: '57-74-9', severe: true },
+  { name: 'Copper cyanide', casNumber: '544-92-3', severe: true },
+  { name: 'Cresols', casNumber: '1319-77-3', severe: false },
+  { name: 'Endrin', casNumber: '72-20-8', severe: true },
+  { name: 'Heptachlor', casNumber: '76-44-8', severe: true },
+  { name: 'Lindane', casNumber: '58-89-9', severe: true },
+  { name: 'Mercuric chloride', casNumber: '7487-94-7', severe: true },
+  { name: 'Methoxychlor', casNumber: '72-43-5', severe: false },
+  { name: 'Pentachlorophenol', casNumber: '87-86-5', severe: true },
+  { name: 'Tetrachloroethylene', casNumber: '127-18-4', severe: false },
+  { name: 'Toxaphene', casNumber: '8001-35-2', severe: true },
+];
+
+function normalizeName(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9,()-]+/g, ' ')
+    .trim();
+}
+
+const ENTRIES_BY_NAME = new Map();
+for (const entry of HAZMAT_TABLE.filter((item) => !item.generic)) {
+  for (const name of [entry.properShippingName, ...entry.synonyms]) {
+    const key = normalizeName(name);
+    ENTRIES_BY_NAME.set(key, [...(ENTRIES_BY_NAME.get(key) || []), entry]);
+  }
+}
+
+function matchesState(entry, physicalState) {
+  return !entry.physicalState || !physicalState || entry.physicalState === physicalState;
+}
+
+/**
+ * Get a table entry by identification number (e.g. UN1090)
+ */
+export function getHazmatEntry(unNumber) {
+  return HAZMAT_TABLE.find((entry) => entry.unNumber === unNumber) || null;
+}
+
+/**
+ * Find the named (non-generic) entry for a chemical by CAS number or name
+ * Chemicals with separate solid and liquid entries are resolved by physical state.
+ */
+export function findHazmatEntry({ casNumber, name, physicalState } = {}) {
+  const candidates = casNumber
+    ? HAZMAT_TABLE.filter((entry) => entry.casNumbers?.includes(casNumber))
+    : ENTRIES_BY_NAME.get(normalizeName(name || '')) || [];
+
+  if (candidates.length === 0 && casNumber && name) {
+    return findHazmatEntry({ name, physicalState });
+  }
+
+  return candidates.find((entry) => matchesState(entry, physicalState)) || candidates[0] || null;
+}
+
+/**
+ * Get the generic n.o.s. entries for a hazard class and physical state
+ */
+export function getGenericEntries(hazardClass, physicalState) {
+  return HAZMAT_TABLE.filter(
+    (entry) =>
+      entry.generic && entry.hazardClass === hazardClass && matchesState(entry, physicalState)
+  );
+}
+
+/**
+ * Find the reportable quantity of a hazardous substance by CAS number or name
+ */
+export function findReportableQuantity({ casNumber, name } = {}) {
+  const key = normalizeName(name || '');
+  return (
+    REPORTABLE_QUANTITIES.find(
+      (substance) =>
+        (casNumber && substance.casNumber === casNumber) ||
+        (key && normalizeName(substance.name) === key)
+    ) || null
+  );
+}
+
+/**
+ * Get the reportable quantity in pounds for an EPA waste code
+ */
+export function getWasteCodeReportableQuantity(code) {
+  return WASTE_STREAM_REPORTABLE_QUANTITIES[code] ?? null;
+}
+
+/**
+ * Find a marine pollutant by CAS number or name
+ */
+export function findMarinePollutant({ casNumber, name } = {}) {
+  const key = normalizeName(name || '');
+  return (
+    MARINE_POLLUTANTS.find(
+      (pollutant) =>
+        (casNumber && pollutant.casNumber === casNumber) ||
+        (key && normalizeName(pollutant.name) === key)
+    ) || null
+  );
+}
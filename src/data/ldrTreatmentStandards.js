@@ -0,0 +1,482 @@
+/**
+ * Land Disposal Restrictions treatment standards
+ * Based on 40 CFR 268.40 (Treatment Standards for Hazardous Wastes) and 268.48 (Universal
+ * Treatment Standards)
+ *
+ * Standards are given for wastewaters (mg/L) and nonwastewaters (mg/kg total composition, or
+ * mg/L of the TCLP extract where marked). Where a technology is required instead of a
+ * concentration the standard is the technology code (268.42 Table 1), e.g. 'CMBST'.
+ */
+
+/**
+ * Technology codes used in the standards below (40 CFR 268.42 Table 1)
+ */
+export const TREATMENT_TECHNOLOGY_CODES = {
+  BIODG: 'Biodegradation of organics or non-metallic inorganics',
+  CARBN: 'Carbon adsorption',
+  CHOXD: 'Chemical or electrolytic oxidation',
+  CMBST: 'High temperature organic destruction technologies (combustion)',
+  DEACT: 'Deactivation to remove the hazardous characteristic',
+  RORGS: 'Recovery of organics',
+  WETOX: 'Wet air oxidation',
+};
+
+/**
+ * Constituent standards. uts marks the constituents on the Universal Treatment Standards
+ * table, which are the underlying hazardous constituents a characteristic waste may carry.
+ */
+export const CONSTITUENT_STANDARDS = [
+  // ==================== ORGANICS ====================
+  { constituent: 'Acetone', casNumber: '67-64-1', wastewater: 0.28, nonwastewater: 160 },
+  { constituent: 'Benzene', casNumber: '71-43-2', wastewater: 0.14, nonwastewater: 10 },
+  {
+    constituent: 'n-Butyl alcohol',
+    casNumber: '71-36-3',
+    aliases: ['n-butanol', 'butanol', 'butyl alcohol'],
+    wastewater: 5.6,
+    nonwastewater: 2.6,
+  },
+  {
+    constituent: 'Carbon disulfide',
+    casNumber: '75-15-0',
+    wastewater: 3.8,
+    nonwastewater: 4.8,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Carbon tetrachloride',
+    casNumber: '56-23-5',
+    wastewater: 0.057,
+    nonwastewater: 6.0,
+  },
+  { constituent: 'Chlorobenzene', casNumber: '108-90-7', wastewater: 0.057, nonwastewater: 6.0 },
+  { constituent: 'Chloroform', casNumber: '67-66-3', wastewater: 0.046, nonwastewater: 6.0 },
+  {
+    constituent: 'Cresol-mixed isomers (sum of o-, m- and p-cresol)',
+    casNumber: '1319-77-3',
+    aliases: ['cresol', 'cresols', 'cresylic acid'],
+    wastewater: 0.88,
+    nonwastewater: 11.2,
+  },
+  {
+    constituent: 'Cyclohexanone',
+    casNumber: '108-94-1',
+    wastewater: 0.36,
+    nonwastewater: 0.75,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'o-Dichlorobenzene',
+    casNumber: '95-50-1',
+    aliases: ['1,2-dichlorobenzene'],
+    wastewater: 0.088,
+    nonwastewater: 6.0,
+  },
+  {
+    constituent: '2-Ethoxyethanol',
+    casNumber: '110-80-5',
+    wastewater: 'BIODG; or CMBST',
+    nonwastewater: 'CMBST',
+    uts: false,
+  },
+  { constituent: 'Ethyl acetate', casNumber: '141-78-6', wastewater: 0.34, nonwastewater: 33 },
+  { constituent: 'Ethylbenzene', casNumber: '100-41-4', wastewater: 0.057, nonwastewater: 10 },
+  {
+    constituent: 'Ethyl ether',
+    casNumber: '60-29-7',
+    aliases: ['diethyl ether'],
+    wastewater: 0.12,
+    nonwastewater: 160,
+  },
+  {
+    constituent: 'Isobutyl alcohol',
+    casNumber: '78-83-1',
+    aliases: ['isobutanol'],
+    wastewater: 5.6,
+    nonwastewater: 170,
+  },
+  {
+    constituent: 'Methanol',
+    casNumber: '67-56-1',
+    aliases: ['methyl alcohol'],
+    wastewater: 5.6,
+    nonwastewater: 0.75,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Methylene chloride',
+    casNumber: '75-09-2',
+    aliases: ['dichloromethane'],
+    wastewater: 0.089,
+    nonwastewater: 30,
+  },
+  {
+    constituent: 'Methyl ethyl ketone',
+    casNumber: '78-93-3',
+    aliases: ['mek', '2-butanone'],
+    wastewater: 0.28,
+    nonwastewater: 36,
+  },
+  {
+    constituent: 'Methyl isobutyl ketone',
+    casNumber: '108-10-1',
+    aliases: ['mibk'],
+    wastewater: 0.14,
+    nonwastewater: 33,
+  },
+  { constituent: 'Naphthalene', casNumber: '91-20-3', wastewater: 0.059, nonwastewater: 5.6 },
+  { constituent: 'Nitrobenzene', casNumber: '98-95-3', wastewater: 0.068, nonwastewater: 14 },
+  {
+    constituent: '2-Nitropropane',
+    casNumber: '79-46-9',
+    wastewater: '(WETOX or CHOXD) fb CARBN; or CMBST',
+    nonwastewater: 'CMBST',
+    uts: false,
+  },
+  { constituent: 'Pentachlorophenol', casNumber: '87-86-5', wastewater: 0.089, nonwastewater: 7.4 },
+  { constituent: 'Phenanthrene', casNumber: '85-01-8', wastewater: 0.059, nonwastewater: 5.6 },
+  { constituent: 'Phenol', casNumber: '108-95-2', wastewater: 0.039, nonwastewater: 6.2 },
+  { constituent: 'Pyrene', casNumber: '129-00-0', wastewater: 0.067, nonwastewater: 8.2 },
+  { constituent: 'Pyridine', casNumber: '110-86-1', wastewater: 0.014, nonwastewater: 16 },
+  {
+    constituent: 'Tetrachloroethylene',
+    casNumber: '127-18-4',
+    aliases: ['perchloroethylene', 'tetrachloroethene'],
+    wastewater: 0.056,
+    nonwastewater: 6.0,
+  },
+  { constituent: 'Toluene', casNumber: '108-88-3', wastewater: 0.08, nonwastewater: 10 },
+  {
+    constituent: '1,1,1-Trichloroethane',
+    casNumber: '71-55-6',
+    wastewater: 0.054,
+    nonwastewater: 6.0,
+  },
+  {
+    constituent: '1,1,2-Trichloroethane',
+    casNumber: '79-00-5',
+    wastewater: 0.054,
+    nonwastewater: 6.0,
+  },
+  {
+    constituent: 'Trichloroethylene',
+    casNumber: '79-01-6',
+    aliases: ['trichloroethene'],
+    wastewater: 0.054,
+    nonwastewater: 6.0,
+  },
+  {
+    constituent: 'Trichlorofluoromethane',
+    casNumber: '75-69-4',
+    wastewater: 0.02,
+    nonwastewater: 30,
+  },
+  {
+    constituent: '1,1,2-Trichloro-1,2,2-trifluoroethane',
+    casNumber: '76-13-1',
+    wastewater: 0.057,
+    nonwastewater: 30,
+  },
+  {
+    constituent: 'Xylenes-mixed isomers (sum of o-, m- and p-xylene)',
+    casNumber: '1330-20-7',
+    aliases: ['xylene', 'xylenes'],
+    wastewater: 0.32,
+    nonwastewater: 30,
+  },
+
+  // ==================== METALS AND INORGANICS ====================
+  {
+    constituent: 'Antimony',
+    casNumber: '7440-36-0',
+    wastewater: 1.9,
+    nonwastewater: 1.15,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Arsenic',
+    casNumber: '7440-38-2',
+    wastewater: 1.4,
+    nonwastewater: 5.0,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Barium',
+    casNumber: '7440-39-3',
+    wastewater: 1.2,
+    nonwastewater: 21,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Beryllium',
+    casNumber: '7440-41-7',
+    wastewater: 0.82,
+    nonwastewater: 1.22,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Cadmium',
+    casNumber: '7440-43-9',
+    wastewater: 0.69,
+    nonwastewater: 0.11,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Chromium (Total)',
+    casNumber: '7440-47-3',
+    aliases: ['chromium'],
+    wastewater: 2.77,
+    nonwastewater: 0.6,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Cyanides (Total)',
+    casNumber: '57-12-5',
+    aliases: ['cyanide', 'cyanides'],
+    wastewater: 1.2,
+    nonwastewater: 590,
+  },
+  {
+    constituent: 'Lead',
+    casNumber: '7439-92-1',
+    wastewater: 0.69,
+    nonwastewater: 0.75,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Mercury',
+    casNumber: '7439-97-6',
+    wastewater: 0.15,
+    nonwastewater: 0.025,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Nickel',
+    casNumber: '7440-02-0',
+    wastewater: 3.98,
+    nonwastewater: 11,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Selenium',
+    casNumber: '7782-49-2',
+    wastewater: 0.82,
+    nonwastewater: 5.7,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Silver',
+    casNumber: '7440-22-4',
+    wastewater: 0.43,
+    nonwastewater: 0.14,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+  {
+    constituent: 'Thallium',
+    casNumber: '7440-28-0',
+    wastewater: 1.4,
+    nonwastewater: 0.2,
+    nonwastewaterUnit: 'mg/L TCLP',
+  },
+];
+
+const DEACT_AND_UTS = 'DEACT and meet 268.48 standards';
+
+/**
+ * Treatment standards by waste code (40 CFR 268.40)
+ * constituents lists the CAS numbers regulated for the code; technology is the required
+ * treatment where the standard is a method. underlyingHazardousConstituents marks the
+ * characteristic wastes that must also meet the 268.48 standards for every underlying
+ * hazardous constituent reasonably expected to be present.
+ */
+export const LDR_TREATMENT_STANDARDS = {
+  // ==================== D-CODES: CHARACTERISTIC WASTES ====================
+  D001: {
+    code: 'D001',
+    description:
+      'Ignitable characteristic wastes, except the High TOC Ignitable Characteristic Liquids ' +
+      'Subcategory (10% or more total organic carbon), which must be treated by RORGS, CMBST or CHOXD',
+    constituents: [],
+    technology: {
+      wastewater: `${DEACT_AND_UTS}; or RORGS; or CMBST`,
+      nonwastewater: `${DEACT_AND_UTS}; or RORGS; or CMBST`,
+    },
+    underlyingHazardousConstituents: true,
+  },
+  D002: {
+    code: 'D002',
+    description: 'Corrosive characteristic wastes',
+    constituents: [],
+    technology: { wastewater: DEACT_AND_UTS, nonwastewater: DEACT_AND_UTS },
+    underlyingHazardousConstituents: true,
+  },
+  D003: {
+    code: 'D003',
+    description: 'Reactive sulfides, explosives, water reactives and other reactives',
+    constituents: [],
+    technology: { wastewater: DEACT_AND_UTS, nonwastewater: DEACT_AND_UTS },
+    underlyingHazardousConstituents: true,
+  },
+  D004: {
+    code: 'D004',
+    description: 'Wastes that exhibit the toxicity characteristic for arsenic (TCLP)',
+    constituents: ['7440-38-2'],
+    underlyingHazardousConstituents: true,
+  },
+  D005: {
+    code: 'D005',
+    description: 'Wastes that exhibit the toxicity characteristic for barium (TCLP)',
+    constituents: ['7440-39-3'],
+    underlyingHazardousConstituents: true,
+  },
+  D006: {
+    code: 'D006',
+    description: 'Wastes that exhibit the toxicity characteristic for cadmium (TCLP)',
+    constituents: ['7440-43-9'],
+    underlyingHazardousConstituents: true,
+  },
+  D007: {
+    code: 'D007',
+    description: 'Wastes that exhibit the toxicity characteristic for chromium (TCLP)',
+    constituents: ['7440-47-3'],
+    underlyingHazardousConstituents: true,
+  },
+  D008: {
+    code: 'D008',
+    description: 'Wastes that exhibit the toxicity characteristic for lead (TCLP)',
+    constituents: ['7439-92-1'],
+    underlyingHazardousConstituents: true,
+  },
+  D009: {
+    code: 'D009',
+    description:
+      'Wastes that exhibit the toxicity characteristic for mercury (TCLP); low mercury ' +
+      'subcategory, less than 260 mg/kg total mercury, not residues from RMERC',
+    constituents: ['7439-97-6'],
+    underlyingHazardousConstituents: true,
+  },
+  D010: {
+    code: 'D010',
+    description: 'Wastes that exhibit the toxicity characteristic for selenium (TCLP)',
+    constituents: ['7782-49-2'],
+    underlyingHazardousConstituents: true,
+  },
+  D011: {
+    code: 'D011',
+    description: 'Wastes that exhibit the toxicity characteristic for silver (TCLP)',
+    constituents: ['7440-22-4'],
+    underlyingHazardousConstituents: true,
+  },
+
+  // ==================== F-CODES: SPENT SOLVENTS ====================
+  F001: {
+    code: 'F001',
+    description: 'Spent halogenated solvents used in degreasing',
+    constituents: ['127-18-4', '79-01-6', '75-09-2', '71-55-6', '56-23-5', '75-69-4', '76-13-1'],
+    underlyingHazardousConstituents: false,
+  },
+  F002: {
+    code: 'F002',
+    description: 'Spent halogenated solvents',
+    constituents: [
+      '127-18-4',
+      '75-09-2',
+      '79-01-6',
+      '71-55-6',
+      '108-90-7',
+      '76-13-1',
+      '95-50-1',
+      '75-69-4',
+      '79-00-5',
+    ],
+    underlyingHazardousConstituents: false,
+  },
+  F003: {
+    code: 'F003',
+    description: 'Spent non-halogenated solvents',
+    constituents: [
+      '1330-20-7',
+      '67-64-1',
+      '141-78-6',
+      '100-41-4',
+      '60-29-7',
+      '108-10-1',
+      '71-36-3',
+      '108-94-1',
+      '67-56-1',
+    ],
+    underlyingHazardousConstituents: false,
+  },
+  F004: {
+    code: 'F004',
+    description: 'Spent non-halogenated solvents: cresols, cresylic acid and nitrobenzene',
+    constituents: ['1319-77-3', '98-95-3'],
+    underlyingHazardousConstituents: false,
+  },
+  F005: {
+    code: 'F005',
+    description: 'Spent non-halogenated solvents',
+    constituents: [
+      '108-88-3',
+      '78-93-3',
+      '75-15-0',
+      '78-83-1',
+      '110-86-1',
+      '71-43-2',
+      '110-80-5',
+      '79-46-9',
+    ],
+    underlyingHazardousConstituents: false,
+  },
+
+  // ==================== K-CODES: SPECIFIC SOURCES ====================
+  K001: {
+    code: 'K001',
+    description:
+      'Bottom sediment sludge from the treatment of wastewaters from wood preserving ' +
+      'processes that use creosote and/or pentachlorophenol',
+    constituents: [
+      '91-20-3',
+      '87-86-5',
+      '85-01-8',
+      '129-00-0',
+      '108-88-3',
+      '1330-20-7',
+      '7439-92-1',
+    ],
+    underlyingHazardousConstituents: false,
+  },
+};
+
+/**
+ * Get the treatment standard for a waste code, or null when none is listed here
+ */
+export function getTreatmentStandard(code) {
+  return LDR_TREATMENT_STANDARDS[code] || null;
+}
+
+/**
+ * Find a constituent standard by CAS number or name
+ */
+export function findConstituentStandard({ casNumber, name } = {}) {
+  if (casNumber) {
+    const byCas = CONSTITUENT_STANDARDS.find((entry) => entry.casNumber === casNumber);
+    if (byCas) {
+      return byCas;
+    }
+  }
+
+  if (!name) {
+    return null;
+  }
+
+  const normalized = name.trim().toLowerCase();
+  return (
+    CONSTITUENT_STANDARDS.find(
+      (entry) =>
+        entry.constituent.toLowerCase() === normalized || entry.aliases?.includes(normalized)
+    ) || null
+  );
+}
+
+export default LDR_TREATMENT_STANDARDS;
@@ -0,0 +1,155 @@
+/**
+ * EPA management method codes (H codes) from the Biennial Hazardous Waste Report
+ * A receiving facility reports how it manages each waste with one of these codes, and the
+ * same code goes in item 19 of the manifest (Form 8700-22).
+ *
+ * Categories:
+ * - recovery: Reclamation and recovery of metals, solvents or other materials
+ * - energy_recovery: Burned for energy, on site or after fuel blending
+ * - destruction: Thermal destruction other than as fuel
+ * - treatment: Treatment before disposal or discharge
+ * - disposal: Land disposal, discharge or injection
+ * - transfer: Storage at a transfer facility before shipment elsewhere
+ */
+
+export const MANAGEMENT_METHOD_CODES = {
+  H010: {
+    code: 'H010',
+    category: 'recovery',
+    description: 'Metals recovery including retorting, smelting and chemical recovery',
+  },
+  H020: {
+    code: 'H020',
+    category: 'recovery',
+    description: 'Solvents recovery by distillation or extraction',
+  },
+  H039: {
+    code: 'H039',
+    category: 'recovery',
+    description: 'Other recovery or reclamation for reuse, including acid regeneration',
+  },
+  H040: {
+    code: 'H040',
+    category: 'destruction',
+    description: 'Incineration - thermal destruction other than use as a fuel',
+  },
+  H050: {
+    code: 'H050',
+    category: 'energy_recovery',
+    description: 'Energy recovery at this site - used as fuel',
+  },
+  H061: {
+    code: 'H061',
+    category: 'energy_recovery',
+    description: 'Fuel blending prior to energy recovery at another site',
+  },
+  H070: {
+    code: 'H070',
+    category: 'treatment',
+    description: 'Chemical treatment - reduction, destruction, oxidation or precipitation',
+  },
+  H081: {
+    code: 'H081',
+    category: 'treatment',
+    description: 'Biological treatment with or without precipitation',
+  },
+  H100: {
+    code: 'H100',
+    category: 'treatment',
+    description: 'Physical treatment only - adsorption, absorption, separation or stripping',
+  },
+  H110: {
+    code: 'H110',
+    category: 'treatment',
+    description: 'Stabilization prior to land disposal at another site',
+  },
+  H111: {
+    code: 'H111',
+    category: 'treatment',
+    description: 'Stabilization or chemical fixation prior to disposal at this site',
+  },
+  H120: {
+    code: 'H120',
+    category: 'treatment',
+    description: 'Combination of chemical, biological and/or physical treatment',
+  },
+  H121: {
+    code: 'H121',
+    category: 'treatment',
+    description: 'Neutralization only',
+  },
+  H122: {
+    code: 'H122',
+    category: 'treatment',
+    description: 'Evaporation',
+  },
+  H123: {
+    code: 'H123',
+    category: 'treatment',
+    description: 'Settling or separation',
+  },
+  H129: {
+    code: 'H129',
+    category: 'treatment',
+    description: 'Other treatment',
+  },
+  H131: {
+    code: 'H131',
+    category: 'disposal',
+    description: 'Land treatment or application',
+  },
+  H132: {
+    code: 'H132',
+    category: 'disposal',
+    description: 'Landfill or surface impoundment that will be closed as a landfill',
+  },
+  H134: {
+    code: 'H134',
+    category: 'disposal',
+    description: 'Deepwell or underground injection',
+  },
+  H135: {
+    code: 'H135',
+    category: 'disposal',
+    description: 'Discharge to sewer/POTW or NPDES',
+  },
+  H141: {
+    code: 'H141',
+    category: 'transfer',
+    description: 'Storage or bulking at a transfer facility prior to shipment elsewhere',
+  },
+};
+
+/**
+ * Methods that place waste in or on the land
+ */
+export const LAND_DISPOSAL_METHODS = ['H131', 'H132', 'H134'];
+
+/**
+ * Spent solvent listings (40 CFR 261.31)
+ */
+export const F_LISTED_SOLVENT_CODES = ['F001', 'F002', 'F003', 'F004', 'F005'];
+
+/**
+ * Get management method by code
+ */
+export function getManagementMethod(code) {
+  return MANAGEMENT_METHOD_CODES[code] || null;
+}
+
+/**
+ * Validate management method code
+ */
+export function isValidManagementMethod(code) {
+  return code in MANAGEMENT_METHOD_CODES;
+}
+
+/**
+ * Get the methods corporate policy rules out for a waste code
+ * F-listed spent solvents are never landfilled or otherwise land disposed.
+ */
+export function getPolicyForbiddenMethods(wasteCode) {
+  return F_LISTED_SOLVENT_CODES.includes(wasteCode) ? LAND_DISPOSAL_METHODS : [];
+}
+
+export default MANAGEMENT_METHOD_CODES;
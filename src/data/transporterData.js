@@ -0,0 +1,52 @@
+/**
+ * Sample hazardous waste transporters for the transporter registry
+ * Permit expiry dates are illustrative and should be refreshed from the carrier's certificates
+ */
+
+/**
+ * Vehicle types a transporter can operate; route methods use the same names
+ */
+export const VEHICLE_TYPES = ['truck', 'tanker', 'freight', 'rail'];
+
+export const TRANSPORTERS = [
+  {
+    id: 'b3f1c2d4-5e6f-4a7b-8c9d-0e1f2a3b4c01',
+    name: 'SafeHaul Logistics',
+    epa_id: 'TXR111222333',
+    dot_number: '1234567',
+    hazmat_registration_expires_at: '2027-06-30',
+    insurance_expires_at: '2027-03-31',
+    vehicle_types: ['truck', 'tanker'],
+    states_served: ['TX', 'OK', 'LA', 'NM', 'AR'],
+  },
+  {
+    id: 'b3f1c2d4-5e6f-4a7b-8c9d-0e1f2a3b4c02',
+    name: 'FreightMaster Inc',
+    epa_id: 'TXR444555666',
+    dot_number: '2345678',
+    hazmat_registration_expires_at: '2027-06-30',
+    insurance_expires_at: '2027-12-31',
+    vehicle_types: ['freight', 'rail'],
+    states_served: ['TX', 'CA', 'NV', 'AZ', 'IL', 'IN', 'MI', 'GA', 'FL', 'NC', 'NJ', 'MA'],
+  },
+  {
+    id: 'b3f1c2d4-5e6f-4a7b-8c9d-0e1f2a3b4c03',
+    name: 'Pacific Coast Environmental Transport',
+    epa_id: 'CAR777888999',
+    dot_number: '3456789',
+    hazmat_registration_expires_at: '2027-06-30',
+    insurance_expires_at: '2027-09-30',
+    vehicle_types: ['truck', 'freight'],
+    states_served: ['CA', 'NV', 'AZ', 'WA'],
+  },
+  {
+    id: 'b3f1c2d4-5e6f-4a7b-8c9d-0e1f2a3b4c04',
+    name: 'Great Lakes Hazmat Carriers',
+    epa_id: 'ILR222333444',
+    dot_number: '4567890',
+    hazmat_registration_expires_at: '2027-06-30',
+    insurance_expires_at: '2027-05-31',
+    vehicle_types: ['truck', 'tanker'],
+    states_served: ['IL', 'IN', 'MI', 'OH', 'WI'],
+  },
+];
@@ -100,6 +100,14 @@ export function optionalApiKey(req, _res, next) {
   return next();
 }
 
+/**
+ * Get who is making a request, for audit records: the authenticated user, else the
+ * X-User-Id header, else 'anonymous'
+ */
+export function getUserId(req) {
+  return req.user?.id || req.headers['x-user-id'] || 'anonymous';
+}
+
 /**
  * Generate a secure API key
  * Call this function to create API keys for your users
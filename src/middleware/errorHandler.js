@@ -11,6 +11,7 @@ export function errorHandler(err, _req, res, _next) {
   res.status(statusCode).json({
     error: {
       message,
+      ...(err.details && { details: err.details }),
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
     },
   });
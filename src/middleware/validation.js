@@ -1,5 +1,8 @@
 import { body, param, query, validationResult } from 'express-validator';
 import { createLogger } from '../utils/logger.js';
+import { MANAGEMENT_METHOD_CODES } from '../data/managementMethodCodes.js';
+import { VEHICLE_TYPES } from '../data/transporterData.js';
+import { PERMIT_TYPES } from '../data/facilityData.js';
 
 const logger = createLogger('validation');
 
@@ -34,6 +37,69 @@ export function handleValidationErrors(req, res, next) {
   return next();
 }
 
+/**
+ * Optional facility fields shared by create and update
+ */
+function facilityDetailValidators() {
+  return [
+    body('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+
+    body('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180'),
+
+    body('acceptedWasteCodes')
+      .optional()
+      .isArray()
+      .withMessage('Accepted waste codes must be an array'),
+
+    body('acceptedWasteCodes.*')
+      .matches(/^[A-Z]\d{3}$/)
+      .withMessage('Waste code must be in format: letter followed by 3 digits'),
+
+    body('capabilities').optional().isArray().withMessage('Capabilities must be an array'),
+
+    body('handlingMethods')
+      .optional()
+      .isObject()
+      .withMessage('Handling methods must map waste codes to management method codes')
+      .custom((methods) => Object.keys(methods).every((code) => /^[A-Z]\d{3}$/.test(code)))
+      .withMessage('Handling methods must be keyed by waste code'),
+
+    body('handlingMethods.*').isArray().withMessage('Handling methods must be arrays'),
+
+    body('handlingMethods.*.*')
+      .isIn(Object.keys(MANAGEMENT_METHOD_CODES))
+      .withMessage('Handling method must be an EPA management method code (e.g. H040)'),
+
+    body('certificationExpiry')
+      .optional()
+      .isISO8601()
+      .withMessage('Certification expiry must be an ISO 8601 date'),
+
+    body('pricePerKg')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Price per kg must be a positive number'),
+
+    body('maxCapacityKg')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Max capacity must be a positive integer'),
+
+    body('certifications').optional().isArray().withMessage('Certifications must be an array'),
+
+    body('rating')
+      .optional()
+      .isFloat({ min: 0, max: 5 })
+      .withMessage('Rating must be between 0 and 5'),
+  ];
+}
+
 /**
  * Common validation rules
  */
@@ -69,6 +135,26 @@ export const validators = {
         .trim()
         .isLength({ max: 100 })
         .withMessage('Container type must not exceed 100 characters'),
+
+      body('wasteCodes').optional().isArray().withMessage('Waste codes must be an array'),
+
+      body('category').optional().trim().isLength({ max: 50 }),
+
+      body('generatorId').optional().trim().isLength({ max: 50 }),
+
+      body('chemicalComposition').optional().isArray(),
+
+      body('classification').optional().isObject(),
+
+      body('parentStreams').optional().isArray().withMessage('Parent streams must be an array'),
+
+      body('labReportText')
+        .optional()
+        .isString()
+        .isLength({ max: 50000 })
+        .withMessage('Lab report text must be at most 50000 characters'),
+
+      body('analytes').optional().isArray().withMessage('Analytes must be an array'),
     ],
 
     update: [
@@ -97,6 +183,34 @@ export const validators = {
         .optional()
         .isFloat({ min: 0 })
         .withMessage('Quantity must be a positive number'),
+
+      body('containerType')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Container type must not exceed 100 characters'),
+
+      body('wasteCodes').optional().isArray().withMessage('Waste codes must be an array'),
+
+      body('chemicalComposition').optional().isArray(),
+
+      body('classification').optional().isObject(),
+
+      body('parentStreams').optional().isArray().withMessage('Parent streams must be an array'),
+
+      body('labReportText')
+        .optional()
+        .isString()
+        .isLength({ max: 50000 })
+        .withMessage('Lab report text must be at most 50000 characters'),
+
+      body('analytes').optional().isArray().withMessage('Analytes must be an array'),
+
+      body('version')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Version must be a positive integer')
+        .toInt(),
     ],
   },
 
@@ -152,10 +266,12 @@ export const validators = {
         .isEmail()
         .withMessage('Invalid email format')
         .normalizeEmail(),
+
+      ...facilityDetailValidators(),
     ],
 
     update: [
-      param('id').isUUID().withMessage('Invalid facility ID format'),
+      param('id').trim().isLength({ min: 1, max: 50 }).withMessage('Invalid facility ID format'),
 
       body('name')
         .optional()
@@ -177,6 +293,201 @@ export const validators = {
         .isEmail()
         .withMessage('Invalid email format')
         .normalizeEmail(),
+
+      body('address')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Address cannot be empty')
+        .isLength({ max: 500 })
+        .withMessage('Address must not exceed 500 characters'),
+
+      body('city')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('City must not exceed 100 characters'),
+
+      body('state')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 2 })
+        .withMessage('State must be 2-letter code'),
+
+      body('zipCode')
+        .optional()
+        .trim()
+        .matches(/^\d{5}(-\d{4})?$/)
+        .withMessage('Zip code must be 5 digits or 5+4 format'),
+
+      body('phone')
+        .optional()
+        .trim()
+        .matches(/^\+?[\d\s\-().]+$/)
+        .withMessage('Invalid phone number format'),
+
+      ...facilityDetailValidators(),
+
+      body('active').optional().isBoolean().withMessage('Active must be true or false'),
+    ],
+  },
+
+  // Facility permit validators
+  facilityPermit: {
+    create: [
+      param('id').trim().isLength({ min: 1, max: 50 }).withMessage('Invalid facility ID format'),
+
+      body('permitType')
+        .optional()
+        .isIn(PERMIT_TYPES)
+        .withMessage(`Permit type must be one of: ${PERMIT_TYPES.join(', ')}`),
+
+      body('permitNumber')
+        .trim()
+        .notEmpty()
+        .withMessage('Permit number is required')
+        .isLength({ max: 100 })
+        .withMessage('Permit number must not exceed 100 characters'),
+
+      body('wasteCodes').optional().isArray().withMessage('Waste codes must be an array'),
+
+      body('wasteCodes.*')
+        .matches(/^[A-Z]\d{3}$/)
+        .withMessage('Waste code must be in format: letter followed by 3 digits'),
+
+      body('processes').optional().isArray().withMessage('Processes must be an array'),
+
+      body('issuedAt').optional().isISO8601().withMessage('Issue date must be an ISO 8601 date'),
+
+      body('expiresAt').isISO8601().withMessage('Expiry date must be an ISO 8601 date'),
+    ],
+
+    update: [
+      param('id').trim().isLength({ min: 1, max: 50 }).withMessage('Invalid facility ID format'),
+
+      param('permitId').isUUID().withMessage('Invalid permit ID format'),
+
+      body('permitType')
+        .optional()
+        .isIn(PERMIT_TYPES)
+        .withMessage(`Permit type must be one of: ${PERMIT_TYPES.join(', ')}`),
+
+      body('permitNumber')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Permit number cannot be empty')
+        .isLength({ max: 100 })
+        .withMessage('Permit number must not exceed 100 characters'),
+
+      body('wasteCodes').optional().isArray().withMessage('Waste codes must be an array'),
+
+      body('wasteCodes.*')
+        .matches(/^[A-Z]\d{3}$/)
+        .withMessage('Waste code must be in format: letter followed by 3 digits'),
+
+      body('processes').optional().isArray().withMessage('Processes must be an array'),
+
+      body('issuedAt').optional().isISO8601().withMessage('Issue date must be an ISO 8601 date'),
+
+      body('expiresAt').optional().isISO8601().withMessage('Expiry date must be an ISO 8601 date'),
+    ],
+  },
+
+  // Transporter validators
+  transporter: {
+    create: [
+      body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Transporter name is required')
+        .isLength({ max: 200 })
+        .withMessage('Transporter name must not exceed 200 characters'),
+
+      body('epaId')
+        .trim()
+        .matches(/^[A-Z]{3}\d{9}$/)
+        .withMessage('EPA ID must be 3 letters followed by 9 digits'),
+
+      body('dotNumber')
+        .optional()
+        .trim()
+        .matches(/^\d{1,8}$/)
+        .withMessage('USDOT number must be 1 to 8 digits'),
+
+      body('hazmatRegistrationExpiresAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Hazmat registration expiry must be an ISO 8601 date'),
+
+      body('insuranceExpiresAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Insurance certificate expiry must be an ISO 8601 date'),
+
+      body('vehicleTypes').isArray({ min: 1 }).withMessage('At least one vehicle type is required'),
+
+      body('vehicleTypes.*')
+        .isIn(VEHICLE_TYPES)
+        .withMessage(`Vehicle type must be one of: ${VEHICLE_TYPES.join(', ')}`),
+
+      body('statesServed').isArray({ min: 1 }).withMessage('At least one state is required'),
+
+      body('statesServed.*')
+        .matches(/^[A-Z]{2}$/)
+        .withMessage('State must be 2-letter code'),
+    ],
+
+    update: [
+      param('id').isUUID().withMessage('Invalid transporter ID format'),
+
+      body('name')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Transporter name cannot be empty')
+        .isLength({ max: 200 })
+        .withMessage('Transporter name must not exceed 200 characters'),
+
+      body('epaId')
+        .optional()
+        .trim()
+        .matches(/^[A-Z]{3}\d{9}$/)
+        .withMessage('EPA ID must be 3 letters followed by 9 digits'),
+
+      body('dotNumber')
+        .optional()
+        .trim()
+        .matches(/^\d{1,8}$/)
+        .withMessage('USDOT number must be 1 to 8 digits'),
+
+      body('hazmatRegistrationExpiresAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Hazmat registration expiry must be an ISO 8601 date'),
+
+      body('insuranceExpiresAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Insurance certificate expiry must be an ISO 8601 date'),
+
+      body('vehicleTypes')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('At least one vehicle type is required'),
+
+      body('vehicleTypes.*')
+        .isIn(VEHICLE_TYPES)
+        .withMessage(`Vehicle type must be one of: ${VEHICLE_TYPES.join(', ')}`),
+
+      body('statesServed')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('At least one state is required'),
+
+      body('statesServed.*')
+        .matches(/^[A-Z]{2}$/)
+        .withMessage('State must be 2-letter code'),
     ],
   },
 
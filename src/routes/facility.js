@@ -1,5 +1,5 @@
 import express from 'express';
-import { body, query } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { findApprovedFacilities, calculateOptimalRoute } from '../services/facilityMatcher.js';
 import {
   searchFacilitiesByLocation,
@@ -7,7 +7,17 @@ import {
   getFacilitiesByWasteCode,
   getFacilityById,
 } from '../services/facilitySearch.js';
-import { handleValidationErrors } from '../middleware/validation.js';
+import { createFacility, deactivateFacility, updateFacility } from '../services/facilityService.js';
+import {
+  addFacilityPermit,
+  getFacilityPermits,
+  scanFacilityPermits,
+  updateFacilityPermit,
+} from '../services/facilityPermits.js';
+import { getFacilityCapacity } from '../services/facilityCapacity.js';
+import { MANAGEMENT_METHOD_CODES } from '../data/managementMethodCodes.js';
+import { handleValidationErrors, validators } from '../middleware/validation.js';
+import { getUserId } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -86,6 +96,10 @@ router.post(
     body('wasteCode').isString().notEmpty(),
     body('quantity_kg').isInt({ min: 1 }),
     body('priority').optional().isIn(['cost', 'distance', 'rating', 'balanced']),
+    body('requiredMethods').optional().isArray(),
+    body('requiredMethods.*').isIn(Object.keys(MANAGEMENT_METHOD_CODES)),
+    body('forbiddenMethods').optional().isArray(),
+    body('forbiddenMethods.*').isIn(Object.keys(MANAGEMENT_METHOD_CODES)),
     handleValidationErrors,
   ],
   async (req, res, next) => {
@@ -106,6 +120,19 @@ router.post(
   }
 );
 
+/**
+ * Run the permit scan now instead of waiting for the daily run
+ * POST /api/facilities/permits/scan
+ */
+router.post('/permits/scan', async (req, res, next) => {
+  try {
+    const summary = await scanFacilityPermits();
+    return res.json(summary);
+  } catch (error) {
+    return next(error);
+  }
+});
+
 /**
  * Get facilities by waste code
  * GET /api/facilities/waste-code/:wasteCode
@@ -164,4 +191,168 @@ router.get('/:facilityId', async (req, res, next) => {
   }
 });
 
+/**
+ * Add a facility to the approved vendor list
+ * POST /api/facilities
+ */
+router.post(
+  '/',
+  [...validators.facility.create, handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const facility = await createFacility(req.body, { userId: getUserId(req) });
+      return res.status(201).json(facility);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Replace a facility's details; fields left out are cleared
+ * PUT /api/facilities/:id
+ */
+router.put(
+  '/:id',
+  [
+    param('id').trim().isLength({ min: 1, max: 50 }).withMessage('Invalid facility ID format'),
+    ...validators.facility.create,
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const facility = await updateFacility(req.params.id, req.body, {
+        userId: getUserId(req),
+        replace: true,
+      });
+      return res.json(facility);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Change some of a facility's details
+ * PATCH /api/facilities/:id
+ */
+router.patch(
+  '/:id',
+  [...validators.facility.update, handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const facility = await updateFacility(req.params.id, req.body, { userId: getUserId(req) });
+      return res.json(facility);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Deactivate a facility; it is kept for the manifests and profiles that name it
+ * DELETE /api/facilities/:id
+ */
+router.delete(
+  '/:id',
+  [
+    param('id').trim().isLength({ min: 1, max: 50 }).withMessage('Invalid facility ID format'),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const facility = await deactivateFacility(req.params.id, { userId: getUserId(req) });
+      return res.json({
+        success: true,
+        message: 'Facility deactivated',
+        facility,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Get a facility's capacity and the bookings that reserved, released or used it
+ * GET /api/facilities/:id/capacity
+ */
+router.get(
+  '/:id/capacity',
+  [
+    param('id').trim().isLength({ min: 1, max: 50 }).withMessage('Invalid facility ID format'),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const capacity = await getFacilityCapacity(req.params.id);
+      return res.json(capacity);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * List a facility's permits with their status
+ * GET /api/facilities/:id/permits
+ */
+router.get(
+  '/:id/permits',
+  [
+    param('id').trim().isLength({ min: 1, max: 50 }).withMessage('Invalid facility ID format'),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const permits = await getFacilityPermits(req.params.id);
+      return res.json({
+        facilityId: req.params.id,
+        count: permits.length,
+        permits,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Record a permit the facility operates under
+ * POST /api/facilities/:id/permits
+ */
+router.post(
+  '/:id/permits',
+  [...validators.facilityPermit.create, handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const permit = await addFacilityPermit(req.params.id, req.body, {
+        userId: getUserId(req),
+      });
+      return res.status(201).json(permit);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Change or renew a facility permit
+ * PUT /api/facilities/:id/permits/:permitId
+ */
+router.put(
+  '/:id/permits/:permitId',
+  [...validators.facilityPermit.update, handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const permit = await updateFacilityPermit(req.params.id, req.params.permitId, req.body, {
+        userId: getUserId(req),
+      });
+      return res.json(permit);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
 export default router;
@@ -9,7 +9,38 @@ import {
   signManifest,
   deleteManifest,
 } from '../services/manifestGenerator.js';
+import { EMANIFEST_FORMATS, exportManifest, importManifest } from '../services/eManifestService.js';
+import { renderExceptionReport, renderManifestPdf } from '../services/manifestPdf.js';
+import {
+  REJECTION_DESTINATIONS,
+  REJECTION_TYPES,
+  recordDiscrepancies,
+  rejectManifest,
+} from '../services/manifestDiscrepancies.js';
+import { correctManifest, getManifestRevisions } from '../services/manifestCorrections.js';
+import {
+  EXCEPTION_STATUSES,
+  GENERATOR_CATEGORIES,
+  TRACING_PARTIES,
+  getManifestExceptions,
+  recordTracingEffort,
+  scanOverdueManifests,
+} from '../services/manifestExceptions.js';
+import {
+  MAX_SERIAL,
+  SUFFIX_PATTERN,
+  getTrackingNumberBlocks,
+  registerTrackingNumberBlock,
+} from '../services/manifestTrackingNumbers.js';
+import {
+  CONTAINER_TYPES,
+  UNITS_OF_MEASURE,
+  MAX_CONTAINER_COUNT,
+  MAX_WASTE_CODES_PER_LINE,
+} from '../services/manifestLineItems.js';
+import { VEHICLE_TYPES } from '../data/transporterData.js';
 import { handleValidationErrors } from '../middleware/validation.js';
+import { getUserId } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -20,16 +51,100 @@ const router = express.Router();
 router.post(
   '/',
   [
-    body('wasteProfile').notEmpty().isObject().withMessage('Waste profile is required'),
+    body('wasteProfileId')
+      .if((value, { req }) => value || !req.body.lineItems?.every((line) => line?.wasteProfileId))
+      .isUUID()
+      .withMessage('Valid waste profile ID is required'),
     body('facility').notEmpty().isObject().withMessage('Facility is required'),
+    body('facility.id').notEmpty().isString().withMessage('Facility ID is required'),
     body('route').notEmpty().isObject().withMessage('Route is required'),
     body('generatorInfo').optional().isObject(),
+    body('generatorInfo.state')
+      .optional()
+      .matches(/^[A-Z]{2}$/)
+      .withMessage('Generator state must be a two-letter code'),
+    body('generatorInfo.category')
+      .optional()
+      .isIn(GENERATOR_CATEGORIES)
+      .withMessage(`Generator category must be one of: ${GENERATOR_CATEGORIES.join(', ')}`),
+    body('registrantSuffix')
+      .optional()
+      .matches(SUFFIX_PATTERN)
+      .withMessage('Registrant suffix must be three uppercase letters'),
+    body('lineItems').optional().isArray({ min: 1 }).withMessage('Line items must be a list'),
+    body('lineItems.*.wasteProfileId').optional().isUUID(),
+    body('lineItems.*.containerCount')
+      .optional()
+      .isInt({ min: 1, max: MAX_CONTAINER_COUNT })
+      .withMessage(`Container count must be from 1 to ${MAX_CONTAINER_COUNT}`)
+      .toInt(),
+    body('lineItems.*.containerType')
+      .optional()
+      .isIn(Object.keys(CONTAINER_TYPES))
+      .withMessage(`Container type must be one of: ${Object.keys(CONTAINER_TYPES).join(', ')}`),
+    body('lineItems.*.quantity')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Quantity must be a positive number')
+      .toFloat(),
+    body('lineItems.*.unit')
+      .optional()
+      .isIn(Object.keys(UNITS_OF_MEASURE))
+      .withMessage(`Unit must be one of: ${Object.keys(UNITS_OF_MEASURE).join(', ')}`),
+    body('lineItems.*.wasteCodes')
+      .optional()
+      .isArray({ min: 1, max: MAX_WASTE_CODES_PER_LINE })
+      .withMessage(`Each line carries 1 to ${MAX_WASTE_CODES_PER_LINE} waste codes`),
+    body('transporters')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Transporters must be a list in carrying order'),
+    body('transporters.*')
+      .custom(
+        (transporter) =>
+          transporter?.transporterId ||
+          (transporter?.name && /^[A-Z]{3}\d{9}$/.test(transporter.epaId))
+      )
+      .withMessage('Each transporter needs a transporterId, or a name and a valid EPA ID'),
+    body('transporters.*.transporterId').optional().isUUID(),
+    body('transporters.*.vehicleType').optional().isIn(VEHICLE_TYPES),
     handleValidationErrors,
   ],
   async (req, res, next) => {
     try {
-      const { wasteProfile, facility, route, generatorInfo } = req.body;
-      const manifest = await createManifest(wasteProfile, facility, route, { generatorInfo });
+      const {
+        wasteProfileId,
+        facility,
+        route,
+        generatorInfo,
+        lineItems,
+        transporters,
+        registrantSuffix,
+      } = req.body;
+      const manifest = await createManifest(wasteProfileId, facility, route, {
+        generatorInfo,
+        lineItems,
+        transporters,
+        registrantSuffix,
+      });
+      return res.status(201).json(manifest);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Import a manifest from an e-Manifest JSON or XML document
+ * POST /api/manifests/import
+ */
+router.post(
+  '/import',
+  express.text({ type: ['application/xml', 'text/xml'], limit: '10mb' }),
+  async (req, res, next) => {
+    try {
+      const format = req.is(['application/xml', 'text/xml']) ? 'emanifest-xml' : 'emanifest-json';
+      const manifest = await importManifest(req.body, { format, userId: getUserId(req) });
       return res.status(201).json(manifest);
     } catch (error) {
       return next(error);
@@ -37,6 +152,91 @@ router.post(
   }
 );
 
+/**
+ * Register a preassigned block of tracking numbers
+ * POST /api/manifests/tracking-blocks
+ */
+router.post(
+  '/tracking-blocks',
+  [
+    body('suffix')
+      .matches(SUFFIX_PATTERN)
+      .withMessage('Registrant suffix must be three uppercase letters'),
+    body('firstSerial')
+      .isInt({ min: 1, max: MAX_SERIAL })
+      .withMessage(`First serial must be from 1 to ${MAX_SERIAL}`)
+      .toInt(),
+    body('lastSerial')
+      .isInt({ min: 1, max: MAX_SERIAL })
+      .withMessage(`Last serial must be from 1 to ${MAX_SERIAL}`)
+      .toInt(),
+    body('registrant').optional().isString(),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const block = await registerTrackingNumberBlock(req.body, { userId: getUserId(req) });
+      return res.status(201).json(block);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * List tracking number blocks and how many numbers each has left
+ * GET /api/manifests/tracking-blocks?suffix=JJK
+ */
+router.get(
+  '/tracking-blocks',
+  [query('suffix').optional().matches(SUFFIX_PATTERN), handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const blocks = await getTrackingNumberBlocks({ suffix: req.query.suffix });
+      return res.json({ count: blocks.length, blocks });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * List manifests the designated facility has not signed for within the exception period
+ * GET /api/manifests/exceptions?status=open&generatorCategory=LQG
+ */
+router.get(
+  '/exceptions',
+  [
+    query('status').optional().isIn(EXCEPTION_STATUSES),
+    query('generatorCategory').optional().isIn(GENERATOR_CATEGORIES),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const { status = 'open', generatorCategory, limit, offset } = req.query;
+      const exceptions = await getManifestExceptions({ status, generatorCategory, limit, offset });
+      return res.json({ count: exceptions.length, exceptions });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Run the exception scan now instead of waiting for the daily run
+ * POST /api/manifests/exceptions/scan
+ */
+router.post('/exceptions/scan', async (req, res, next) => {
+  try {
+    const summary = await scanOverdueManifests();
+    return res.json(summary);
+  } catch (error) {
+    return next(error);
+  }
+});
+
 /**
  * Get all manifests with optional filters
  * GET /api/manifests?status=draft&limit=50&offset=0
@@ -46,7 +246,15 @@ router.get(
   [
     query('status')
       .optional()
-      .isIn(['draft', 'submitted', 'in_transit', 'delivered', 'completed', 'cancelled']),
+      .isIn([
+        'draft',
+        'submitted',
+        'in_transit',
+        'delivered',
+        'completed',
+        'rejected',
+        'cancelled',
+      ]),
     query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
     query('offset').optional().isInt({ min: 0 }).toInt(),
     handleValidationErrors,
@@ -109,6 +317,274 @@ router.get(
   }
 );
 
+/**
+ * Export manifest as an e-Manifest document
+ * GET /api/manifests/:manifestId/export?format=emanifest-json
+ */
+router.get(
+  '/:manifestId/export',
+  [
+    param('manifestId').isUUID().withMessage('Invalid manifest ID format'),
+    query('format')
+      .optional()
+      .isIn(EMANIFEST_FORMATS)
+      .withMessage(`Format must be one of: ${EMANIFEST_FORMATS.join(', ')}`),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const { manifestId } = req.params;
+      const { format = 'emanifest-json' } = req.query;
+      const exported = await exportManifest(manifestId, format);
+      return res.type(exported.contentType).send(exported.body);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Render the printable Form 8700-22 with its continuation sheets
+ * GET /api/manifests/:manifestId/pdf
+ */
+router.get(
+  '/:manifestId/pdf',
+  [param('manifestId').isUUID().withMessage('Invalid manifest ID format'), handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const { filename, body } = await renderManifestPdf(req.params.manifestId);
+      res.set('Content-Disposition', `inline; filename="${filename}"`);
+      return res.type('application/pdf').send(body);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Download the exception report for an overdue manifest
+ * GET /api/manifests/:manifestId/exception-report
+ */
+router.get(
+  '/:manifestId/exception-report',
+  [param('manifestId').isUUID().withMessage('Invalid manifest ID format'), handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const { filename, body } = await renderExceptionReport(req.params.manifestId);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.type('application/pdf').send(body);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Record an effort to locate the waste on a manifest with an open exception
+ * POST /api/manifests/:manifestId/exception/tracing-efforts
+ */
+router.post(
+  '/:manifestId/exception/tracing-efforts',
+  [
+    param('manifestId').isUUID().withMessage('Invalid manifest ID format'),
+    body('contactedParty')
+      .isIn(TRACING_PARTIES)
+      .withMessage(`Contacted party must be one of: ${TRACING_PARTIES.join(', ')}`),
+    body('contactName').optional().isString(),
+    body('method').optional().isString(),
+    body('outcome').isString().notEmpty().withMessage('Outcome is required'),
+    body('actor').isString().notEmpty().withMessage('Actor is required'),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const exception = await recordTracingEffort(req.params.manifestId, req.body);
+      return res.status(201).json(exception);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Record discrepancies the designated facility found on inspection
+ * POST /api/manifests/:manifestId/discrepancies
+ */
+router.post(
+  '/:manifestId/discrepancies',
+  [
+    param('manifestId').isUUID().withMessage('Invalid manifest ID format'),
+    body('reportedBy').isString().notEmpty().withMessage('Reported by is required'),
+    body('lines').isArray({ min: 1 }).withMessage('Inspected lines are required'),
+    body('lines.*.lineNumber').isInt({ min: 1 }).toInt(),
+    body('lines.*.containerCount').optional().isInt({ min: 0 }).toInt(),
+    body('lines.*.containerType').optional().isIn(Object.keys(CONTAINER_TYPES)),
+    body('lines.*.quantity').optional().isFloat({ min: 0 }).toFloat(),
+    body('lines.*.wasteCodes').optional().isArray(),
+    body('lines.*.typeDescription').optional().isString(),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const result = await recordDiscrepancies(req.params.manifestId, req.body);
+      return res.status(201).json(result);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Reject all or part of a delivered load, creating the manifest the rejected waste travels on
+ * POST /api/manifests/:manifestId/rejection
+ */
+router.post(
+  '/:manifestId/rejection',
+  [
+    param('manifestId').isUUID().withMessage('Invalid manifest ID format'),
+    body('type')
+      .isIn(REJECTION_TYPES)
+      .withMessage(`Rejection type must be one of: ${REJECTION_TYPES.join(', ')}`),
+    body('destination.type')
+      .isIn(REJECTION_DESTINATIONS)
+      .withMessage(`Destination must be one of: ${REJECTION_DESTINATIONS.join(', ')}`),
+    body('destination.facility')
+      .if(body('destination.type').equals('alternate_facility'))
+      .isObject()
+      .withMessage('Alternate facility is required'),
+    body('destination.facility.id')
+      .if(body('destination.type').equals('alternate_facility'))
+      .isString()
+      .notEmpty()
+      .withMessage('Alternate facility ID is required'),
+    body('actor').isString().notEmpty().withMessage('Actor is required'),
+    body('reason').optional().isString(),
+    body('lines').optional().isArray(),
+    body('lines.*.lineNumber').isInt({ min: 1 }).toInt(),
+    body('lines.*.containerCount').optional().isInt({ min: 1 }).toInt(),
+    body('lines.*.quantity').optional().isFloat({ gt: 0 }).toFloat(),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const result = await rejectManifest(req.params.manifestId, req.body);
+      return res.status(201).json(result);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Correct a submitted manifest, recording the change as a new revision
+ * POST /api/manifests/:manifestId/corrections
+ */
+router.post(
+  '/:manifestId/corrections',
+  [
+    param('manifestId').isUUID().withMessage('Invalid manifest ID format'),
+    body('corrections').isObject().withMessage('Corrections are required'),
+    body('corrections.generator').optional().isObject(),
+    body(['corrections.generator.name', 'corrections.generator.address'])
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Generator name and address cannot be empty'),
+    body('corrections.generator.epaId')
+      .optional()
+      .matches(/^[A-Z]{3}\d{9}$/)
+      .withMessage('Generator EPA ID must be 3 letters followed by 9 digits'),
+    body(['corrections.generator.contactPhone', 'corrections.generator.emergencyPhone'])
+      .optional()
+      .matches(/^\+?[\d\s\-().]+$/)
+      .withMessage('Invalid phone number format'),
+    body('corrections.transporters').optional().isArray({ min: 1 }),
+    body('corrections.transporters.*.index').isInt({ min: 0 }).toInt(),
+    body('corrections.transporters.*.name')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Transporter name cannot be empty'),
+    body('corrections.transporters.*.epaId')
+      .optional()
+      .matches(/^[A-Z]{3}\d{9}$/)
+      .withMessage('Transporter EPA ID must be 3 letters followed by 9 digits'),
+    body('corrections.facility').optional().isObject(),
+    body(['corrections.facility.name', 'corrections.facility.address'])
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Facility name and address cannot be empty'),
+    body('corrections.facility.epaId')
+      .optional()
+      .matches(/^[A-Z]{3}\d{9}$/)
+      .withMessage('Facility EPA ID must be 3 letters followed by 9 digits'),
+    body('corrections.lineItems').optional().isArray({ min: 1 }),
+    body('corrections.lineItems.*.lineNumber').isInt({ min: 1 }).toInt(),
+    body('corrections.lineItems.*.containerCount')
+      .optional()
+      .isInt({ min: 1, max: MAX_CONTAINER_COUNT })
+      .withMessage(`Container count must be from 1 to ${MAX_CONTAINER_COUNT}`)
+      .toInt(),
+    body('corrections.lineItems.*.containerType')
+      .optional()
+      .isIn(Object.keys(CONTAINER_TYPES))
+      .withMessage(`Container type must be one of: ${Object.keys(CONTAINER_TYPES).join(', ')}`),
+    body('corrections.lineItems.*.quantity')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Quantity must be a positive number')
+      .toFloat(),
+    body('corrections.lineItems.*.unit')
+      .optional()
+      .isIn(Object.keys(UNITS_OF_MEASURE))
+      .withMessage(`Unit must be one of: ${Object.keys(UNITS_OF_MEASURE).join(', ')}`),
+    body('corrections.lineItems.*.wasteCodes')
+      .optional()
+      .isArray({ min: 1, max: MAX_WASTE_CODES_PER_LINE })
+      .withMessage(`Each line carries 1 to ${MAX_WASTE_CODES_PER_LINE} waste codes`),
+    body('corrections.lineItems.*.wasteCodes.*')
+      .matches(/^[A-Z]\d{3}$/)
+      .withMessage('Waste code must be in format: letter followed by 3 digits'),
+    body('reason').isString().notEmpty().withMessage('Reason is required'),
+    body('correctedBy').isString().notEmpty().withMessage('Corrected by is required'),
+    body('revision').optional().isInt({ min: 1 }).toInt(),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const result = await correctManifest(req.params.manifestId, req.body);
+      return res.status(201).json(result);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Get a manifest's revision history with the current revision flagged
+ * GET /api/manifests/:manifestId/revisions
+ */
+router.get(
+  '/:manifestId/revisions',
+  [param('manifestId').isUUID().withMessage('Invalid manifest ID format'), handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const revisions = await getManifestRevisions(req.params.manifestId);
+      return res.json({
+        manifestId: req.params.manifestId,
+        currentRevision: revisions.find((revision) => revision.current)?.revisionNumber,
+        revisions,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
 /**
  * Update manifest status
  * PUT /api/manifests/:manifestId/status
@@ -149,13 +625,23 @@ router.post(
       .withMessage('Invalid role. Must be: generator, transporter, or facility'),
     body('name').isString().notEmpty().withMessage('Signer name is required'),
     body('signature').optional().isString(),
+    body('transporterIndex')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Transporter index must be 0 or more')
+      .toInt(),
     handleValidationErrors,
   ],
   async (req, res, next) => {
     try {
       const { manifestId } = req.params;
-      const { role, name, signature } = req.body;
-      const manifest = await signManifest(manifestId, role, { name, signature });
+      const { role, name, signature, transporterIndex } = req.body;
+      const manifest = await signManifest(
+        manifestId,
+        role,
+        { name, signature },
+        { transporterIndex }
+      );
       return res.json(manifest);
     } catch (error) {
       return next(error);
@@ -0,0 +1,136 @@
+import express from 'express';
+import { param, query } from 'express-validator';
+import {
+  createTransporter,
+  deactivateTransporter,
+  getAllTransporters,
+  getTransporterById,
+  updateTransporter,
+} from '../services/transporterService.js';
+import { VEHICLE_TYPES } from '../data/transporterData.js';
+import { handleValidationErrors, validators } from '../middleware/validation.js';
+import { getUserId } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * List registered transporters
+ * GET /api/transporters?state=TX&vehicleType=truck&includeInactive=true&limit=50&offset=0
+ */
+router.get(
+  '/',
+  [
+    query('state')
+      .optional()
+      .matches(/^[A-Z]{2}$/)
+      .withMessage('State must be 2-letter code'),
+    query('vehicleType').optional().isIn(VEHICLE_TYPES),
+    query('includeInactive').optional().isBoolean().toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const { state, vehicleType, includeInactive, limit, offset } = req.query;
+      const transporters = await getAllTransporters({
+        state,
+        vehicleType,
+        includeInactive,
+        limit,
+        offset,
+      });
+      return res.json({
+        count: transporters.length,
+        transporters,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Register a transporter
+ * POST /api/transporters
+ */
+router.post(
+  '/',
+  [...validators.transporter.create, handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const transporter = await createTransporter(req.body, { userId: getUserId(req) });
+      return res.status(201).json(transporter);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Get transporter by ID
+ * GET /api/transporters/:id
+ */
+router.get(
+  '/:id',
+  [param('id').isUUID().withMessage('Invalid transporter ID format'), handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const transporter = await getTransporterById(id);
+
+      if (!transporter) {
+        return res.status(404).json({
+          error: 'Transporter not found',
+          transporterId: id,
+        });
+      }
+
+      return res.json(transporter);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Update a transporter's registration, permits or service area
+ * PUT /api/transporters/:id
+ */
+router.put(
+  '/:id',
+  [...validators.transporter.update, handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const transporter = await updateTransporter(id, req.body, { userId: getUserId(req) });
+      return res.json(transporter);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Take a transporter out of service
+ * DELETE /api/transporters/:id
+ */
+router.delete(
+  '/:id',
+  [param('id').isUUID().withMessage('Invalid transporter ID format'), handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const transporter = await deactivateTransporter(id, { userId: getUserId(req) });
+      return res.json({
+        success: true,
+        message: 'Transporter deactivated',
+        transporter,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+export default router;
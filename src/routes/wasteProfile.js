@@ -1,34 +1,115 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { classifyWaste, generateWasteProfile } from '../services/wasteClassifier.js';
-import { handleValidationErrors } from '../middleware/validation.js';
+import { parseLabReport, SUPPORTED_FORMATS } from '../services/labReportParser.js';
+import { LINEAGE_RELATIONSHIPS } from '../services/wasteLineage.js';
+import {
+  createWasteProfile,
+  getAllWasteProfiles,
+  getWasteProfileById,
+  updateWasteProfile,
+  deleteWasteProfile,
+  transitionWasteProfile,
+  resolveParentStreams,
+  PROFILE_STATUSES,
+} from '../services/wasteProfileService.js';
+import {
+  scanExpiringProfiles,
+  getRecertificationTasks,
+  RECERTIFICATION_WINDOWS,
+  TASK_STATUSES,
+} from '../services/recertificationScheduler.js';
+import {
+  createLdrNotice,
+  getLdrNotices,
+  LDR_NOTICE_TYPES,
+  TREATABILITY_GROUPS,
+} from '../services/ldrNotices.js';
+import { handleValidationErrors, validators } from '../middleware/validation.js';
+import { getUserId } from '../middleware/auth.js';
 import { auditClassification, auditProfileGeneration } from '../middleware/auditLogger.js';
 
 const router = express.Router();
 
+/**
+ * Classify waste from a free-text lab report and/or a structured CSV or EDD lab report
+ * POST /api/waste-profiles/classify
+ */
 router.post(
   '/classify',
   [
     body('labReportText')
+      .if((value, { req }) => !req.body.labReport)
       .trim()
       .notEmpty()
       .withMessage('Lab report text is required')
       .isLength({ min: 10, max: 50000 })
       .withMessage('Lab report text must be between 10 and 50000 characters'),
+    body('labReportText')
+      .if(body('labReport').exists())
+      .optional()
+      .isString()
+      .isLength({ max: 50000 })
+      .withMessage('Lab report text must be at most 50000 characters'),
+    body('labReport').optional().isObject().withMessage('Lab report must be an object'),
+    body('labReport.format')
+      .if(body('labReport').exists())
+      .isIn(SUPPORTED_FORMATS)
+      .withMessage(`Lab report format must be one of: ${SUPPORTED_FORMATS.join(', ')}`),
+    body('labReport.content')
+      .if(body('labReport').exists())
+      .isString()
+      .withMessage('Lab report content must be a string')
+      .isLength({ min: 1, max: 500000 })
+      .withMessage('Lab report content must be between 1 and 500000 characters'),
+    body('products').optional().isArray().withMessage('Products must be an array'),
+    body('products.*.casNumber')
+      .optional()
+      .matches(/^\d{2,7}-\d{2}-\d$/)
+      .withMessage('Product CAS number must look like 67-64-1'),
+    body('parentStreams').optional().isArray().withMessage('Parent streams must be an array'),
+    body('parentStreams.*.relationship')
+      .optional()
+      .isIn(LINEAGE_RELATIONSHIPS)
+      .withMessage(`Relationship must be one of: ${LINEAGE_RELATIONSHIPS.join(', ')}`),
     handleValidationErrors,
   ],
   auditClassification(),
   async (req, res, next) => {
     try {
-      const { labReportText } = req.body;
-      const classification = await classifyWaste(labReportText);
-      return res.json(classification);
+      const { labReportText = '', labReport, products } = req.body;
+      const parentStreams = await resolveParentStreams(req.body.parentStreams);
+
+      if (!labReport) {
+        const classification = await classifyWaste(labReportText, { products, parentStreams });
+        return res.json(classification);
+      }
+
+      const parsed = parseLabReport(labReport.content, { format: labReport.format });
+
+      if (parsed.analytes.length === 0 && !labReportText.trim()) {
+        return res.status(400).json({
+          error: 'Lab report contains no parseable analyte rows',
+          labReport: parsed,
+        });
+      }
+
+      const classification = await classifyWaste(labReportText, {
+        analytes: parsed.analytes,
+        products,
+        parentStreams,
+      });
+      return res.json({ ...classification, labReport: parsed });
     } catch (error) {
       return next(error);
     }
   }
 );
 
+/**
+ * Generate a profile document from a classification and store it for review
+ * POST /api/waste-profiles/generate
+ */
 router.post(
   '/generate',
   [
@@ -37,13 +118,169 @@ router.post(
       .withMessage('Classification result is required')
       .isObject()
       .withMessage('Classification result must be an object'),
+    body('wasteName')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Waste name must be between 1 and 200 characters'),
+    body('generatorId').optional().trim().isLength({ max: 50 }),
+    body('quantity')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Quantity must be a positive number'),
+    body('labReportText')
+      .optional()
+      .isString()
+      .isLength({ max: 50000 })
+      .withMessage('Lab report text must be at most 50000 characters'),
     handleValidationErrors,
   ],
   auditProfileGeneration(),
   async (req, res, next) => {
     try {
-      const { classificationResult } = req.body;
+      const { classificationResult, wasteName, generatorId, quantity, labReportText } = req.body;
       const profile = await generateWasteProfile(classificationResult);
+      const codes = profile.wasteCodes.map((entry) => entry.code).join(', ') || 'UNKNOWN';
+
+      const storedProfile = await createWasteProfile(
+        {
+          wasteName: wasteName || `${profile.category || 'Unclassified'} waste (${codes})`,
+          wasteCodes: profile.wasteCodes,
+          category: profile.category,
+          generatorId,
+          physicalState: classificationResult.physicalProperties?.physicalState,
+          quantity,
+          classification: profile.classification,
+          parentStreams: profile.parentStreams,
+          profileDocument: profile.profileDocument,
+          labReportText,
+          analytes: classificationResult.labReport?.analytes,
+          status: profile.status,
+        },
+        { traceId: profile.traceId, userId: getUserId(req) }
+      );
+
+      return res.json({ ...profile, ...storedProfile });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * List stored waste profiles with optional filters
+ * GET /api/waste-profiles?status=draft&wasteCode=D001&limit=50&offset=0
+ */
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(PROFILE_STATUSES),
+    query('wasteCode').optional().isString(),
+    query('generatorId').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const { status, wasteCode, generatorId, limit, offset } = req.query;
+      const profiles = await getAllWasteProfiles({ status, wasteCode, generatorId, limit, offset });
+      return res.json({
+        count: profiles.length,
+        profiles,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Create a waste profile
+ * POST /api/waste-profiles
+ */
+router.post(
+  '/',
+  [...validators.wasteProfile.create, handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const profile = await createWasteProfile(
+        { ...req.body, status: 'draft' },
+        { userId: getUserId(req) }
+      );
+      return res.status(201).json(profile);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * List recertification tasks for profiles whose facility approval is about to lapse
+ * GET /api/waste-profiles/recertifications?status=open&windowDays=30
+ */
+router.get(
+  '/recertifications',
+  [
+    query('status').optional().isIn(TASK_STATUSES),
+    query('windowDays').optional().isIn(RECERTIFICATION_WINDOWS.map(String)).toInt(),
+    query('wasteProfileId').optional().isUUID(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const { status = 'open', windowDays, wasteProfileId, limit, offset } = req.query;
+      const tasks = await getRecertificationTasks({
+        status,
+        windowDays,
+        wasteProfileId,
+        limit,
+        offset,
+      });
+      return res.json({
+        count: tasks.length,
+        tasks,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Run the recertification scan now instead of waiting for the daily run
+ * POST /api/waste-profiles/recertifications/scan
+ */
+router.post('/recertifications/scan', async (req, res, next) => {
+  try {
+    const summary = await scanExpiringProfiles();
+    return res.json(summary);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Get waste profile by ID
+ * GET /api/waste-profiles/:id
+ */
+router.get(
+  '/:id',
+  [param('id').isUUID().withMessage('Invalid profile ID format'), handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const profile = await getWasteProfileById(id);
+
+      if (!profile) {
+        return res.status(404).json({
+          error: 'Waste profile not found',
+          profileId: id,
+        });
+      }
+
       return res.json(profile);
     } catch (error) {
       return next(error);
@@ -51,4 +288,130 @@ router.post(
   }
 );
 
+/**
+ * Update a waste profile (bumps its version)
+ * PUT /api/waste-profiles/:id
+ */
+router.put(
+  '/:id',
+  [...validators.wasteProfile.update, handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const profile = await updateWasteProfile(id, req.body, { userId: getUserId(req) });
+      return res.json(profile);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Move a waste profile through the approval workflow
+ * PUT /api/waste-profiles/:id/status
+ */
+router.put(
+  '/:id/status',
+  [
+    param('id').isUUID().withMessage('Invalid profile ID format'),
+    body('status').isIn(PROFILE_STATUSES).withMessage('Invalid status'),
+    body('actor').isString().notEmpty().withMessage('Actor is required'),
+    body('details').optional().isObject(),
+    body('details.facilityId').optional().isString().isLength({ max: 50 }),
+    body('details.approvalNumber').optional().isString().isLength({ max: 100 }),
+    body('details.expiresAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Approval expiration must be an ISO 8601 date'),
+    body('details.reason').optional().isString(),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { status, actor, details } = req.body;
+      const profile = await transitionWasteProfile(id, status, actor, details);
+      return res.json(profile);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Generate the LDR notification or certification for a profile and the facility it ships to
+ * POST /api/waste-profiles/:id/ldr-notices
+ */
+router.post(
+  '/:id/ldr-notices',
+  [
+    param('id').isUUID().withMessage('Invalid profile ID format'),
+    body('facilityId').isString().notEmpty().isLength({ max: 50 }),
+    body('type').optional().isIn(LDR_NOTICE_TYPES).withMessage('Invalid notice type'),
+    body('treatabilityGroup')
+      .optional()
+      .isIn(TREATABILITY_GROUPS)
+      .withMessage('Invalid treatability group'),
+    body('certifiedBy').optional().isString().isLength({ max: 255 }),
+    handleValidationErrors,
+  ],
+  async (req, res, next) => {
+    try {
+      const { facilityId, type, treatabilityGroup, certifiedBy } = req.body;
+      const notice = await createLdrNotice(req.params.id, facilityId, {
+        type,
+        treatabilityGroup,
+        certifiedBy,
+        userId: getUserId(req),
+      });
+      return res.status(201).json(notice);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * List a profile's LDR notices and the manifests they went with
+ * GET /api/waste-profiles/:id/ldr-notices
+ */
+router.get(
+  '/:id/ldr-notices',
+  [param('id').isUUID().withMessage('Invalid profile ID format'), handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const notices = await getLdrNotices(req.params.id);
+      return res.json({
+        wasteProfileId: req.params.id,
+        count: notices.length,
+        notices,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Delete a waste profile that no manifest references
+ * DELETE /api/waste-profiles/:id
+ */
+router.delete(
+  '/:id',
+  [param('id').isUUID().withMessage('Invalid profile ID format'), handleValidationErrors],
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      await deleteWasteProfile(id, { userId: getUserId(req) });
+      return res.json({
+        success: true,
+        message: 'Waste profile deleted successfully',
+        profileId: id,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
 export default router;
@@ -13,10 +13,14 @@ import healthRoutes from './routes/health.js';
 import wasteProfileRoutes from './routes/wasteProfile.js';
 import facilityRoutes from './routes/facility.js';
 import manifestRoutes from './routes/manifest.js';
+import transporterRoutes from './routes/transporter.js';
 import securityRoutes from './routes/security.js';
 import auditRoutes from './routes/audit.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { auditLogger } from './middleware/auditLogger.js';
+import { startRecertificationScheduler } from './services/recertificationScheduler.js';
+import { startManifestExceptionScheduler } from './services/manifestExceptions.js';
+import { startFacilityPermitScheduler } from './services/facilityPermits.js';
 
 const app = express();
 const logger = createLogger('server');
@@ -75,6 +79,7 @@ app.use('/api', securityRoutes); // CSP reporting and other security endpoints
 app.use('/api/waste-profiles', wasteProfileRoutes);
 app.use('/api/facilities', facilityRoutes);
 app.use('/api/manifests', manifestRoutes);
+app.use('/api/transporters', transporterRoutes);
 app.use('/api/audit', auditRoutes);
 
 app.use(errorHandler);
@@ -116,6 +121,15 @@ if (process.env.NODE_ENV !== 'test') {
         logger.warn('⚠️  SSL/TLS is disabled - NOT SUITABLE FOR PRODUCTION');
       });
     }
+
+    // Daily scan for waste profiles whose facility approval is about to lapse
+    startRecertificationScheduler();
+
+    // Daily scan for manifests the designated facility has not signed for in time
+    startManifestExceptionScheduler();
+
+    // Daily scan for facility permits about to expire or lapsed
+    startFacilityPermitScheduler();
   } catch (error) {
     logger.error({ error: error.message }, 'Failed to start server');
     process.exit(1);
@@ -82,6 +82,7 @@ export async function recordClassificationAudit(classification, options = {}) {
     requiresHumanReview: classification.requiresHumanReview,
     responseData: {
       wasteCode: classification.wasteCode,
+      wasteCodes: classification.wasteCodes,
       category: classification.category,
       confidence: classification.confidence,
       chemicalsDetected: classification.chemicalsDetected,
@@ -89,6 +90,11 @@ export async function recordClassificationAudit(classification, options = {}) {
     wasteCode: classification.wasteCode,
     regulationReference: getRCRAReference(classification.wasteCode),
     status: classification.requiresHumanReview ? 'pending_review' : 'completed',
+    metadata: {
+      wasteCodes: classification.wasteCodes || [],
+      ruleDisagreements: classification.ruleEvaluation?.disagreements || [],
+      parentStreams: classification.parentStreams || [],
+    },
     ...options,
   });
 }
@@ -106,12 +112,16 @@ export async function recordProfileGenerationAudit(profile, options = {}) {
     aiModel: options.aiModel || 'claude-3-5-sonnet-20241022',
     responseData: {
       wasteCode: profile.wasteCode,
+      wasteCodes: profile.wasteCodes,
       category: profile.category,
       status: profile.status,
     },
     wasteCode: profile.wasteCode,
     regulationReference: getRCRAReference(profile.wasteCode),
     status: profile.status,
+    metadata: {
+      wasteCodes: profile.wasteCodes || [],
+    },
     ...options,
   });
 }
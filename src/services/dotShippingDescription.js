@@ -0,0 +1,343 @@
+import { createLogger } from '../utils/logger.js';
+import { normalizeWasteCodeEntries } from '../utils/wasteCodes.js';
+import { getListedChemical } from '../data/commercialChemicalProducts.js';
+import {
+  findHazmatEntry,
+  findMarinePollutant,
+  findReportableQuantity,
+  getGenericEntries,
+  getHazmatEntry,
+  getWasteCodeReportableQuantity,
+} from '../data/hazmatTable.js';
+
+const logger = createLogger('dot-shipping-description');
+
+const POUNDS_PER_KG = 2.20462;
+
+/**
+ * Hazard class each characteristic code establishes, by physical state
+ */
+const CHARACTERISTIC_CLASSES = {
+  D001: { liquid: '3', solid: '4.1' },
+  D002: { liquid: '8', solid: '8' },
+  D003: { liquid: '4.3', solid: '4.3' },
+};
+
+/**
+ * Order in which hazard classes take the primary position of a generic entry
+ */
+const CLASS_PRECEDENCE = ['4.3', '3', '4.1', '5.1', '8', '6.1'];
+
+/**
+ * Flammable liquids in a solid or sludge ship as flammable solids (class 4.1)
+ */
+const SOLID_CLASS_EQUIVALENTS = { 3: '4.1' };
+
+/**
+ * Packing group for flammable liquids (49 CFR 173.121): boiling point ≤ 35°C / 95°F is PG I,
+ * flash point < 23°C / 73°F is PG II, otherwise PG III
+ */
+const PG_I_BOILING_POINT_F = 95;
+const PG_II_FLASH_POINT_F = 73;
+
+/**
+ * At most two technical names are shown for an n.o.s. entry (49 CFR 172.203(k))
+ */
+const MAX_TECHNICAL_NAMES = 2;
+
+/**
+ * DOT distinguishes only liquids and solids; sludges ship as solids
+ */
+function getShippingState(physicalState) {
+  return ['liquid', 'gas'].includes(physicalState) ? 'liquid' : 'solid';
+}
+
+function normalizeConstituents(chemicals = []) {
+  return chemicals
+    .map((chemical) => (typeof chemical === 'string' ? { name: chemical } : chemical))
+    .filter((chemical) => chemical?.name || chemical?.casNumber)
+    .map((chemical) => ({
+      name: chemical.name || chemical.casNumber,
+      casNumber: chemical.casNumber || null,
+      concentrationPercent: chemical.concentrationPercent ?? null,
+    }))
+    .sort((a, b) => (b.concentrationPercent ?? -1) - (a.concentrationPercent ?? -1));
+}
+
+function getPhysicalProperty(properties, ...keys) {
+  const key = keys.find((name) => properties[name] !== undefined && properties[name] !== null);
+  return key ? Number(properties[key]) : null;
+}
+
+function getFlammableLiquidPackingGroup(properties) {
+  const boilingPoint = getPhysicalProperty(properties, 'boilingPointF', 'boilingPoint');
+  const flashPoint = getPhysicalProperty(properties, 'flashPointF', 'flashPoint');
+
+  if (boilingPoint !== null && boilingPoint <= PG_I_BOILING_POINT_F) {
+    return 'I';
+  }
+  if (flashPoint !== null && flashPoint >= PG_II_FLASH_POINT_F) {
+    return 'III';
+  }
+  return 'II';
+}
+
+function getPackingGroup(entry, properties) {
+  if (entry.packingGroups.length === 1) {
+    return entry.packingGroups[0];
+  }
+  if (entry.hazardClass === '3') {
+    const packingGroup = getFlammableLiquidPackingGroup(properties);
+    return entry.packingGroups.includes(packingGroup) ? packingGroup : entry.packingGroups[0];
+  }
+  return entry.packingGroups.includes('II') ? 'II' : entry.packingGroups[0];
+}
+
+/**
+ * Hazard classes the waste codes establish
+ */
+function getWasteCodeClasses(codes, state) {
+  const classes = codes.map((code) => CHARACTERISTIC_CLASSES[code]?.[state]).filter(Boolean);
+
+  if (codes.some((code) => getListedChemical(code)?.code.startsWith('P'))) {
+    classes.push('6.1');
+  }
+
+  return [...new Set(classes)];
+}
+
+/**
+ * Pick the generic n.o.s. entry for a set of hazard classes
+ * The primary class is the first in precedence with a generic entry for the physical state;
+ * without one the waste ships as "Hazardous waste, liquid/solid, n.o.s."
+ */
+function selectGenericEntry(classes, state, properties) {
+  const stateClasses = classes.map((hazardClass) =>
+    state === 'solid' ? SOLID_CLASS_EQUIVALENTS[hazardClass] || hazardClass : hazardClass
+  );
+  const ordered = CLASS_PRECEDENCE.filter((hazardClass) => stateClasses.includes(hazardClass));
+  const primary = ordered.find((hazardClass) => getGenericEntries(hazardClass, state).length > 0);
+  const fallback = getHazmatEntry(state === 'liquid' ? 'NA3082' : 'NA3077');
+
+  if (!primary) {
+    return fallback;
+  }
+
+  const others = ordered.filter((hazardClass) => hazardClass !== primary);
+  const candidates = getGenericEntries(primary, state);
+  const withSubsidiary = candidates.find((entry) =>
+    entry.subsidiaryHazards.some((hazard) => others.includes(hazard))
+  );
+  if (withSubsidiary) {
+    return withSubsidiary;
+  }
+
+  const plain = candidates.filter((entry) => entry.subsidiaryHazards.length === 0);
+
+  if (primary === '8' && state === 'liquid') {
+    const pH = getPhysicalProperty(properties, 'pH');
+    const acidity = pH === null ? null : pH <= 7 ? 'acidic' : 'basic';
+    return (
+      plain.find((entry) => acidity && entry.acidity === acidity) ||
+      plain.find((entry) => !entry.acidity) ||
+      fallback
+    );
+  }
+
+  return plain[0] || candidates[0];
+}
+
+/**
+ * A named entry may only be used when it is the sole hazardous constituent and its hazards
+ * cover every class the waste codes establish (49 CFR 172.101(c)(10))
+ */
+function selectNamedEntry(matches, codeClasses) {
+  if (matches.length !== 1) {
+    return null;
+  }
+
+  const [{ entry }] = matches;
+  const hazards = [entry.hazardClass, ...entry.subsidiaryHazards];
+
+  return codeClasses.every((hazardClass) => hazards.includes(hazardClass)) ? entry : null;
+}
+
+/**
+ * Substances whose quantity in the package meets their reportable quantity
+ * Waste codes apply to the full quantity; constituents to their share of it when known.
+ */
+function evaluateReportableQuantity(codes, constituents, quantityPounds) {
+  const substances = [];
+
+  for (const code of codes) {
+    const listed = getListedChemical(code);
+    const rqPounds =
+      getWasteCodeReportableQuantity(code) ??
+      (listed ? findReportableQuantity(listed)?.rqPounds : null);
+
+    if (rqPounds) {
+      substances.push({ name: code, rqPounds, quantityPounds, wasteCode: true });
+    }
+  }
+
+  for (const constituent of constituents) {
+    const substance = findReportableQuantity(constituent);
+    if (substance) {
+      const share =
+        constituent.concentrationPercent === null ? 1 : constituent.concentrationPercent / 100;
+      substances.push({
+        name: substance.name,
+        rqPounds: substance.rqPounds,
+        quantityPounds: quantityPounds * share,
+        wasteCode: false,
+      });
+    }
+  }
+
+  const triggered =
+    quantityPounds === null
+      ? []
+      : substances.filter((substance) => substance.quantityPounds >= substance.rqPounds);
+
+  return {
+    applies: triggered.length > 0,
+    rqPounds: triggered.length > 0 ? Math.min(...triggered.map((s) => s.rqPounds)) : null,
+    quantityPounds: quantityPounds === null ? null : Math.round(quantityPounds * 100) / 100,
+    substances: triggered.map((substance) => substance.name),
+    wasteCodes: triggered.filter((s) => s.wasteCode).map((s) => s.name),
+    constituents: triggered.filter((s) => !s.wasteCode).map((s) => s.name),
+  };
+}
+
+function formatHazardClass(hazardClass, subsidiaryHazards) {
+  return subsidiaryHazards.length > 0
+    ? `${hazardClass} (${subsidiaryHazards.join(', ')})`
+    : hazardClass;
+}
+
+/**
+ * Generate the DOT basic description (49 CFR 172.202) for one manifest line
+ *
+ * line: { wasteCodes, chemicals, physicalState, physicalProperties, quantityKg }, where
+ * chemicals are names or { name, casNumber, concentrationPercent } and physicalProperties
+ * carries flashPoint/boilingPoint in °F and pH.
+ *
+ * The entry is the named entry when a single constituent matches the table and covers every
+ * characteristic hazard, otherwise the generic n.o.s. entry for the hazard classes present,
+ * falling back to "Hazardous waste, liquid/solid, n.o.s." (NA3082/NA3077). The description
+ * carries the "Waste" prefix, technical names for "G" entries, the RQ notation with the
+ * waste codes or substance names in parentheses, and the "Marine Pollutant" notation.
+ * Returns a null description for a line without waste codes.
+ */
+export function generateShippingDescription(line = {}, options = {}) {
+  const { traceId } = options;
+  const { chemicals = [], physicalState, physicalProperties = {}, quantityKg = null } = line;
+
+  const codes = normalizeWasteCodeEntries(line.wasteCodes || []).map((entry) => entry.code);
+
+  if (codes.length === 0) {
+    return { description: null, wasteCodes: [] };
+  }
+
+  const properties = physicalProperties || {};
+  const state = getShippingState(physicalState || properties.physicalState);
+  const constituents = normalizeConstituents(chemicals);
+  const matches = constituents
+    .map((constituent) => ({
+      constituent,
+      entry: findHazmatEntry({ ...constituent, physicalState: state }),
+    }))
+    .filter((match) => match.entry);
+
+  const codeClasses = getWasteCodeClasses(codes, state);
+  const namedEntry = selectNamedEntry(matches, codeClasses);
+  const entry =
+    namedEntry ||
+    selectGenericEntry(
+      [...new Set([...codeClasses, ...matches.map((match) => match.entry.hazardClass)])],
+      state,
+      properties
+    );
+
+  const marinePollutants = constituents
+    .map((constituent) => findMarinePollutant(constituent))
+    .filter(Boolean)
+    .map((pollutant) => pollutant.name);
+
+  const technicalNames = entry.technicalNameRequired
+    ? [
+        ...new Set([
+          ...marinePollutants,
+          ...matches.map((match) => match.entry.properShippingName.split(',')[0]),
+        ]),
+      ].slice(0, MAX_TECHNICAL_NAMES)
+    : [];
+
+  const packingGroup = getPackingGroup(entry, properties);
+  const quantityPounds = quantityKg === null ? null : Number(quantityKg) * POUNDS_PER_KG;
+  const reportableQuantity = evaluateReportableQuantity(codes, constituents, quantityPounds);
+
+  const shippingName = entry.properShippingName.toLowerCase().includes('waste')
+    ? entry.properShippingName
+    : `Waste ${entry.properShippingName}`;
+  const nameText =
+    technicalNames.length > 0 ? `${shippingName} (${technicalNames.join(', ')})` : shippingName;
+
+  // The hazardous substance is identified by its waste code, or by name when it is a
+  // constituent the shipping name does not already identify (49 CFR 172.203(c))
+  const rqIdentifiers = reportableQuantity.applies
+    ? [
+        ...reportableQuantity.wasteCodes,
+        ...reportableQuantity.constituents.filter(
+          (name) => !nameText.toLowerCase().includes(name.toLowerCase())
+        ),
+      ]
+    : [];
+
+  const description = [
+    reportableQuantity.applies ? 'RQ' : null,
+    entry.unNumber,
+    nameText,
+    formatHazardClass(entry.hazardClass, entry.subsidiaryHazards),
+    packingGroup ? `PG ${packingGroup}` : null,
+  ]
+    .filter(Boolean)
+    .join(', ')
+    .concat(rqIdentifiers.length > 0 ? ` (${rqIdentifiers.join(', ')})` : '')
+    .concat(marinePollutants.length > 0 ? ', Marine Pollutant' : '');
+
+  const warnings = [];
+  if (entry.technicalNameRequired && technicalNames.length === 0) {
+    warnings.push(
+      `${entry.unNumber} requires technical names but no hazardous constituent was identified`
+    );
+  }
+  if (quantityPounds === null) {
+    warnings.push('Quantity unknown; the reportable quantity could not be evaluated');
+  }
+
+  logger.info(
+    { traceId, wasteCodes: codes, unNumber: entry.unNumber, rq: reportableQuantity.applies },
+    'DOT shipping description generated'
+  );
+
+  return {
+    unNumber: entry.unNumber,
+    properShippingName: shippingName,
+    hazardClass: entry.hazardClass,
+    subsidiaryHazards: entry.subsidiaryHazards,
+    packingGroup,
+    technicalNames,
+    reportableQuantity: {
+      applies: reportableQuantity.applies,
+      rqPounds: reportableQuantity.rqPounds,
+      quantityPounds: reportableQuantity.quantityPounds,
+      substances: reportableQuantity.substances,
+    },
+    marinePollutant: { applies: marinePollutants.length > 0, constituents: marinePollutants },
+    basis: namedEntry ? 'named-entry' : 'generic-entry',
+    wasteCodes: codes,
+    warnings,
+    description,
+  };
+}
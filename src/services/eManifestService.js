@@ -0,0 +1,465 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { recordAudit } from './auditService.js';
+import { randomUUID } from 'crypto';
+import { validateSchema } from '../utils/jsonSchema.js';
+import { fromXml, toXml } from '../utils/xml.js';
+import { normalizeWasteCodeEntries } from '../utils/wasteCodes.js';
+import { E_MANIFEST_SCHEMA } from '../data/eManifestSchema.js';
+import { getManifestById, toTransporterRow } from './manifestGenerator.js';
+import { findFacilityByEpaId, invalidateFacilityCache } from './facilityRepository.js';
+import { toLineItemRow, validateLineItems } from './manifestLineItems.js';
+import { TRACKING_NUMBER_PATTERN, isValidTrackingNumber } from './manifestTrackingNumbers.js';
+import { reserveCapacity } from './facilityCapacity.js';
+import { createError } from '../utils/errors.js';
+
+const logger = createLogger('emanifest-service');
+
+export const EMANIFEST_FORMATS = ['emanifest-json', 'emanifest-xml'];
+
+const XML_ROOT = 'manifest';
+const XML_NAMESPACE = 'urn:hospital-hazard:emanifest';
+
+/**
+ * Local manifest status and the matching e-Manifest status
+ * Cancelled manifests are never sent, so they have no e-Manifest status. A rejected load is
+ * closed out by the facility's signature, so it is sent as Signed like a completed one.
+ */
+const STATUS_TO_EMANIFEST = {
+  draft: 'Pending',
+  submitted: 'Scheduled',
+  in_transit: 'InTransit',
+  delivered: 'ReadyForSignature',
+  completed: 'Signed',
+  rejected: 'Signed',
+};
+
+const STATUS_FROM_EMANIFEST = {
+  Pending: 'draft',
+  Scheduled: 'submitted',
+  InTransit: 'in_transit',
+  ReadyForSignature: 'delivered',
+  Signed: 'completed',
+};
+
+// Imported manifests in these statuses have left the generator and hold a facility booking
+const IN_TRANSIT_STATUSES = ['in_transit', 'delivered'];
+
+function createSchemaError(message, errors, statusCode) {
+  const error = createError(message, statusCode);
+  error.details = errors.map((entry) => ({ field: entry.path, message: entry.message }));
+  return error;
+}
+
+/**
+ * Drop undefined, null and empty object values so optional elements are left out
+ */
+function compact(value) {
+  if (Array.isArray(value)) {
+    return value.map(compact);
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, compact(item)])
+      .filter(
+        ([, item]) =>
+          item !== undefined &&
+          item !== null &&
+          !(typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length === 0)
+      );
+    return Object.fromEntries(entries);
+  }
+  return value;
+}
+
+function toIsoDate(value) {
+  return value ? new Date(value).toISOString() : undefined;
+}
+
+function toSignatureInfo(signature) {
+  return signature
+    ? { printedName: signature.signedBy, signatureDate: toIsoDate(signature.signedAt) }
+    : undefined;
+}
+
+function fromSignatureInfo(signatureInfo) {
+  return signatureInfo
+    ? {
+        signedBy: signatureInfo.printedName,
+        signedAt: signatureInfo.signatureDate,
+        signature: 'e-manifest',
+      }
+    : null;
+}
+
+function toPhone(number) {
+  return number ? { number } : undefined;
+}
+
+/**
+ * Map a manifest to an e-Manifest document
+ */
+export function toEManifestDocument(manifest) {
+  const { generator = {}, transporters = [], facility = {}, signatures = {} } = manifest;
+
+  return compact({
+    manifestTrackingNumber: manifest.manifestNumber,
+    status: STATUS_TO_EMANIFEST[manifest.status],
+    submissionType: 'FullElectronic',
+    originType: 'Service',
+    createdDate: toIsoDate(manifest.dates?.created),
+    updatedDate: toIsoDate(manifest.dates?.updated),
+    generator: {
+      epaSiteId: generator.epaId,
+      name: generator.name,
+      siteAddress: generator.address ? { address1: generator.address } : undefined,
+      contact: {
+        name: generator.contactName,
+        phone: toPhone(generator.contactPhone),
+        email: generator.contactEmail,
+      },
+      emergencyPhone: toPhone(generator.emergencyPhone || generator.contactPhone),
+      signatureInfo: toSignatureInfo(signatures.generator),
+    },
+    transporters: transporters.map((transporter) => ({
+      order: transporter.index + 1,
+      epaSiteId: transporter.epaId,
+      name: transporter.name,
+      signatureInfo: toSignatureInfo(transporter.signature),
+    })),
+    designatedFacility: {
+      epaSiteId: facility.epaId,
+      name: facility.name,
+      siteAddress: facility.address ? { address1: facility.address } : undefined,
+      signatureInfo: toSignatureInfo(signatures.facility),
+    },
+    wastes: (manifest.lineItems || []).map((line) => ({
+      lineNumber: line.lineNumber,
+      dotHazardous: line.hazardousMaterial,
+      dotInformation: line.dotDescription?.description
+        ? {
+            idNumber: line.dotDescription.unNumber
+              ? { code: line.dotDescription.unNumber }
+              : undefined,
+            printedDotInformation: line.dotDescription.description,
+          }
+        : undefined,
+      wasteDescription: line.wasteDescription,
+      quantity: {
+        containerNumber: line.containers.count,
+        containerType: { code: line.containers.type },
+        quantity: line.quantity,
+        unitOfMeasurement: { code: line.unit },
+      },
+      hazardousWaste: {
+        federalWasteCodes: line.wasteCodes.map((code) => ({ code })),
+      },
+    })),
+  });
+}
+
+/**
+ * Validate an e-Manifest document against the bundled schema and the tracking number's
+ * check digit
+ */
+export function validateEManifestDocument(document) {
+  const { errors } = validateSchema(document, E_MANIFEST_SCHEMA);
+  const trackingNumber = document?.manifestTrackingNumber;
+
+  if (TRACKING_NUMBER_PATTERN.test(trackingNumber) && !isValidTrackingNumber(trackingNumber)) {
+    errors.push({ path: 'manifestTrackingNumber', message: 'has an invalid check digit' });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Export a manifest as an e-Manifest JSON or XML document
+ * Returns { contentType, body, document }. The document is validated against the bundled
+ * schema before it leaves the system.
+ */
+export async function exportManifest(manifestId, format = 'emanifest-json', options = {}) {
+  const { traceId = `emanifest-export-${Date.now()}` } = options;
+
+  logger.info({ traceId, manifestId, format }, 'Exporting manifest to e-Manifest format');
+
+  if (!EMANIFEST_FORMATS.includes(format)) {
+    throw createError(
+      `Invalid export format: ${format}. Valid formats: ${EMANIFEST_FORMATS.join(', ')}`,
+      400
+    );
+  }
+
+  try {
+    const manifest = await getManifestById(manifestId);
+
+    if (!manifest) {
+      throw createError(`Manifest not found: ${manifestId}`, 404);
+    }
+
+    if (!STATUS_TO_EMANIFEST[manifest.status]) {
+      throw createError(`Manifest ${manifestId} is ${manifest.status} and cannot be exported`, 409);
+    }
+
+    const document = toEManifestDocument(manifest);
+    const { valid, errors } = validateEManifestDocument(document);
+
+    if (!valid) {
+      throw createSchemaError(
+        `Manifest ${manifestId} does not satisfy the e-Manifest schema`,
+        errors,
+        422
+      );
+    }
+
+    await recordAudit({
+      eventType: 'manifest_export',
+      action: 'read',
+      resourceType: 'manifest',
+      resourceId: manifestId,
+      traceId,
+      status: 'completed',
+      metadata: { format, manifestNumber: manifest.manifestNumber },
+    });
+
+    return format === 'emanifest-xml'
+      ? {
+          contentType: 'application/xml',
+          body: toXml(XML_ROOT, document, { namespace: XML_NAMESPACE }),
+          document,
+        }
+      : { contentType: 'application/json', body: JSON.stringify(document, null, 2), document };
+  } catch (error) {
+    logger.error({ error: error.message, traceId, manifestId }, 'Failed to export manifest');
+    throw error;
+  }
+}
+
+/**
+ * Parse an e-Manifest document given as XML text, JSON text or an object
+ */
+export function parseEManifestDocument(input, format = 'emanifest-json') {
+  if (format === 'emanifest-xml') {
+    const { rootName, value } = fromXml(String(input), E_MANIFEST_SCHEMA);
+
+    if (rootName !== XML_ROOT) {
+      throw createError(`Expected a <${XML_ROOT}> document, got <${rootName}>`, 400);
+    }
+    return value;
+  }
+
+  if (typeof input === 'string') {
+    try {
+      return JSON.parse(input);
+    } catch (parseError) {
+      throw createError(`Malformed JSON: ${parseError.message}`, 400);
+    }
+  }
+
+  return input;
+}
+
+/**
+ * Find the local facility with an EPA ID
+ */
+async function findFacilityIdByEpaId(epaId) {
+  const facility = await findFacilityByEpaId(epaId);
+
+  return facility?.id || null;
+}
+
+function toLocalHandler(handler = {}) {
+  return {
+    name: handler.name,
+    epaId: handler.epaSiteId,
+    address: handler.siteAddress?.address1,
+    contactName: handler.contact?.name,
+    contactPhone: handler.contact?.phone?.number,
+    contactEmail: handler.contact?.email,
+    emergencyPhone: handler.emergencyPhone?.number,
+  };
+}
+
+function toLocalLine(waste) {
+  return {
+    lineNumber: waste.lineNumber,
+    wasteName: waste.wasteDescription,
+    hazardousMaterial: waste.dotHazardous,
+    containerCount: waste.quantity.containerNumber,
+    containerType: waste.quantity.containerType.code,
+    quantity: waste.quantity.quantity,
+    unit: waste.quantity.unitOfMeasurement.code,
+    physicalState: null,
+    wasteCodes: waste.hazardousWaste.federalWasteCodes.map((entry) => entry.code),
+    dotDescription: waste.dotInformation
+      ? {
+          unNumber: waste.dotInformation.idNumber?.code || null,
+          description: waste.dotInformation.printedDotInformation,
+        }
+      : { description: null },
+  };
+}
+
+/**
+ * Create a local manifest from an e-Manifest document sent by a vendor
+ * The document is validated against the bundled schema and the line items against the
+ * form rules. The designated facility is linked to the local facility with the same EPA ID
+ * when there is one.
+ */
+export async function importManifest(input, options = {}) {
+  const {
+    format = 'emanifest-json',
+    traceId = `emanifest-import-${Date.now()}`,
+    userId = 'system',
+  } = options;
+
+  logger.info({ traceId, format }, 'Importing e-Manifest document');
+
+  try {
+    const document = parseEManifestDocument(input, format);
+    const { valid, errors } = validateEManifestDocument(document);
+
+    if (!valid) {
+      throw createSchemaError('Document does not satisfy the e-Manifest schema', errors, 400);
+    }
+
+    const lines = [...document.wastes]
+      .sort((a, b) => a.lineNumber - b.lineNumber)
+      .map((waste, index) => ({ ...toLocalLine(waste), lineNumber: index + 1 }));
+    const lineErrors = validateLineItems(lines);
+
+    if (lineErrors.length > 0) {
+      throw createError(`Invalid manifest line items: ${lineErrors.join('; ')}`, 400);
+    }
+
+    const db = getDb();
+    const existing = await db('manifests')
+      .where('manifest_number', document.manifestTrackingNumber)
+      .first();
+
+    if (existing) {
+      throw createError(
+        `Manifest ${document.manifestTrackingNumber} already exists (${existing.id})`,
+        409
+      );
+    }
+
+    const transporters = [...document.transporters]
+      .sort((a, b) => a.order - b.order)
+      .map((transporter) => ({
+        name: transporter.name,
+        epaId: transporter.epaSiteId,
+        vehicleType: 'truck',
+        signature: fromSignatureInfo(transporter.signatureInfo),
+      }));
+    const facilityId = await findFacilityIdByEpaId(document.designatedFacility.epaSiteId);
+    const firstLine = lines[0];
+    const manifestId = randomUUID();
+
+    const routeDetails = {
+      method: 'truck',
+      generator: toLocalHandler(document.generator),
+      facility: toLocalHandler(document.designatedFacility),
+      wasteDetails: {
+        wasteName: firstLine.wasteName,
+        wasteCode: firstLine.wasteCodes[0],
+        wasteCodes: normalizeWasteCodeEntries(firstLine.wasteCodes),
+        quantity: firstLine.quantity,
+        unit: firstLine.unit,
+      },
+    };
+
+    const signatures = {
+      generator: fromSignatureInfo(document.generator.signatureInfo),
+      facility: fromSignatureInfo(document.designatedFacility.signatureInfo),
+    };
+
+    // Each signed transporter handed the waste to the next one to sign, or to the facility
+    const transporterRows = transporters.map((transporter, index) => {
+      const receiver = transporters.slice(index + 1).find((next) => next.signature);
+      const handedOffAt = transporter.signature
+        ? (receiver?.signature || signatures.facility)?.signedAt || null
+        : null;
+
+      return {
+        ...toTransporterRow(manifestId, transporter, index),
+        signed_by: transporter.signature?.signedBy || null,
+        signed_at: transporter.signature?.signedAt || null,
+        signature: transporter.signature?.signature || null,
+        handed_off_at: handedOffAt,
+      };
+    });
+
+    const auditTrail = [
+      {
+        timestamp: new Date().toISOString(),
+        action: 'manifest_imported',
+        actor: userId,
+        details: { traceId, format, manifestNumber: document.manifestTrackingNumber },
+      },
+    ];
+
+    const status = STATUS_FROM_EMANIFEST[document.status];
+    const manifestRow = {
+      id: manifestId,
+      manifest_number: document.manifestTrackingNumber,
+      origin: 'emanifest-import',
+      facility_id: facilityId,
+      transporter_name: transporters[0].name,
+      transporter_epa_id: transporters[0].epaId,
+      status,
+      route_details: JSON.stringify(routeDetails),
+      signatures: JSON.stringify(signatures),
+      audit_trail: JSON.stringify(auditTrail),
+    };
+
+    // The waste left when the first transporter signed for it, or the generator if it did not
+    if (IN_TRANSIT_STATUSES.includes(status)) {
+      manifestRow.in_transit_at =
+        transporterRows[0].signed_at || signatures.generator?.signedAt || auditTrail[0].timestamp;
+    }
+
+    const capacityChange = await db.transaction(async (trx) => {
+      await trx('manifests').insert(manifestRow);
+      await trx('manifest_line_items').insert(lines.map((line) => toLineItemRow(manifestId, line)));
+      await trx('manifest_transporters').insert(transporterRows);
+
+      // Loads the facility has yet to accept are booked as if they had been submitted here
+      return ['submitted', ...IN_TRANSIT_STATUSES].includes(status)
+        ? reserveCapacity(trx, manifestRow)
+        : null;
+    });
+
+    if (capacityChange) {
+      invalidateFacilityCache();
+    }
+
+    await recordAudit({
+      eventType: 'manifest_import',
+      action: 'create',
+      resourceType: 'manifest',
+      resourceId: manifestId,
+      traceId,
+      status: 'completed',
+      metadata: {
+        format,
+        manifestNumber: document.manifestTrackingNumber,
+        facilityId,
+        lineCount: lines.length,
+        transporterCount: transporters.length,
+        capacityChange,
+        userId,
+      },
+    });
+
+    logger.info(
+      { traceId, manifestId, manifestNumber: document.manifestTrackingNumber },
+      'e-Manifest document imported'
+    );
+
+    return getManifestById(manifestId);
+  } catch (error) {
+    logger.error({ error: error.message, traceId }, 'Failed to import e-Manifest document');
+    throw error;
+  }
+}
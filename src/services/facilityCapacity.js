@@ -0,0 +1,297 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { findFacilityById, isOfflineMode } from './facilityRepository.js';
+import { getTotalQuantityKg, toKilograms } from './manifestLineItems.js';
+import { randomUUID } from 'crypto';
+import { createError } from '../utils/errors.js';
+
+const logger = createLogger('facility-capacity');
+
+export const CAPACITY_EVENTS = ['reserved', 'released', 'consumed'];
+
+/**
+ * Get the whole kilograms a manifest's lines add up to, or null when a line is measured by
+ * volume
+ */
+export async function getManifestQuantityKg(trx, manifestId) {
+  const lines = await trx('manifest_line_items')
+    .where('manifest_id', manifestId)
+    .select('quantity', 'unit');
+
+  return getTotalQuantityKg(lines);
+}
+
+/**
+ * Get the kilograms to book for a manifest, or fail with 400 when a line has no weight
+ * Capacity is tracked in kilograms, and a volume gives no weight without the waste's density.
+ */
+async function getBookableQuantityKg(trx, manifestId) {
+  const lines = await trx('manifest_line_items')
+    .where('manifest_id', manifestId)
+    .orderBy('line_number')
+    .select('line_number', 'quantity', 'unit');
+  const unweighed = lines.find((line) => toKilograms(line.quantity, line.unit) === null);
+
+  if (unweighed) {
+    throw createError(
+      `Line ${unweighed.line_number} is measured by volume (${unweighed.unit}); facility ` +
+        'capacity is booked by weight, so give its quantity in K, M, P or T',
+      400
+    );
+  }
+
+  return getTotalQuantityKg(lines);
+}
+
+/**
+ * Get the facility a manifest has booked and how much of the booking is still reserved
+ */
+async function getReservation(trx, manifestId) {
+  const events = await trx('facility_capacity_events').where('manifest_id', manifestId);
+
+  if (events.length === 0) {
+    return null;
+  }
+
+  const outstandingKg = events.reduce(
+    (total, event) => total + (event.event === 'reserved' ? 1 : -1) * Number(event.quantity_kg),
+    0
+  );
+
+  return { facilityId: events[0].facility_id, outstandingKg };
+}
+
+async function recordEvent(trx, facilityId, manifestId, event, quantityKg, reason = null) {
+  const row = {
+    id: randomUUID(),
+    facility_id: facilityId,
+    manifest_id: manifestId,
+    event,
+    quantity_kg: quantityKg,
+    reason,
+    recorded_at: new Date().toISOString(),
+  };
+
+  await trx('facility_capacity_events').insert(row);
+
+  return { event, facilityId, quantityKg };
+}
+
+/**
+ * Book capacity at the manifest's facility for everything on the manifest
+ * The check and the booking are one conditional update, so concurrent bookings cannot take
+ * more than the facility has available. Manifests to facilities outside the facility list,
+ * or already holding a booking, are left alone.
+ */
+export async function reserveCapacity(trx, manifest) {
+  if (isOfflineMode() || (await getReservation(trx, manifest.id))?.outstandingKg > 0) {
+    return null;
+  }
+
+  const facility = await trx('facilities').where('id', manifest.facility_id).first();
+
+  if (!facility) {
+    return null;
+  }
+
+  return bookCapacity(trx, facility, manifest.id, await getBookableQuantityKg(trx, manifest.id));
+}
+
+/**
+ * Book quantityKg more at a facility for a manifest, or fail with 409 when it has no room
+ */
+async function bookCapacity(trx, facility, manifestId, quantityKg, reason = null) {
+  const booked = await trx('facilities')
+    .where('id', facility.id)
+    .where((query) =>
+      query
+        .whereNull('max_capacity_kg')
+        .orWhereRaw('max_capacity_kg - current_capacity_kg - reserved_capacity_kg >= ?', [
+          quantityKg,
+        ])
+    )
+    .update({
+      reserved_capacity_kg: trx.raw('reserved_capacity_kg + ?', [quantityKg]),
+      updated_at: trx.fn.now(),
+    });
+
+  if (booked === 0) {
+    const current = await trx('facilities').where('id', facility.id).first();
+    const availableKg =
+      current.max_capacity_kg - current.current_capacity_kg - current.reserved_capacity_kg;
+
+    throw createError(
+      `Facility ${facility.name} does not have capacity for ${quantityKg} kg (${availableKg} kg available)`,
+      409
+    );
+  }
+
+  return recordEvent(trx, facility.id, manifestId, 'reserved', quantityKg, reason);
+}
+
+/**
+ * Give back a manifest's booked capacity, or options.quantityKg of it
+ */
+export async function releaseCapacity(trx, manifestId, options = {}) {
+  const { reason = null, quantityKg } = options;
+  const reservation = await getReservation(trx, manifestId);
+
+  if (!reservation || reservation.outstandingKg <= 0) {
+    return null;
+  }
+
+  const releasedKg =
+    quantityKg === undefined
+      ? reservation.outstandingKg
+      : Math.min(reservation.outstandingKg, Math.ceil(quantityKg));
+
+  await trx('facilities')
+    .where('id', reservation.facilityId)
+    .update({
+      reserved_capacity_kg: trx.raw('reserved_capacity_kg - ?', [releasedKg]),
+      updated_at: trx.fn.now(),
+    });
+
+  return recordEvent(trx, reservation.facilityId, manifestId, 'released', releasedKg, reason);
+}
+
+/**
+ * Move a manifest's booking by however much its lines changed from previousKg
+ * Only manifests still holding a booking are adjusted; a larger load must fit in what the
+ * facility has available.
+ */
+export async function adjustCapacity(trx, manifestId, previousKg, options = {}) {
+  const { reason = null } = options;
+  const reservation = await getReservation(trx, manifestId);
+
+  if (!reservation || reservation.outstandingKg <= 0) {
+    return null;
+  }
+
+  const changeKg = (await getBookableQuantityKg(trx, manifestId)) - previousKg;
+
+  if (changeKg < 0) {
+    return releaseCapacity(trx, manifestId, { reason, quantityKg: -changeKg });
+  }
+  if (changeKg > 0) {
+    const facility = await trx('facilities').where('id', reservation.facilityId).first();
+    return bookCapacity(trx, facility, manifestId, changeKg, reason);
+  }
+
+  return null;
+}
+
+/**
+ * Turn what is still booked for a manifest into capacity the facility has used
+ */
+export async function consumeCapacity(trx, manifestId) {
+  const reservation = await getReservation(trx, manifestId);
+
+  if (!reservation || reservation.outstandingKg <= 0) {
+    return null;
+  }
+
+  await trx('facilities')
+    .where('id', reservation.facilityId)
+    .update({
+      reserved_capacity_kg: trx.raw('reserved_capacity_kg - ?', [reservation.outstandingKg]),
+      current_capacity_kg: trx.raw('current_capacity_kg + ?', [reservation.outstandingKg]),
+      updated_at: trx.fn.now(),
+    });
+
+  return recordEvent(
+    trx,
+    reservation.facilityId,
+    manifestId,
+    'consumed',
+    reservation.outstandingKg
+  );
+}
+
+/**
+ * Apply the capacity change a manifest status change brings: submitting books capacity,
+ * cancelling or rejecting gives it back, and completing uses it
+ */
+export async function applyCapacityForStatus(trx, manifest, newStatus) {
+  switch (newStatus) {
+    case 'submitted':
+      return reserveCapacity(trx, manifest);
+    case 'cancelled':
+    case 'rejected':
+      return releaseCapacity(trx, manifest.id, { reason: `manifest ${newStatus}` });
+    case 'completed':
+      return consumeCapacity(trx, manifest.id);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get a facility's capacity now and the timeline of bookings behind it, oldest first, with
+ * the reserved, used and available kilograms after each event
+ */
+export async function getFacilityCapacity(facilityId) {
+  const facility = await findFacilityById(facilityId);
+
+  if (!facility) {
+    throw createError(`Facility not found: ${facilityId}`, 404);
+  }
+
+  const db = getDb();
+
+  try {
+    const rows = isOfflineMode()
+      ? []
+      : await db('facility_capacity_events')
+          .leftJoin('manifests', 'manifests.id', 'facility_capacity_events.manifest_id')
+          .where('facility_capacity_events.facility_id', facilityId)
+          .select('facility_capacity_events.*', 'manifests.manifest_number');
+
+    const events = rows.sort(
+      (a, b) =>
+        new Date(a.recorded_at) - new Date(b.recorded_at) ||
+        CAPACITY_EVENTS.indexOf(a.event) - CAPACITY_EVENTS.indexOf(b.event)
+    );
+
+    // Work back from today's figures to what the facility held before the first event
+    let reservedKg = facility.reservedCapacityKg;
+    let consumedKg = facility.currentCapacityKg;
+    for (const event of events) {
+      const quantityKg = Number(event.quantity_kg);
+      reservedKg -= event.event === 'reserved' ? quantityKg : -quantityKg;
+      consumedKg -= event.event === 'consumed' ? quantityKg : 0;
+    }
+
+    const timeline = events.map((event) => {
+      const quantityKg = Number(event.quantity_kg);
+      reservedKg += event.event === 'reserved' ? quantityKg : -quantityKg;
+      consumedKg += event.event === 'consumed' ? quantityKg : 0;
+
+      return {
+        recordedAt: new Date(event.recorded_at).toISOString(),
+        event: event.event,
+        manifestId: event.manifest_id,
+        manifestNumber: event.manifest_number || null,
+        quantityKg,
+        reason: event.reason,
+        reservedKg,
+        consumedKg,
+        availableKg:
+          facility.maxCapacityKg === null ? null : facility.maxCapacityKg - consumedKg - reservedKg,
+      };
+    });
+
+    return {
+      facilityId,
+      facilityName: facility.name,
+      maxCapacityKg: facility.maxCapacityKg,
+      consumedKg: facility.currentCapacityKg,
+      reservedKg: facility.reservedCapacityKg,
+      availableKg: facility.availableCapacityKg,
+      timeline,
+    };
+  } catch (error) {
+    logger.error({ error: error.message, facilityId }, 'Failed to load facility capacity');
+    throw error;
+  }
+}
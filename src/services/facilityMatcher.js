@@ -1,178 +1,27 @@
 import { createLogger } from '../utils/logger.js';
+import { getWasteCodeList } from '../utils/wasteCodes.js';
+import { getAllTransporters, getPermitIssues } from './transporterService.js';
+import { listFacilities } from './facilityRepository.js';
+import { getFacilityPermitIssues } from './facilityPermits.js';
+import { hasCapacityFor } from './facilitySearch.js';
+import { createError } from '../utils/errors.js';
 
 const logger = createLogger('facility-matcher');
 
-const MOCK_FACILITIES = [
-  {
-    id: 'fac-001',
-    name: 'SafeWaste Disposal LLC',
-    epaId: 'TXD987654321',
-    state: 'TX',
-    address: '1234 Industrial Pkwy, Houston, TX 77002',
-    acceptedWasteCodes: ['D001', 'D002', 'D003', 'F001', 'F002', 'F003'],
-    capabilities: ['incineration', 'chemical-treatment', 'stabilization'],
-    pricePerKg: 2.5,
-    maxCapacityKg: 50000,
-    certificationExpiry: '2026-12-31',
-    location: { lat: 29.7604, lng: -95.3698 },
-    rating: 4.7,
-  },
-  {
-    id: 'fac-002',
-    name: 'HazardPro Environmental Services',
-    epaId: 'TXD123456789',
-    state: 'TX',
-    address: '5678 Waste Management Dr, Dallas, TX 75201',
-    acceptedWasteCodes: ['D001', 'D004', 'D005', 'D006', 'D007', 'D008', 'D009'],
-    capabilities: ['metal-recovery', 'stabilization', 'landfill'],
-    pricePerKg: 3.0,
-    maxCapacityKg: 100000,
-    certificationExpiry: '2027-06-30',
-    location: { lat: 32.7767, lng: -96.797 },
-    rating: 4.5,
-  },
-  {
-    id: 'fac-003',
-    name: 'GreenCycle Waste Solutions',
-    epaId: 'TXD555666777',
-    state: 'TX',
-    address: '9012 Environmental Way, Austin, TX 78701',
-    acceptedWasteCodes: ['D001', 'D002', 'F001', 'F003', 'U001'],
-    capabilities: ['recycling', 'chemical-treatment', 'distillation'],
-    pricePerKg: 2.0,
-    maxCapacityKg: 25000,
-    certificationExpiry: '2025-12-31',
-    location: { lat: 30.2672, lng: -97.7431 },
-    rating: 4.9,
-  },
-  {
-    id: 'fac-004',
-    name: 'ToxicGuard Treatment Center',
-    epaId: 'TXD888999000',
-    state: 'TX',
-    address: '3456 Safety Blvd, San Antonio, TX 78201',
-    acceptedWasteCodes: ['D003', 'D004', 'D005', 'D006', 'D007', 'D008', 'D009'],
-    capabilities: ['stabilization', 'encapsulation', 'secure-landfill'],
-    pricePerKg: 3.5,
-    maxCapacityKg: 75000,
-    certificationExpiry: '2028-03-31',
-    location: { lat: 29.4241, lng: -98.4936 },
-    rating: 4.3,
-  },
-  {
-    id: 'fac-005',
-    name: 'EcoSafe Waste Management',
-    epaId: 'CAD111222333',
-    state: 'CA',
-    address: '7890 Industrial Way, Los Angeles, CA 90001',
-    acceptedWasteCodes: ['D001', 'D002', 'D003', 'F001', 'F002', 'F003', 'U001'],
-    capabilities: ['incineration', 'chemical-treatment', 'recycling', 'stabilization'],
-    pricePerKg: 3.2,
-    maxCapacityKg: 120000,
-    certificationExpiry: '2027-12-31',
-    location: { lat: 34.0522, lng: -118.2437 },
-    rating: 4.8,
-  },
-  {
-    id: 'fac-006',
-    name: 'Pacific Hazard Solutions',
-    epaId: 'CAD444555666',
-    state: 'CA',
-    address: '4567 Bay Area Blvd, San Francisco, CA 94102',
-    acceptedWasteCodes: ['D004', 'D005', 'D006', 'D007', 'D008', 'D009'],
-    capabilities: ['metal-recovery', 'stabilization', 'secure-landfill'],
-    pricePerKg: 3.8,
-    maxCapacityKg: 80000,
-    certificationExpiry: '2028-06-30',
-    location: { lat: 37.7749, lng: -122.4194 },
-    rating: 4.6,
-  },
-  {
-    id: 'fac-007',
-    name: 'Metro Environmental Services',
-    epaId: 'NYD777888999',
-    state: 'NY',
-    address: '1234 Industrial Park, Brooklyn, NY 11201',
-    acceptedWasteCodes: ['D001', 'D002', 'D003', 'F001', 'F003'],
-    capabilities: ['chemical-treatment', 'stabilization', 'incineration'],
-    pricePerKg: 4.0,
-    maxCapacityKg: 60000,
-    certificationExpiry: '2026-09-30',
-    location: { lat: 40.6782, lng: -73.9442 },
-    rating: 4.4,
-  },
-  {
-    id: 'fac-008',
-    name: 'Northeast Waste Control',
-    epaId: 'NYD123123123',
-    state: 'NY',
-    address: '9876 Hudson Valley Pkwy, Albany, NY 12084',
-    acceptedWasteCodes: ['D004', 'D005', 'D006', 'D007', 'D008', 'D009'],
-    capabilities: ['metal-recovery', 'stabilization', 'landfill'],
-    pricePerKg: 3.6,
-    maxCapacityKg: 90000,
-    certificationExpiry: '2027-03-31',
-    location: { lat: 42.6526, lng: -73.7562 },
-    rating: 4.5,
-  },
-  {
-    id: 'fac-009',
-    name: 'Sunshine State Waste Solutions',
-    epaId: 'FLD456456456',
-    state: 'FL',
-    address: '3210 Coastal Hwy, Miami, FL 33101',
-    acceptedWasteCodes: ['D001', 'D002', 'D003', 'F001', 'F002', 'U001'],
-    capabilities: ['recycling', 'chemical-treatment', 'distillation'],
-    pricePerKg: 2.8,
-    maxCapacityKg: 70000,
-    certificationExpiry: '2027-08-31',
-    location: { lat: 25.7617, lng: -80.1918 },
-    rating: 4.6,
-  },
-  {
-    id: 'fac-010',
-    name: 'Great Lakes Environmental',
-    epaId: 'ILD789789789',
-    state: 'IL',
-    address: '5678 Manufacturing Dr, Chicago, IL 60601',
-    acceptedWasteCodes: ['D001', 'D002', 'D003', 'D004', 'D005', 'D006', 'D007', 'D008', 'D009'],
-    capabilities: ['incineration', 'metal-recovery', 'stabilization', 'chemical-treatment'],
-    pricePerKg: 3.4,
-    maxCapacityKg: 110000,
-    certificationExpiry: '2028-12-31',
-    location: { lat: 41.8781, lng: -87.6298 },
-    rating: 4.7,
-  },
-  {
-    id: 'fac-011',
-    name: 'Rocky Mountain Hazardous Waste',
-    epaId: 'COD321321321',
-    state: 'CO',
-    address: '7890 Mountain View Rd, Denver, CO 80202',
-    acceptedWasteCodes: ['D001', 'D002', 'D003', 'F001', 'F002', 'F003'],
-    capabilities: ['incineration', 'stabilization', 'secure-landfill'],
-    pricePerKg: 3.1,
-    maxCapacityKg: 65000,
-    certificationExpiry: '2027-05-31',
-    location: { lat: 39.7392, lng: -104.9903 },
-    rating: 4.5,
-  },
-  {
-    id: 'fac-012',
-    name: 'Atlantic Waste Control',
-    epaId: 'GAD654654654',
-    state: 'GA',
-    address: '4321 Peachtree Industrial, Atlanta, GA 30303',
-    acceptedWasteCodes: ['D004', 'D005', 'D006', 'D007', 'D008', 'D009', 'U001'],
-    capabilities: ['metal-recovery', 'stabilization', 'chemical-treatment'],
-    pricePerKg: 2.9,
-    maxCapacityKg: 85000,
-    certificationExpiry: '2028-02-28',
-    location: { lat: 33.749, lng: -84.388 },
-    rating: 4.6,
-  },
-];
+/**
+ * Order facilities by total estimated cost, with unpriced facilities after every priced one
+ */
+function compareTotalCost(a, b) {
+  if (a.totalEstimatedCost === null || b.totalEstimatedCost === null) {
+    return (a.totalEstimatedCost === null) - (b.totalEstimatedCost === null);
+  }
+  return a.totalEstimatedCost - b.totalEstimatedCost;
+}
 
+/**
+ * Find facilities that accept every waste code on the profile and are permitted to take it
+ * Facilities left out for lapsed permits or certification are listed with the reasons.
+ */
 export async function findApprovedFacilities(wasteProfile, options = {}) {
   const {
     traceId = `facility-${Date.now()}`,
@@ -181,30 +30,33 @@ export async function findApprovedFacilities(wasteProfile, options = {}) {
     states = null,
   } = options;
 
-  logger.info(
-    { traceId, wasteCode: wasteProfile.wasteCode, states },
-    'Finding approved disposal facilities'
-  );
+  const wasteCodes = getWasteCodeList(wasteProfile);
 
-  const wasteCode = wasteProfile.wasteCode || wasteProfile.classification?.wasteCode;
+  logger.info({ traceId, wasteCodes, states }, 'Finding approved disposal facilities');
 
-  if (!wasteCode || wasteCode === 'UNKNOWN') {
+  if (wasteCodes.length === 0) {
     throw new Error('Cannot find facilities without valid waste code');
   }
 
-  let facilities = MOCK_FACILITIES.filter((facility) => {
-    const acceptsWasteCode = facility.acceptedWasteCodes.includes(wasteCode);
-    const isCertified = new Date(facility.certificationExpiry) > new Date();
+  const candidates = await listFacilities({ wasteCodes, states });
+  const excludedFacilities = [];
+  let facilities = candidates.filter((facility) => {
+    const permitIssues = getFacilityPermitIssues(facility, { wasteCodes });
     const hasCapacity =
-      !wasteProfile.quantityKg || facility.maxCapacityKg >= wasteProfile.quantityKg;
-    const matchesState = !states || states.includes(facility.state);
+      !wasteProfile.quantityKg || hasCapacityFor(facility, wasteProfile.quantityKg);
+
+    if (permitIssues.length > 0) {
+      excludedFacilities.push({ id: facility.id, name: facility.name, issues: permitIssues });
+    }
 
-    return acceptsWasteCode && isCertified && hasCapacity && matchesState;
+    return permitIssues.length === 0 && hasCapacity && facility.location !== null;
   });
 
+  // Facilities added without a price have no cost estimate rather than a NaN one
   facilities = facilities.map((facility) => {
     const distance = calculateDistance(wasteProfile.generatorLocation, facility.location);
-    const estimatedCost = facility.pricePerKg * (wasteProfile.quantityKg || 100);
+    const estimatedCost =
+      facility.pricePerKg === null ? null : facility.pricePerKg * (wasteProfile.quantityKg || 100);
     const transportCost = calculateTransportCost(distance, wasteProfile.quantityKg || 100);
 
     return {
@@ -212,12 +64,12 @@ export async function findApprovedFacilities(wasteProfile, options = {}) {
       distance,
       estimatedDisposalCost: estimatedCost,
       estimatedTransportCost: transportCost,
-      totalEstimatedCost: estimatedCost + transportCost,
+      totalEstimatedCost: estimatedCost === null ? null : estimatedCost + transportCost,
     };
   });
 
   if (sortBy === 'price') {
-    facilities.sort((a, b) => a.totalEstimatedCost - b.totalEstimatedCost);
+    facilities.sort(compareTotalCost);
   } else if (sortBy === 'distance') {
     facilities.sort((a, b) => a.distance - b.distance);
   } else if (sortBy === 'rating') {
@@ -226,19 +78,39 @@ export async function findApprovedFacilities(wasteProfile, options = {}) {
 
   const results = facilities.slice(0, maxResults);
 
-  logger.info({ traceId, wasteCode, facilitiesFound: results.length }, 'Facility search completed');
+  logger.info(
+    {
+      traceId,
+      wasteCodes,
+      facilitiesFound: results.length,
+      excludedForPermits: excludedFacilities.length,
+    },
+    'Facility search completed'
+  );
 
   return {
-    wasteCode,
+    wasteCode: wasteCodes[0],
+    wasteCodes,
     facilities: results,
     totalFound: facilities.length,
+    excludedFacilities,
     timestamp: new Date().toISOString(),
     traceId,
   };
 }
 
+/**
+ * Pick the best-scoring facility a currently permitted transporter can reach
+ * A transporter is proposed only if it may carry the waste by the route's method through the
+ * generator's state (options.originState or wasteProfile.generatorState) and the facility's.
+ */
 export async function calculateOptimalRoute(wasteProfile, facilities, options = {}) {
-  const { traceId = `route-${Date.now()}`, prioritizeCost = true } = options;
+  const {
+    traceId = `route-${Date.now()}`,
+    prioritizeCost = true,
+    originState = wasteProfile.generatorState,
+    asOf = new Date(),
+  } = options;
 
   logger.info({ traceId }, 'Calculating optimal disposal route');
 
@@ -246,13 +118,17 @@ export async function calculateOptimalRoute(wasteProfile, facilities, options =
     throw new Error('No facilities available for route optimization');
   }
 
+  const maxCost = Math.max(
+    ...facilities.map((f) => f.totalEstimatedCost).filter((cost) => cost !== null)
+  );
   const scoredFacilities = facilities.map((facility) => {
     const costScore = prioritizeCost ? 0.7 : 0.3;
     const distanceScore = prioritizeCost ? 0.2 : 0.5;
     const ratingScore = 0.1;
 
+    // An unpriced facility gets no credit for cost
     const normalizedCost =
-      1 - facility.totalEstimatedCost / Math.max(...facilities.map((f) => f.totalEstimatedCost));
+      facility.totalEstimatedCost === null ? 0 : 1 - facility.totalEstimatedCost / maxCost;
     const normalizedDistance =
       1 - facility.distance / Math.max(...facilities.map((f) => f.distance));
     const normalizedRating = facility.rating / 5.0;
@@ -267,16 +143,51 @@ export async function calculateOptimalRoute(wasteProfile, facilities, options =
 
   scoredFacilities.sort((a, b) => b.score - a.score);
 
-  const optimalFacility = scoredFacilities[0];
+  const registered = await getAllTransporters({ limit: Infinity });
+  const hazardous = getWasteCodeList(wasteProfile).length > 0;
+  const reachable = scoredFacilities
+    .map((facility) => {
+      const method = facility.distance < 100 ? 'truck' : 'freight';
+      const permit = {
+        states: [originState, facility.state].filter(Boolean),
+        vehicleType: method,
+        hazardous,
+        asOf,
+      };
+      const transporters = registered.filter(
+        (transporter) => getPermitIssues(transporter, permit).length === 0
+      );
+
+      return { facility, method, transporters };
+    })
+    .filter((candidate) => candidate.transporters.length > 0);
+
+  if (reachable.length === 0) {
+    throw createError(
+      'No currently permitted transporter can carry this waste to any of the facilities',
+      409
+    );
+  }
+
+  const [{ facility: optimalFacility, method, transporters }] = reachable;
+  const toProposal = (transporter) => ({
+    id: transporter.id,
+    name: transporter.name,
+    epaId: transporter.epaId,
+    dotNumber: transporter.dotNumber,
+    vehicleType: method,
+  });
 
   const route = {
     facility: optimalFacility,
-    alternativeFacilities: scoredFacilities.slice(1, 3),
+    alternativeFacilities: reachable.slice(1, 3).map((candidate) => candidate.facility),
+    transporter: toProposal(transporters[0]),
+    alternativeTransporters: transporters.slice(1, 3).map(toProposal),
     route: {
       type: 'direct-transport',
       distance: optimalFacility.distance,
       estimatedDuration: calculateDuration(optimalFacility.distance),
-      method: optimalFacility.distance < 100 ? 'truck' : 'freight',
+      method,
     },
     cost: {
       disposal: optimalFacility.estimatedDisposalCost,
@@ -292,6 +203,7 @@ export async function calculateOptimalRoute(wasteProfile, facilities, options =
     {
       traceId,
       facilityId: optimalFacility.id,
+      transporterId: route.transporter.id,
       totalCost: route.cost.total,
       score: route.score,
     },
@@ -339,18 +251,11 @@ function calculateDuration(distanceKm) {
   return `${Math.round(hours * 10) / 10} hours`;
 }
 
-export function getAllFacilities() {
-  return MOCK_FACILITIES;
-}
-
-export function getFacilityById(facilityId) {
-  return MOCK_FACILITIES.find((f) => f.id === facilityId) || null;
-}
-
-export function getFacilitiesByState(state) {
-  return MOCK_FACILITIES.filter((f) => f.state === state);
+export async function getFacilitiesByState(state) {
+  return listFacilities({ states: [state] });
 }
 
-export function getAvailableStates() {
-  return [...new Set(MOCK_FACILITIES.map((f) => f.state))].sort();
+export async function getAvailableStates() {
+  const facilities = await listFacilities();
+  return [...new Set(facilities.map((f) => f.state))].sort();
 }
@@ -0,0 +1,411 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { recordAudit } from './auditService.js';
+import {
+  findFacilityById,
+  invalidateFacilityCache,
+  isOfflineMode,
+  listFacilities,
+  toFacilityPermit,
+} from './facilityRepository.js';
+import { randomUUID } from 'crypto';
+import { createError } from '../utils/errors.js';
+import { DAY_MS, startDailyScheduler } from '../utils/scheduler.js';
+
+const logger = createLogger('facility-permits');
+
+export const PERMIT_WARNING_DAYS = 60;
+
+/**
+ * Manifests on their way to a facility; they are affected if its permits lapse
+ */
+const IN_FLIGHT_STATUSES = ['draft', 'submitted', 'in_transit', 'delivered'];
+
+/**
+ * Get whether a permit is current, expiring within the warning window, or lapsed
+ */
+export function getPermitStatus(permit, asOf = new Date()) {
+  const expiresAt = new Date(permit.expiresAt);
+
+  if (expiresAt <= asOf) {
+    return 'lapsed';
+  }
+  return expiresAt - asOf <= PERMIT_WARNING_DAYS * DAY_MS ? 'expiring' : 'current';
+}
+
+/**
+ * List why a facility may not receive waste, or an empty list when it may
+ * A facility with recorded permits needs a current one covering every waste code (a permit
+ * without waste codes covers all of them). A facility without permits falls back to its
+ * certification expiry.
+ */
+export function getFacilityPermitIssues(facility, options = {}) {
+  const { wasteCodes = [], asOf = new Date() } = options;
+  const permits = facility.permits || [];
+
+  if (permits.length === 0) {
+    const certified =
+      Boolean(facility.certificationExpiry) && new Date(facility.certificationExpiry) > asOf;
+    return certified ? [] : ['certification is not current'];
+  }
+
+  const current = permits.filter((permit) => getPermitStatus(permit, asOf) !== 'lapsed');
+
+  if (current.length === 0) {
+    const latest = permits.reduce((a, b) =>
+      new Date(a.expiresAt) > new Date(b.expiresAt) ? a : b
+    );
+    return [`permit ${latest.permitNumber} lapsed on ${latest.expiresAt.slice(0, 10)}`];
+  }
+
+  const covers = (code) =>
+    current.some((permit) => permit.wasteCodes.length === 0 || permit.wasteCodes.includes(code));
+  const uncovered = wasteCodes.filter((code) => !covers(code));
+
+  return uncovered.length > 0 ? [`no current permit covers ${uncovered.join(', ')}`] : [];
+}
+
+/**
+ * Reject a new manifest to a facility that is not in the facility list, or whose permits (or,
+ * without recorded permits, certification) have lapsed or do not cover the waste
+ */
+export async function assertFacilityPermitted(facilityId, wasteCodes, asOf = new Date()) {
+  const facility = await findFacilityById(facilityId);
+
+  if (!facility) {
+    throw createError(`Facility not found: ${facilityId}`, 404);
+  }
+
+  const issues = getFacilityPermitIssues(facility, { wasteCodes, asOf });
+
+  if (issues.length > 0) {
+    throw createError(
+      `Facility ${facility.name} cannot receive new manifests: ${issues.join('; ')}`,
+      409
+    );
+  }
+}
+
+function withStatus(permit, asOf = new Date()) {
+  return { ...permit, status: getPermitStatus(permit, asOf) };
+}
+
+/**
+ * List a facility's permits, soonest expiry first, each with its current status
+ */
+export async function getFacilityPermits(facilityId) {
+  const facility = await findFacilityById(facilityId);
+
+  if (!facility) {
+    throw createError(`Facility not found: ${facilityId}`, 404);
+  }
+
+  return facility.permits.map((permit) => withStatus(permit));
+}
+
+function assertWritable() {
+  if (isOfflineMode()) {
+    throw createError('Facility permits cannot be changed in offline mode', 409);
+  }
+}
+
+/**
+ * Record a permit for a facility; without waste codes it covers every code the facility takes
+ */
+export async function addFacilityPermit(facilityId, data, options = {}) {
+  const { traceId = `facility-permit-${Date.now()}`, userId = null } = options;
+
+  logger.info({ traceId, facilityId, permitNumber: data.permitNumber }, 'Adding facility permit');
+
+  const db = getDb();
+
+  try {
+    assertWritable();
+    const facility = await db('facilities').where('id', facilityId).first();
+
+    if (!facility) {
+      throw createError(`Facility not found: ${facilityId}`, 404);
+    }
+
+    const existing = await db('facility_permits')
+      .where({ facility_id: facilityId, permit_number: data.permitNumber })
+      .first();
+
+    if (existing) {
+      throw createError(`Permit ${data.permitNumber} is already recorded (${existing.id})`, 409);
+    }
+
+    const [row] = await db('facility_permits')
+      .insert({
+        id: randomUUID(),
+        facility_id: facilityId,
+        permit_type: data.permitType || 'rcra_part_b',
+        permit_number: data.permitNumber,
+        waste_codes: JSON.stringify(data.wasteCodes || []),
+        processes: JSON.stringify(data.processes || []),
+        issued_at: data.issuedAt || null,
+        expires_at: new Date(data.expiresAt).toISOString(),
+        created_by: userId,
+        updated_by: userId,
+      })
+      .returning('*');
+
+    await recordAudit({
+      eventType: 'facility_permit_creation',
+      action: 'create',
+      resourceType: 'facility',
+      resourceId: facilityId,
+      traceId,
+      status: 'completed',
+      metadata: {
+        permitId: row.id,
+        permitNumber: row.permit_number,
+        expiresAt: new Date(row.expires_at).toISOString(),
+        userId,
+      },
+    });
+
+    invalidateFacilityCache();
+
+    return withStatus(toFacilityPermit(row));
+  } catch (error) {
+    logger.error({ error: error.message, traceId, facilityId }, 'Failed to add facility permit');
+    throw error;
+  }
+}
+
+/**
+ * Change or renew a permit; a new expiry date clears the scan's warning and lapse records
+ */
+export async function updateFacilityPermit(facilityId, permitId, changes, options = {}) {
+  const { traceId = `facility-permit-update-${Date.now()}`, userId = null } = options;
+
+  const db = getDb();
+
+  try {
+    assertWritable();
+    const permit = await db('facility_permits')
+      .where({ id: permitId, facility_id: facilityId })
+      .first();
+
+    if (!permit) {
+      throw createError(`Permit ${permitId} not found for facility ${facilityId}`, 404);
+    }
+
+    if (changes.permitNumber && changes.permitNumber !== permit.permit_number) {
+      const existing = await db('facility_permits')
+        .where({ facility_id: facilityId, permit_number: changes.permitNumber })
+        .first();
+
+      if (existing) {
+        throw createError(
+          `Permit ${changes.permitNumber} is already recorded (${existing.id})`,
+          409
+        );
+      }
+    }
+
+    const columns = Object.fromEntries(
+      Object.entries({
+        permit_type: changes.permitType,
+        permit_number: changes.permitNumber,
+        waste_codes: changes.wasteCodes && JSON.stringify(changes.wasteCodes),
+        processes: changes.processes && JSON.stringify(changes.processes),
+        issued_at: changes.issuedAt,
+        expires_at: changes.expiresAt && new Date(changes.expiresAt).toISOString(),
+      }).filter(([, value]) => value !== undefined)
+    );
+    const renewed = Boolean(columns.expires_at);
+
+    await db('facility_permits')
+      .where('id', permitId)
+      .update({
+        ...columns,
+        ...(renewed ? { warned_at: null, lapsed_at: null } : {}),
+        updated_by: userId,
+        updated_at: db.fn.now(),
+      });
+
+    await recordAudit({
+      eventType: 'facility_permit_update',
+      action: 'update',
+      resourceType: 'facility',
+      resourceId: facilityId,
+      traceId,
+      status: 'completed',
+      metadata: {
+        permitId,
+        permitNumber: changes.permitNumber || permit.permit_number,
+        changedFields: Object.keys(columns),
+        previousExpiresAt: new Date(permit.expires_at).toISOString(),
+        userId,
+      },
+    });
+
+    invalidateFacilityCache();
+
+    const updated = await db('facility_permits').where('id', permitId).first();
+
+    return withStatus(toFacilityPermit(updated));
+  } catch (error) {
+    logger.error(
+      { error: error.message, traceId, facilityId, permitId },
+      'Failed to update facility permit'
+    );
+    throw error;
+  }
+}
+
+async function getInFlightManifests(facilityId) {
+  const db = getDb();
+  const manifests = await db('manifests')
+    .where('facility_id', facilityId)
+    .whereIn('status', IN_FLIGHT_STATUSES)
+    .select('id', 'manifest_number', 'status', 'created_at')
+    .orderBy('created_at', 'asc');
+
+  return manifests.map((manifest) => ({
+    id: manifest.id,
+    manifestNumber: manifest.manifest_number,
+    status: manifest.status,
+  }));
+}
+
+/**
+ * Warn once about each permit expiring within 60 days, record newly lapsed permits, and list
+ * the facilities that can no longer receive new manifests with the in-flight manifests to them
+ * A facility with a current permit is not blocked; codes it accepts that no current permit
+ * covers are listed in coverageWarnings, and manifests for those codes are refused on their own.
+ */
+export async function scanFacilityPermits(options = {}) {
+  const { asOf = new Date(), traceId = `permit-scan-${Date.now()}` } = options;
+
+  logger.info({ traceId, asOf: asOf.toISOString() }, 'Scanning facility permits');
+
+  const db = getDb();
+
+  try {
+    const facilities = (await listFacilities()).filter((facility) => facility.permits.length > 0);
+    const summary = {
+      scanned: 0,
+      warnings: [],
+      coverageWarnings: [],
+      blockedFacilities: [],
+      traceId,
+    };
+
+    for (const facility of facilities) {
+      summary.scanned += facility.permits.length;
+
+      for (const permit of facility.permits) {
+        const status = getPermitStatus(permit, asOf);
+
+        if (status === 'expiring' && !permit.warnedAt) {
+          const daysUntilExpiry = Math.ceil((new Date(permit.expiresAt) - asOf) / DAY_MS);
+
+          await db('facility_permits')
+            .where('id', permit.id)
+            .update({ warned_at: asOf.toISOString() });
+          await recordAudit({
+            eventType: 'facility_permit_expiry_warning',
+            action: 'warn',
+            resourceType: 'facility',
+            resourceId: facility.id,
+            traceId,
+            status: 'completed',
+            metadata: { permitId: permit.id, permitNumber: permit.permitNumber, daysUntilExpiry },
+          });
+          logger.warn(
+            {
+              traceId,
+              facilityId: facility.id,
+              permitNumber: permit.permitNumber,
+              daysUntilExpiry,
+            },
+            'Facility permit expires soon'
+          );
+
+          summary.warnings.push({
+            facilityId: facility.id,
+            facilityName: facility.name,
+            permitId: permit.id,
+            permitNumber: permit.permitNumber,
+            expiresAt: permit.expiresAt,
+            daysUntilExpiry,
+          });
+        }
+
+        if (status === 'lapsed' && !permit.lapsedAt) {
+          await db('facility_permits')
+            .where('id', permit.id)
+            .update({ lapsed_at: asOf.toISOString() });
+          await recordAudit({
+            eventType: 'facility_permit_lapse',
+            action: 'lapse',
+            resourceType: 'facility',
+            resourceId: facility.id,
+            traceId,
+            status: 'completed',
+            metadata: { permitId: permit.id, permitNumber: permit.permitNumber },
+          });
+        }
+      }
+
+      const issues = getFacilityPermitIssues(facility, { asOf });
+
+      if (issues.length === 0) {
+        const coverageIssues = getFacilityPermitIssues(facility, {
+          wasteCodes: facility.acceptedWasteCodes,
+          asOf,
+        });
+
+        if (coverageIssues.length > 0) {
+          summary.coverageWarnings.push({
+            facilityId: facility.id,
+            facilityName: facility.name,
+            issues: coverageIssues,
+          });
+        }
+      } else {
+        const inFlightManifests = await getInFlightManifests(facility.id);
+
+        logger.warn(
+          { traceId, facilityId: facility.id, issues, inFlight: inFlightManifests.length },
+          'Facility blocked from new manifests'
+        );
+
+        summary.blockedFacilities.push({
+          facilityId: facility.id,
+          facilityName: facility.name,
+          issues,
+          inFlightManifests,
+        });
+      }
+    }
+
+    invalidateFacilityCache();
+
+    logger.info(
+      {
+        traceId,
+        scanned: summary.scanned,
+        warnings: summary.warnings.length,
+        coverageWarnings: summary.coverageWarnings.length,
+        blockedFacilities: summary.blockedFacilities.length,
+      },
+      'Facility permit scan completed'
+    );
+
+    return summary;
+  } catch (error) {
+    logger.error({ error: error.message, traceId }, 'Facility permit scan failed');
+    throw error;
+  }
+}
+
+/**
+ * Scan facility permits once a day
+ */
+export function startFacilityPermitScheduler(options = {}) {
+  return startDailyScheduler('facility permit scan', () => scanFacilityPermits(), options);
+}
@@ -0,0 +1,200 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { facilityCache } from '../utils/cache.js';
+import { TSDF_FACILITIES } from '../data/facilityData.js';
+import config from '../config/env.js';
+
+const logger = createLogger('facility-repository');
+
+const ALL_FACILITIES_KEY = 'facilities:all';
+
+/**
+ * Whether facilities come from the built-in list instead of the database
+ * Set FACILITY_OFFLINE_MODE=true to run without a facilities table, e.g. for demos.
+ */
+export function isOfflineMode() {
+  return config.FACILITY_OFFLINE_MODE === true;
+}
+
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function parseObject(value) {
+  if (!value) {
+    return {};
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function toDateString(value) {
+  if (!value) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+/**
+ * Convert a facilities row (or a built-in record, which has the same columns) to the
+ * canonical facility model every facility service returns
+ */
+export function toFacility(record) {
+  const latitude = toNumber(record.latitude);
+  const longitude = toNumber(record.longitude);
+  const maxCapacityKg = toNumber(record.max_capacity_kg);
+  const currentCapacityKg = toNumber(record.current_capacity_kg) || 0;
+  const reservedCapacityKg = toNumber(record.reserved_capacity_kg) || 0;
+
+  return {
+    id: record.id,
+    name: record.name,
+    epaId: record.epa_id,
+    address: record.address,
+    city: record.city || null,
+    state: record.state,
+    zipCode: record.zip_code || null,
+    location: latitude === null || longitude === null ? null : { lat: latitude, lng: longitude },
+    acceptedWasteCodes: parseList(record.accepted_waste_codes),
+    capabilities: parseList(record.capabilities),
+    handlingMethods: parseObject(record.handling_methods),
+    certifications: parseList(record.certifications),
+    certificationExpiry: toDateString(record.certification_expiry),
+    pricePerKg: toNumber(record.price_per_kg),
+    maxCapacityKg,
+    currentCapacityKg,
+    reservedCapacityKg,
+    availableCapacityKg:
+      maxCapacityKg === null ? null : maxCapacityKg - currentCapacityKg - reservedCapacityKg,
+    rating: toNumber(record.rating) || 0,
+    phone: record.phone || null,
+    email: record.email || null,
+    active: record.active === undefined ? true : Boolean(record.active),
+    permits: [],
+  };
+}
+
+function toTimestamp(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Convert a facility_permits row to the permit model carried on each facility
+ */
+export function toFacilityPermit(row) {
+  return {
+    id: row.id,
+    facilityId: row.facility_id,
+    permitType: row.permit_type,
+    permitNumber: row.permit_number,
+    wasteCodes: parseList(row.waste_codes),
+    processes: parseList(row.processes),
+    issuedAt: toDateString(row.issued_at),
+    expiresAt: toTimestamp(row.expires_at),
+    warnedAt: toTimestamp(row.warned_at),
+    lapsedAt: toTimestamp(row.lapsed_at),
+  };
+}
+
+async function loadFacilities() {
+  if (isOfflineMode()) {
+    return TSDF_FACILITIES.map(toFacility);
+  }
+
+  const cached = facilityCache.get(ALL_FACILITIES_KEY);
+  if (cached) {
+    return cached;
+  }
+
+  const db = getDb();
+  const rows = await db('facilities').select('*').orderBy('name', 'asc');
+  const permitRows = await db('facility_permits').select('*').orderBy('expires_at', 'asc');
+  const facilities = rows.map((row) => ({
+    ...toFacility(row),
+    permits: permitRows.filter((permit) => permit.facility_id === row.id).map(toFacilityPermit),
+  }));
+
+  facilityCache.set(ALL_FACILITIES_KEY, facilities);
+
+  return facilities;
+}
+
+/**
+ * List facilities, by default only active ones
+ * wasteCodes keeps facilities accepting every code; states keeps facilities in any of them.
+ */
+export async function listFacilities(filters = {}) {
+  const { includeInactive = false, wasteCodes = [], states = null } = filters;
+
+  try {
+    const facilities = await loadFacilities();
+
+    return facilities.filter(
+      (facility) =>
+        (includeInactive || facility.active) &&
+        wasteCodes.every((code) => facility.acceptedWasteCodes.includes(code)) &&
+        (!states || states.includes(facility.state))
+    );
+  } catch (error) {
+    logger.error({ error: error.message, offline: isOfflineMode() }, 'Failed to list facilities');
+    throw error;
+  }
+}
+
+/**
+ * Find a facility by ID, active or not, or null
+ */
+export async function findFacilityById(facilityId) {
+  const facilities = await listFacilities({ includeInactive: true });
+
+  return facilities.find((facility) => facility.id === facilityId) || null;
+}
+
+/**
+ * Find a facility by EPA ID, active or not, or null
+ */
+export async function findFacilityByEpaId(epaId) {
+  const facilities = await listFacilities({ includeInactive: true });
+
+  return facilities.find((facility) => facility.epaId === epaId) || null;
+}
+
+/**
+ * Insert or refresh facilities from records with the facilities table's columns
+ */
+export async function importFacilities(records) {
+  const db = getDb();
+  const rows = records.map((record) => ({
+    ...record,
+    accepted_waste_codes: JSON.stringify(record.accepted_waste_codes || []),
+    capabilities: JSON.stringify(record.capabilities || []),
+    handling_methods: JSON.stringify(record.handling_methods || {}),
+    certifications: JSON.stringify(record.certifications || []),
+  }));
+
+  try {
+    await db('facilities').insert(rows).onConflict('id').merge();
+    invalidateFacilityCache();
+
+    logger.info({ count: rows.length }, 'Facilities imported');
+
+    return rows.length;
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to import facilities');
+    throw error;
+  }
+}
+
+/**
+ * Drop cached facilities after any change to the facilities, facility_permits or
+ * facility_capacity_events tables
+ */
+export function invalidateFacilityCache() {
+  facilityCache.delete(ALL_FACILITIES_KEY);
+}
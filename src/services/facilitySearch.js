@@ -1,5 +1,7 @@
 import { createLogger } from '../utils/logger.js';
-import { getKnex as getDb } from '../db/connection.js';
+import { findFacilityById, listFacilities } from './facilityRepository.js';
+import { getFacilityPermitIssues } from './facilityPermits.js';
+import { getManagementMethod, getPolicyForbiddenMethods } from '../data/managementMethodCodes.js';
 
 const logger = createLogger('facility-search');
 
@@ -36,6 +38,13 @@ export function kmToMiles(km) {
   return km * 0.621371;
 }
 
+/**
+ * Check a facility has room for a quantity; one without a maximum capacity always does
+ */
+export function hasCapacityFor(facility, quantityKg) {
+  return facility.availableCapacityKg === null || facility.availableCapacityKg >= quantityKg;
+}
+
 /**
  * Search facilities by geographic location and distance
  */
@@ -55,53 +64,38 @@ export async function searchFacilitiesByLocation(options = {}) {
     throw new Error('Latitude and longitude are required for location search');
   }
 
-  const db = getDb();
-
   try {
-    // Build query with filters
-    let query = db('facilities').select('*').where('active', true);
-
-    // Filter by waste code
-    if (wasteCode) {
-      query = query.whereRaw('accepted_waste_codes @> ?', [JSON.stringify([wasteCode])]);
-    }
-
-    // Filter by state if provided
-    if (state) {
-      query = query.where('state', state);
-    }
-
-    // Filter by minimum capacity
-    if (minCapacity) {
-      query = query.whereRaw('(max_capacity_kg - current_capacity_kg) >= ?', [minCapacity]);
-    }
-
-    // Filter by minimum rating
-    if (minRating) {
-      query = query.where('rating', '>=', minRating);
-    }
-
-    const facilities = await query;
+    const facilities = await listFacilities({
+      wasteCodes: wasteCode ? [wasteCode] : [],
+      states: state ? [state] : null,
+    });
 
-    // Calculate distances and filter by max distance
+    // Calculate distances and filter by permits, capacity, rating and max distance
     const facilitiesWithDistance = facilities
+      .filter((facility) => facility.location)
+      .filter(
+        (facility) =>
+          getFacilityPermitIssues(facility, { wasteCodes: wasteCode ? [wasteCode] : [] }).length ===
+          0
+      )
+      .filter((facility) => !minCapacity || hasCapacityFor(facility, minCapacity))
+      .filter((facility) => !minRating || facility.rating >= minRating)
       .map((facility) => {
         const distance = calculateDistance(
           latitude,
           longitude,
-          parseFloat(facility.latitude),
-          parseFloat(facility.longitude)
+          facility.location.lat,
+          facility.location.lng
         );
 
         return {
           ...facility,
-          distance_km: Math.round(distance * 10) / 10,
-          distance_miles: Math.round(kmToMiles(distance) * 10) / 10,
-          available_capacity_kg: facility.max_capacity_kg - facility.current_capacity_kg,
+          distanceKm: Math.round(distance * 10) / 10,
+          distanceMiles: Math.round(kmToMiles(distance) * 10) / 10,
         };
       })
-      .filter((facility) => facility.distance_km <= maxDistanceKm)
-      .sort((a, b) => a.distance_km - b.distance_km)
+      .filter((facility) => facility.distanceKm <= maxDistanceKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm)
       .slice(0, limit);
 
     logger.info(
@@ -128,8 +122,29 @@ export async function searchFacilitiesByLocation(options = {}) {
   }
 }
 
+/**
+ * Pick the management method a facility will use for a waste code: its most preferred
+ * method that is one of requiredMethods (when given) and not one of forbiddenMethods
+ * Returns null when the facility has no such method recorded for the code.
+ */
+export function selectManagementMethod(facility, wasteCode, options = {}) {
+  const { requiredMethods = [], forbiddenMethods = [] } = options;
+  const methods = facility.handlingMethods?.[wasteCode] || [];
+
+  const code = methods.find(
+    (method) =>
+      (requiredMethods.length === 0 || requiredMethods.includes(method)) &&
+      !forbiddenMethods.includes(method)
+  );
+
+  return code ? getManagementMethod(code) : null;
+}
+
 /**
  * Find optimal facility based on multiple criteria
+ * requiredMethods and forbiddenMethods constrain the management method (H code) used for
+ * the waste, on top of the methods corporate policy forbids for it; with any constraint only
+ * facilities with a recorded method that meets them qualify.
  */
 export async function findOptimalFacility(options = {}) {
   const {
@@ -138,16 +153,32 @@ export async function findOptimalFacility(options = {}) {
     wasteCode,
     quantity_kg,
     priority = 'balanced', // 'cost', 'distance', 'rating', 'balanced'
+    requiredMethods = [],
+    forbiddenMethods = [],
   } = options;
 
-  const facilities = await searchFacilitiesByLocation({
-    latitude,
-    longitude,
-    wasteCode,
-    minCapacity: quantity_kg,
-    maxDistanceKm: 1000,
-    limit: 50,
-  });
+  const methodOptions = {
+    requiredMethods,
+    forbiddenMethods: [...new Set([...forbiddenMethods, ...getPolicyForbiddenMethods(wasteCode)])],
+  };
+  const constrained =
+    methodOptions.requiredMethods.length > 0 || methodOptions.forbiddenMethods.length > 0;
+
+  const facilities = (
+    await searchFacilitiesByLocation({
+      latitude,
+      longitude,
+      wasteCode,
+      minCapacity: quantity_kg,
+      maxDistanceKm: 1000,
+      limit: 50,
+    })
+  )
+    .map((facility) => ({
+      ...facility,
+      managementMethod: selectManagementMethod(facility, wasteCode, methodOptions),
+    }))
+    .filter((facility) => !constrained || facility.managementMethod);
 
   if (facilities.length === 0) {
     return null;
@@ -158,16 +189,16 @@ export async function findOptimalFacility(options = {}) {
     let score = 0;
 
     // Normalize values to 0-1 range for scoring
-    const maxDistance = Math.max(...facilities.map((f) => f.distance_km));
-    const maxPrice = Math.max(...facilities.map((f) => f.price_per_kg));
-    const minDistance = Math.min(...facilities.map((f) => f.distance_km));
-    const minPrice = Math.min(...facilities.map((f) => f.price_per_kg));
+    const maxDistance = Math.max(...facilities.map((f) => f.distanceKm));
+    const maxPrice = Math.max(...facilities.map((f) => f.pricePerKg));
+    const minDistance = Math.min(...facilities.map((f) => f.distanceKm));
+    const minPrice = Math.min(...facilities.map((f) => f.pricePerKg));
 
     const distanceScore =
-      1 - (facility.distance_km - minDistance) / (maxDistance - minDistance || 1);
-    const priceScore = 1 - (facility.price_per_kg - minPrice) / (maxPrice - minPrice || 1);
+      1 - (facility.distanceKm - minDistance) / (maxDistance - minDistance || 1);
+    const priceScore = 1 - (facility.pricePerKg - minPrice) / (maxPrice - minPrice || 1);
     const ratingScore = facility.rating / 5.0;
-    const capacityScore = facility.available_capacity_kg >= quantity_kg * 2 ? 1.0 : 0.7;
+    const capacityScore = hasCapacityFor(facility, quantity_kg * 2) ? 1.0 : 0.7;
 
     switch (priority) {
       case 'cost':
@@ -187,21 +218,24 @@ export async function findOptimalFacility(options = {}) {
 
     return {
       ...facility,
-      optimization_score: Math.round(score * 100) / 100,
-      estimated_cost: Math.round(facility.price_per_kg * quantity_kg * 100) / 100,
+      optimizationScore: Math.round(score * 100) / 100,
+      estimatedCost: Math.round(facility.pricePerKg * quantity_kg * 100) / 100,
     };
   });
 
   // Sort by score descending
-  scoredFacilities.sort((a, b) => b.optimization_score - a.optimization_score);
+  scoredFacilities.sort((a, b) => b.optimizationScore - a.optimizationScore);
 
   logger.info(
     {
       wasteCode,
       quantity_kg,
       priority,
+      requiredMethods: methodOptions.requiredMethods,
+      forbiddenMethods: methodOptions.forbiddenMethods,
       topFacility: scoredFacilities[0]?.id,
-      score: scoredFacilities[0]?.optimization_score,
+      score: scoredFacilities[0]?.optimizationScore,
+      managementMethod: scoredFacilities[0]?.managementMethod?.code,
     },
     'Found optimal facility'
   );
@@ -215,30 +249,13 @@ export async function findOptimalFacility(options = {}) {
 export async function getFacilitiesByWasteCode(wasteCode, options = {}) {
   const { limit = 50, offset = 0, minRating, state } = options;
 
-  const db = getDb();
-
   try {
-    let query = db('facilities')
-      .select('*')
-      .where('active', true)
-      .whereRaw('accepted_waste_codes @> ?', [JSON.stringify([wasteCode])])
-      .orderBy('rating', 'desc')
-      .limit(limit)
-      .offset(offset);
-
-    if (minRating) {
-      query = query.where('rating', '>=', minRating);
-    }
-
-    if (state) {
-      query = query.where('state', state);
-    }
-
-    const facilities = await query;
-
-    facilities.forEach((facility) => {
-      facility.available_capacity_kg = facility.max_capacity_kg - facility.current_capacity_kg;
-    });
+    const facilities = (
+      await listFacilities({ wasteCodes: [wasteCode], states: state ? [state] : null })
+    )
+      .filter((facility) => !minRating || facility.rating >= minRating)
+      .sort((a, b) => b.rating - a.rating)
+      .slice(offset, offset + limit);
 
     logger.info(
       {
@@ -262,21 +279,11 @@ export async function getFacilitiesByWasteCode(wasteCode, options = {}) {
 }
 
 /**
- * Get facility by ID with additional computed fields
+ * Get facility by ID, including inactive facilities
  */
 export async function getFacilityById(facilityId) {
-  const db = getDb();
-
   try {
-    const facility = await db('facilities').where('id', facilityId).first();
-
-    if (!facility) {
-      return null;
-    }
-
-    facility.available_capacity_kg = facility.max_capacity_kg - facility.current_capacity_kg;
-
-    return facility;
+    return await findFacilityById(facilityId);
   } catch (error) {
     logger.error(
       {
@@ -292,9 +299,9 @@ export async function getFacilityById(facilityId) {
 /**
  * Check if facility can handle waste request
  */
-export function canFacilityHandleWaste(facility, wasteCode, quantity_kg) {
-  const acceptsWasteCode = facility.accepted_waste_codes.includes(wasteCode);
-  const hasCapacity = facility.max_capacity_kg - facility.current_capacity_kg >= quantity_kg;
+export function canFacilityHandleWaste(facility, wasteCode, quantityKg) {
+  const acceptsWasteCode = facility.acceptedWasteCodes.includes(wasteCode);
+  const hasCapacity = hasCapacityFor(facility, quantityKg);
   const isActive = facility.active;
 
   return {
@@ -302,6 +309,6 @@ export function canFacilityHandleWaste(facility, wasteCode, quantity_kg) {
     acceptsWasteCode,
     hasCapacity,
     isActive,
-    availableCapacity: facility.max_capacity_kg - facility.current_capacity_kg,
+    availableCapacity: facility.availableCapacityKg,
   };
 }
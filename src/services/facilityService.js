@@ -0,0 +1,265 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { recordAudit } from './auditService.js';
+import { findFacilityById, invalidateFacilityCache, isOfflineMode } from './facilityRepository.js';
+import { randomUUID } from 'crypto';
+import { isDeepStrictEqual } from 'util';
+import { createError } from '../utils/errors.js';
+
+const logger = createLogger('facility-service');
+
+/**
+ * Values for the optional facility columns when a facility is created or replaced
+ */
+const EMPTY_FACILITY = {
+  city: null,
+  zip_code: null,
+  latitude: null,
+  longitude: null,
+  accepted_waste_codes: '[]',
+  capabilities: '[]',
+  handling_methods: '{}',
+  certification_expiry: null,
+  price_per_kg: null,
+  max_capacity_kg: null,
+  certifications: '[]',
+  rating: 0,
+  phone: null,
+  email: null,
+};
+
+/**
+ * Details a facility cannot be registered without
+ */
+const REQUIRED_FIELDS = {
+  name: 'a name',
+  epaId: 'an EPA ID',
+  address: 'an address',
+  state: 'a state',
+};
+
+/**
+ * Columns stored as JSON; the database may return them as text or already parsed
+ */
+const JSON_COLUMNS = ['accepted_waste_codes', 'capabilities', 'handling_methods', 'certifications'];
+
+function parseJsonColumn(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Check whether an update changes a column's stored value
+ */
+function isColumnChanged(column, value, previous) {
+  if (JSON_COLUMNS.includes(column)) {
+    return !isDeepStrictEqual(parseJsonColumn(value), parseJsonColumn(previous));
+  }
+  return String(value) !== String(previous);
+}
+
+/**
+ * Get a column's value as the audit trail records it, with JSON columns parsed
+ */
+function toAuditValue(column, value) {
+  return JSON_COLUMNS.includes(column) ? parseJsonColumn(value) : (value ?? null);
+}
+
+function toFacilityColumns(data) {
+  const columns = {
+    name: data.name,
+    epa_id: data.epaId,
+    address: data.address,
+    city: data.city,
+    state: data.state,
+    zip_code: data.zipCode,
+    latitude: data.latitude,
+    longitude: data.longitude,
+    accepted_waste_codes: data.acceptedWasteCodes && JSON.stringify(data.acceptedWasteCodes),
+    capabilities: data.capabilities && JSON.stringify(data.capabilities),
+    handling_methods: data.handlingMethods && JSON.stringify(data.handlingMethods),
+    certification_expiry: data.certificationExpiry,
+    price_per_kg: data.pricePerKg,
+    max_capacity_kg: data.maxCapacityKg,
+    certifications: data.certifications && JSON.stringify(data.certifications),
+    rating: data.rating,
+    phone: data.phone,
+    email: data.email,
+    active: data.active,
+  };
+
+  return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+}
+
+async function assertEpaIdAvailable(db, epaId, facilityId = null) {
+  const existing = await db('facilities')
+    .where('epa_id', epaId)
+    .whereNot('id', facilityId || '')
+    .first();
+
+  if (existing) {
+    throw createError(`Facility ${epaId} is already registered (${existing.id})`, 409);
+  }
+}
+
+function assertWritable() {
+  if (isOfflineMode()) {
+    throw createError('Facilities cannot be changed in offline mode', 409);
+  }
+}
+
+/**
+ * Add a facility to the approved vendor list
+ */
+export async function createFacility(data, options = {}) {
+  const { traceId = `facility-create-${Date.now()}`, userId = null } = options;
+
+  logger.info({ traceId, epaId: data.epaId }, 'Creating facility');
+
+  const db = getDb();
+  const facilityId = randomUUID();
+
+  try {
+    assertWritable();
+
+    const missing = Object.keys(REQUIRED_FIELDS).filter((field) => !data[field]);
+    if (missing.length > 0) {
+      throw createError(
+        `A facility needs ${missing.map((field) => REQUIRED_FIELDS[field]).join(', ')}`,
+        400
+      );
+    }
+
+    await assertEpaIdAvailable(db, data.epaId);
+
+    await db('facilities').insert({
+      id: facilityId,
+      ...EMPTY_FACILITY,
+      ...toFacilityColumns(data),
+      active: true,
+    });
+
+    await recordAudit({
+      eventType: 'facility_creation',
+      action: 'create',
+      resourceType: 'facility',
+      resourceId: facilityId,
+      traceId,
+      status: 'completed',
+      metadata: { name: data.name, epaId: data.epaId, userId },
+    });
+
+    invalidateFacilityCache();
+
+    logger.info({ traceId, facilityId }, 'Facility created');
+
+    return findFacilityById(facilityId);
+  } catch (error) {
+    logger.error({ error: error.message, traceId }, 'Failed to create facility');
+    throw error;
+  }
+}
+
+/**
+ * Change a facility's details
+ * With options.replace the fields left out are reset, as for a PUT of the whole facility.
+ */
+export async function updateFacility(facilityId, changes, options = {}) {
+  const { traceId = `facility-update-${Date.now()}`, userId = null, replace = false } = options;
+
+  logger.info({ traceId, facilityId, replace }, 'Updating facility');
+
+  const db = getDb();
+
+  try {
+    assertWritable();
+    const facility = await db('facilities').where('id', facilityId).first();
+
+    if (!facility) {
+      throw createError(`Facility not found: ${facilityId}`, 404);
+    }
+    if (changes.epaId && changes.epaId !== facility.epa_id) {
+      await assertEpaIdAvailable(db, changes.epaId, facilityId);
+    }
+
+    const columns = { ...(replace ? EMPTY_FACILITY : {}), ...toFacilityColumns(changes) };
+    const changedFields = Object.keys(columns).filter((column) =>
+      isColumnChanged(column, columns[column], facility[column])
+    );
+
+    await db('facilities')
+      .where('id', facilityId)
+      .update({ ...columns, updated_at: db.fn.now() });
+
+    await recordAudit({
+      eventType: 'facility_update',
+      action: 'update',
+      resourceType: 'facility',
+      resourceId: facilityId,
+      traceId,
+      status: 'completed',
+      metadata: {
+        changedFields,
+        changes: Object.fromEntries(
+          changedFields.map((column) => [
+            column,
+            {
+              previous: toAuditValue(column, facility[column]),
+              updated: toAuditValue(column, columns[column]),
+            },
+          ])
+        ),
+        replace,
+        userId,
+      },
+    });
+
+    invalidateFacilityCache();
+
+    return findFacilityById(facilityId);
+  } catch (error) {
+    logger.error({ error: error.message, traceId, facilityId }, 'Failed to update facility');
+    throw error;
+  }
+}
+
+/**
+ * Take a facility off the approved vendor list
+ * The row stays so manifests and waste profiles that name the facility still resolve.
+ */
+export async function deactivateFacility(facilityId, options = {}) {
+  const { traceId = `facility-deactivate-${Date.now()}`, userId = null } = options;
+
+  const db = getDb();
+
+  try {
+    assertWritable();
+    const facility = await db('facilities').where('id', facilityId).first();
+
+    if (!facility) {
+      throw createError(`Facility not found: ${facilityId}`, 404);
+    }
+
+    await db('facilities')
+      .where('id', facilityId)
+      .update({ active: false, updated_at: db.fn.now() });
+
+    await recordAudit({
+      eventType: 'facility_deactivation',
+      action: 'delete',
+      resourceType: 'facility',
+      resourceId: facilityId,
+      traceId,
+      status: 'completed',
+      metadata: { name: facility.name, epaId: facility.epa_id, userId },
+    });
+
+    invalidateFacilityCache();
+
+    logger.info({ traceId, facilityId }, 'Facility deactivated');
+
+    return findFacilityById(facilityId);
+  } catch (error) {
+    logger.error({ error: error.message, traceId, facilityId }, 'Failed to deactivate facility');
+    throw error;
+  }
+}
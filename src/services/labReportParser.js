@@ -0,0 +1,336 @@
+import { createLogger } from '../utils/logger.js';
+import { getRegulatoryLevel } from '../data/epaWasteCodes.js';
+import { findTclpCode } from './rcraRuleEngine.js';
+
+const logger = createLogger('lab-report-parser');
+
+export const SUPPORTED_FORMATS = ['csv', 'edd'];
+
+/**
+ * Column header aliases for the normalized analyte fields
+ * CSV exports use free-form headers; EDDs use the EPA EQuIS-style field names.
+ */
+const COLUMN_ALIASES = {
+  analyte: ['analyte', 'analyte_name', 'chemical_name', 'compound', 'parameter', 'constituent'],
+  casNumber: ['cas', 'cas_number', 'cas_no', 'cas_rn', 'casrn'],
+  result: ['result', 'result_value', 'concentration', 'value'],
+  unit: ['unit', 'units', 'result_unit'],
+  detectionLimit: [
+    'detection_limit',
+    'reporting_limit',
+    'reporting_detection_limit',
+    'method_detection_limit',
+    'mdl',
+    'rl',
+  ],
+  method: ['method', 'analysis_method', 'analytical_method', 'lab_anl_method_name', 'test_method'],
+  qualifier: ['qualifier', 'lab_qualifiers', 'result_qualifier'],
+  detectFlag: ['detect_flag', 'detected'],
+};
+
+/**
+ * Conversion factors to mg/L for aqueous (TCLP extract) units
+ */
+const UNIT_TO_MG_PER_L = {
+  'mg/l': 1,
+  ppm: 1,
+  'ug/l': 0.001,
+  'µg/l': 0.001,
+  ppb: 0.001,
+  'ng/l': 0.000001,
+  'g/l': 1000,
+};
+
+const NON_DETECT_VALUES = ['nd', 'n.d.', 'bdl', '<rl', '<mdl'];
+
+/**
+ * Split delimited text into rows of fields, honouring double-quoted fields
+ */
+function splitDelimited(content, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows
+    .map((fields) => fields.map((value) => value.trim()))
+    .filter((fields) => fields.some((value) => value !== ''));
+}
+
+/**
+ * Pick the delimiter for an EDD: tab or pipe, whichever the header uses
+ */
+function detectEddDelimiter(content) {
+  const header = content.split(/\r?\n/, 1)[0];
+  if (header.includes('\t')) {
+    return '\t';
+  }
+  return header.includes('|') ? '|' : ',';
+}
+
+function normalizeHeader(header) {
+  return header
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Map each normalized field to its column index in the header row
+ */
+function mapColumns(headerRow) {
+  const headers = headerRow.map(normalizeHeader);
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = headers.findIndex((header) => aliases.includes(header));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Convert a value in the given unit to mg/L
+ */
+export function convertToMgPerL(value, unit) {
+  const factor = UNIT_TO_MG_PER_L[unit?.trim().toLowerCase().replace('μ', 'µ')];
+  if (factor === undefined) {
+    return null;
+  }
+  return Math.round(value * factor * 1e9) / 1e9;
+}
+
+/**
+ * Parse a result cell such as "8.2", "<0.05", "ND" or "0.05 U"
+ */
+function parseResultValue(raw) {
+  const text = (raw || '').trim();
+
+  if (!text || NON_DETECT_VALUES.includes(text.toLowerCase())) {
+    return { value: null, qualifier: null, nonDetect: Boolean(text) };
+  }
+
+  const match = text.match(/^([<>]=?)?\s*(-?\d+(?:\.\d+)?(?:e-?\d+)?)\s*([A-Za-z*]*)$/i);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    value: parseFloat(match[2]),
+    qualifier: match[1] ? match[1].charAt(0) : null,
+    nonDetect: match[1]?.startsWith('<') || /^U/i.test(match[3] || ''),
+  };
+}
+
+/**
+ * Turn one data row into a normalized analyte, or a row error
+ */
+function parseRow(fields, columns, rowNumber) {
+  const get = (field) => (columns[field] !== undefined ? fields[columns[field]] || '' : '');
+
+  const analyte = get('analyte');
+  if (!analyte) {
+    return { error: { row: rowNumber, field: 'analyte', message: 'Analyte name is missing' } };
+  }
+
+  const result = parseResultValue(get('result'));
+  if (!result) {
+    return {
+      error: {
+        row: rowNumber,
+        field: 'result',
+        message: `Unparseable result value "${get('result')}" for ${analyte}`,
+      },
+    };
+  }
+
+  const unit = get('unit') || 'mg/L';
+  const detectionLimitRaw = get('detectionLimit');
+  let detectionLimit = detectionLimitRaw ? parseFloat(detectionLimitRaw) : null;
+
+  if (detectionLimitRaw && Number.isNaN(detectionLimit)) {
+    return {
+      error: {
+        row: rowNumber,
+        field: 'detectionLimit',
+        message: `Unparseable detection limit "${detectionLimitRaw}" for ${analyte}`,
+      },
+    };
+  }
+
+  const detectFlag = get('detectFlag').toUpperCase();
+  const qualifierText = get('qualifier').toUpperCase();
+  const detected =
+    detectFlag === 'N' || detectFlag === 'NO'
+      ? false
+      : !result.nonDetect && !qualifierText.includes('U');
+
+  // Without a detection limit column, a non-detect ("<10", "0.05 U") reports the limit the
+  // lab could detect down to
+  if (!detectionLimitRaw && !detected) {
+    detectionLimit = result.value;
+  }
+
+  const resultMgL = result.value === null ? null : convertToMgPerL(result.value, unit);
+  const detectionLimitMgL = detectionLimit === null ? null : convertToMgPerL(detectionLimit, unit);
+
+  if (convertToMgPerL(1, unit) === null) {
+    return {
+      error: {
+        row: rowNumber,
+        field: 'unit',
+        message: `Unit "${unit}" for ${analyte} cannot be converted to mg/L`,
+      },
+    };
+  }
+
+  if (resultMgL === null && detectionLimitMgL === null) {
+    return {
+      error: {
+        row: rowNumber,
+        field: 'result',
+        message: `Non-detect for ${analyte} has no detection limit`,
+      },
+    };
+  }
+
+  const casNumber = get('casNumber') || null;
+
+  return {
+    analyte: {
+      row: rowNumber,
+      analyte,
+      casNumber,
+      result: detected ? resultMgL : null,
+      unit: 'mg/L',
+      detectionLimit: detectionLimitMgL,
+      detected,
+      qualifier: detected ? result.qualifier : '<',
+      method: get('method') || null,
+      originalResult: get('result'),
+      originalUnit: unit,
+      tclpCode: findTclpCode(analyte, casNumber),
+    },
+  };
+}
+
+/**
+ * Parse a structured lab report (CSV TCLP table or EDD) into a normalized analyte list
+ * Concentrations are converted to mg/L. Rows that cannot be parsed are reported in
+ * errors with their 1-based row number (the header is row 1) and do not stop parsing.
+ */
+export function parseLabReport(content, options = {}) {
+  const { format = 'csv', traceId } = options;
+
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    throw new Error(
+      `Unsupported lab report format: ${format}. Supported: ${SUPPORTED_FORMATS.join(', ')}`
+    );
+  }
+
+  const delimiter = format === 'edd' ? detectEddDelimiter(content) : ',';
+  const rows = splitDelimited(content || '', delimiter);
+
+  if (rows.length === 0) {
+    return { format, analytes: [], errors: [{ row: 1, message: 'Lab report is empty' }] };
+  }
+
+  const columns = mapColumns(rows[0]);
+  const missing = ['analyte', 'result'].filter((field) => columns[field] === undefined);
+
+  if (missing.length > 0) {
+    return {
+      format,
+      analytes: [],
+      errors: [{ row: 1, message: `Missing required column(s): ${missing.join(', ')}` }],
+    };
+  }
+
+  const analytes = [];
+  const errors = [];
+
+  rows.slice(1).forEach((fields, index) => {
+    const parsed = parseRow(fields, columns, index + 2);
+    if (parsed.error) {
+      errors.push(parsed.error);
+    } else {
+      analytes.push(parsed.analyte);
+    }
+  });
+
+  logger.info(
+    { traceId, format, analyteCount: analytes.length, errorCount: errors.length },
+    'Lab report parsed'
+  );
+
+  return { format, analytes, errors };
+}
+
+/**
+ * Convert parsed analytes into the TCLP results evaluated by the rule engine
+ * Non-detects are reported as "<" the detection limit.
+ */
+export function toTclpResults(analytes = []) {
+  return analytes
+    .filter((analyte) => analyte.tclpCode)
+    .map((analyte) => ({
+      code: analyte.tclpCode,
+      analyte: getRegulatoryLevel(analyte.tclpCode).constituent,
+      concentrationMgL: analyte.detected ? analyte.result : analyte.detectionLimit,
+      qualifier: analyte.qualifier,
+    }));
+}
+
+/**
+ * Render parsed analytes as a plain-text table for the classification prompt
+ */
+export function formatAnalyteTable(analytes = []) {
+  const lines = analytes.map((analyte) => {
+    const value = analyte.detected
+      ? `${analyte.qualifier || ''}${analyte.result} mg/L`
+      : `ND (<${analyte.detectionLimit} mg/L)`;
+    const cas = analyte.casNumber ? ` [CAS ${analyte.casNumber}]` : '';
+    const method = analyte.method ? ` (${analyte.method})` : '';
+    return `- ${analyte.analyte}${cas}: ${value}${method}`;
+  });
+
+  return `TCLP EXTRACT RESULTS (normalized to mg/L):\n${lines.join('\n')}`;
+}
@@ -0,0 +1,377 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { recordAudit } from './auditService.js';
+import { getWasteProfileById } from './wasteProfileService.js';
+import { findFacilityById } from './facilityRepository.js';
+import {
+  CONSTITUENT_STANDARDS,
+  findConstituentStandard,
+  getTreatmentStandard,
+} from '../data/ldrTreatmentStandards.js';
+import { randomUUID } from 'crypto';
+import { createError } from '../utils/errors.js';
+
+const logger = createLogger('ldr-notices');
+
+/**
+ * A notification goes with waste that must still be treated to the standards; a
+ * certification with waste that already meets them (40 CFR 268.7(a)(2) and (a)(3))
+ */
+export const LDR_NOTICE_TYPES = ['notification', 'certification'];
+export const TREATABILITY_GROUPS = ['wastewater', 'nonwastewater'];
+
+const NOTICE_STATEMENTS = {
+  notification:
+    'This waste is subject to the land disposal restrictions of 40 CFR Part 268 and does not ' +
+    'meet the applicable treatment standards of 40 CFR 268.40. It must be treated to those ' +
+    'standards before it is land disposed.',
+  certification:
+    'I certify under penalty of law that I personally have examined and am familiar with the ' +
+    'waste through analysis and testing or through knowledge of the waste to support this ' +
+    'certification that the waste complies with the treatment standards specified in 40 CFR ' +
+    'Part 268 Subpart D. I believe that the information I submitted is true, accurate, and ' +
+    'complete. I am aware that there are significant penalties for submitting a false ' +
+    'certification, including the possibility of a fine and imprisonment.',
+};
+
+function toStandard(entry, treatabilityGroup) {
+  const standard = entry[treatabilityGroup];
+
+  if (typeof standard === 'string') {
+    return { constituent: entry.constituent, casNumber: entry.casNumber, technology: standard };
+  }
+
+  return {
+    constituent: entry.constituent,
+    casNumber: entry.casNumber,
+    concentration: standard,
+    unit: treatabilityGroup === 'wastewater' ? 'mg/L' : entry.nonwastewaterUnit || 'mg/kg',
+  };
+}
+
+/**
+ * Find the underlying hazardous constituents the profile's composition or lab results show,
+ * other than those the waste codes already regulate
+ */
+function findUnderlyingConstituents(profile, regulatedCasNumbers, treatabilityGroup) {
+  const candidates = [
+    ...(profile.chemicalComposition || []).map((chemical) => ({
+      name: chemical.name,
+      casNumber: chemical.casNumber,
+    })),
+    ...(profile.analytes || [])
+      .filter((analyte) => analyte.detected !== false)
+      .map((analyte) => ({ name: analyte.analyte, casNumber: analyte.casNumber })),
+  ];
+
+  const found = new Set(
+    candidates
+      .map((candidate) => findConstituentStandard(candidate))
+      .filter((entry) => entry && entry.uts !== false)
+      .map((entry) => entry.casNumber)
+      .filter((casNumber) => !regulatedCasNumbers.includes(casNumber))
+  );
+
+  return CONSTITUENT_STANDARDS.filter((entry) => found.has(entry.casNumber)).map((entry) =>
+    toStandard(entry, treatabilityGroup)
+  );
+}
+
+/**
+ * Build the LDR notice document for a waste profile going to a facility, or null when none
+ * of the profile's waste codes carries a treatment standard
+ * options.type is 'notification' (the default) or 'certification'; options.treatabilityGroup
+ * is 'nonwastewater' (the default) or 'wastewater'.
+ */
+export function buildLdrNotice(profile, facility, options = {}) {
+  const {
+    type = 'notification',
+    treatabilityGroup = 'nonwastewater',
+    certifiedBy = null,
+    generator = null,
+    manifestNumber = null,
+  } = options;
+
+  const codes = (profile.wasteCodes || []).map((entry) => entry.code);
+  const standards = codes.map(getTreatmentStandard).filter(Boolean);
+
+  if (standards.length === 0) {
+    return null;
+  }
+
+  const regulatedCasNumbers = standards.flatMap((standard) => standard.constituents);
+  const needsUnderlyingConstituents = standards.some(
+    (standard) => standard.underlyingHazardousConstituents
+  );
+
+  return {
+    title:
+      type === 'certification'
+        ? 'Land Disposal Restriction Certification'
+        : 'Land Disposal Restriction Notification',
+    regulation: '40 CFR 268.7(a)',
+    noticeType: type,
+    generator: generator && { name: generator.name, epaId: generator.epaId },
+    facility: {
+      id: facility.id,
+      name: facility.name,
+      epaId: facility.epaId || facility.epa_id,
+      address: facility.address,
+    },
+    manifestNumber,
+    wasteProfile: { id: profile.id, version: profile.version, wasteName: profile.wasteName },
+    treatabilityGroup,
+    wastes: standards.map((standard) => ({
+      wasteCode: standard.code,
+      description: standard.description,
+      technology: standard.technology?.[treatabilityGroup] || null,
+      constituents: standard.constituents.map((casNumber) =>
+        toStandard(findConstituentStandard({ casNumber }), treatabilityGroup)
+      ),
+      underlyingHazardousConstituentsRequired: standard.underlyingHazardousConstituents,
+    })),
+    underlyingHazardousConstituents: needsUnderlyingConstituents
+      ? findUnderlyingConstituents(profile, regulatedCasNumbers, treatabilityGroup)
+      : [],
+    wasteCodesWithoutStandards: codes.filter((code) => !getTreatmentStandard(code)),
+    statement: NOTICE_STATEMENTS[type],
+    certifiedBy: type === 'certification' ? certifiedBy : null,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+function toLdrNotice(row) {
+  return {
+    id: row.id,
+    wasteProfileId: row.waste_profile_id,
+    profileVersion: row.profile_version,
+    facilityId: row.facility_id,
+    manifestId: row.manifest_id || null,
+    noticeType: row.notice_type,
+    treatabilityGroup: row.treatability_group,
+    document: typeof row.document === 'string' ? JSON.parse(row.document) : row.document,
+    createdBy: row.created_by || null,
+    attachedAt: row.attached_at ? new Date(row.attached_at).toISOString() : null,
+  };
+}
+
+/**
+ * Generate the LDR notice for a waste profile and facility ahead of the first shipment
+ * The notice is attached to the first manifest that ships the profile's current version to
+ * the facility. Until then it can be generated again, e.g. as a certification instead.
+ */
+export async function createLdrNotice(profileId, facilityId, options = {}) {
+  const { traceId = `ldr-notice-${Date.now()}`, userId = null, type = 'notification' } = options;
+
+  logger.info({ traceId, profileId, facilityId, type }, 'Generating LDR notice');
+
+  if (!LDR_NOTICE_TYPES.includes(type)) {
+    throw createError(
+      `Invalid notice type: ${type}. Valid types: notification, certification`,
+      400
+    );
+  }
+  if (type === 'certification' && !options.certifiedBy) {
+    throw createError('A certification must name who certifies it', 400);
+  }
+
+  const db = getDb();
+
+  try {
+    const profile = await getWasteProfileById(profileId);
+
+    if (!profile) {
+      throw createError(`Waste profile not found: ${profileId}`, 404);
+    }
+
+    const facility = await findFacilityById(facilityId);
+
+    if (!facility) {
+      throw createError(`Facility not found: ${facilityId}`, 404);
+    }
+
+    const document = buildLdrNotice(profile, facility, options);
+
+    if (!document) {
+      throw createError(
+        `Waste codes ${profile.wasteCodes.map((entry) => entry.code).join(', ') || '(none)'} carry no LDR treatment standards`,
+        409
+      );
+    }
+
+    const key = {
+      waste_profile_id: profile.id,
+      profile_version: profile.version,
+      facility_id: facilityId,
+    };
+    const existing = await db('ldr_notices').where(key).first();
+
+    if (existing?.manifest_id) {
+      throw createError(
+        `The LDR notice for this profile version and facility was sent with manifest ${existing.manifest_id}`,
+        409
+      );
+    }
+
+    const columns = {
+      notice_type: type,
+      treatability_group: document.treatabilityGroup,
+      document: JSON.stringify(document),
+      created_by: userId,
+    };
+
+    if (existing) {
+      await db('ldr_notices')
+        .where('id', existing.id)
+        .update({ ...columns, updated_at: db.fn.now() });
+    } else {
+      await db('ldr_notices').insert({ id: randomUUID(), ...key, ...columns });
+    }
+
+    const row = await db('ldr_notices').where(key).first();
+
+    await recordAudit({
+      eventType: 'ldr_notice_generation',
+      action: existing ? 'update' : 'create',
+      resourceType: 'waste_profile',
+      resourceId: profile.id,
+      traceId,
+      status: 'completed',
+      metadata: {
+        noticeId: row.id,
+        noticeType: type,
+        facilityId,
+        profileVersion: profile.version,
+        wasteCodes: document.wastes.map((waste) => waste.wasteCode),
+        userId,
+      },
+    });
+
+    return toLdrNotice(row);
+  } catch (error) {
+    logger.error(
+      { error: error.message, traceId, profileId, facilityId },
+      'Failed to generate LDR notice'
+    );
+    throw error;
+  }
+}
+
+/**
+ * List a waste profile's LDR notices, newest first
+ */
+export async function getLdrNotices(profileId) {
+  const db = getDb();
+  const rows = await db('ldr_notices')
+    .where('waste_profile_id', profileId)
+    .orderBy('created_at', 'desc');
+
+  return rows.map(toLdrNotice);
+}
+
+/**
+ * Get the LDR notices attached to each of the given manifests
+ */
+export async function getLdrNoticesByManifest(manifestIds) {
+  const db = getDb();
+  const rows = await db('ldr_notices').whereIn('manifest_id', manifestIds);
+  const byManifest = new Map();
+
+  for (const row of rows) {
+    const notices = byManifest.get(row.manifest_id) || [];
+    notices.push(toLdrNotice(row));
+    byManifest.set(row.manifest_id, notices);
+  }
+
+  return byManifest;
+}
+
+/**
+ * Attach LDR notices to a new manifest for each profile it is the first shipment of
+ * A notice generated in advance is attached as it is; otherwise a notification is generated.
+ * Profiles whose notice went with an earlier manifest, or whose waste codes carry no
+ * treatment standards, get none.
+ */
+export async function attachLdrNotices(trx, shipment) {
+  const { manifestId, manifestNumber, facility, generator, profiles } = shipment;
+  const attachedAt = new Date().toISOString();
+  const attached = [];
+
+  for (const profile of profiles) {
+    const key = {
+      waste_profile_id: profile.id,
+      profile_version: profile.version,
+      facility_id: facility.id,
+    };
+    const existing = await trx('ldr_notices').where(key).first();
+
+    if (existing?.manifest_id) {
+      continue;
+    }
+
+    if (existing) {
+      const document = {
+        ...toLdrNotice(existing).document,
+        generator: { name: generator.name, epaId: generator.epaId },
+        manifestNumber,
+      };
+
+      await trx('ldr_notices')
+        .where('id', existing.id)
+        .update({
+          manifest_id: manifestId,
+          attached_at: attachedAt,
+          document: JSON.stringify(document),
+          updated_at: trx.fn.now(),
+        });
+      attached.push(
+        toLdrNotice({ ...existing, manifest_id: manifestId, attached_at: attachedAt, document })
+      );
+      continue;
+    }
+
+    const document = buildLdrNotice(profile, facility, { generator, manifestNumber });
+
+    if (!document) {
+      continue;
+    }
+
+    const row = {
+      id: randomUUID(),
+      ...key,
+      manifest_id: manifestId,
+      notice_type: document.noticeType,
+      treatability_group: document.treatabilityGroup,
+      document: JSON.stringify(document),
+      attached_at: attachedAt,
+    };
+
+    await trx('ldr_notices').insert(row);
+    attached.push(toLdrNotice(row));
+  }
+
+  return attached;
+}
+
+/**
+ * Release the LDR notices a manifest carried, for a manifest that is cancelled or deleted
+ * before the waste ships; the next manifest for each stream carries them instead.
+ */
+export async function detachLdrNotices(trx, manifestId) {
+  const rows = await trx('ldr_notices').where('manifest_id', manifestId);
+
+  for (const row of rows) {
+    const document = { ...toLdrNotice(row).document, manifestNumber: null };
+
+    await trx('ldr_notices')
+      .where('id', row.id)
+      .update({
+        manifest_id: null,
+        attached_at: null,
+        document: JSON.stringify(document),
+        updated_at: trx.fn.now(),
+      });
+  }
+
+  return rows.map((row) => toLdrNotice({ ...row, manifest_id: null, attached_at: null }));
+}
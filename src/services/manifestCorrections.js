@@ -0,0 +1,523 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { recordAudit } from './auditService.js';
+import { randomUUID } from 'crypto';
+import {
+  buildLineItem,
+  findUnapprovedLineCodes,
+  getGeneratorState,
+  getManifestById,
+  loadAcceptedProfile,
+  resolveTransporter,
+} from './manifestGenerator.js';
+import { getWasteProfileById } from './wasteProfileService.js';
+import { validateLineItems } from './manifestLineItems.js';
+import { adjustCapacity, getManifestQuantityKg } from './facilityCapacity.js';
+import { findFacilityById, invalidateFacilityCache } from './facilityRepository.js';
+import { assertFacilityPermitted } from './facilityPermits.js';
+import { createError } from '../utils/errors.js';
+
+const logger = createLogger('manifest-corrections');
+
+/**
+ * Fields that can be corrected once a manifest has left draft, by section
+ */
+export const CORRECTABLE_FIELDS = {
+  generator: ['name', 'epaId', 'address', 'contactName', 'contactPhone', 'emergencyPhone'],
+  transporters: ['name', 'epaId'],
+  facility: ['name', 'epaId', 'address'],
+  lineItems: ['containerCount', 'containerType', 'quantity', 'unit', 'wasteCodes'],
+};
+
+const PARTY_SECTIONS = ['generator', 'facility'];
+
+function pick(source, fields) {
+  return Object.fromEntries(fields.map((field) => [field, source?.[field] ?? null]));
+}
+
+/**
+ * Take the correctable fields of a stored manifest
+ */
+function takeSnapshot(manifest, lineRows, transporterRows) {
+  const routeDetails = JSON.parse(manifest.route_details);
+
+  return {
+    generator: pick(routeDetails.generator, CORRECTABLE_FIELDS.generator),
+    transporters: transporterRows.map((row) => ({
+      index: row.transporter_index,
+      name: row.name,
+      epaId: row.epa_id,
+    })),
+    facility: pick(routeDetails.facility, CORRECTABLE_FIELDS.facility),
+    lineItems: lineRows.map((row) => ({
+      lineNumber: row.line_number,
+      containerCount: row.container_count,
+      containerType: row.container_type,
+      quantity: Number(row.quantity),
+      unit: row.unit,
+      wasteCodes: JSON.parse(row.waste_codes) || [],
+    })),
+  };
+}
+
+function checkFields(section, values, label = section) {
+  const unknown = Object.keys(values).filter(
+    (field) => !CORRECTABLE_FIELDS[section].includes(field)
+  );
+
+  if (unknown.length > 0) {
+    throw createError(`${label} cannot correct ${unknown.join(', ')}`, 400);
+  }
+}
+
+/**
+ * Apply requested corrections to a snapshot, returning the corrected snapshot
+ */
+function applyCorrections(snapshot, corrections) {
+  const corrected = { ...snapshot };
+
+  for (const section of PARTY_SECTIONS) {
+    if (corrections[section]) {
+      checkFields(section, corrections[section]);
+      corrected[section] = { ...snapshot[section], ...corrections[section] };
+    }
+  }
+
+  corrected.transporters = snapshot.transporters.map((transporter) => ({ ...transporter }));
+  for (const { index, ...values } of corrections.transporters || []) {
+    const transporter = corrected.transporters.find((candidate) => candidate.index === index);
+
+    if (!transporter) {
+      throw createError(`Manifest has no transporter at index ${index}`, 400);
+    }
+    checkFields('transporters', values, `Transporter ${index + 1}`);
+    Object.assign(transporter, values);
+  }
+
+  corrected.lineItems = snapshot.lineItems.map((line) => ({ ...line }));
+  for (const { lineNumber, ...values } of corrections.lineItems || []) {
+    const line = corrected.lineItems.find((candidate) => candidate.lineNumber === lineNumber);
+
+    if (!line) {
+      throw createError(`Manifest has no line ${lineNumber}`, 400);
+    }
+    checkFields('lineItems', values, `Line ${lineNumber}`);
+    Object.assign(line, values);
+  }
+
+  return corrected;
+}
+
+/**
+ * List the fields that differ between two snapshots as { field, previous, corrected }
+ */
+export function diffSnapshots(previous, corrected) {
+  const changes = [];
+  const compare = (field, before, after) => {
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field, previous: before, corrected: after });
+    }
+  };
+
+  for (const section of PARTY_SECTIONS) {
+    for (const field of CORRECTABLE_FIELDS[section]) {
+      compare(`${section}.${field}`, previous[section][field], corrected[section][field]);
+    }
+  }
+
+  previous.transporters.forEach((transporter, index) => {
+    for (const field of CORRECTABLE_FIELDS.transporters) {
+      compare(
+        `transporters[${transporter.index}].${field}`,
+        transporter[field],
+        corrected.transporters[index][field]
+      );
+    }
+  });
+
+  previous.lineItems.forEach((line, index) => {
+    for (const field of CORRECTABLE_FIELDS.lineItems) {
+      compare(
+        `lineItems[${line.lineNumber}].${field}`,
+        line[field],
+        corrected.lineItems[index][field]
+      );
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Rebuild corrected lines, regenerating the DOT description from the line's waste profile
+ * A line whose waste codes change must still carry a profile the facility has accepted.
+ */
+async function rebuildLines(lineRows, corrected, changes, facilityId, traceId) {
+  const lines = [];
+
+  for (const row of lineRows.filter((entry) => changes.lineNumbers.has(entry.line_number))) {
+    const values = corrected.lineItems.find((line) => line.lineNumber === row.line_number);
+    const recoded = changes.recodedLineNumbers.has(row.line_number);
+    let profile = null;
+
+    if (row.waste_profile_id) {
+      profile =
+        recoded && facilityId
+          ? await loadAcceptedProfile(row.waste_profile_id, facilityId)
+          : await getWasteProfileById(row.waste_profile_id);
+    }
+
+    if (profile) {
+      lines.push({ row, profile, ...buildLineItem(values, profile, row.line_number, traceId) });
+    } else {
+      lines.push({
+        row,
+        ...values,
+        hazardousMaterial: Boolean(row.hazardous_material),
+        dotDescription: JSON.parse(row.dot_description),
+      });
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Get the numbers of the lines a list of changes touches, or only those whose field changed
+ */
+function getChangedLineNumbers(changes, field = null) {
+  return new Set(
+    changes
+      .map((change) => change.field.match(/^lineItems\[(\d+)\]\.(\w+)$/))
+      .filter((match) => match && (!field || match[2] === field))
+      .map((match) => Number(match[1]))
+  );
+}
+
+function formatRevision(row) {
+  return {
+    revisionNumber: row.revision_number,
+    current: Boolean(row.is_current),
+    changes: JSON.parse(row.changes),
+    snapshot: JSON.parse(row.snapshot),
+    reason: row.reason,
+    correctedBy: row.corrected_by,
+    correctedAt: row.created_at,
+  };
+}
+
+/**
+ * Correct a manifest after it has left draft
+ * The correction becomes a new current revision holding the diff of the changed fields, who
+ * made it and why; earlier revisions are kept. Pass `revision` to reject corrections made
+ * against a stale copy.
+ */
+export async function correctManifest(manifestId, correction, options = {}) {
+  const { corrections = {}, reason, correctedBy, revision } = correction;
+  const { traceId = `manifest-correction-${Date.now()}` } = options;
+
+  logger.info({ traceId, manifestId, correctedBy }, 'Correcting manifest');
+
+  if (!reason || !correctedBy) {
+    throw createError('A correction needs a reason and the name of who made it', 400);
+  }
+
+  const db = getDb();
+
+  try {
+    const manifest = await db('manifests').where('id', manifestId).first();
+
+    if (!manifest) {
+      throw createError(`Manifest not found: ${manifestId}`, 404);
+    }
+    if (['draft', 'cancelled'].includes(manifest.status)) {
+      throw createError(
+        `Manifest ${manifest.manifest_number} is ${manifest.status}; only submitted manifests are corrected`,
+        409
+      );
+    }
+    if (revision !== undefined && Number(revision) !== manifest.revision_number) {
+      throw createError(
+        `Manifest ${manifest.manifest_number} has been corrected: expected revision ${revision}, current revision ${manifest.revision_number}`,
+        409
+      );
+    }
+
+    const lineRows = await db('manifest_line_items')
+      .where('manifest_id', manifestId)
+      .orderBy('line_number', 'asc');
+    const transporterRows = await db('manifest_transporters')
+      .where('manifest_id', manifestId)
+      .orderBy('transporter_index', 'asc');
+
+    const previous = takeSnapshot(manifest, lineRows, transporterRows);
+    const corrected = applyCorrections(previous, corrections);
+    const changes = diffSnapshots(previous, corrected);
+
+    if (changes.length === 0) {
+      throw createError('The correction does not change any field', 400);
+    }
+
+    const lineChanges = {
+      lineNumbers: getChangedLineNumbers(changes),
+      recodedLineNumbers: getChangedLineNumbers(changes, 'wasteCodes'),
+    };
+    const lines = await rebuildLines(
+      lineRows,
+      corrected,
+      lineChanges,
+      manifest.facility_id,
+      traceId
+    );
+    const lineErrors = lines.length > 0 ? validateLineItems(lines) : [];
+
+    if (lineErrors.length > 0) {
+      throw createError(`Invalid manifest line items: ${lineErrors.join('; ')}`, 400);
+    }
+
+    // Corrected waste codes must be on the line's profile, accepted by the facility and covered
+    // by its permits, as on a new manifest
+    const recodedLines = lines.filter((line) =>
+      lineChanges.recodedLineNumbers.has(line.row.line_number)
+    );
+    if (recodedLines.length > 0 && manifest.facility_id) {
+      await assertFacilityPermitted(manifest.facility_id, [
+        ...new Set(recodedLines.flatMap((line) => line.wasteCodes)),
+      ]);
+
+      const facility = await findFacilityById(manifest.facility_id);
+      const codeIssues = recodedLines.flatMap((line) =>
+        findUnapprovedLineCodes(line, line.profile, facility)
+      );
+      if (codeIssues.length > 0) {
+        throw createError(
+          `Waste codes not approved for this shipment: ${codeIssues.join('; ')}`,
+          409
+        );
+      }
+    }
+
+    // Corrected transporters must be registered and permitted for the shipment, as on a new
+    // manifest
+    const changedTransporters = corrected.transporters.filter(
+      (transporter, index) =>
+        JSON.stringify(transporter) !== JSON.stringify(previous.transporters[index])
+    );
+    const carriers = new Map();
+
+    if (changedTransporters.length > 0) {
+      const facility = manifest.facility_id ? await findFacilityById(manifest.facility_id) : null;
+      const permit = {
+        states: [
+          ...new Set([getGeneratorState(corrected.generator), facility?.state].filter(Boolean)),
+        ],
+        hazardous: lineRows.some(
+          (row) =>
+            lines.find((line) => line.row.id === row.id)?.hazardousMaterial ??
+            Boolean(row.hazardous_material)
+        ),
+      };
+
+      for (const transporter of changedTransporters) {
+        const row = transporterRows.find((entry) => entry.transporter_index === transporter.index);
+        const carrier = await resolveTransporter(
+          { epaId: transporter.epaId, vehicleType: row.vehicle_type },
+          transporter.index,
+          permit
+        );
+        carriers.set(transporter.index, carrier);
+      }
+    }
+
+    const revisionNumber = manifest.revision_number + 1;
+    const timestamp = new Date().toISOString();
+
+    const capacityChange = await db.transaction(async (trx) => {
+      // The trail and route are rewritten from the row as it stands in this transaction, so
+      // status changes made since the checks above are kept
+      const current = await trx('manifests').where('id', manifestId).first();
+
+      if (current.revision_number !== manifest.revision_number) {
+        throw createError(`Manifest ${manifest.manifest_number} was corrected concurrently`, 409);
+      }
+      if (current.status === 'cancelled') {
+        throw createError(`Manifest ${manifest.manifest_number} was cancelled`, 409);
+      }
+
+      const routeDetails = JSON.parse(current.route_details);
+      const auditTrail = JSON.parse(current.audit_trail);
+      auditTrail.push({
+        timestamp,
+        action: 'manifest_corrected',
+        actor: correctedBy,
+        details: { traceId, revision: revisionNumber, reason, changes },
+      });
+
+      const updated = await trx('manifests')
+        .where({ id: manifestId, revision_number: manifest.revision_number })
+        .update({
+          route_details: JSON.stringify({
+            ...routeDetails,
+            generator: { ...routeDetails.generator, ...corrected.generator },
+            facility: { ...routeDetails.facility, ...corrected.facility },
+          }),
+          transporter_name: corrected.transporters[0]?.name ?? current.transporter_name,
+          transporter_epa_id: corrected.transporters[0]?.epaId ?? current.transporter_epa_id,
+          revision_number: revisionNumber,
+          audit_trail: JSON.stringify(auditTrail),
+          updated_at: trx.fn.now(),
+        });
+
+      if (updated === 0) {
+        throw createError(`Manifest ${manifest.manifest_number} was corrected concurrently`, 409);
+      }
+
+      // The first correction also records the manifest as originally submitted
+      const [{ count }] = await trx('manifest_revisions')
+        .where('manifest_id', manifestId)
+        .count({ count: '*' });
+
+      if (Number(count) === 0) {
+        await trx('manifest_revisions').insert({
+          id: randomUUID(),
+          manifest_id: manifestId,
+          revision_number: manifest.revision_number,
+          is_current: false,
+          snapshot: JSON.stringify(previous),
+          changes: JSON.stringify([]),
+          created_at: manifest.created_at,
+        });
+      }
+
+      await trx('manifest_revisions')
+        .where('manifest_id', manifestId)
+        .update({ is_current: false });
+
+      await trx('manifest_revisions').insert({
+        id: randomUUID(),
+        manifest_id: manifestId,
+        revision_number: revisionNumber,
+        is_current: true,
+        snapshot: JSON.stringify(corrected),
+        changes: JSON.stringify(changes),
+        reason,
+        corrected_by: correctedBy,
+      });
+
+      for (const transporter of changedTransporters) {
+        const carrier = carriers.get(transporter.index);
+        await trx('manifest_transporters')
+          .where({ manifest_id: manifestId, transporter_index: transporter.index })
+          .update({
+            transporter_id: carrier.transporterId,
+            name: transporter.name,
+            epa_id: transporter.epaId,
+            vehicle_type: carrier.vehicleType,
+            updated_at: trx.fn.now(),
+          });
+      }
+
+      const previousKg = await getManifestQuantityKg(trx, manifestId);
+      for (const line of lines) {
+        await trx('manifest_line_items')
+          .where('id', line.row.id)
+          .update({
+            container_count: line.containerCount,
+            container_type: line.containerType,
+            quantity: line.quantity,
+            unit: line.unit,
+            waste_codes: JSON.stringify(line.wasteCodes),
+            hazardous_material: line.hazardousMaterial,
+            dot_description: JSON.stringify(line.dotDescription),
+          });
+      }
+
+      // A corrected quantity or unit moves the facility booking by the difference
+      return adjustCapacity(trx, manifestId, previousKg, {
+        reason: `manifest corrected to revision ${revisionNumber}`,
+      });
+    });
+
+    if (capacityChange) {
+      invalidateFacilityCache();
+    }
+
+    await recordAudit({
+      eventType: 'manifest_correction',
+      action: 'update',
+      resourceType: 'manifest',
+      resourceId: manifestId,
+      traceId,
+      status: 'completed',
+      metadata: {
+        manifestNumber: manifest.manifest_number,
+        previousRevision: manifest.revision_number,
+        revision: revisionNumber,
+        changedFields: changes.map((change) => change.field),
+        reason,
+        correctedBy,
+        capacityChange,
+      },
+    });
+
+    logger.info({ traceId, manifestId, revision: revisionNumber }, 'Manifest corrected');
+
+    const [current] = await getManifestRevisions(manifestId, { revisionNumber });
+    return { revision: current, manifest: await getManifestById(manifestId) };
+  } catch (error) {
+    logger.error({ error: error.message, traceId, manifestId }, 'Failed to correct manifest');
+    throw error;
+  }
+}
+
+/**
+ * Get a manifest's revisions, oldest first, with the current one flagged
+ * A manifest that has never been corrected has a single current revision.
+ */
+export async function getManifestRevisions(manifestId, options = {}) {
+  const { revisionNumber } = options;
+  const db = getDb();
+
+  try {
+    const manifest = await db('manifests').where('id', manifestId).first();
+
+    if (!manifest) {
+      throw createError(`Manifest not found: ${manifestId}`, 404);
+    }
+
+    let query = db('manifest_revisions')
+      .where('manifest_id', manifestId)
+      .orderBy('revision_number', 'asc');
+    if (revisionNumber) {
+      query = query.where('revision_number', revisionNumber);
+    }
+
+    const rows = await query;
+
+    if (rows.length === 0 && manifest.revision_number === 1) {
+      const lineRows = await db('manifest_line_items')
+        .where('manifest_id', manifestId)
+        .orderBy('line_number', 'asc');
+      const transporterRows = await db('manifest_transporters')
+        .where('manifest_id', manifestId)
+        .orderBy('transporter_index', 'asc');
+
+      return [
+        {
+          revisionNumber: 1,
+          current: true,
+          changes: [],
+          snapshot: takeSnapshot(manifest, lineRows, transporterRows),
+          reason: null,
+          correctedBy: null,
+          correctedAt: manifest.created_at,
+        },
+      ];
+    }
+
+    return rows.map(formatRevision);
+  } catch (error) {
+    logger.error({ error: error.message, manifestId }, 'Failed to get manifest revisions');
+    throw error;
+  }
+}
@@ -0,0 +1,600 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { recordAudit } from './auditService.js';
+import { randomUUID } from 'crypto';
+import { getManifestById, toTransporterRow } from './manifestGenerator.js';
+import { allocateTrackingNumber } from './manifestTrackingNumbers.js';
+import { releaseCapacity } from './facilityCapacity.js';
+import { findFacilityById, invalidateFacilityCache } from './facilityRepository.js';
+import { assertFacilityPermitted } from './facilityPermits.js';
+import { getTotalQuantityKg } from './manifestLineItems.js';
+import { createError } from '../utils/errors.js';
+
+const logger = createLogger('manifest-discrepancies');
+
+/**
+ * Discrepancy indications of Form 8700-22 item 18a
+ */
+export const DISCREPANCY_TYPES = ['quantity', 'type', 'partial_rejection', 'full_rejection'];
+
+/**
+ * Container types shipped as bulk: cargo tanks, tank cars, portable tanks, hopper cars and
+ * dump trucks. Bulk quantities may vary by up to 10% before it is a discrepancy; any
+ * difference in a container count is one (40 CFR 264.72(b)).
+ */
+export const BULK_CONTAINER_TYPES = ['TT', 'TC', 'TP', 'HG', 'DT'];
+export const BULK_VARIANCE_PERCENT = 10;
+
+export const REJECTION_TYPES = ['full', 'partial'];
+export const REJECTION_DESTINATIONS = ['alternate_facility', 'generator'];
+
+function toLine(row) {
+  return {
+    lineNumber: row.line_number,
+    containers: { count: row.container_count, type: row.container_type },
+    quantity: Number(row.quantity),
+    unit: row.unit,
+    wasteCodes: JSON.parse(row.waste_codes) || [],
+  };
+}
+
+function toQuantity(containerCount, containerType, quantity, unit) {
+  return { containerCount, containerType, quantity, unit };
+}
+
+/**
+ * Compare what the facility received on a line with what was manifested
+ * Received quantities are in the line's unit of measure. Returns the significant
+ * discrepancies as { type, manifested, received, variancePercent, description }.
+ */
+export function findLineDiscrepancies(line, received) {
+  const manifested = toQuantity(
+    line.containers.count,
+    line.containers.type,
+    line.quantity,
+    line.unit
+  );
+  const actual = toQuantity(
+    received.containerCount ?? manifested.containerCount,
+    received.containerType ?? manifested.containerType,
+    received.quantity ?? manifested.quantity,
+    line.unit
+  );
+  const discrepancies = [];
+
+  if (BULK_CONTAINER_TYPES.includes(line.containers.type)) {
+    const variancePercent =
+      Math.round((Math.abs(actual.quantity - manifested.quantity) / manifested.quantity) * 10000) /
+      100;
+
+    if (variancePercent > BULK_VARIANCE_PERCENT) {
+      discrepancies.push({
+        type: 'quantity',
+        manifested,
+        received: actual,
+        variancePercent,
+        description:
+          `Received ${actual.quantity} ${line.unit} against ${manifested.quantity} ${line.unit} ` +
+          `manifested (${variancePercent}% variance)`,
+      });
+    }
+  } else if (actual.containerCount !== manifested.containerCount) {
+    discrepancies.push({
+      type: 'quantity',
+      manifested,
+      received: actual,
+      variancePercent: null,
+      description:
+        `Received ${actual.containerCount} ${line.containers.type} containers against ` +
+        `${manifested.containerCount} manifested`,
+    });
+  }
+
+  const unlistedCodes = (received.wasteCodes || []).filter(
+    (code) => !line.wasteCodes.includes(code)
+  );
+
+  if (unlistedCodes.length > 0 || received.typeDescription) {
+    discrepancies.push({
+      type: 'type',
+      manifested: { ...manifested, wasteCodes: line.wasteCodes },
+      received: { ...actual, wasteCodes: received.wasteCodes || line.wasteCodes },
+      variancePercent: null,
+      description: [
+        received.typeDescription,
+        unlistedCodes.length > 0 && `Waste codes not on the manifest: ${unlistedCodes.join(', ')}`,
+      ]
+        .filter(Boolean)
+        .join('. '),
+    });
+  }
+
+  return discrepancies;
+}
+
+function toDiscrepancyRow(manifestId, lineNumber, discrepancy, reportedBy, referenceManifestId) {
+  return {
+    id: randomUUID(),
+    manifest_id: manifestId,
+    line_number: lineNumber,
+    discrepancy_type: discrepancy.type,
+    manifested: JSON.stringify(discrepancy.manifested),
+    received: JSON.stringify(discrepancy.received),
+    variance_percent: discrepancy.variancePercent,
+    description: discrepancy.description,
+    reference_manifest_id: referenceManifestId || null,
+    reported_by: reportedBy,
+  };
+}
+
+async function loadDeliveredManifest(db, manifestId) {
+  const manifest = await db('manifests').where('id', manifestId).first();
+
+  if (!manifest) {
+    throw createError(`Manifest not found: ${manifestId}`, 404);
+  }
+  if (manifest.status !== 'delivered') {
+    throw createError(
+      `Manifest ${manifest.manifest_number} is ${manifest.status}; discrepancies are recorded on delivery`,
+      409
+    );
+  }
+
+  const lineRows = await db('manifest_line_items')
+    .where('manifest_id', manifestId)
+    .orderBy('line_number', 'asc');
+
+  return { manifest, lineRows };
+}
+
+function findLineRow(lineRows, lineNumber) {
+  const row = lineRows.find((candidate) => candidate.line_number === lineNumber);
+
+  if (!row) {
+    throw createError(`Manifest has no line ${lineNumber}`, 400);
+  }
+  return row;
+}
+
+/**
+ * Record what the designated facility found when it inspected a delivered load
+ * Only significant discrepancies are stored; they are returned along with the manifest.
+ */
+export async function recordDiscrepancies(manifestId, inspection, options = {}) {
+  const { lines = [], reportedBy } = inspection;
+  const { traceId = `discrepancy-${Date.now()}` } = options;
+
+  logger.info({ traceId, manifestId, lineCount: lines.length }, 'Recording manifest discrepancies');
+
+  const db = getDb();
+
+  try {
+    const recorded = await db.transaction(async (trx) => {
+      const { manifest, lineRows } = await loadDeliveredManifest(trx, manifestId);
+
+      const found = lines.flatMap((received) =>
+        findLineDiscrepancies(toLine(findLineRow(lineRows, received.lineNumber)), received).map(
+          (discrepancy) => ({ ...discrepancy, lineNumber: received.lineNumber })
+        )
+      );
+
+      if (found.length === 0) {
+        return found;
+      }
+
+      await trx('manifest_discrepancies').insert(
+        found.map((discrepancy) =>
+          toDiscrepancyRow(manifestId, discrepancy.lineNumber, discrepancy, reportedBy)
+        )
+      );
+
+      const auditTrail = JSON.parse(manifest.audit_trail);
+      auditTrail.push({
+        timestamp: new Date().toISOString(),
+        action: 'discrepancy_recorded',
+        actor: reportedBy,
+        details: {
+          traceId,
+          discrepancies: found.map(({ lineNumber, type, description }) => ({
+            lineNumber,
+            type,
+            description,
+          })),
+        },
+      });
+
+      await trx('manifests')
+        .where('id', manifestId)
+        .update({ audit_trail: JSON.stringify(auditTrail), updated_at: trx.fn.now() });
+
+      return found;
+    });
+
+    if (recorded.length > 0) {
+      await recordAudit({
+        eventType: 'manifest_discrepancy',
+        action: 'create',
+        resourceType: 'manifest',
+        resourceId: manifestId,
+        traceId,
+        status: 'completed',
+        metadata: {
+          reportedBy,
+          types: [...new Set(recorded.map((discrepancy) => discrepancy.type))],
+          lines: recorded.map((discrepancy) => discrepancy.lineNumber),
+        },
+      });
+    }
+
+    return { recorded: recorded.length, manifest: await getManifestById(manifestId) };
+  } catch (error) {
+    logger.error({ error: error.message, traceId, manifestId }, 'Failed to record discrepancies');
+    throw error;
+  }
+}
+
+/**
+ * Get how much of each line the facility has not yet rejected
+ * Each rejection records what is left of the line after it as received.
+ */
+async function getUnrejectedLines(trx, manifestId, lineRows) {
+  const rejections = await trx('manifest_discrepancies')
+    .where('manifest_id', manifestId)
+    .whereIn(
+      'discrepancy_type',
+      REJECTION_TYPES.map((type) => `${type}_rejection`)
+    );
+
+  return lineRows.map((row) => {
+    const left = rejections
+      .filter((rejection) => rejection.line_number === row.line_number)
+      .map((rejection) => JSON.parse(rejection.received));
+
+    return {
+      row,
+      containerCount: Math.min(row.container_count, ...left.map((entry) => entry.containerCount)),
+      quantity: Math.min(Number(row.quantity), ...left.map((entry) => entry.quantity)),
+    };
+  });
+}
+
+/**
+ * Work out which lines and how much of each are rejected, out of what earlier rejections left
+ * A full rejection takes the rest of every line; a partial rejection takes the listed lines,
+ * whole, or in part when both the containers and the quantity rejected are given.
+ */
+function getRejectedLines(type, requestedLines, unrejectedLines) {
+  if (type === 'full') {
+    const rejectedLines = unrejectedLines
+      .filter((line) => line.containerCount > 0 || line.quantity > 0)
+      .map((line) => ({ ...line, left: line }));
+
+    if (rejectedLines.length === 0) {
+      throw createError('Earlier rejections already returned every line of this manifest', 409);
+    }
+
+    return rejectedLines;
+  }
+
+  if (requestedLines.length === 0) {
+    throw createError('A partial rejection must list the rejected lines', 400);
+  }
+
+  const seenRows = new Set();
+
+  return requestedLines.map((requested) => {
+    const row = findLineRow(
+      unrejectedLines.map((line) => line.row),
+      requested.lineNumber
+    );
+
+    // Each line is checked against what is left of it, so it may only be listed once
+    if (seenRows.has(row)) {
+      throw createError(`Line ${row.line_number} is listed more than once`, 400);
+    }
+    seenRows.add(row);
+
+    const left = unrejectedLines.find((line) => line.row === row);
+
+    if ((requested.containerCount === undefined) !== (requested.quantity === undefined)) {
+      throw createError(
+        `Line ${row.line_number}: give both the containers and the quantity rejected, or ` +
+          'neither to reject the whole line',
+        400
+      );
+    }
+
+    const containerCount = requested.containerCount ?? left.containerCount;
+    const quantity = requested.quantity ?? left.quantity;
+
+    if (containerCount > left.containerCount || quantity > left.quantity) {
+      throw createError(
+        `Line ${row.line_number}: cannot reject more than the ${left.containerCount} ` +
+          `containers and ${left.quantity} ${row.unit} not already rejected`,
+        400
+      );
+    }
+
+    return { row, containerCount, quantity, left };
+  });
+}
+
+/**
+ * Load the alternate facility from the facility list by its ID
+ * As for a new manifest's designated facility, its permits must cover the codes of the
+ * rejected lines.
+ */
+async function loadAlternateFacility(manifestId, type, lines, facility) {
+  if (!facility?.id) {
+    throw createError('An alternate facility must be chosen from the facility list by its ID', 400);
+  }
+
+  const db = getDb();
+  const lineRows = await db('manifest_line_items').where('manifest_id', manifestId);
+  const rejectedLineNumbers = lines.map((line) => line.lineNumber);
+  const wasteCodes = lineRows
+    .filter((row) => type === 'full' || rejectedLineNumbers.includes(row.line_number))
+    .flatMap((row) => JSON.parse(row.waste_codes) || []);
+
+  await assertFacilityPermitted(facility.id, [...new Set(wasteCodes)]);
+  return findFacilityById(facility.id);
+}
+
+/**
+ * Get the generator and designated facility blocks of the manifest the rejected waste
+ * travels on. Waste returned to the generator is shipped by the rejecting facility, which is
+ * the generator on the new manifest (40 CFR 264.72(f)).
+ */
+function getRejectionParties(destination, routeDetails, alternateFacility) {
+  if (destination.type === 'generator') {
+    const { name, epaId, address } = routeDetails.facility;
+    return {
+      facilityId: null,
+      generator: { name, epaId, address },
+      facility: {
+        name: routeDetails.generator.name,
+        epaId: routeDetails.generator.epaId,
+        address: routeDetails.generator.address,
+      },
+    };
+  }
+
+  return {
+    facilityId: alternateFacility.id,
+    generator: routeDetails.generator,
+    facility: {
+      name: alternateFacility.name,
+      epaId: alternateFacility.epaId,
+      address: alternateFacility.address,
+    },
+  };
+}
+
+/**
+ * Reject all or part of a delivered load
+ * The rejected waste is put on a new manifest to the alternate facility or back to the
+ * generator, which references the original in its special handling block; the original
+ * records the rejection in item 18 with the new manifest as its reference. A full rejection
+ * closes the original as rejected, while after a partial one the facility still signs for
+ * what it accepted.
+ */
+export async function rejectManifest(manifestId, rejection, options = {}) {
+  const { type, lines = [], destination = {}, reason, actor } = rejection;
+  const { traceId = `rejection-${Date.now()}` } = options;
+
+  logger.info({ traceId, manifestId, type, destination: destination.type }, 'Rejecting manifest');
+
+  if (!REJECTION_TYPES.includes(type)) {
+    throw createError(`Invalid rejection type: ${type}. Valid types: full, partial`, 400);
+  }
+  if (!REJECTION_DESTINATIONS.includes(destination.type)) {
+    throw createError(
+      `Rejected waste must go to an alternate facility or back to the generator`,
+      400
+    );
+  }
+
+  const db = getDb();
+
+  try {
+    const alternateFacility =
+      destination.type === 'alternate_facility'
+        ? await loadAlternateFacility(manifestId, type, lines, destination.facility)
+        : null;
+
+    const result = await db.transaction(async (trx) => {
+      const { manifest, lineRows } = await loadDeliveredManifest(trx, manifestId);
+      const rejectedLines = getRejectedLines(
+        type,
+        lines,
+        await getUnrejectedLines(trx, manifestId, lineRows)
+      );
+      // The new manifest carries, and the facility gives back room for, only what was rejected
+      const rejectedKg = getTotalQuantityKg(
+        rejectedLines.map(({ row, quantity }) => ({ quantity, unit: row.unit }))
+      );
+      const routeDetails = JSON.parse(manifest.route_details);
+      const { facilityId, generator, facility } = getRejectionParties(
+        destination,
+        routeDetails,
+        alternateFacility
+      );
+      const newManifestId = randomUUID();
+      const newManifestNumber = await allocateTrackingNumber({ db: trx });
+      const timestamp = new Date().toISOString();
+
+      // The transporter that delivered the load carries the rejected waste away
+      const deliveringTransporter = await trx('manifest_transporters')
+        .where('manifest_id', manifestId)
+        .orderBy('transporter_index', 'desc')
+        .first();
+      const transporter = {
+        transporterId: deliveringTransporter?.transporter_id,
+        name: deliveringTransporter?.name || manifest.transporter_name,
+        epaId: deliveringTransporter?.epa_id || manifest.transporter_epa_id,
+        vehicleType: deliveringTransporter?.vehicle_type,
+      };
+
+      await trx('manifests').insert({
+        id: newManifestId,
+        manifest_number: newManifestNumber,
+        waste_profile_id: manifest.waste_profile_id,
+        generator_id: destination.type === 'generator' ? null : manifest.generator_id,
+        facility_id: facilityId,
+        transporter_name: transporter.name,
+        transporter_epa_id: transporter.epaId,
+        status: 'draft',
+        source_manifest_id: manifestId,
+        route_details: JSON.stringify({
+          ...routeDetails,
+          generator,
+          facility,
+          wasteDetails: { ...routeDetails.wasteDetails, quantity: rejectedKg },
+          rejection: {
+            type,
+            reason,
+            destination: destination.type,
+            sourceManifestId: manifestId,
+            sourceManifestNumber: manifest.manifest_number,
+          },
+        }),
+        signatures: JSON.stringify({ generator: null, facility: null }),
+        audit_trail: JSON.stringify([
+          {
+            timestamp,
+            action: 'manifest_created',
+            actor,
+            details: {
+              traceId,
+              manifestNumber: newManifestNumber,
+              rejectedFrom: manifest.manifest_number,
+            },
+          },
+        ]),
+      });
+
+      await trx('manifest_transporters').insert(toTransporterRow(newManifestId, transporter, 0));
+
+      await trx('manifest_line_items').insert(
+        rejectedLines.map(({ row, containerCount, quantity }, index) => ({
+          id: randomUUID(),
+          manifest_id: newManifestId,
+          line_number: index + 1,
+          waste_profile_id: row.waste_profile_id,
+          profile_version: row.profile_version,
+          waste_description: row.waste_description,
+          hazardous_material: row.hazardous_material,
+          container_count: containerCount,
+          container_type: row.container_type,
+          quantity,
+          unit: row.unit,
+          waste_codes: row.waste_codes,
+          dot_description: row.dot_description,
+        }))
+      );
+
+      const discrepancyType = type === 'full' ? 'full_rejection' : 'partial_rejection';
+      await trx('manifest_discrepancies').insert(
+        rejectedLines.map(({ row, containerCount, quantity, left }) =>
+          toDiscrepancyRow(
+            manifestId,
+            row.line_number,
+            {
+              type: discrepancyType,
+              manifested: toQuantity(
+                row.container_count,
+                row.container_type,
+                Number(row.quantity),
+                row.unit
+              ),
+              received: toQuantity(
+                left.containerCount - containerCount,
+                row.container_type,
+                left.quantity - quantity,
+                row.unit
+              ),
+              variancePercent: null,
+              description:
+                `Rejected ${containerCount} ${row.container_type} containers (${quantity} ` +
+                `${row.unit})${reason ? `: ${reason}` : ''}`,
+            },
+            actor,
+            newManifestId
+          )
+        )
+      );
+
+      const auditTrail = JSON.parse(manifest.audit_trail);
+      auditTrail.push({
+        timestamp,
+        action: type === 'full' ? 'manifest_rejected' : 'manifest_partially_rejected',
+        actor,
+        details: {
+          traceId,
+          reason,
+          destination: destination.type,
+          rejectedLines: rejectedLines.map(({ row }) => row.line_number),
+          newManifestId,
+          newManifestNumber,
+        },
+      });
+
+      await trx('manifests')
+        .where('id', manifestId)
+        .update({
+          status: type === 'full' ? 'rejected' : manifest.status,
+          audit_trail: JSON.stringify(auditTrail),
+          updated_at: trx.fn.now(),
+        });
+
+      // The facility no longer needs room for what it turned away
+      const capacityChange = await releaseCapacity(trx, manifestId, {
+        reason: type === 'full' ? 'manifest rejected' : 'partial rejection',
+        quantityKg: type === 'full' ? undefined : rejectedKg,
+      });
+
+      return {
+        newManifestId,
+        newManifestNumber,
+        rejectedLineCount: rejectedLines.length,
+        capacityChange,
+      };
+    });
+
+    if (result.capacityChange) {
+      invalidateFacilityCache();
+    }
+
+    await recordAudit({
+      eventType: 'manifest_rejection',
+      action: 'update',
+      resourceType: 'manifest',
+      resourceId: manifestId,
+      traceId,
+      status: 'completed',
+      metadata: {
+        type,
+        actor,
+        reason,
+        destination: destination.type,
+        newManifestId: result.newManifestId,
+        newManifestNumber: result.newManifestNumber,
+        rejectedLineCount: result.rejectedLineCount,
+        capacityChange: result.capacityChange,
+      },
+    });
+
+    logger.info(
+      { traceId, manifestId, newManifestNumber: result.newManifestNumber },
+      'Manifest rejection recorded'
+    );
+
+    return {
+      manifest: await getManifestById(manifestId),
+      rejectedWasteManifest: await getManifestById(result.newManifestId),
+    };
+  } catch (error) {
+    logger.error({ error: error.message, traceId, manifestId }, 'Failed to reject manifest');
+    throw error;
+  }
+}
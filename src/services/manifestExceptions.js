@@ -0,0 +1,416 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { recordAudit } from './auditService.js';
+import { randomUUID } from 'crypto';
+import { createError } from '../utils/errors.js';
+import { DAY_MS, startDailyScheduler } from '../utils/scheduler.js';
+
+const logger = createLogger('manifest-exceptions');
+
+/**
+ * Days after the transporter accepts the waste by which a generator must hold the copy signed
+ * by the designated facility, and by which the exception report is due (40 CFR 262.42).
+ * Large quantity generators start tracing at 35 days and report at 45; small quantity
+ * generators report at 60. Generators without a category are held to the LQG period.
+ */
+export const GENERATOR_CATEGORIES = ['LQG', 'SQG'];
+export const EXCEPTION_PERIOD_DAYS = { LQG: 35, SQG: 60 };
+export const REPORT_DUE_DAYS = { LQG: 45, SQG: 60 };
+export const EXCEPTION_STATUSES = ['open', 'resolved'];
+export const TRACING_PARTIES = ['transporter', 'facility', 'other'];
+
+/**
+ * Statuses of manifests still waiting for the designated facility's signature
+ */
+const AWAITING_FACILITY_STATUSES = ['in_transit', 'delivered'];
+
+/**
+ * Get a generator's category for exception reporting
+ */
+export function getGeneratorCategory(generator) {
+  return GENERATOR_CATEGORIES.includes(generator?.category) ? generator.category : 'LQG';
+}
+
+/**
+ * Get when a manifest in transit since inTransitAt becomes an exception
+ */
+export function getExceptionDeadline(inTransitAt, category) {
+  return new Date(new Date(inTransitAt).getTime() + EXCEPTION_PERIOD_DAYS[category] * DAY_MS);
+}
+
+export function formatException(row) {
+  return {
+    id: row.id,
+    manifestId: row.manifest_id,
+    status: row.status,
+    generatorCategory: row.generator_category,
+    daysAllowed: row.days_allowed,
+    inTransitAt: new Date(row.in_transit_at).toISOString(),
+    detectedAt: new Date(row.detected_at).toISOString(),
+    reportDueAt: new Date(row.report_due_at).toISOString(),
+    tracingEfforts: JSON.parse(row.tracing_efforts) || [],
+    resolution: row.resolution,
+    resolvedAt: row.resolved_at ? new Date(row.resolved_at).toISOString() : null,
+  };
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  const pad = (part) => String(part).padStart(2, '0');
+  return `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Write the exception report's explanation of the efforts taken to locate the waste
+ * Returns the paragraphs of the cover letter that goes with the manifest copy.
+ */
+export function describeTracingEfforts(manifest, exception, asOf = new Date()) {
+  const { generator = {}, facility = {}, transporters = [] } = manifest;
+  const [transporter = {}] = transporters;
+  const lastSigned = transporters.filter((entry) => entry.signature).pop();
+  const daysInTransit = Math.floor((asOf - new Date(exception.inTransitAt)) / DAY_MS);
+  const size = exception.generatorCategory === 'SQG' ? 'small' : 'large';
+  const carrier =
+    transporters.length > 1 ? `first of ${transporters.length} transporters` : 'transporter';
+
+  let opening =
+    `${generator.name} (${generator.epaId}) has not received a copy of manifest ` +
+    `${manifest.manifestNumber} signed by the designated facility, ${facility.name} ` +
+    `(${facility.epaId}). The ${carrier}, ${transporter.name} (${transporter.epaId}), ` +
+    `accepted the waste on ${formatDate(exception.inTransitAt)}.`;
+  if (lastSigned && lastSigned.index > 0) {
+    opening +=
+      ` Transporter ${lastSigned.index + 1}, ${lastSigned.name} (${lastSigned.epaId}), ` +
+      `last signed for it on ${formatDate(lastSigned.signature.signedAt)}.`;
+  }
+
+  const paragraphs = [
+    `${opening} ${daysInTransit} days have passed, beyond the ${exception.daysAllowed} days ` +
+      `allowed a ${size} quantity generator.`,
+  ];
+
+  if (exception.tracingEfforts.length === 0) {
+    paragraphs.push('No efforts to locate the waste have been recorded yet.');
+  } else {
+    paragraphs.push(
+      'Efforts taken to locate the waste and their results:',
+      ...exception.tracingEfforts.map(
+        (effort) =>
+          `${formatDate(effort.timestamp)}: ${effort.actor} contacted the ` +
+          `${effort.contactedParty}${effort.contactName ? ` (${effort.contactName})` : ''}` +
+          `${effort.method ? ` by ${effort.method}` : ''}. ${effort.outcome}`
+      )
+    );
+  }
+
+  paragraphs.push(`The manifest's last recorded status is ${manifest.status.replace('_', ' ')}.`);
+
+  return paragraphs;
+}
+
+/**
+ * Get the exception recorded for a manifest, or null if it has none
+ */
+export async function getManifestException(manifestId) {
+  const db = getDb();
+  const row = await db('manifest_exceptions').where('manifest_id', manifestId).first();
+
+  return row ? formatException(row) : null;
+}
+
+/**
+ * Close a manifest's open exception, e.g. once the designated facility signs for the waste
+ * Returns whether there was an open exception to close.
+ */
+export async function resolveManifestException(manifestId, resolution, options = {}) {
+  const { asOf = new Date(), traceId = `exception-resolve-${Date.now()}` } = options;
+  const db = getDb();
+
+  const exception = await db('manifest_exceptions')
+    .where({ manifest_id: manifestId, status: 'open' })
+    .first();
+
+  if (!exception) {
+    return false;
+  }
+
+  await db('manifest_exceptions').where('id', exception.id).update({
+    status: 'resolved',
+    resolution,
+    resolved_at: asOf.toISOString(),
+    updated_at: db.fn.now(),
+  });
+
+  await recordAudit({
+    eventType: 'manifest_exception',
+    action: 'resolve',
+    resourceType: 'manifest',
+    resourceId: manifestId,
+    traceId,
+    status: 'completed',
+    metadata: { exceptionId: exception.id, resolution },
+  });
+
+  return true;
+}
+
+async function openException(manifest, routeDetails, asOf, traceId) {
+  const db = getDb();
+  const category = getGeneratorCategory(routeDetails.generator);
+  const inTransitAt = new Date(manifest.in_transit_at);
+  const exceptionId = randomUUID();
+  const reportDueAt = new Date(inTransitAt.getTime() + REPORT_DUE_DAYS[category] * DAY_MS);
+
+  await db.transaction(async (trx) => {
+    await trx('manifest_exceptions').insert({
+      id: exceptionId,
+      manifest_id: manifest.id,
+      status: 'open',
+      generator_category: category,
+      days_allowed: EXCEPTION_PERIOD_DAYS[category],
+      in_transit_at: inTransitAt.toISOString(),
+      detected_at: asOf.toISOString(),
+      report_due_at: reportDueAt.toISOString(),
+      tracing_efforts: JSON.stringify([]),
+    });
+
+    // The scan read the manifest outside this transaction; append to the trail as it is now
+    const current = await trx('manifests').where('id', manifest.id).first();
+    const auditTrail = JSON.parse(current.audit_trail);
+    auditTrail.push({
+      timestamp: asOf.toISOString(),
+      action: 'exception_detected',
+      actor: 'system',
+      details: {
+        traceId,
+        generatorCategory: category,
+        daysAllowed: EXCEPTION_PERIOD_DAYS[category],
+        reportDueAt: reportDueAt.toISOString(),
+      },
+    });
+
+    await trx('manifests')
+      .where('id', manifest.id)
+      .update({ audit_trail: JSON.stringify(auditTrail), updated_at: trx.fn.now() });
+  });
+
+  await recordAudit({
+    eventType: 'manifest_exception',
+    action: 'create',
+    resourceType: 'manifest',
+    resourceId: manifest.id,
+    traceId,
+    status: 'completed',
+    metadata: {
+      exceptionId,
+      manifestNumber: manifest.manifest_number,
+      generatorCategory: category,
+      inTransitAt: inTransitAt.toISOString(),
+      reportDueAt: reportDueAt.toISOString(),
+    },
+  });
+
+  return exceptionId;
+}
+
+/**
+ * Resolve open exceptions whose manifest the facility has since signed or that left transit
+ */
+async function resolveReturnedManifests(asOf, traceId) {
+  const db = getDb();
+  const openExceptions = await db('manifest_exceptions')
+    .join('manifests', 'manifest_exceptions.manifest_id', 'manifests.id')
+    .where('manifest_exceptions.status', 'open')
+    .select('manifests.id', 'manifests.status', 'manifests.signatures');
+
+  let resolved = 0;
+  for (const manifest of openExceptions) {
+    const signatures = JSON.parse(manifest.signatures);
+
+    if (signatures.facility) {
+      await resolveManifestException(manifest.id, 'Facility signature received', {
+        asOf,
+        traceId,
+      });
+      resolved++;
+    } else if (!AWAITING_FACILITY_STATUSES.includes(manifest.status)) {
+      await resolveManifestException(manifest.id, `Manifest ${manifest.status}`, {
+        asOf,
+        traceId,
+      });
+      resolved++;
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Scan manifests in transit and open an exception for each one the designated facility has
+ * not signed for within the generator's exception period
+ */
+export async function scanOverdueManifests(options = {}) {
+  const { asOf = new Date(), traceId = `manifest-exceptions-${Date.now()}` } = options;
+
+  logger.info({ traceId, asOf: asOf.toISOString() }, 'Scanning for overdue manifests');
+
+  const db = getDb();
+
+  try {
+    const resolved = await resolveReturnedManifests(asOf, traceId);
+
+    const manifests = await db('manifests')
+      .leftJoin('manifest_exceptions', 'manifest_exceptions.manifest_id', 'manifests.id')
+      .whereIn('manifests.status', AWAITING_FACILITY_STATUSES)
+      .whereNotNull('manifests.in_transit_at')
+      .whereNull('manifest_exceptions.id')
+      .select('manifests.*');
+
+    const summary = { scanned: manifests.length, opened: [], resolved, traceId };
+
+    for (const manifest of manifests) {
+      const routeDetails = JSON.parse(manifest.route_details);
+      const signatures = JSON.parse(manifest.signatures);
+      const category = getGeneratorCategory(routeDetails.generator);
+
+      if (!signatures.facility && getExceptionDeadline(manifest.in_transit_at, category) <= asOf) {
+        await openException(manifest, routeDetails, asOf, traceId);
+        summary.opened.push(manifest.id);
+      }
+    }
+
+    logger.info(
+      { traceId, scanned: summary.scanned, opened: summary.opened.length, resolved },
+      'Manifest exception scan completed'
+    );
+
+    return summary;
+  } catch (error) {
+    logger.error({ error: error.message, traceId }, 'Manifest exception scan failed');
+    throw error;
+  }
+}
+
+export async function getManifestExceptions(options = {}) {
+  const { status, generatorCategory, limit = 50, offset = 0 } = options;
+
+  const db = getDb();
+
+  try {
+    let query = db('manifest_exceptions')
+      .join('manifests', 'manifest_exceptions.manifest_id', 'manifests.id')
+      .select(
+        'manifest_exceptions.*',
+        'manifests.manifest_number',
+        'manifests.status as manifest_status',
+        'manifests.route_details',
+        'manifests.transporter_name',
+        'manifests.transporter_epa_id'
+      )
+      .orderBy('manifest_exceptions.report_due_at', 'asc');
+
+    if (status) {
+      query = query.where('manifest_exceptions.status', status);
+    }
+    if (generatorCategory) {
+      query = query.where('manifest_exceptions.generator_category', generatorCategory);
+    }
+
+    const rows = await query.limit(limit).offset(offset);
+
+    return rows.map((row) => {
+      const routeDetails = JSON.parse(row.route_details);
+      return {
+        ...formatException(row),
+        manifestNumber: row.manifest_number,
+        manifestStatus: row.manifest_status,
+        generator: { name: routeDetails.generator?.name, epaId: routeDetails.generator?.epaId },
+        facility: { name: routeDetails.facility?.name, epaId: routeDetails.facility?.epaId },
+        // The first transporter, who accepted the waste from the generator
+        transporter: { name: row.transporter_name, epaId: row.transporter_epa_id },
+      };
+    });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to get manifest exceptions');
+    throw error;
+  }
+}
+
+/**
+ * Record an attempt to locate the waste on a manifest with an open exception
+ */
+export async function recordTracingEffort(manifestId, effort, options = {}) {
+  const { contactedParty, contactName, method, outcome, actor } = effort;
+  const { traceId = `tracing-effort-${Date.now()}` } = options;
+
+  logger.info({ traceId, manifestId, contactedParty }, 'Recording exception tracing effort');
+
+  const db = getDb();
+
+  try {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      contactedParty,
+      contactName: contactName || null,
+      method: method || null,
+      outcome,
+      actor,
+    };
+
+    const exceptionId = await db.transaction(async (trx) => {
+      const exception = await trx('manifest_exceptions').where('manifest_id', manifestId).first();
+
+      if (!exception) {
+        throw createError(`Manifest ${manifestId} has no exception`, 404);
+      }
+      if (exception.status !== 'open') {
+        throw createError(`The exception on manifest ${manifestId} is already resolved`, 409);
+      }
+
+      const tracingEfforts = JSON.parse(exception.tracing_efforts) || [];
+      await trx('manifest_exceptions')
+        .where('id', exception.id)
+        .update({
+          tracing_efforts: JSON.stringify([...tracingEfforts, entry]),
+          updated_at: trx.fn.now(),
+        });
+
+      const manifest = await trx('manifests').where('id', manifestId).first();
+      const auditTrail = JSON.parse(manifest.audit_trail);
+      auditTrail.push({
+        timestamp: entry.timestamp,
+        action: 'exception_tracing_effort',
+        actor,
+        details: { traceId, contactedParty, outcome },
+      });
+
+      await trx('manifests')
+        .where('id', manifestId)
+        .update({ audit_trail: JSON.stringify(auditTrail), updated_at: trx.fn.now() });
+
+      return exception.id;
+    });
+
+    await recordAudit({
+      eventType: 'manifest_exception',
+      action: 'update',
+      resourceType: 'manifest',
+      resourceId: manifestId,
+      traceId,
+      status: 'completed',
+      metadata: { exceptionId, contactedParty, actor },
+    });
+
+    return getManifestException(manifestId);
+  } catch (error) {
+    logger.error({ error: error.message, traceId, manifestId }, 'Failed to record tracing effort');
+    throw error;
+  }
+}
+
+/**
+ * Scan for overdue manifests once a day
+ */
+export function startManifestExceptionScheduler(options = {}) {
+  return startDailyScheduler('manifest exception scan', () => scanOverdueManifests(), options);
+}
@@ -2,38 +2,328 @@ import { createLogger } from '../utils/logger.js';
 import { getKnex as getDb } from '../db/connection.js';
 import { recordAudit } from './auditService.js';
 import { randomUUID } from 'crypto';
+import { getWasteCodeList, normalizeWasteCodeEntries } from '../utils/wasteCodes.js';
+import { getWasteProfileById, isProfileAcceptedByFacility } from './wasteProfileService.js';
+import { generateShippingDescription } from './dotShippingDescription.js';
+import { allocateTrackingNumber } from './manifestTrackingNumbers.js';
+import { getManifestException, resolveManifestException } from './manifestExceptions.js';
+import { assertFacilityPermitted } from './facilityPermits.js';
+import { applyCapacityForStatus } from './facilityCapacity.js';
+import { findFacilityById, invalidateFacilityCache } from './facilityRepository.js';
+import { attachLdrNotices, detachLdrNotices, getLdrNoticesByManifest } from './ldrNotices.js';
+import {
+  findPermittedTransporters,
+  findTransporterByEpaId,
+  getPermitIssues,
+  getTransporterById,
+} from './transporterService.js';
+import {
+  CONTAINER_TYPES,
+  getContinuationSheetCount,
+  getSheetPosition,
+  getTotalQuantityKg,
+  toKilograms,
+  toLineItemRow,
+  validateLineItems,
+} from './manifestLineItems.js';
+import { createError } from '../utils/errors.js';
 
 const logger = createLogger('manifest-generator');
 
-const VALID_STATUSES = ['draft', 'submitted', 'in_transit', 'delivered', 'completed', 'cancelled'];
+const VALID_STATUSES = [
+  'draft',
+  'submitted',
+  'in_transit',
+  'delivered',
+  'completed',
+  'rejected',
+  'cancelled',
+];
 const STATUS_TRANSITIONS = {
   draft: ['submitted', 'cancelled'],
   submitted: ['in_transit', 'cancelled'],
   in_transit: ['delivered', 'cancelled'],
-  delivered: ['completed'],
+  delivered: ['completed', 'rejected'],
   completed: [],
+  rejected: [],
   cancelled: [],
 };
 
-export async function createManifest(wasteProfile, facility, route, options = {}) {
-  const { traceId = `manifest-${Date.now()}`, generatorInfo = {} } = options;
+/**
+ * Load a waste profile and check the receiving facility has accepted it
+ */
+export async function loadAcceptedProfile(wasteProfileId, facilityId) {
+  const wasteProfile = await getWasteProfileById(wasteProfileId);
 
-  logger.info({ traceId, facilityId: facility.id }, 'Creating electronic manifest');
+  if (!wasteProfile) {
+    throw createError(`Waste profile not found: ${wasteProfileId}`, 404);
+  }
+
+  if (!isProfileAcceptedByFacility(wasteProfile, facilityId)) {
+    throw createError(
+      `Waste profile ${wasteProfileId} has no current acceptance from facility ${facilityId} (profile status: ${wasteProfile.status})`,
+      409
+    );
+  }
+
+  return wasteProfile;
+}
+
+/**
+ * Load the designated facility from the facility list; only an active one takes new manifests
+ */
+async function loadDesignatedFacility(facilityId) {
+  const facility = await findFacilityById(facilityId);
+
+  if (!facility) {
+    throw createError(`Facility not found: ${facilityId}`, 404);
+  }
+
+  if (!facility.active) {
+    throw createError(
+      `Facility ${facility.name} is inactive and cannot receive new manifests`,
+      409
+    );
+  }
+
+  return facility;
+}
+
+/**
+ * Get the state a generator ships from: the one given, else the one ending its address
+ */
+export function getGeneratorState(generatorInfo) {
+  return (
+    generatorInfo.state ||
+    generatorInfo.address?.match(/\b([A-Z]{2})\s+\d{5}(?:-\d{4})?\s*$/)?.[1] ||
+    null
+  );
+}
+
+/**
+ * Look up a listed transporter in the registry, by transporterId or else by EPA ID, and check
+ * it is permitted for the shipment
+ */
+export async function resolveTransporter(entry, index, permit) {
+  if (!entry?.transporterId && !entry?.epaId) {
+    throw createError(`Transporter ${index + 1} needs a registered transporter ID or EPA ID`, 400);
+  }
+
+  const transporter = entry.transporterId
+    ? await getTransporterById(entry.transporterId)
+    : await findTransporterByEpaId(entry.epaId);
+
+  if (!transporter && entry.transporterId) {
+    throw createError(`Transporter not found: ${entry.transporterId}`, 404);
+  }
+  if (!transporter) {
+    throw createError(
+      `Transporter ${index + 1} (${entry.epaId}) is not in the transporter registry`,
+      409
+    );
+  }
+
+  const vehicleType = entry.vehicleType || transporter.vehicleTypes[0];
+  const issues = getPermitIssues(transporter, { ...permit, vehicleType });
+
+  if (issues.length > 0) {
+    throw createError(
+      `Transporter ${index + 1} (${transporter.name}) is not permitted for this shipment: ${issues.join('; ')}`,
+      409
+    );
+  }
 
-  const manifestNumber = `EPA-${Date.now()}-${Math.random().toString(36).substring(7).toUpperCase()}`;
+  return {
+    transporterId: transporter.id,
+    name: transporter.name,
+    epaId: transporter.epaId,
+    vehicleType,
+  };
+}
 
-  const auditTrail = [
+/**
+ * Work out who carries a manifest: the transporters listed, else the one proposed with the
+ * route, else the first registered transporter permitted for the shipment
+ * Listed and proposed transporters must be registered and permitted for the shipment.
+ */
+async function resolveTransporters(requested, route, permit) {
+  const listed =
+    requested.length > 0
+      ? requested
+      : [route.transporter && { ...route.transporter, transporterId: route.transporter.id }];
+
+  if (listed[0]) {
+    const carriers = [];
+
+    for (const [index, entry] of listed.entries()) {
+      carriers.push(await resolveTransporter(entry, index, permit));
+    }
+
+    return carriers;
+  }
+
+  const [transporter] = await findPermittedTransporters(permit);
+
+  if (!transporter) {
+    throw createError(
+      `No registered transporter is permitted to carry this shipment by ${permit.vehicleType}`,
+      409
+    );
+  }
+
+  return [
     {
-      timestamp: new Date().toISOString(),
-      action: 'manifest_created',
-      actor: 'system',
-      details: { traceId, manifestNumber },
+      transporterId: transporter.id,
+      name: transporter.name,
+      epaId: transporter.epaId,
+      vehicleType: permit.vehicleType,
     },
   ];
+}
+
+/**
+ * Build a manifest line from a requested line item, defaulting to its waste profile's
+ * codes, quantity in kilograms and container type
+ */
+export function buildLineItem(requested, wasteProfile, lineNumber, traceId) {
+  const physicalState = wasteProfile.physicalState || 'solid';
+  const line = {
+    lineNumber,
+    wasteProfileId: wasteProfile.id,
+    profileVersion: wasteProfile.version,
+    wasteName: wasteProfile.wasteName,
+    physicalState,
+    containerCount: requested.containerCount ?? 1,
+    containerType:
+      requested.containerType ||
+      (CONTAINER_TYPES[wasteProfile.containerType] ? wasteProfile.containerType : 'DM'),
+    quantity: requested.quantity ?? (wasteProfile.quantityKg || 100),
+    unit: requested.unit || 'K',
+    wasteCodes: normalizeWasteCodeEntries(requested.wasteCodes || wasteProfile.wasteCodes).map(
+      (entry) => entry.code
+    ),
+  };
+
+  const dotDescription = generateShippingDescription(
+    {
+      wasteCodes: line.wasteCodes,
+      chemicals: wasteProfile.chemicalComposition?.length
+        ? wasteProfile.chemicalComposition
+        : wasteProfile.classification?.chemicalsDetected,
+      physicalState,
+      physicalProperties: wasteProfile.classification?.physicalProperties,
+      quantityKg: toKilograms(line.quantity, line.unit),
+    },
+    { traceId }
+  );
+
+  return {
+    ...line,
+    hazardousMaterial: dotDescription.description !== null,
+    dotDescription,
+  };
+}
+
+/**
+ * List the codes on a line that its accepted waste profile does not carry or the designated
+ * facility does not accept
+ */
+export function findUnapprovedLineCodes(line, wasteProfile, facility) {
+  const issues = [];
+
+  if (wasteProfile) {
+    const profileCodes = getWasteCodeList(wasteProfile);
+    const unprofiled = line.wasteCodes.filter((code) => !profileCodes.includes(code));
+    if (unprofiled.length > 0) {
+      issues.push(
+        `line ${line.lineNumber}: ${unprofiled.join(', ')} not on waste profile ${wasteProfile.id}`
+      );
+    }
+  }
 
+  const unaccepted = line.wasteCodes.filter((code) => !facility.acceptedWasteCodes.includes(code));
+  if (unaccepted.length > 0) {
+    issues.push(
+      `line ${line.lineNumber}: ${facility.name} does not accept ${unaccepted.join(', ')}`
+    );
+  }
+
+  return issues;
+}
+
+/**
+ * Create an electronic manifest for one or more stored waste profiles
+ * options.lineItems lists the waste lines in order ({ wasteProfileId, containerCount,
+ * containerType, quantity, unit, wasteCodes }); a line without a profile uses
+ * wasteProfileId. Without line items the manifest has a single line for wasteProfileId.
+ * Lines past the fourth go on continuation sheets (Form 8700-22A).
+ * options.transporters lists the transporters in the order they carry the waste
+ * ({ transporterId } from the registry, or { name, epaId, vehicleType }); without it the
+ * manifest uses the transporter proposed with the route or a permitted registered one.
+ * Transporters past the second also go on continuation sheets.
+ * Only designatedFacility.id is used; the facility's name, EPA ID and address are taken from
+ * the facility list.
+ */
+export async function createManifest(wasteProfileId, designatedFacility, route, options = {}) {
+  const {
+    traceId = `manifest-${Date.now()}`,
+    generatorInfo = {},
+    lineItems = [],
+    transporters = [],
+    registrantSuffix,
+  } = options;
+
+  logger.info(
+    { traceId, wasteProfileId, facilityId: designatedFacility?.id },
+    'Creating electronic manifest'
+  );
+
+  const facility = await loadDesignatedFacility(designatedFacility?.id);
+  const requestedLines = lineItems.length > 0 ? lineItems : [{}];
+  const profiles = new Map();
+  const lines = [];
+
+  for (const [index, requested] of requestedLines.entries()) {
+    const profileId = requested.wasteProfileId || wasteProfileId;
+
+    if (!profiles.has(profileId)) {
+      profiles.set(profileId, await loadAcceptedProfile(profileId, facility.id));
+    }
+
+    lines.push(buildLineItem(requested, profiles.get(profileId), index + 1, traceId));
+  }
+
+  const lineErrors = validateLineItems(lines);
+
+  if (lineErrors.length > 0) {
+    throw createError(`Invalid manifest line items: ${lineErrors.join('; ')}`, 400);
+  }
+
+  const codeIssues = lines.flatMap((line) =>
+    findUnapprovedLineCodes(line, profiles.get(line.wasteProfileId), facility)
+  );
+
+  if (codeIssues.length > 0) {
+    throw createError(`Waste codes not approved for this shipment: ${codeIssues.join('; ')}`, 409);
+  }
+
+  await assertFacilityPermitted(facility.id, [
+    ...new Set(lines.flatMap((line) => line.wasteCodes)),
+  ]);
+
+  const generatorState = getGeneratorState(generatorInfo);
+  const carriers = await resolveTransporters(transporters, route, {
+    states: [...new Set([generatorState, facility.state].filter(Boolean))],
+    vehicleType: route.route?.method || route.method || 'truck',
+    hazardous: lines.some((line) => line.hazardousMaterial),
+  });
+
+  const wasteProfile = profiles.get(lines[0].wasteProfileId);
+  const wasteCodes = normalizeWasteCodeEntries(wasteProfile.wasteCodes);
+
+  // Transporters sign on their own manifest_transporters rows
   const signatures = {
     generator: null,
-    transporter: null,
     facility: null,
   };
 
@@ -46,24 +336,32 @@ export async function createManifest(wasteProfile, facility, route, options = {}
       name: generatorInfo.name || 'Unknown Generator',
       epaId: generatorInfo.epaId || 'TXD000000000',
       address: generatorInfo.address || 'Unknown Address',
+      state: generatorState,
+      category: generatorInfo.category,
       contactName: generatorInfo.contactName,
       contactPhone: generatorInfo.contactPhone,
       contactEmail: generatorInfo.contactEmail,
+      emergencyPhone: generatorInfo.emergencyPhone,
     },
-    transporter: {
-      name:
-        (route.route?.method || route.method) === 'truck'
-          ? 'SafeHaul Logistics'
-          : 'FreightMaster Inc',
-      epaId: (route.route?.method || route.method) === 'truck' ? 'TXR111222333' : 'TXR444555666',
-      vehicleType: route.route?.method || route.method || 'truck',
+    facility: {
+      name: facility.name,
+      epaId: facility.epaId,
+      address: facility.address,
     },
     wasteDetails: {
-      wasteCode: wasteProfile.wasteCode,
+      wasteProfileId: wasteProfile.id,
+      profileVersion: wasteProfile.version,
+      wasteName: wasteProfile.wasteName,
+      facilityApprovalNumber: wasteProfile.facilityApproval.approvalNumber,
+      wasteCode: wasteCodes[0]?.code || wasteProfile.wasteCode,
+      wasteCodes,
       category: wasteProfile.category,
-      quantity: wasteProfile.quantityKg || 100,
+      // The total of the lines, which is also what the facility booking reserves; null when
+      // a line is measured by volume
+      quantity: getTotalQuantityKg(lines),
       unit: 'kg',
       physicalState: wasteProfile.physicalState || 'solid',
+      dotDescription: lines[0].dotDescription,
     },
   };
 
@@ -72,50 +370,115 @@ export async function createManifest(wasteProfile, facility, route, options = {}
   const manifestId = randomUUID();
 
   try {
-    const [result] = await db('manifests')
-      .insert({
-        id: manifestId,
-        manifest_number: manifestNumber,
-        waste_profile_id: wasteProfile.id || null,
-        generator_id: generatorInfo.id || null,
-        facility_id: facility.id,
-        transporter_name:
-          (route.route?.method || route.method) === 'truck'
-            ? 'SafeHaul Logistics'
-            : 'FreightMaster Inc',
-        transporter_epa_id:
-          (route.route?.method || route.method) === 'truck' ? 'TXR111222333' : 'TXR444555666',
-        status: 'draft',
-        route_details: JSON.stringify(routeDetails),
-        signatures: JSON.stringify(signatures),
-        audit_trail: JSON.stringify(auditTrail),
-      })
-      .returning('*');
+    const { inserted: created, ldrNotices } = await db.transaction(async (trx) => {
+      const manifestNumber = await allocateTrackingNumber({ suffix: registrantSuffix, db: trx });
+      const auditTrail = [
+        {
+          timestamp: new Date().toISOString(),
+          action: 'manifest_created',
+          actor: 'system',
+          details: { traceId, manifestNumber },
+        },
+      ];
+
+      const [inserted] = await trx('manifests')
+        .insert({
+          id: manifestId,
+          manifest_number: manifestNumber,
+          waste_profile_id: wasteProfile.id,
+          generator_id: generatorInfo.id || null,
+          facility_id: facility.id,
+          transporter_name: carriers[0].name,
+          transporter_epa_id: carriers[0].epaId,
+          status: 'draft',
+          route_details: JSON.stringify(routeDetails),
+          signatures: JSON.stringify(signatures),
+          audit_trail: JSON.stringify(auditTrail),
+        })
+        .returning('*');
+
+      await trx('manifest_line_items').insert(lines.map((line) => toLineItemRow(manifestId, line)));
+      await trx('manifest_transporters').insert(
+        carriers.map((carrier, index) => toTransporterRow(manifestId, carrier, index))
+      );
+
+      // The first manifest shipping a stream to the facility carries its LDR notice
+      const ldrNotices = await attachLdrNotices(trx, {
+        manifestId,
+        manifestNumber,
+        facility,
+        generator: routeDetails.generator,
+        profiles: [...profiles.values()],
+      });
+
+      if (ldrNotices.length > 0) {
+        auditTrail.push({
+          timestamp: new Date().toISOString(),
+          action: 'ldr_notices_attached',
+          actor: 'system',
+          details: {
+            noticeIds: ldrNotices.map((notice) => notice.id),
+            wasteProfileIds: ldrNotices.map((notice) => notice.wasteProfileId),
+          },
+        });
+        inserted.audit_trail = JSON.stringify(auditTrail);
+        await trx('manifests')
+          .where('id', manifestId)
+          .update({ audit_trail: inserted.audit_trail });
+      }
+
+      return { inserted, ldrNotices };
+    });
 
     await recordAudit({
       eventType: 'manifest_creation',
       action: 'create',
       resourceType: 'manifest',
-      resourceId: result.id,
+      resourceId: created.id,
       traceId,
       status: 'completed',
       metadata: {
-        manifestNumber,
+        manifestNumber: created.manifest_number,
         facilityId: facility.id,
-        wasteCode: wasteProfile.wasteCode,
+        wasteProfileId: wasteProfile.id,
+        wasteCodes: wasteCodes.map((entry) => entry.code),
+        lineCount: lines.length,
+        transporterCount: carriers.length,
+        continuationSheets: getContinuationSheetCount(lines.length, carriers.length),
       },
     });
 
+    for (const notice of ldrNotices) {
+      await recordAudit({
+        eventType: 'ldr_notice_attachment',
+        action: 'update',
+        resourceType: 'waste_profile',
+        resourceId: notice.wasteProfileId,
+        traceId,
+        status: 'completed',
+        metadata: {
+          noticeId: notice.id,
+          noticeType: notice.noticeType,
+          manifestId: created.id,
+          manifestNumber: created.manifest_number,
+          facilityId: facility.id,
+          profileVersion: notice.profileVersion,
+        },
+      });
+    }
+
     logger.info(
       {
         traceId,
-        manifestId: result.id,
-        manifestNumber,
+        manifestId: created.id,
+        manifestNumber: created.manifest_number,
+        ldrNotices: ldrNotices.length,
       },
       'Electronic manifest created'
     );
 
-    return formatManifestResponse(result);
+    const [response] = await formatManifestResponses([created]);
+    return response;
   } catch (error) {
     logger.error(
       {
@@ -146,13 +509,22 @@ export async function trackManifest(manifestId, options = {}) {
     const signatures = JSON.parse(manifest.signatures);
     const auditTrail = JSON.parse(manifest.audit_trail);
 
+    const discrepanciesByManifest = await getDiscrepanciesByManifest([manifest.id]);
+    const transporters = (await getTransportersByManifest([manifest.id])).get(manifest.id);
+
     const tracking = {
       manifestId: manifest.id,
       manifestNumber: manifest.manifest_number,
+      revisionNumber: manifest.revision_number,
       status: manifest.status,
       currentLocation: getCurrentLocation(manifest.status, routeDetails),
+      currentLeg: getCurrentLeg(transporters),
       timeline: buildTimeline(auditTrail),
-      signatures,
+      signatures: formatSignatures(signatures),
+      transporters,
+      discrepancies: discrepanciesByManifest.get(manifest.id),
+      rejection: routeDetails.rejection || null,
+      exception: await getManifestException(manifest.id),
       estimatedDelivery: calculateEstimatedDelivery(manifest.created_at, routeDetails),
       traceId,
     };
@@ -180,6 +552,36 @@ export async function trackManifest(manifestId, options = {}) {
   }
 }
 
+/**
+ * Record in the audit log the LDR notices a manifest gave up
+ */
+async function recordLdrNoticeDetachments(notices, manifestId, reason, traceId) {
+  for (const notice of notices) {
+    await recordAudit({
+      eventType: 'ldr_notice_detachment',
+      action: 'update',
+      resourceType: 'waste_profile',
+      resourceId: notice.wasteProfileId,
+      traceId,
+      status: 'completed',
+      metadata: {
+        noticeId: notice.id,
+        manifestId,
+        facilityId: notice.facilityId,
+        profileVersion: notice.profileVersion,
+        reason,
+      },
+    });
+  }
+}
+
+function createStatusConflictError(manifestId, status) {
+  return createError(
+    `Manifest ${manifestId} is no longer ${status}; it was changed by another update`,
+    409
+  );
+}
+
 export async function updateManifestStatus(manifestId, newStatus, actor, details = {}) {
   const traceId = `update-${Date.now()}`;
 
@@ -189,41 +591,69 @@ export async function updateManifestStatus(manifestId, newStatus, actor, details
     throw new Error(`Invalid status: ${newStatus}. Valid statuses: ${VALID_STATUSES.join(', ')}`);
   }
 
+  // A rejection also creates the manifest the rejected waste travels on
+  if (newStatus === 'rejected') {
+    throw createError('Rejected manifests must be recorded with rejectManifest', 400);
+  }
+
   const db = getDb();
 
   try {
-    const manifest = await db('manifests').where('id', manifestId).first();
-
-    if (!manifest) {
-      throw new Error(`Manifest not found: ${manifestId}`);
-    }
-
-    const previousStatus = manifest.status;
+    // The status is read and changed in one transaction, and only if no one changed it in
+    // between, so concurrent updates cannot both move the facility's capacity
+    const { previousStatus, capacityChange, detachedNotices } = await db.transaction(
+      async (trx) => {
+        const manifest = await trx('manifests').where('id', manifestId).first();
+
+        if (!manifest) {
+          throw new Error(`Manifest not found: ${manifestId}`);
+        }
+
+        const previousStatus = manifest.status;
+
+        if (!STATUS_TRANSITIONS[previousStatus]?.includes(newStatus)) {
+          throw new Error(
+            `Invalid status transition from ${previousStatus} to ${newStatus}. Valid transitions: ${STATUS_TRANSITIONS[previousStatus]?.join(', ') || 'none'}`
+          );
+        }
+
+        const auditTrail = JSON.parse(manifest.audit_trail);
+        const auditEntry = {
+          timestamp: new Date().toISOString(),
+          action: `status_changed_${previousStatus}_to_${newStatus}`,
+          actor,
+          details: { ...details, previousStatus, newStatus },
+        };
+
+        auditTrail.push(auditEntry);
+
+        const updated = await trx('manifests')
+          .where({ id: manifestId, status: previousStatus })
+          .update({
+            status: newStatus,
+            audit_trail: JSON.stringify(auditTrail),
+            // The exception reporting period runs from when the transporter takes the waste
+            ...(newStatus === 'in_transit' && { in_transit_at: auditEntry.timestamp }),
+            updated_at: trx.fn.now(),
+          });
+
+        if (updated === 0) {
+          throw createStatusConflictError(manifestId, previousStatus);
+        }
+
+        // The facility's capacity changes with the status, or neither does
+        return {
+          previousStatus,
+          capacityChange: await applyCapacityForStatus(trx, manifest, newStatus),
+          detachedNotices: newStatus === 'cancelled' ? await detachLdrNotices(trx, manifestId) : [],
+        };
+      }
+    );
 
-    if (!STATUS_TRANSITIONS[previousStatus]?.includes(newStatus)) {
-      throw new Error(
-        `Invalid status transition from ${previousStatus} to ${newStatus}. Valid transitions: ${STATUS_TRANSITIONS[previousStatus]?.join(', ') || 'none'}`
-      );
+    if (capacityChange) {
+      invalidateFacilityCache();
     }
 
-    const auditTrail = JSON.parse(manifest.audit_trail);
-    const auditEntry = {
-      timestamp: new Date().toISOString(),
-      action: `status_changed_${previousStatus}_to_${newStatus}`,
-      actor,
-      details: { ...details, previousStatus, newStatus },
-    };
-
-    auditTrail.push(auditEntry);
-
-    await db('manifests')
-      .where('id', manifestId)
-      .update({
-        status: newStatus,
-        audit_trail: JSON.stringify(auditTrail),
-        updated_at: db.fn.now(),
-      });
-
     await recordAudit({
       eventType: 'manifest_status_change',
       action: 'update',
@@ -235,8 +665,10 @@ export async function updateManifestStatus(manifestId, newStatus, actor, details
         previousStatus,
         newStatus,
         actor,
+        capacityChange,
       },
     });
+    await recordLdrNoticeDetachments(detachedNotices, manifestId, 'manifest cancelled', traceId);
 
     logger.info(
       {
@@ -250,7 +682,8 @@ export async function updateManifestStatus(manifestId, newStatus, actor, details
     );
 
     const updatedManifest = await db('manifests').where('id', manifestId).first();
-    return formatManifestResponse(updatedManifest);
+    const [response] = await formatManifestResponses([updatedManifest]);
+    return response;
   } catch (error) {
     logger.error(
       {
@@ -264,7 +697,45 @@ export async function updateManifestStatus(manifestId, newStatus, actor, details
   }
 }
 
-export async function signManifest(manifestId, role, signatureData) {
+/**
+ * Resolve which transporter is signing: the requested index, or the first that has not signed
+ * Transporters sign in order, each accepting the waste from the one before.
+ */
+function resolveTransporterIndex(transporterRows, requestedIndex) {
+  const index =
+    requestedIndex ?? transporterRows.findIndex((transporter) => !transporter.signed_at);
+
+  if (requestedIndex === undefined && index === -1) {
+    throw createError(
+      `All ${transporterRows.length} transporters have signed; give the transporter index to re-sign`,
+      409
+    );
+  }
+
+  if (!Number.isInteger(index) || index < 0 || index >= transporterRows.length) {
+    throw createError(
+      `Invalid transporter index: ${requestedIndex}. The manifest has ${transporterRows.length} transporter(s)`,
+      400
+    );
+  }
+
+  if (index > 0 && !transporterRows[index - 1].signed_at) {
+    throw createError(
+      `Transporter ${index} must sign before transporter ${index + 1} can accept the waste`,
+      409
+    );
+  }
+
+  return index;
+}
+
+/**
+ * Sign a manifest as the generator, a transporter or the facility
+ * options.transporterIndex picks the transporter signing (0 is the first); by default it is
+ * the next transporter yet to sign. A transporter's signature hands the waste off from the
+ * transporter before it, and the facility's from the last transporter.
+ */
+export async function signManifest(manifestId, role, signatureData, options = {}) {
   const traceId = `sign-${Date.now()}`;
 
   logger.info({ traceId, manifestId, role }, 'Signing manifest');
@@ -276,52 +747,128 @@ export async function signManifest(manifestId, role, signatureData) {
   const db = getDb();
 
   try {
-    const manifest = await db('manifests').where('id', manifestId).first();
+    // The signature is recorded against the status it was read with, so a concurrent update
+    // cannot complete the manifest twice or move the facility's capacity twice
+    const { transporterIndex, handedOff, allSigned, capacityChange } = await db.transaction(
+      async (trx) => {
+        const manifest = await trx('manifests').where('id', manifestId).first();
+
+        if (!manifest) {
+          throw new Error(`Manifest not found: ${manifestId}`);
+        }
+
+        if (manifest.status === 'cancelled') {
+          throw createError(`Manifest ${manifestId} is cancelled and cannot be signed`, 409);
+        }
+
+        const transporterRows = await trx('manifest_transporters')
+          .where('manifest_id', manifestId)
+          .orderBy('transporter_index', 'asc');
+        const transporterIndex =
+          role === 'transporter'
+            ? resolveTransporterIndex(transporterRows, options.transporterIndex)
+            : undefined;
+
+        const signatures = JSON.parse(manifest.signatures);
+        const auditTrail = JSON.parse(manifest.audit_trail);
+        const signedAt = new Date().toISOString();
+        const signature = {
+          signedBy: signatureData.name,
+          signedAt,
+          signature: signatureData.signature || 'digital-signature',
+        };
+
+        // The party taking the waste relieves whoever carried it before
+        let handedOff = null;
+        if (role === 'transporter') {
+          transporterRows[transporterIndex].signed_at = signedAt;
+          handedOff = transporterIndex > 0 ? transporterRows[transporterIndex - 1] : null;
+        } else {
+          if (role === 'facility') {
+            handedOff =
+              transporterRows.filter((transporter) => transporter.signed_at).pop() || null;
+          }
+          signatures[role] = signature;
+        }
+        if (handedOff?.handed_off_at) {
+          handedOff = null;
+        }
+
+        auditTrail.push({
+          timestamp: signedAt,
+          action: `${role}_signed`,
+          actor: signatureData.name,
+          details: { role, ...(role === 'transporter' && { transporterIndex }) },
+        });
+
+        const allSigned = Boolean(
+          signatures.generator &&
+          signatures.facility &&
+          transporterRows.every((transporter) => transporter.signed_at)
+        );
+
+        // Signatures only close out a delivered load; earlier statuses move through updates
+        let newStatus = manifest.status;
+        if (allSigned && STATUS_TRANSITIONS[manifest.status].includes('completed')) {
+          newStatus = 'completed';
+          auditTrail.push({
+            timestamp: new Date().toISOString(),
+            action: 'manifest_completed',
+            actor: 'system',
+            details: { allPartiesSigned: true },
+          });
+        }
+
+        if (role === 'transporter') {
+          await trx('manifest_transporters')
+            .where('id', transporterRows[transporterIndex].id)
+            .update({
+              signed_by: signature.signedBy,
+              signed_at: signedAt,
+              signature: signature.signature,
+              updated_at: trx.fn.now(),
+            });
+        }
+
+        if (handedOff) {
+          await trx('manifest_transporters')
+            .where('id', handedOff.id)
+            .update({ handed_off_at: signedAt, updated_at: trx.fn.now() });
+        }
+
+        const updated = await trx('manifests')
+          .where({ id: manifestId, status: manifest.status })
+          .update({
+            signatures: JSON.stringify(signatures),
+            audit_trail: JSON.stringify(auditTrail),
+            status: newStatus,
+            updated_at: trx.fn.now(),
+          });
+
+        if (updated === 0) {
+          throw createStatusConflictError(manifestId, manifest.status);
+        }
+
+        return {
+          transporterIndex,
+          handedOff,
+          allSigned,
+          capacityChange:
+            newStatus === manifest.status
+              ? null
+              : await applyCapacityForStatus(trx, manifest, newStatus),
+        };
+      }
+    );
 
-    if (!manifest) {
-      throw new Error(`Manifest not found: ${manifestId}`);
+    if (capacityChange) {
+      invalidateFacilityCache();
     }
 
-    const signatures = JSON.parse(manifest.signatures);
-    const auditTrail = JSON.parse(manifest.audit_trail);
-
-    signatures[role] = {
-      signedBy: signatureData.name,
-      signedAt: new Date().toISOString(),
-      signature: signatureData.signature || 'digital-signature',
-    };
-
-    const auditEntry = {
-      timestamp: new Date().toISOString(),
-      action: `${role}_signed`,
-      actor: signatureData.name,
-      details: { role },
-    };
-
-    auditTrail.push(auditEntry);
-
-    const allSigned = signatures.generator && signatures.transporter && signatures.facility;
-
-    let newStatus = manifest.status;
-    if (allSigned && manifest.status !== 'completed') {
-      newStatus = 'completed';
-      auditTrail.push({
-        timestamp: new Date().toISOString(),
-        action: 'manifest_completed',
-        actor: 'system',
-        details: { allPartiesSigned: true },
-      });
+    if (role === 'facility') {
+      await resolveManifestException(manifestId, 'Facility signature received', { traceId });
     }
 
-    await db('manifests')
-      .where('id', manifestId)
-      .update({
-        signatures: JSON.stringify(signatures),
-        audit_trail: JSON.stringify(auditTrail),
-        status: newStatus,
-        updated_at: db.fn.now(),
-      });
-
     await recordAudit({
       eventType: 'manifest_signature',
       action: 'update',
@@ -331,8 +878,11 @@ export async function signManifest(manifestId, role, signatureData) {
       status: 'completed',
       metadata: {
         role,
+        transporterIndex,
         signedBy: signatureData.name,
+        handedOffBy: handedOff?.transporter_index,
         allSigned,
+        capacityChange,
       },
     });
 
@@ -341,13 +891,15 @@ export async function signManifest(manifestId, role, signatureData) {
         traceId,
         manifestId,
         role,
+        transporterIndex,
         allSigned,
       },
       'Manifest signed'
     );
 
     const updatedManifest = await db('manifests').where('id', manifestId).first();
-    return formatManifestResponse(updatedManifest);
+    const [response] = await formatManifestResponses([updatedManifest]);
+    return response;
   } catch (error) {
     logger.error(
       {
@@ -381,6 +933,12 @@ function getCurrentLocation(status, routeDetails) {
       address: 'Facility',
     };
   }
+  if (status === 'rejected') {
+    return {
+      location: 'Rejected at Disposal Facility',
+      address: routeDetails.facility?.address || 'Facility',
+    };
+  }
   if (status === 'cancelled') {
     return {
       location: 'Cancelled',
@@ -394,6 +952,32 @@ function getCurrentLocation(status, routeDetails) {
   };
 }
 
+/**
+ * Get the leg of the journey the waste is on: the transporter that has signed for it and
+ * not yet handed it off, or null before the first transporter and after the facility signs
+ */
+function getCurrentLeg(transporters) {
+  const carrier = transporters
+    .filter((transporter) => transporter.signature && !transporter.handedOffAt)
+    .pop();
+
+  if (!carrier) {
+    return null;
+  }
+
+  return {
+    transporterIndex: carrier.index,
+    leg: carrier.index + 1,
+    totalLegs: transporters.length,
+    transporter: {
+      name: carrier.name,
+      epaId: carrier.epaId,
+      vehicleType: carrier.vehicleType,
+    },
+    since: carrier.signature.signedAt,
+  };
+}
+
 function buildTimeline(auditTrail) {
   return auditTrail.map((entry) => ({
     timestamp: entry.timestamp,
@@ -422,7 +1006,147 @@ function calculateEstimatedDelivery(createdAt, routeDetails) {
   return estimatedDelivery.toISOString();
 }
 
-function formatManifestResponse(manifest) {
+function formatLineItem(row) {
+  return {
+    lineNumber: row.line_number,
+    sheet: getSheetPosition(row.line_number),
+    wasteProfileId: row.waste_profile_id,
+    profileVersion: row.profile_version,
+    wasteDescription: row.waste_description,
+    hazardousMaterial: Boolean(row.hazardous_material),
+    containers: {
+      count: row.container_count,
+      type: row.container_type,
+    },
+    quantity: Number(row.quantity),
+    unit: row.unit,
+    wasteCodes: JSON.parse(row.waste_codes) || [],
+    dotDescription: JSON.parse(row.dot_description),
+  };
+}
+
+/**
+ * Load the line items of the given manifests in line order, grouped by manifest ID
+ */
+async function getLineItemsByManifest(manifestIds) {
+  const db = getDb();
+  const rows = await db('manifest_line_items')
+    .whereIn('manifest_id', manifestIds)
+    .orderBy('line_number', 'asc');
+
+  const grouped = new Map(manifestIds.map((id) => [id, []]));
+  for (const row of rows) {
+    grouped.get(row.manifest_id).push(formatLineItem(row));
+  }
+
+  return grouped;
+}
+
+/**
+ * Map a transporter onto a manifest_transporters row
+ */
+export function toTransporterRow(manifestId, transporter, index) {
+  return {
+    id: randomUUID(),
+    manifest_id: manifestId,
+    transporter_index: index,
+    transporter_id: transporter.transporterId || null,
+    name: transporter.name,
+    epa_id: transporter.epaId,
+    vehicle_type: transporter.vehicleType || null,
+  };
+}
+
+function formatTransporter(row) {
+  return {
+    index: row.transporter_index,
+    transporterId: row.transporter_id,
+    name: row.name,
+    epaId: row.epa_id,
+    vehicleType: row.vehicle_type,
+    signature: row.signed_at
+      ? { signedBy: row.signed_by, signedAt: row.signed_at, signature: row.signature }
+      : null,
+    handedOffAt: row.handed_off_at,
+  };
+}
+
+/**
+ * Load the transporters of the given manifests in carrying order, grouped by manifest ID
+ */
+async function getTransportersByManifest(manifestIds) {
+  const db = getDb();
+  const rows = await db('manifest_transporters')
+    .whereIn('manifest_id', manifestIds)
+    .orderBy('transporter_index', 'asc');
+
+  const grouped = new Map(manifestIds.map((id) => [id, []]));
+  for (const row of rows) {
+    grouped.get(row.manifest_id).push(formatTransporter(row));
+  }
+
+  return grouped;
+}
+
+/**
+ * Generator and facility signatures; transporters carry their own
+ */
+function formatSignatures(signatures) {
+  return {
+    generator: signatures.generator || null,
+    facility: signatures.facility || null,
+  };
+}
+
+function formatDiscrepancy(row) {
+  return {
+    id: row.id,
+    lineNumber: row.line_number,
+    type: row.discrepancy_type,
+    manifested: JSON.parse(row.manifested),
+    received: JSON.parse(row.received),
+    variancePercent: row.variance_percent === null ? null : Number(row.variance_percent),
+    description: row.description,
+    referenceManifestId: row.reference_manifest_id,
+    referenceManifestNumber: row.reference_manifest_number,
+    reportedBy: row.reported_by,
+    reportedAt: row.created_at,
+  };
+}
+
+/**
+ * Load the discrepancies recorded on the given manifests, grouped by manifest ID
+ */
+async function getDiscrepanciesByManifest(manifestIds) {
+  const db = getDb();
+  const rows = await db('manifest_discrepancies')
+    .leftJoin(
+      'manifests as reference',
+      'reference.id',
+      'manifest_discrepancies.reference_manifest_id'
+    )
+    .whereIn('manifest_discrepancies.manifest_id', manifestIds)
+    .select('manifest_discrepancies.*', 'reference.manifest_number as reference_manifest_number')
+    .orderBy([
+      { column: 'manifest_discrepancies.created_at' },
+      { column: 'manifest_discrepancies.line_number' },
+    ]);
+
+  const grouped = new Map(manifestIds.map((id) => [id, []]));
+  for (const row of rows) {
+    grouped.get(row.manifest_id).push(formatDiscrepancy(row));
+  }
+
+  return grouped;
+}
+
+function formatManifestResponse(
+  manifest,
+  lineItems = [],
+  discrepancies = [],
+  transporters = [],
+  ldrNotices = []
+) {
   const routeDetails = JSON.parse(manifest.route_details);
   const signatures = JSON.parse(manifest.signatures);
   const auditTrail = JSON.parse(manifest.audit_trail);
@@ -430,24 +1154,28 @@ function formatManifestResponse(manifest) {
   return {
     id: manifest.id,
     manifestNumber: manifest.manifest_number,
+    revisionNumber: manifest.revision_number,
     status: manifest.status,
     wasteProfile: routeDetails.wasteDetails,
+    lineItems,
+    continuationSheets: getContinuationSheetCount(lineItems.length, transporters.length),
     generator: routeDetails.generator,
+    origin: manifest.origin,
     facility: {
       id: manifest.facility_id,
+      ...routeDetails.facility,
     },
-    transporter: {
-      name: manifest.transporter_name,
-      epaId: manifest.transporter_epa_id,
-      vehicleType: routeDetails.transporter?.vehicleType,
-    },
+    transporters,
     route: {
       distance: routeDetails.distance,
       estimatedDuration: routeDetails.estimatedDuration,
       method: routeDetails.method,
     },
     cost: routeDetails.cost,
-    signatures,
+    signatures: formatSignatures(signatures),
+    discrepancies,
+    ldrNotices,
+    rejection: routeDetails.rejection || null,
     dates: {
       created: manifest.created_at,
       updated: manifest.updated_at,
@@ -456,6 +1184,28 @@ function formatManifestResponse(manifest) {
   };
 }
 
+/**
+ * Format manifest rows for responses with their line items, discrepancies, transporters and
+ * LDR notices
+ */
+async function formatManifestResponses(manifests) {
+  const manifestIds = manifests.map((manifest) => manifest.id);
+  const lineItemsByManifest = await getLineItemsByManifest(manifestIds);
+  const discrepanciesByManifest = await getDiscrepanciesByManifest(manifestIds);
+  const transportersByManifest = await getTransportersByManifest(manifestIds);
+  const ldrNoticesByManifest = await getLdrNoticesByManifest(manifestIds);
+
+  return manifests.map((manifest) =>
+    formatManifestResponse(
+      manifest,
+      lineItemsByManifest.get(manifest.id),
+      discrepanciesByManifest.get(manifest.id),
+      transportersByManifest.get(manifest.id),
+      ldrNoticesByManifest.get(manifest.id)
+    )
+  );
+}
+
 export async function getAllManifests(options = {}) {
   const { limit = 50, offset = 0, status } = options;
 
@@ -470,7 +1220,7 @@ export async function getAllManifests(options = {}) {
 
     const manifests = await query.limit(limit).offset(offset);
 
-    return manifests.map(formatManifestResponse);
+    return await formatManifestResponses(manifests);
   } catch (error) {
     logger.error(
       {
@@ -492,7 +1242,8 @@ export async function getManifestById(manifestId) {
       return null;
     }
 
-    return formatManifestResponse(manifest);
+    const [response] = await formatManifestResponses([manifest]);
+    return response;
   } catch (error) {
     logger.error(
       {
@@ -521,7 +1272,34 @@ export async function deleteManifest(manifestId) {
       );
     }
 
-    await db('manifests').where('id', manifestId).del();
+    if (manifest.source_manifest_id) {
+      throw createError(
+        `Cannot delete manifest ${manifest.manifest_number}: it carries waste rejected on another manifest. Cancel it instead.`,
+        409
+      );
+    }
+
+    // Capacity events are the facility's booking history and outlive the manifest's
+    const capacityEvent = await db('facility_capacity_events')
+      .where('manifest_id', manifestId)
+      .first();
+
+    if (capacityEvent) {
+      throw createError(
+        `Cannot delete manifest ${manifest.manifest_number}: it has facility capacity history. Keep it cancelled instead.`,
+        409
+      );
+    }
+
+    const detachedNotices = await db.transaction(async (trx) => {
+      const notices = await detachLdrNotices(trx, manifestId);
+      await trx('manifest_line_items').where('manifest_id', manifestId).del();
+      await trx('manifest_exceptions').where('manifest_id', manifestId).del();
+      await trx('manifest_revisions').where('manifest_id', manifestId).del();
+      await trx('manifest_transporters').where('manifest_id', manifestId).del();
+      await trx('manifests').where('id', manifestId).del();
+      return notices;
+    });
 
     await recordAudit({
       eventType: 'manifest_deletion',
@@ -534,6 +1312,7 @@ export async function deleteManifest(manifestId) {
         previousStatus: manifest.status,
       },
     });
+    await recordLdrNoticeDetachments(detachedNotices, manifestId, 'manifest deleted');
 
     logger.info(
       {
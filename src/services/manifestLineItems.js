@@ -0,0 +1,202 @@
+import { randomUUID } from 'crypto';
+import { isValidWasteCode } from '../data/epaWasteCodes.js';
+import { getListedChemical } from '../data/commercialChemicalProducts.js';
+
+/**
+ * Container type codes for Form 8700-22 item 10
+ */
+export const CONTAINER_TYPES = {
+  BA: 'Burlap, cloth, paper, or plastic bags',
+  CF: 'Fiber or plastic boxes, cartons, cases',
+  CM: 'Metal boxes, cartons, cases (including roll-offs)',
+  CW: 'Wooden boxes, cartons, cases',
+  CY: 'Cylinders',
+  DF: 'Fiberboard or plastic drums, barrels, kegs',
+  DM: 'Metal drums, barrels, kegs',
+  DT: 'Dump truck',
+  DW: 'Wooden drums, barrels, kegs',
+  HG: 'Hopper or gondola cars',
+  TC: 'Tank cars',
+  TP: 'Portable tanks',
+  TT: 'Cargo tanks (tank trucks)',
+};
+
+/**
+ * Unit of measure codes for Form 8700-22 item 12
+ */
+export const UNITS_OF_MEASURE = {
+  G: 'Gallons (liquids only)',
+  K: 'Kilograms',
+  L: 'Liters (liquids only)',
+  M: 'Metric tons (1000 kg)',
+  N: 'Cubic meters',
+  P: 'Pounds',
+  T: 'Tons (2000 lb)',
+  Y: 'Cubic yards',
+};
+
+const LIQUID_ONLY_UNITS = ['G', 'L'];
+
+/**
+ * Kilograms per unit for the weight units; volume units have no fixed conversion
+ */
+const KILOGRAMS_PER_UNIT = {
+  K: 1,
+  M: 1000,
+  P: 0.45359237,
+  T: 907.18474,
+};
+
+/**
+ * Lines on the manifest itself (items 9-13) and on each continuation sheet (items 27-31)
+ */
+export const LINES_PER_MANIFEST = 4;
+export const LINES_PER_CONTINUATION_SHEET = 10;
+
+/**
+ * Transporters on the manifest itself (items 6-7) and on each continuation sheet (items 25-26)
+ */
+export const TRANSPORTERS_PER_MANIFEST = 2;
+export const TRANSPORTERS_PER_CONTINUATION_SHEET = 2;
+
+/**
+ * Form field limits: six waste code boxes, a three-digit container count and a five-digit
+ * total quantity per line
+ */
+export const MAX_WASTE_CODES_PER_LINE = 6;
+export const MAX_CONTAINER_COUNT = 999;
+export const MAX_QUANTITY = 99999;
+
+/**
+ * Convert a line quantity to kilograms, or null for volume units
+ */
+export function toKilograms(quantity, unit) {
+  const factor = KILOGRAMS_PER_UNIT[unit];
+  return factor === undefined ? null : Number(quantity) * factor;
+}
+
+/**
+ * Get the whole kilograms a set of lines adds up to, or null when any line is measured by
+ * volume and so has no known weight
+ */
+export function getTotalQuantityKg(lines) {
+  const weights = lines.map((line) => toKilograms(line.quantity, line.unit));
+
+  if (weights.includes(null)) {
+    return null;
+  }
+
+  return Math.ceil(weights.reduce((total, kg) => total + kg, 0));
+}
+
+/**
+ * Get the number of continuation sheets (Form 8700-22A) a manifest needs for its lines and
+ * transporters
+ */
+export function getContinuationSheetCount(lineCount, transporterCount = 1) {
+  return Math.max(
+    0,
+    Math.ceil((lineCount - LINES_PER_MANIFEST) / LINES_PER_CONTINUATION_SHEET),
+    Math.ceil((transporterCount - TRANSPORTERS_PER_MANIFEST) / TRANSPORTERS_PER_CONTINUATION_SHEET)
+  );
+}
+
+/**
+ * Get the form, page and line on that page where a manifest line is printed
+ */
+export function getSheetPosition(lineNumber) {
+  if (lineNumber <= LINES_PER_MANIFEST) {
+    return { form: '8700-22', page: 1, line: lineNumber };
+  }
+
+  const continuationIndex = lineNumber - LINES_PER_MANIFEST - 1;
+
+  return {
+    form: '8700-22A',
+    page: 2 + Math.floor(continuationIndex / LINES_PER_CONTINUATION_SHEET),
+    line: (continuationIndex % LINES_PER_CONTINUATION_SHEET) + 1,
+  };
+}
+
+/**
+ * Check one line item against the form's rules, returning the violations
+ */
+export function validateLineItem(line) {
+  const errors = [];
+  const prefix = `Line ${line.lineNumber}`;
+
+  if (
+    !Number.isInteger(line.containerCount) ||
+    line.containerCount < 1 ||
+    line.containerCount > MAX_CONTAINER_COUNT
+  ) {
+    errors.push(
+      `${prefix}: container count must be a whole number from 1 to ${MAX_CONTAINER_COUNT}`
+    );
+  }
+
+  if (!CONTAINER_TYPES[line.containerType]) {
+    errors.push(`${prefix}: unknown container type ${line.containerType}`);
+  }
+
+  if (!(Number(line.quantity) > 0) || Number(line.quantity) > MAX_QUANTITY) {
+    errors.push(`${prefix}: total quantity must be greater than 0 and at most ${MAX_QUANTITY}`);
+  }
+
+  if (!UNITS_OF_MEASURE[line.unit]) {
+    errors.push(`${prefix}: unknown unit of measure ${line.unit}`);
+  } else if (
+    LIQUID_ONLY_UNITS.includes(line.unit) &&
+    line.physicalState &&
+    line.physicalState !== 'liquid'
+  ) {
+    errors.push(`${prefix}: unit ${line.unit} may only be used for liquids`);
+  }
+
+  if (line.wasteCodes.length === 0) {
+    errors.push(`${prefix}: at least one waste code is required`);
+  } else if (line.wasteCodes.length > MAX_WASTE_CODES_PER_LINE) {
+    errors.push(`${prefix}: at most ${MAX_WASTE_CODES_PER_LINE} waste codes fit on a line`);
+  }
+
+  const unknownCodes = line.wasteCodes.filter(
+    (code) => !isValidWasteCode(code) && !getListedChemical(code)
+  );
+  if (unknownCodes.length > 0) {
+    errors.push(`${prefix}: unknown waste codes ${unknownCodes.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check an ordered list of line items, returning every violation
+ */
+export function validateLineItems(lines) {
+  if (lines.length === 0) {
+    return ['A manifest needs at least one line item'];
+  }
+
+  return lines.flatMap(validateLineItem);
+}
+
+/**
+ * Map a line item to a manifest_line_items row
+ */
+export function toLineItemRow(manifestId, line) {
+  return {
+    id: randomUUID(),
+    manifest_id: manifestId,
+    line_number: line.lineNumber,
+    waste_profile_id: line.wasteProfileId || null,
+    profile_version: line.profileVersion ?? null,
+    waste_description: line.wasteName || null,
+    hazardous_material: line.hazardousMaterial,
+    container_count: line.containerCount,
+    container_type: line.containerType,
+    quantity: line.quantity,
+    unit: line.unit,
+    waste_codes: JSON.stringify(line.wasteCodes),
+    dot_description: JSON.stringify(line.dotDescription),
+  };
+}
@@ -0,0 +1,570 @@
+import { createLogger } from '../utils/logger.js';
+import { PdfDocument } from '../utils/pdf.js';
+import { getCode128Bars } from '../utils/barcode.js';
+import { recordAudit } from './auditService.js';
+import { getManifestById } from './manifestGenerator.js';
+import { describeTracingEfforts, getManifestException } from './manifestExceptions.js';
+import {
+  LINES_PER_CONTINUATION_SHEET,
+  LINES_PER_MANIFEST,
+  TRANSPORTERS_PER_CONTINUATION_SHEET,
+  TRANSPORTERS_PER_MANIFEST,
+} from './manifestLineItems.js';
+import { createError } from '../utils/errors.js';
+
+const logger = createLogger('manifest-pdf');
+
+const LEFT = 36;
+const FULL_WIDTH = 540;
+const LABEL_SIZE = 6;
+const VALUE_SIZE = 9;
+
+const GENERATOR_CERTIFICATION =
+  "GENERATOR'S/OFFEROR'S CERTIFICATION: I hereby declare that the contents of this " +
+  'consignment are fully and accurately described above by the proper shipping name, and are ' +
+  'classified, packaged, marked and labeled/placarded, and are in all respects in proper ' +
+  'condition for transport according to applicable international and national governmental ' +
+  'regulations.';
+
+/**
+ * Columns of the waste line table: item label, width and how to print a line's value
+ */
+const LINE_COLUMNS = [
+  { label: 'HM', width: 30, value: (line) => (line.hazardousMaterial ? 'X' : '') },
+  {
+    label: 'U.S. DOT Description',
+    width: 230,
+    value: (line) => line.dotDescription?.description || line.wasteDescription || '',
+  },
+  { label: 'Cntr No.', width: 45, value: (line) => String(line.containers.count) },
+  { label: 'Cntr Type', width: 40, value: (line) => line.containers.type },
+  { label: 'Total Quantity', width: 55, value: (line) => String(line.quantity) },
+  { label: 'Unit Wt./Vol.', width: 50, value: (line) => line.unit },
+  { label: 'Waste Codes', width: 90, value: (line) => line.wasteCodes.join(' ') },
+];
+
+function formatSignatureDate(value) {
+  if (!value) {
+    return '';
+  }
+  const date = new Date(value);
+  const pad = (part) => String(part).padStart(2, '0');
+  return `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Draw a labelled form box with its value printed below the label
+ */
+function drawField(page, x, y, width, height, label, value, options = {}) {
+  const { size = VALUE_SIZE, bold = false } = options;
+
+  page.rect(x, y, width, height);
+  page.text(label, x + 2, y + 7, { size: LABEL_SIZE });
+  if (value) {
+    page.textBlock(value, x + 4, y + 9 + size, width - 8, {
+      size,
+      bold,
+      maxLines: Math.max(1, Math.floor((height - 11) / (size * 1.2))),
+    });
+  }
+}
+
+/**
+ * Draw the tracking number as a Code 128 barcode with the number printed below it
+ */
+function drawBarcode(page, text, x, y, width, height) {
+  const { bars, totalModules } = getCode128Bars(text);
+  const moduleWidth = width / totalModules;
+  const barHeight = height - 12;
+
+  for (const bar of bars) {
+    page.rect(x + bar.x * moduleWidth, y, bar.width * moduleWidth, barHeight, { fill: true });
+  }
+  page.text(text, x + width / 2 - text.length * 2.6, y + height - 2, { size: 9 });
+}
+
+/**
+ * Draw a certification row: printed name, signature and date of one party
+ */
+function drawSignatureRow(page, y, height, label, signature) {
+  drawField(page, LEFT, y, 250, height, `${label} Printed/Typed Name`, signature?.signedBy);
+  drawField(
+    page,
+    LEFT + 250,
+    y,
+    190,
+    height,
+    'Signature',
+    signature ? `/s/ ${signature.signedBy}` : ''
+  );
+  drawField(
+    page,
+    LEFT + 440,
+    y,
+    100,
+    height,
+    'Month / Day / Year',
+    formatSignatureDate(signature?.signedAt)
+  );
+}
+
+/**
+ * A transporter's company name and EPA ID, numbered by its place in the carrying order
+ */
+function drawTransporterField(page, y, itemNumber, transporter, index) {
+  drawField(
+    page,
+    LEFT,
+    y,
+    400,
+    26,
+    `${itemNumber}. Transporter ${index + 1} Company Name`,
+    transporter?.name
+  );
+  drawField(page, LEFT + 400, y, 140, 26, 'U.S. EPA ID Number', transporter?.epaId);
+}
+
+function drawLineTable(page, y, lines, rowCount, rowHeight, itemNumbers) {
+  let x = LEFT;
+  LINE_COLUMNS.forEach((column, index) => {
+    drawField(
+      page,
+      x,
+      y,
+      column.width,
+      20,
+      [itemNumbers[index], column.label].filter(Boolean).join(' ')
+    );
+    x += column.width;
+  });
+
+  for (let row = 0; row < rowCount; row++) {
+    const line = lines[row];
+    const rowY = y + 20 + row * rowHeight;
+
+    x = LEFT;
+    LINE_COLUMNS.forEach((column, index) => {
+      // The description column starts with the manifest line number
+      const indent = index === 1 ? 14 : 4;
+
+      page.rect(x, rowY, column.width, rowHeight);
+      if (line && index === 1) {
+        page.text(`${line.lineNumber}.`, x + 2, rowY + 10, { size: 7, bold: true });
+      }
+      if (line && column.value(line)) {
+        page.textBlock(column.value(line), x + indent, rowY + 10, column.width - indent - 4, {
+          size: 8,
+          maxLines: Math.floor((rowHeight - 4) / 9.6),
+        });
+      }
+      x += column.width;
+    });
+  }
+
+  return y + 20 + rowCount * rowHeight;
+}
+
+function drawPageFooter(document, page, manifest, pageNumber, pageCount) {
+  page.text(
+    `${pageNumber === 1 ? 'EPA Form 8700-22' : 'EPA Form 8700-22A'}    ` +
+      `Manifest ${manifest.manifestNumber}    Page ${pageNumber} of ${pageCount}`,
+    LEFT,
+    document.height - 40,
+    { size: 7 }
+  );
+}
+
+function getSpecialHandling(manifest, pageCount) {
+  const notes = [];
+
+  if (manifest.rejection) {
+    notes.push(
+      `${manifest.rejection.type === 'full' ? 'Rejected' : 'Partially rejected'} waste from ` +
+        `manifest ${manifest.rejection.sourceManifestNumber}.`
+    );
+  }
+  if (manifest.wasteProfile?.facilityApprovalNumber) {
+    notes.push(`Facility approval ${manifest.wasteProfile.facilityApprovalNumber}.`);
+  }
+  if (pageCount > 1) {
+    notes.push(`${pageCount - 1} continuation sheet(s) attached.`);
+  }
+
+  return notes.join(' ');
+}
+
+/**
+ * Item 18: each discrepancy and the manifest reference number of rejected waste
+ */
+function getDiscrepancyNotes(manifest) {
+  const discrepancies = manifest.discrepancies || [];
+  const references = [
+    ...new Set(discrepancies.map((entry) => entry.referenceManifestNumber).filter(Boolean)),
+  ];
+
+  return [
+    ...discrepancies.map(
+      (entry) => `Line ${entry.lineNumber} ${entry.type.replace('_', ' ')}: ${entry.description}.`
+    ),
+    ...references.map((number) => `Manifest Reference Number: ${number}.`),
+  ].join(' ');
+}
+
+function drawFirstPage(document, manifest, pageCount) {
+  const page = document.addPage();
+  const { generator = {}, facility = {}, transporters = [], signatures = {} } = manifest;
+  const emergencyPhone = generator.emergencyPhone || generator.contactPhone;
+
+  page.text('UNIFORM HAZARDOUS WASTE MANIFEST', LEFT, 48, { size: 12, bold: true });
+  page.text('Please print or type.', LEFT + 400, 48, { size: 7 });
+
+  drawField(page, LEFT, 56, 150, 30, '1. Generator ID Number', generator.epaId);
+  drawField(page, LEFT + 150, 56, 60, 30, '2. Page 1 of', String(pageCount));
+  drawField(page, LEFT + 210, 56, 130, 30, '3. Emergency Response Phone', emergencyPhone);
+  drawField(page, LEFT + 340, 56, 200, 30, '4. Manifest Tracking Number', manifest.manifestNumber, {
+    bold: true,
+  });
+
+  drawField(
+    page,
+    LEFT,
+    86,
+    270,
+    52,
+    "5. Generator's Name and Mailing Address",
+    [generator.name, generator.address, generator.contactPhone && `Phone ${generator.contactPhone}`]
+      .filter(Boolean)
+      .join(', ')
+  );
+  page.rect(LEFT + 270, 86, 270, 52);
+  drawBarcode(page, manifest.manifestNumber, LEFT + 280, 90, 250, 44);
+
+  drawTransporterField(page, 138, 6, transporters[0], 0);
+  drawTransporterField(page, 164, 7, transporters[1], 1);
+  drawField(
+    page,
+    LEFT,
+    190,
+    400,
+    44,
+    '8. Designated Facility Name and Site Address',
+    [facility.name, facility.address].filter(Boolean).join(', ')
+  );
+  drawField(page, LEFT + 400, 190, 140, 44, 'U.S. EPA ID Number', facility.epaId);
+
+  const tableEnd = drawLineTable(
+    page,
+    234,
+    manifest.lineItems.slice(0, LINES_PER_MANIFEST),
+    LINES_PER_MANIFEST,
+    44,
+    ['9a.', '9b.', '10.', '', '11.', '12.', '13.']
+  );
+
+  drawField(
+    page,
+    LEFT,
+    tableEnd,
+    FULL_WIDTH,
+    40,
+    '14. Special Handling Instructions and Additional Information',
+    getSpecialHandling(manifest, pageCount)
+  );
+
+  page.rect(LEFT, tableEnd + 40, FULL_WIDTH, 30);
+  page.text('15.', LEFT + 2, tableEnd + 47, { size: LABEL_SIZE });
+  page.textBlock(GENERATOR_CERTIFICATION, LEFT + 14, tableEnd + 47, FULL_WIDTH - 20, {
+    size: LABEL_SIZE,
+  });
+  drawSignatureRow(page, tableEnd + 70, 24, "Generator's/Offeror's", signatures.generator);
+
+  drawField(page, LEFT, tableEnd + 94, FULL_WIDTH, 20, '16. International Shipments', '');
+  drawField(
+    page,
+    LEFT,
+    tableEnd + 114,
+    FULL_WIDTH,
+    12,
+    '17. Transporter Acknowledgment of Receipt of Materials',
+    ''
+  );
+  drawSignatureRow(page, tableEnd + 126, 24, 'Transporter 1', transporters[0]?.signature);
+  drawSignatureRow(page, tableEnd + 150, 24, 'Transporter 2', transporters[1]?.signature);
+  drawField(
+    page,
+    LEFT,
+    tableEnd + 174,
+    FULL_WIDTH,
+    28,
+    '18. Discrepancy',
+    getDiscrepancyNotes(manifest),
+    { size: 7 }
+  );
+  drawField(
+    page,
+    LEFT,
+    tableEnd + 202,
+    FULL_WIDTH,
+    20,
+    '19. Hazardous Waste Report Management Method Codes',
+    ''
+  );
+  drawField(
+    page,
+    LEFT,
+    tableEnd + 222,
+    FULL_WIDTH,
+    12,
+    '20. Designated Facility Owner or Operator: Certification of receipt of hazardous ' +
+      'materials covered by the manifest except as noted in Item 18a',
+    ''
+  );
+  drawSignatureRow(page, tableEnd + 234, 24, 'Facility', signatures.facility);
+
+  drawPageFooter(document, page, manifest, 1, pageCount);
+}
+
+function drawContinuationPage(document, manifest, sheet, pageNumber, pageCount) {
+  const page = document.addPage();
+  const { generator = {} } = manifest;
+  const { lines, transporters, firstTransporterIndex } = sheet;
+
+  page.text('UNIFORM HAZARDOUS WASTE MANIFEST (Continuation Sheet)', LEFT, 48, {
+    size: 12,
+    bold: true,
+  });
+
+  drawField(page, LEFT, 56, 150, 30, '21. Generator ID Number', generator.epaId);
+  drawField(page, LEFT + 150, 56, 60, 30, '22. Page', `${pageNumber} of ${pageCount}`);
+  drawField(
+    page,
+    LEFT + 210,
+    56,
+    330,
+    30,
+    '23. Manifest Tracking Number',
+    manifest.manifestNumber,
+    { bold: true }
+  );
+  drawField(page, LEFT, 86, 270, 52, "24. Generator's Name", generator.name);
+  page.rect(LEFT + 270, 86, 270, 52);
+  drawBarcode(page, manifest.manifestNumber, LEFT + 280, 90, 250, 44);
+  drawTransporterField(page, 138, 25, transporters[0], firstTransporterIndex);
+  drawTransporterField(page, 164, 26, transporters[1], firstTransporterIndex + 1);
+
+  const tableEnd = drawLineTable(page, 190, lines, LINES_PER_CONTINUATION_SHEET, 40, [
+    '27a.',
+    '27b.',
+    '28.',
+    '',
+    '29.',
+    '30.',
+    '31.',
+  ]);
+
+  drawField(
+    page,
+    LEFT,
+    tableEnd,
+    FULL_WIDTH,
+    30,
+    '32. Special Handling Instructions and Additional Information',
+    ''
+  );
+  drawField(
+    page,
+    LEFT,
+    tableEnd + 30,
+    FULL_WIDTH,
+    12,
+    '33. Transporter Acknowledgment of Receipt of Materials',
+    ''
+  );
+  for (let offset = 0; offset < TRANSPORTERS_PER_CONTINUATION_SHEET; offset++) {
+    drawSignatureRow(
+      page,
+      tableEnd + 42 + offset * 24,
+      24,
+      `Transporter ${firstTransporterIndex + offset + 1}`,
+      transporters[offset]?.signature
+    );
+  }
+  drawField(page, LEFT, tableEnd + 90, FULL_WIDTH, 24, '34. Discrepancy', '');
+
+  drawPageFooter(document, page, manifest, pageNumber, pageCount);
+}
+
+function drawManifestPages(document, manifest) {
+  const pageCount = 1 + manifest.continuationSheets;
+
+  drawFirstPage(document, manifest, pageCount);
+
+  for (let sheet = 0; sheet < manifest.continuationSheets; sheet++) {
+    const lineStart = LINES_PER_MANIFEST + sheet * LINES_PER_CONTINUATION_SHEET;
+    const transporterStart =
+      TRANSPORTERS_PER_MANIFEST + sheet * TRANSPORTERS_PER_CONTINUATION_SHEET;
+    drawContinuationPage(
+      document,
+      manifest,
+      {
+        lines: manifest.lineItems.slice(lineStart, lineStart + LINES_PER_CONTINUATION_SHEET),
+        transporters: (manifest.transporters || []).slice(
+          transporterStart,
+          transporterStart + TRANSPORTERS_PER_CONTINUATION_SHEET
+        ),
+        firstTransporterIndex: transporterStart,
+      },
+      sheet + 2,
+      pageCount
+    );
+  }
+}
+
+/**
+ * Lay out a manifest as Form 8700-22 followed by its 8700-22A continuation sheets
+ */
+export function buildManifestPdf(manifest, options = {}) {
+  const { generatedAt = new Date() } = options;
+  const document = new PdfDocument({
+    title: `Hazardous Waste Manifest ${manifest.manifestNumber}`,
+    createdAt: generatedAt,
+  });
+
+  drawManifestPages(document, manifest);
+
+  return document.toBuffer();
+}
+
+function drawExceptionCoverLetter(document, manifest, exception, generatedAt) {
+  const page = document.addPage();
+  const { generator = {} } = manifest;
+  const title =
+    exception.generatorCategory === 'SQG'
+      ? 'Manifest Without Confirmation of Delivery'
+      : 'Hazardous Waste Exception Report';
+
+  page.text(title.toUpperCase(), LEFT, 60, { size: 14, bold: true });
+  page.text(`Manifest Tracking Number: ${manifest.manifestNumber}`, LEFT, 84, { size: 10 });
+  page.text(`Date: ${formatSignatureDate(generatedAt)}`, LEFT, 98, { size: 10 });
+
+  let y = 130;
+  for (const line of [generator.name, `EPA ID ${generator.epaId}`, generator.address]) {
+    page.text(line || '', LEFT, y, { size: 10 });
+    y += 13;
+  }
+
+  y += 20;
+  for (const paragraph of describeTracingEfforts(manifest, exception, generatedAt)) {
+    y += page.textBlock(paragraph, LEFT, y, FULL_WIDTH, { size: 10 }) * 12 + 10;
+  }
+
+  y += 40;
+  page.line(LEFT, y, LEFT + 250, y);
+  page.text('Signature of generator or authorized representative', LEFT, y + 10, {
+    size: LABEL_SIZE,
+  });
+  page.text(generator.contactName || '', LEFT, y + 24, { size: 10 });
+  page.text('Attachment: copy of the manifest', LEFT, document.height - 40, { size: 7 });
+}
+
+/**
+ * Lay out an exception report: the cover letter explaining the efforts taken to locate the
+ * waste followed by a copy of the manifest
+ */
+export function buildExceptionReportPdf(manifest, exception, options = {}) {
+  const { generatedAt = new Date() } = options;
+  const document = new PdfDocument({
+    title: `Exception Report for Manifest ${manifest.manifestNumber}`,
+    createdAt: generatedAt,
+  });
+
+  drawExceptionCoverLetter(document, manifest, exception, generatedAt);
+  drawManifestPages(document, manifest);
+
+  return document.toBuffer();
+}
+
+/**
+ * Render the printable paper copy of a stored manifest
+ */
+export async function renderManifestPdf(manifestId, options = {}) {
+  const { traceId = `manifest-pdf-${Date.now()}` } = options;
+
+  logger.info({ traceId, manifestId }, 'Rendering manifest PDF');
+
+  try {
+    const manifest = await getManifestById(manifestId);
+
+    if (!manifest) {
+      throw createError(`Manifest not found: ${manifestId}`, 404);
+    }
+
+    if (manifest.status === 'cancelled') {
+      throw createError(`Manifest ${manifestId} is cancelled and cannot be printed`, 409);
+    }
+
+    const body = buildManifestPdf(manifest);
+
+    await recordAudit({
+      eventType: 'manifest_pdf',
+      action: 'read',
+      resourceType: 'manifest',
+      resourceId: manifestId,
+      traceId,
+      status: 'completed',
+      metadata: { manifestNumber: manifest.manifestNumber, pages: 1 + manifest.continuationSheets },
+    });
+
+    return { filename: `${manifest.manifestNumber}.pdf`, body };
+  } catch (error) {
+    logger.error({ error: error.message, traceId, manifestId }, 'Failed to render manifest PDF');
+    throw error;
+  }
+}
+
+/**
+ * Render the exception report for a manifest the scheduled check flagged as overdue
+ */
+export async function renderExceptionReport(manifestId, options = {}) {
+  const { traceId = `exception-report-${Date.now()}` } = options;
+
+  logger.info({ traceId, manifestId }, 'Rendering manifest exception report');
+
+  try {
+    const manifest = await getManifestById(manifestId);
+
+    if (!manifest) {
+      throw createError(`Manifest not found: ${manifestId}`, 404);
+    }
+
+    const exception = await getManifestException(manifestId);
+
+    if (!exception) {
+      throw createError(`Manifest ${manifest.manifestNumber} has no exception to report`, 404);
+    }
+
+    const body = buildExceptionReportPdf(manifest, exception);
+
+    await recordAudit({
+      eventType: 'manifest_exception_report',
+      action: 'read',
+      resourceType: 'manifest',
+      resourceId: manifestId,
+      traceId,
+      status: 'completed',
+      metadata: {
+        manifestNumber: manifest.manifestNumber,
+        exceptionId: exception.id,
+        exceptionStatus: exception.status,
+      },
+    });
+
+    return { filename: `${manifest.manifestNumber}-exception-report.pdf`, body };
+  } catch (error) {
+    logger.error(
+      { error: error.message, traceId, manifestId },
+      'Failed to render exception report'
+    );
+    throw error;
+  }
+}
@@ -0,0 +1,264 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { recordAudit } from './auditService.js';
+import { randomUUID } from 'crypto';
+import config from '../config/env.js';
+import { createError } from '../utils/errors.js';
+
+const logger = createLogger('manifest-tracking-numbers');
+
+/**
+ * Manifest tracking numbers are twelve digits followed by the three-letter suffix of the
+ * registrant that issued them. The first eleven digits are the serial and the twelfth is a
+ * Luhn check digit over the serial, e.g. 000000000174HHZ.
+ */
+export const TRACKING_NUMBER_PATTERN = /^\d{12}[A-Z]{3}$/;
+export const SUFFIX_PATTERN = /^[A-Z]{3}$/;
+
+const SERIAL_DIGITS = 11;
+export const MAX_SERIAL = 10 ** SERIAL_DIGITS - 1;
+
+/**
+ * Attempts to claim a serial before giving up, for when blocks run out under contention
+ */
+const MAX_ALLOCATION_ATTEMPTS = 10;
+
+/**
+ * Calculate the Luhn check digit for a serial
+ */
+export function calculateCheckDigit(serial) {
+  const sum = [...String(serial)].reverse().reduce((total, character, index) => {
+    const digit = Number(character);
+    if (index % 2 === 1) {
+      return total + digit;
+    }
+    const doubled = digit * 2;
+    return total + (doubled > 9 ? doubled - 9 : doubled);
+  }, 0);
+
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Format a serial and registrant suffix as a tracking number
+ */
+export function formatTrackingNumber(serial, suffix) {
+  const digits = String(serial).padStart(SERIAL_DIGITS, '0');
+  return `${digits}${calculateCheckDigit(digits)}${suffix}`;
+}
+
+/**
+ * Check a tracking number's format and check digit
+ */
+export function isValidTrackingNumber(trackingNumber) {
+  if (typeof trackingNumber !== 'string' || !TRACKING_NUMBER_PATTERN.test(trackingNumber)) {
+    return false;
+  }
+
+  const serial = trackingNumber.slice(0, SERIAL_DIGITS);
+  return calculateCheckDigit(serial) === Number(trackingNumber[SERIAL_DIGITS]);
+}
+
+/**
+ * Get the registrant suffix used when a manifest does not name one
+ */
+export function getDefaultSuffix() {
+  return config.MANIFEST_REGISTRANT_SUFFIX || 'HHZ';
+}
+
+function formatBlock(row) {
+  const firstSerial = Number(row.first_serial);
+  const lastSerial = Number(row.last_serial);
+  const nextSerial = Number(row.next_serial);
+
+  return {
+    id: row.id,
+    suffix: row.suffix,
+    registrant: row.registrant,
+    firstSerial,
+    lastSerial,
+    firstNumber: formatTrackingNumber(firstSerial, row.suffix),
+    lastNumber: formatTrackingNumber(lastSerial, row.suffix),
+    remaining: Math.max(0, lastSerial - nextSerial + 1),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Register a preassigned block of tracking numbers for a registrant suffix
+ */
+export async function registerTrackingNumberBlock(block, options = {}) {
+  const { suffix, firstSerial, lastSerial, registrant } = block;
+  const { traceId = `tracking-block-${Date.now()}`, userId } = options;
+
+  logger.info({ traceId, suffix, firstSerial, lastSerial }, 'Registering tracking number block');
+
+  if (!SUFFIX_PATTERN.test(suffix || '')) {
+    throw createError('Registrant suffix must be three uppercase letters', 400);
+  }
+  if (
+    !Number.isInteger(firstSerial) ||
+    !Number.isInteger(lastSerial) ||
+    firstSerial < 1 ||
+    lastSerial > MAX_SERIAL ||
+    firstSerial > lastSerial
+  ) {
+    throw createError(`Block must be a range of serials from 1 to ${MAX_SERIAL}`, 400);
+  }
+
+  const db = getDb();
+
+  try {
+    const row = await db.transaction(async (trx) => {
+      const overlapping = await trx('manifest_tracking_blocks')
+        .where('suffix', suffix)
+        .where('first_serial', '<=', lastSerial)
+        .where('last_serial', '>=', firstSerial)
+        .first();
+
+      if (overlapping) {
+        throw createError(
+          `Block overlaps ${formatTrackingNumber(overlapping.first_serial, suffix)} to ` +
+            `${formatTrackingNumber(overlapping.last_serial, suffix)}`,
+          409
+        );
+      }
+
+      const [inserted] = await trx('manifest_tracking_blocks')
+        .insert({
+          id: randomUUID(),
+          suffix,
+          first_serial: firstSerial,
+          last_serial: lastSerial,
+          next_serial: firstSerial,
+          registrant: registrant || null,
+          created_by: userId || null,
+        })
+        .returning('*');
+
+      return inserted;
+    });
+
+    await recordAudit({
+      eventType: 'tracking_number_block',
+      action: 'create',
+      resourceType: 'manifest_tracking_block',
+      resourceId: row.id,
+      traceId,
+      status: 'completed',
+      metadata: { suffix, firstSerial, lastSerial, registrant },
+    });
+
+    return formatBlock(row);
+  } catch (error) {
+    logger.error({ error: error.message, traceId, suffix }, 'Failed to register block');
+    throw error;
+  }
+}
+
+/**
+ * List tracking number blocks, optionally for one suffix
+ */
+export async function getTrackingNumberBlocks(options = {}) {
+  const { suffix } = options;
+  const db = getDb();
+
+  let query = db('manifest_tracking_blocks').orderBy(['suffix', 'first_serial']);
+  if (suffix) {
+    query = query.where('suffix', suffix);
+  }
+
+  const rows = await query;
+  return rows.map(formatBlock);
+}
+
+/**
+ * Get the serials of the block our own suffix starts with when none is registered, or null
+ * when MANIFEST_DEFAULT_LAST_SERIAL is 0 and every block must be registered
+ */
+function getDefaultBlockRange() {
+  const firstSerial = config.MANIFEST_DEFAULT_FIRST_SERIAL ?? 1;
+  const lastSerial = config.MANIFEST_DEFAULT_LAST_SERIAL ?? 999999;
+
+  return lastSerial >= firstSerial ? { firstSerial, lastSerial } : null;
+}
+
+/**
+ * Start the configured default block for our own suffix the first time it is used
+ * The unique (suffix, first_serial) index stops two requests from both starting it.
+ */
+async function startDefaultBlock(db, suffix, range) {
+  logger.info({ suffix, ...range }, 'Starting the default tracking number block');
+
+  await db('manifest_tracking_blocks')
+    .insert({
+      id: randomUUID(),
+      suffix,
+      first_serial: range.firstSerial,
+      last_serial: range.lastSerial,
+      next_serial: range.firstSerial,
+      registrant: 'default block',
+    })
+    .onConflict(['suffix', 'first_serial'])
+    .ignore();
+}
+
+/**
+ * Allocate the next tracking number for a registrant suffix
+ * Numbers come from the suffix's blocks in serial order. Each serial is claimed by a single
+ * UPDATE ... RETURNING that increments next_serial only while the block has numbers left,
+ * so the database serializes concurrent requests and never hands out the same number twice.
+ * Pass the caller's transaction as `db` to allocate inside it.
+ */
+export async function allocateTrackingNumber(options = {}) {
+  const { suffix = getDefaultSuffix(), db = getDb() } = options;
+
+  if (!SUFFIX_PATTERN.test(suffix)) {
+    throw createError('Registrant suffix must be three uppercase letters', 400);
+  }
+
+  for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+    const block = await db('manifest_tracking_blocks')
+      .where('suffix', suffix)
+      .where('next_serial', '<=', db.ref('last_serial'))
+      .orderBy('first_serial', 'asc')
+      .first();
+
+    if (!block) {
+      const [{ count }] = await db('manifest_tracking_blocks')
+        .where('suffix', suffix)
+        .count({ count: '*' });
+
+      const defaultRange = suffix === getDefaultSuffix() ? getDefaultBlockRange() : null;
+
+      if (Number(count) === 0 && defaultRange) {
+        await startDefaultBlock(db, suffix, defaultRange);
+        continue;
+      }
+
+      throw createError(
+        Number(count) === 0
+          ? `No manifest tracking number block is registered for suffix ${suffix}`
+          : `No manifest tracking numbers remain for suffix ${suffix}; register a new block`,
+        409
+      );
+    }
+
+    const [claimed] = await db('manifest_tracking_blocks')
+      .where('id', block.id)
+      .where('next_serial', '<=', db.ref('last_serial'))
+      .increment('next_serial', 1)
+      .update({ updated_at: db.fn.now() })
+      .returning('next_serial');
+
+    if (claimed) {
+      return formatTrackingNumber(Number(claimed.next_serial) - 1, suffix);
+    }
+
+    // The block ran out between reading and claiming; move on to the next one
+    logger.debug({ suffix, blockId: block.id, attempt }, 'Tracking number block used up, retrying');
+  }
+
+  throw createError(`Could not allocate a tracking number for suffix ${suffix}`, 503);
+}
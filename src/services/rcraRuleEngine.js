@@ -0,0 +1,451 @@
+import { createLogger } from '../utils/logger.js';
+import { isValidCasNumber, lookupCommercialChemical } from '../data/commercialChemicalProducts.js';
+import {
+  findRegulatoryLevelByCas,
+  getRegulatoryLevel,
+  getToxicityCharacteristicLevels,
+} from '../data/epaWasteCodes.js';
+
+const logger = createLogger('rcra-rule-engine');
+
+/**
+ * Flash point threshold for ignitable liquids (40 CFR 261.21(a)(1)): 60°C / 140°F
+ */
+const IGNITABILITY_FLASH_POINT_F = 140;
+
+/**
+ * Corrosivity pH bounds for aqueous wastes (40 CFR 261.22(a)(1))
+ */
+const CORROSIVITY_PH_LOW = 2;
+const CORROSIVITY_PH_HIGH = 12.5;
+
+/**
+ * Reactivity properties (40 CFR 261.23(a)) and the lab report labels that declare them
+ */
+const REACTIVITY_FLAGS = {
+  unstable: ['unstable'],
+  waterReactive: ['water reactive', 'water-reactive', 'reacts with water'],
+  cyanideBearing: ['reactive cyanide', 'cyanide bearing', 'cyanide-bearing'],
+  sulfideBearing: ['reactive sulfide', 'sulfide bearing', 'sulfide-bearing'],
+  explosive: ['explosive', 'detonable'],
+};
+
+/**
+ * Alternate analyte names seen on lab reports, keyed by waste code
+ */
+const TCLP_SYNONYMS = {
+  D013: ['gamma-BHC', 'gamma-HCH'],
+  D017: ['Silvex', '2,4,5-TP'],
+  D026: ['Total cresol', 'Cresols'],
+  D028: ['Ethylene dichloride'],
+  D029: ['Vinylidene chloride'],
+  D031: ['Heptachlor epoxide'],
+  D035: ['MEK', '2-Butanone'],
+  D039: ['Perchloroethylene', 'PCE', 'Tetrachloroethene'],
+  D040: ['TCE', 'Trichloroethene'],
+  D043: ['Chloroethene'],
+};
+
+/**
+ * Get the analyte names that identify a toxicity characteristic code
+ */
+function getTclpNames(code) {
+  return [getRegulatoryLevel(code).constituent, ...(TCLP_SYNONYMS[code] || [])];
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the toxicity characteristic code for an analyte, by CAS number when one is given
+ * and otherwise by name, preferring the longest matching name
+ */
+export function findTclpCode(analyteText, casNumber = null) {
+  const byCas = casNumber ? findRegulatoryLevelByCas(casNumber) : null;
+  if (byCas) {
+    return byCas.code;
+  }
+
+  let bestMatch = null;
+
+  for (const { code } of getToxicityCharacteristicLevels()) {
+    for (const name of getTclpNames(code)) {
+      const pattern = new RegExp(`(^|[^\\w-])${escapeRegExp(name)}(?![\\w])`, 'i');
+      if (pattern.test(analyteText) && (!bestMatch || name.length > bestMatch.name.length)) {
+        bestMatch = { code, name };
+      }
+    }
+  }
+
+  return bestMatch?.code || null;
+}
+
+/**
+ * Parse a measured value with an optional qualifier such as "<" or ">"
+ */
+function parseQualifiedNumber(qualifier, value) {
+  return {
+    value: parseFloat(value),
+    qualifier: qualifier ? qualifier.trim().charAt(0) : null,
+  };
+}
+
+/**
+ * Extract the physical properties the rule engine evaluates from free-form lab report text
+ * Only explicit measurements and declarations are extracted; nothing is inferred.
+ */
+export function extractPhysicalProperties(labReportText = '') {
+  const properties = {
+    flashPointF: null,
+    flashPointQualifier: null,
+    pH: null,
+    physicalState: null,
+    reactivity: {},
+    tclpResults: [],
+  };
+
+  const flashPointMatch = labReportText.match(
+    /flash\s*point[^\d<>\n]*?([<>]=?)?\s*(-?\d+(?:\.\d+)?)\s*°?\s*([FC])\b/i
+  );
+  if (flashPointMatch) {
+    const { value, qualifier } = parseQualifiedNumber(flashPointMatch[1], flashPointMatch[2]);
+    properties.flashPointF =
+      flashPointMatch[3].toUpperCase() === 'C' ? (value * 9) / 5 + 32 : value;
+    properties.flashPointQualifier = qualifier;
+  }
+
+  const pHMatch = labReportText.match(/\bpH\b[^\d\n-]{0,10}(-?\d+(?:\.\d+)?)/);
+  if (pHMatch) {
+    properties.pH = parseFloat(pHMatch[1]);
+  }
+
+  const stateMatch = labReportText.match(/physical\s*state\s*[:=]?\s*(solid|liquid|gas|sludge)\b/i);
+  if (stateMatch) {
+    properties.physicalState = stateMatch[1].toLowerCase();
+  }
+
+  for (const [flag, labels] of Object.entries(REACTIVITY_FLAGS)) {
+    for (const label of labels) {
+      const pattern = new RegExp(
+        `(^|[^\\w-])${escapeRegExp(label)}\\s*[:=]\\s*(yes|positive|true|no|negative|false)\\b`,
+        'i'
+      );
+      const match = labReportText.match(pattern);
+      if (match) {
+        properties.reactivity[flag] = ['yes', 'positive', 'true'].includes(match[2].toLowerCase());
+        break;
+      }
+    }
+  }
+
+  for (const line of labReportText.split(/\r?\n/)) {
+    const resultMatch = line.match(/([<>]=?)?\s*(\d+(?:\.\d+)?)\s*mg\s*\/\s*l\b/i);
+    if (!resultMatch) {
+      continue;
+    }
+
+    const analyteText = line.slice(0, resultMatch.index);
+    const code = findTclpCode(analyteText);
+    if (!code) {
+      continue;
+    }
+
+    const { value, qualifier } = parseQualifiedNumber(resultMatch[1], resultMatch[2]);
+    properties.tclpResults.push({
+      code,
+      analyte: getRegulatoryLevel(code).constituent,
+      concentrationMgL: value,
+      qualifier,
+    });
+  }
+
+  return properties;
+}
+
+/**
+ * Compare a possibly qualified measurement against a threshold
+ * Returns true when the true value is at or above the threshold, false when it is below,
+ * and null when a "<" or ">" qualifier makes the comparison inconclusive.
+ */
+function compareToThreshold(value, qualifier, threshold) {
+  if (qualifier === '>') {
+    return value >= threshold ? true : null;
+  }
+
+  if (qualifier === '<') {
+    return value <= threshold ? false : null;
+  }
+
+  return value >= threshold;
+}
+
+/**
+ * Evaluate ignitability for liquids (40 CFR 261.21(a)(1))
+ */
+function evaluateIgnitability(properties) {
+  const { flashPointF, flashPointQualifier, physicalState } = properties;
+
+  if (flashPointF === null || flashPointF === undefined) {
+    return null;
+  }
+
+  if (physicalState && physicalState !== 'liquid') {
+    return null;
+  }
+
+  const atOrAboveThreshold = compareToThreshold(
+    flashPointF,
+    flashPointQualifier,
+    IGNITABILITY_FLASH_POINT_F
+  );
+  if (atOrAboveThreshold === null) {
+    return null;
+  }
+
+  return {
+    code: 'D001',
+    category: 'ignitable',
+    characteristic: 'ignitability',
+    citation: '40 CFR 261.21(a)(1)',
+    observed: `${flashPointQualifier || ''}${flashPointF}°F`,
+    threshold: `< ${IGNITABILITY_FLASH_POINT_F}°F`,
+    exhibited: !atOrAboveThreshold,
+  };
+}
+
+/**
+ * Evaluate corrosivity for aqueous wastes (40 CFR 261.22(a)(1))
+ */
+function evaluateCorrosivity(properties) {
+  const { pH, physicalState } = properties;
+
+  if (pH === null || pH === undefined) {
+    return null;
+  }
+
+  if (physicalState && !['liquid', 'sludge'].includes(physicalState)) {
+    return null;
+  }
+
+  return {
+    code: 'D002',
+    category: 'corrosive',
+    characteristic: 'corrosivity',
+    citation: '40 CFR 261.22(a)(1)',
+    observed: `pH ${pH}`,
+    threshold: `pH ≤ ${CORROSIVITY_PH_LOW} or ≥ ${CORROSIVITY_PH_HIGH}`,
+    exhibited: pH <= CORROSIVITY_PH_LOW || pH >= CORROSIVITY_PH_HIGH,
+  };
+}
+
+/**
+ * Evaluate reactivity from declared reactivity properties (40 CFR 261.23(a))
+ */
+function evaluateReactivity(properties) {
+  const reactivity = properties.reactivity || {};
+  const declared = Object.keys(reactivity).filter((flag) => reactivity[flag] !== undefined);
+
+  if (declared.length === 0) {
+    return null;
+  }
+
+  const positive = declared.filter((flag) => reactivity[flag] === true);
+
+  return {
+    code: 'D003',
+    category: 'reactive',
+    characteristic: 'reactivity',
+    citation: '40 CFR 261.23(a)',
+    observed: positive.length > 0 ? positive.join(', ') : 'no reactive properties',
+    threshold: 'any reactive property',
+    exhibited: positive.length > 0,
+  };
+}
+
+/**
+ * Evaluate toxicity from TCLP extract results (40 CFR 261.24)
+ */
+function evaluateToxicity(properties) {
+  const findings = [];
+
+  for (const result of properties.tclpResults || []) {
+    const limit = getRegulatoryLevel(result.code);
+    if (!limit || result.concentrationMgL === null || result.concentrationMgL === undefined) {
+      continue;
+    }
+
+    const exhibited = compareToThreshold(
+      result.concentrationMgL,
+      result.qualifier,
+      limit.regulatoryLevel
+    );
+    if (exhibited === null) {
+      continue;
+    }
+
+    findings.push({
+      code: result.code,
+      category: 'toxic',
+      characteristic: 'toxicity',
+      citation: '40 CFR 261.24',
+      constituent: limit.constituent,
+      observed: `${result.qualifier || ''}${result.concentrationMgL} mg/L`,
+      threshold: `≥ ${limit.regulatoryLevel} mg/L`,
+      exhibited,
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Evaluate the RCRA hazardous waste characteristics (40 CFR 261.21-261.24)
+ * Returns every conclusive finding plus the codes the waste definitely exhibits.
+ */
+export function evaluateCharacteristics(properties = {}, options = {}) {
+  const { traceId } = options;
+
+  const findings = [
+    evaluateIgnitability(properties),
+    evaluateCorrosivity(properties),
+    evaluateReactivity(properties),
+    ...evaluateToxicity(properties),
+  ].filter(Boolean);
+
+  const codes = [
+    ...new Set(findings.filter((finding) => finding.exhibited).map((f) => f.code)),
+  ].sort();
+
+  logger.info(
+    { traceId, codes, findingsCount: findings.length },
+    'RCRA characteristic rules evaluated'
+  );
+
+  return {
+    codes,
+    findings,
+    evaluatedCodes: [...new Set(findings.map((finding) => finding.code))].sort(),
+  };
+}
+
+/**
+ * Declarations that a material is an unused commercial chemical product rather than a spent one
+ */
+const UNUSED_PRODUCT_PATTERN =
+  /\b(unused|unopened|off-spec(?:ification)?|discarded commercial chemical product)\b/i;
+
+const CAS_NUMBER_PATTERN = /\b\d{2,7}-\d{2}-\d\b/g;
+
+/**
+ * Product name from the text preceding its CAS number, e.g. "- Acetone (CAS " -> "Acetone"
+ */
+function getProductName(text) {
+  return text
+    .replace(/^[\s*•-]+/, '')
+    .replace(/\bCAS\b[^A-Za-z]*$/i, '')
+    .replace(/[\s:,([#-]+$/, '')
+    .trim();
+}
+
+/**
+ * Extract unused commercial chemical products from a lab report or lab-pack inventory
+ * Products are only extracted when the report declares the material unused; each line
+ * with a valid CAS number is one product.
+ */
+export function extractCommercialProducts(labReportText = '') {
+  if (!UNUSED_PRODUCT_PATTERN.test(labReportText)) {
+    return [];
+  }
+
+  const products = [];
+
+  for (const line of labReportText.split(/\r?\n/)) {
+    const casNumbers = (line.match(CAS_NUMBER_PATTERN) || []).filter(isValidCasNumber);
+
+    for (const casNumber of casNumbers) {
+      const concentrationMatch = line.match(/(\d+(?:\.\d+)?)\s*%/);
+      products.push({
+        name: getProductName(line.slice(0, line.indexOf(casNumber))),
+        casNumber,
+        concentrationPercent: concentrationMatch ? parseFloat(concentrationMatch[1]) : null,
+        unused: true,
+      });
+    }
+  }
+
+  return products;
+}
+
+/**
+ * Evaluate unused commercial chemical products against the 40 CFR 261.33 P and U lists
+ * A product matches by CAS number, or by name when it has none. When a concentration-
+ * dependent listing cannot be resolved the acutely hazardous P listing is applied.
+ */
+export function evaluateCommercialChemicalProducts(products = [], options = {}) {
+  const { traceId } = options;
+  const findings = [];
+
+  for (const product of products) {
+    if (product.unused === false || product.soleActiveIngredient === false) {
+      continue;
+    }
+
+    const candidates = lookupCommercialChemical(product);
+    const listing = candidates.find((chemical) => chemical.code.startsWith('P')) || candidates[0];
+
+    if (!listing) {
+      continue;
+    }
+
+    const acutelyHazardous = listing.code.startsWith('P');
+    findings.push({
+      code: listing.code,
+      category: 'commercial-chemical',
+      listing: acutelyHazardous ? 'acutely-hazardous' : 'toxic',
+      citation: acutelyHazardous ? '40 CFR 261.33(e)' : '40 CFR 261.33(f)',
+      observed: `unused ${product.name || listing.name}${
+        product.casNumber ? ` (CAS ${product.casNumber})` : ''
+      }`,
+      casNumber: listing.casNumber,
+      exhibited: true,
+    });
+  }
+
+  const codes = [...new Set(findings.map((finding) => finding.code))].sort();
+
+  logger.info({ traceId, codes }, 'Commercial chemical product listings evaluated');
+
+  return { codes, findings };
+}
+
+/**
+ * Compare model-assigned codes with the rule engine verdict
+ * A disagreement is a rule-established code the model missed, or a characteristic
+ * code the model assigned that the measured properties rule out.
+ */
+export function findRuleDisagreements(modelCodes, ruleEvaluation) {
+  const disagreements = [];
+
+  for (const code of ruleEvaluation.codes) {
+    if (!modelCodes.includes(code)) {
+      disagreements.push({
+        code,
+        type: 'missed_by_model',
+        message: `Measured properties establish ${code} but the model did not assign it`,
+      });
+    }
+  }
+
+  for (const code of modelCodes) {
+    if (ruleEvaluation.evaluatedCodes.includes(code) && !ruleEvaluation.codes.includes(code)) {
+      disagreements.push({
+        code,
+        type: 'contradicted_by_rules',
+        message: `Model assigned ${code} but measured properties do not exhibit the characteristic`,
+      });
+    }
+  }
+
+  return disagreements;
+}
@@ -0,0 +1,307 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { recordAudit } from './auditService.js';
+import { classifyWaste } from './wasteClassifier.js';
+import { expireLapsedProfiles } from './wasteProfileService.js';
+import { randomUUID } from 'crypto';
+import { DAY_MS, startDailyScheduler } from '../utils/scheduler.js';
+
+const logger = createLogger('recertification-scheduler');
+
+/**
+ * Days before a facility approval expires at which a profile is flagged, narrowest first
+ */
+export const RECERTIFICATION_WINDOWS = [30, 60, 90];
+export const TASK_STATUSES = ['open', 'resolved'];
+
+/**
+ * Get the narrowest window an expiry date falls in, or null if it is further out
+ */
+export function getRecertificationWindow(expiresAt, asOf = new Date()) {
+  const daysUntilExpiry = Math.ceil((new Date(expiresAt) - asOf) / DAY_MS);
+
+  if (daysUntilExpiry < 0) {
+    return null;
+  }
+
+  return RECERTIFICATION_WINDOWS.find((windowDays) => daysUntilExpiry <= windowDays) || null;
+}
+
+function formatTaskResponse(task) {
+  return {
+    id: task.id,
+    wasteProfileId: task.waste_profile_id,
+    wasteName: task.profile_name,
+    facilityId: task.facility_id,
+    status: task.status,
+    windowDays: task.window_days,
+    expiresAt: new Date(task.expires_at).toISOString(),
+    previousWasteCodes: JSON.parse(task.previous_waste_codes) || [],
+    reclassification: JSON.parse(task.reclassification),
+    changesDetected: task.changes_detected === null ? null : Boolean(task.changes_detected),
+    codeChanges: JSON.parse(task.code_changes),
+    error: task.error,
+    dates: {
+      created: task.created_at,
+      updated: task.updated_at,
+      resolved: task.resolved_at,
+    },
+  };
+}
+
+/**
+ * Re-run classification against the profile's last lab report and diff the waste codes
+ */
+async function reclassifyProfile(profile, traceId) {
+  const previousCodes = JSON.parse(profile.waste_codes).map((entry) => entry.code);
+  const analytes = JSON.parse(profile.lab_analytes) || [];
+
+  if (!profile.lab_report_text && analytes.length === 0) {
+    return {
+      previousCodes,
+      error: 'No lab report stored with the profile; a new analysis is required',
+    };
+  }
+
+  try {
+    const classification = await classifyWaste(profile.lab_report_text || '', {
+      traceId,
+      analytes,
+      parentStreams: JSON.parse(profile.parent_streams) || [],
+    });
+    const currentCodes = classification.wasteCodes.map((entry) => entry.code);
+    const added = currentCodes.filter((code) => !previousCodes.includes(code));
+    const removed = previousCodes.filter((code) => !currentCodes.includes(code));
+
+    return {
+      previousCodes,
+      reclassification: {
+        wasteCodes: classification.wasteCodes,
+        confidence: classification.confidence,
+        requiresHumanReview: classification.requiresHumanReview,
+        timestamp: classification.timestamp,
+      },
+      changesDetected: added.length > 0 || removed.length > 0,
+      codeChanges: { added, removed },
+    };
+  } catch (error) {
+    return { previousCodes, error: `Reclassification failed: ${error.message}` };
+  }
+}
+
+async function openRecertificationTask(profile, windowDays, traceId) {
+  const db = getDb();
+  const result = await reclassifyProfile(profile, traceId);
+  const taskId = randomUUID();
+
+  await db('recertification_tasks').insert({
+    id: taskId,
+    waste_profile_id: profile.id,
+    status: 'open',
+    window_days: windowDays,
+    expires_at: new Date(profile.approval_expires_at).toISOString(),
+    previous_waste_codes: JSON.stringify(result.previousCodes),
+    reclassification: result.reclassification ? JSON.stringify(result.reclassification) : null,
+    changes_detected: result.changesDetected ?? null,
+    code_changes: result.codeChanges ? JSON.stringify(result.codeChanges) : null,
+    error: result.error || null,
+  });
+
+  await recordAudit({
+    eventType: 'waste_profile_recertification',
+    action: 'create',
+    resourceType: 'waste_profile',
+    resourceId: profile.id,
+    traceId,
+    status: result.error ? 'failed' : 'completed',
+    metadata: {
+      taskId,
+      windowDays,
+      expiresAt: new Date(profile.approval_expires_at).toISOString(),
+      facilityId: profile.facility_id,
+      previousWasteCodes: result.previousCodes,
+      changesDetected: result.changesDetected ?? null,
+      codeChanges: result.codeChanges || null,
+      error: result.error,
+    },
+  });
+
+  return taskId;
+}
+
+async function escalateRecertificationTask(task, profile, windowDays, traceId) {
+  const db = getDb();
+
+  await db('recertification_tasks').where('id', task.id).update({
+    window_days: windowDays,
+    updated_at: db.fn.now(),
+  });
+
+  await recordAudit({
+    eventType: 'waste_profile_recertification',
+    action: 'update',
+    resourceType: 'waste_profile',
+    resourceId: profile.id,
+    traceId,
+    status: 'completed',
+    metadata: {
+      taskId: task.id,
+      previousWindowDays: task.window_days,
+      windowDays,
+      expiresAt: new Date(profile.approval_expires_at).toISOString(),
+    },
+  });
+}
+
+/**
+ * Resolve open tasks whose profile has since been re-accepted with an expiry past the widest
+ * window. Tasks for profiles that lapsed stay open until the facility accepts them again.
+ */
+async function resolveRecertifiedTasks(asOf, traceId) {
+  const db = getDb();
+  const openTasks = await db('recertification_tasks')
+    .join('waste_profiles', 'recertification_tasks.waste_profile_id', 'waste_profiles.id')
+    .where('recertification_tasks.status', 'open')
+    .select(
+      'recertification_tasks.id',
+      'recertification_tasks.waste_profile_id',
+      'waste_profiles.status as profile_status',
+      'waste_profiles.approval_expires_at'
+    );
+
+  const resolved = openTasks.filter(
+    (task) =>
+      task.profile_status === 'accepted' &&
+      new Date(task.approval_expires_at) > asOf &&
+      getRecertificationWindow(task.approval_expires_at, asOf) === null
+  );
+
+  for (const task of resolved) {
+    await db('recertification_tasks').where('id', task.id).update({
+      status: 'resolved',
+      resolved_at: asOf.toISOString(),
+      updated_at: db.fn.now(),
+    });
+
+    await recordAudit({
+      eventType: 'waste_profile_recertification',
+      action: 'resolve',
+      resourceType: 'waste_profile',
+      resourceId: task.waste_profile_id,
+      traceId,
+      status: 'completed',
+      metadata: { taskId: task.id, profileStatus: task.profile_status },
+    });
+  }
+
+  return resolved.length;
+}
+
+/**
+ * Scan accepted profiles and open a recertification task for each one whose facility approval
+ * expires within 90 days. Open tasks move to a narrower window as expiry approaches.
+ */
+export async function scanExpiringProfiles(options = {}) {
+  const { asOf = new Date(), traceId = `recertification-${Date.now()}` } = options;
+  const widestWindow = RECERTIFICATION_WINDOWS[RECERTIFICATION_WINDOWS.length - 1];
+
+  logger.info({ traceId, asOf: asOf.toISOString() }, 'Scanning for expiring waste profiles');
+
+  const db = getDb();
+
+  try {
+    const expired = await expireLapsedProfiles({ asOf, traceId });
+    const resolvedCount = await resolveRecertifiedTasks(asOf, traceId);
+
+    const profiles = await db('waste_profiles')
+      .where('status', 'accepted')
+      .whereNotNull('approval_expires_at')
+      .where('approval_expires_at', '>', asOf.toISOString())
+      .where(
+        'approval_expires_at',
+        '<=',
+        new Date(asOf.getTime() + widestWindow * DAY_MS).toISOString()
+      );
+
+    const summary = {
+      scanned: profiles.length,
+      opened: [],
+      escalated: [],
+      resolved: resolvedCount,
+      expired: expired.map((profile) => profile.id),
+      traceId,
+    };
+
+    for (const profile of profiles) {
+      const windowDays = getRecertificationWindow(profile.approval_expires_at, asOf);
+      const openTask = await db('recertification_tasks')
+        .where({ waste_profile_id: profile.id, status: 'open' })
+        .first();
+
+      if (!openTask) {
+        summary.opened.push(await openRecertificationTask(profile, windowDays, traceId));
+      } else if (windowDays < openTask.window_days) {
+        await escalateRecertificationTask(openTask, profile, windowDays, traceId);
+        summary.escalated.push(openTask.id);
+      }
+    }
+
+    logger.info(
+      {
+        traceId,
+        scanned: summary.scanned,
+        opened: summary.opened.length,
+        escalated: summary.escalated.length,
+        resolved: summary.resolved,
+        expired: summary.expired.length,
+      },
+      'Recertification scan completed'
+    );
+
+    return summary;
+  } catch (error) {
+    logger.error({ error: error.message, traceId }, 'Recertification scan failed');
+    throw error;
+  }
+}
+
+export async function getRecertificationTasks(options = {}) {
+  const { status, windowDays, wasteProfileId, limit = 50, offset = 0 } = options;
+
+  const db = getDb();
+
+  try {
+    let query = db('recertification_tasks')
+      .join('waste_profiles', 'recertification_tasks.waste_profile_id', 'waste_profiles.id')
+      .select(
+        'recertification_tasks.*',
+        'waste_profiles.profile_name',
+        'waste_profiles.facility_id'
+      )
+      .orderBy('recertification_tasks.expires_at', 'asc');
+
+    if (status) {
+      query = query.where('recertification_tasks.status', status);
+    }
+    if (windowDays) {
+      query = query.where('recertification_tasks.window_days', '<=', windowDays);
+    }
+    if (wasteProfileId) {
+      query = query.where('recertification_tasks.waste_profile_id', wasteProfileId);
+    }
+
+    const tasks = await query.limit(limit).offset(offset);
+
+    return tasks.map(formatTaskResponse);
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to get recertification tasks');
+    throw error;
+  }
+}
+
+/**
+ * Scan for expiring waste profile approvals once a day
+ */
+export function startRecertificationScheduler(options = {}) {
+  return startDailyScheduler('recertification scan', () => scanExpiringProfiles(), options);
+}
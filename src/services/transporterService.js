@@ -0,0 +1,277 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { recordAudit } from './auditService.js';
+import { randomUUID } from 'crypto';
+import { createError } from '../utils/errors.js';
+
+const logger = createLogger('transporter-service');
+
+function toIsoString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function formatTransporter(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    epaId: row.epa_id,
+    dotNumber: row.dot_number,
+    hazmatRegistrationExpiresAt: toIsoString(row.hazmat_registration_expires_at),
+    insuranceExpiresAt: toIsoString(row.insurance_expires_at),
+    vehicleTypes: JSON.parse(row.vehicle_types) || [],
+    statesServed: JSON.parse(row.states_served) || [],
+    active: Boolean(row.active),
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
+    dates: {
+      created: row.created_at,
+      updated: row.updated_at,
+    },
+  };
+}
+
+function toTransporterColumns(data) {
+  const columns = {
+    name: data.name,
+    epa_id: data.epaId,
+    dot_number: data.dotNumber,
+    hazmat_registration_expires_at: data.hazmatRegistrationExpiresAt,
+    insurance_expires_at: data.insuranceExpiresAt,
+    vehicle_types: data.vehicleTypes && JSON.stringify(data.vehicleTypes),
+    states_served: data.statesServed && JSON.stringify(data.statesServed),
+  };
+
+  return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+}
+
+async function assertEpaIdAvailable(db, epaId, transporterId = null) {
+  const existing = await db('transporters')
+    .where('epa_id', epaId)
+    .whereNot('id', transporterId || '')
+    .first();
+
+  if (existing) {
+    throw createError(`Transporter ${epaId} is already registered (${existing.id})`, 409);
+  }
+}
+
+/**
+ * List why a transporter may not carry a shipment, or an empty list when it may
+ * Hazardous materials need a current hazmat registration; every shipment needs current
+ * insurance, the route's vehicle type and every state on the route.
+ */
+export function getPermitIssues(transporter, options = {}) {
+  const { states = [], vehicleType, hazardous = true, asOf = new Date() } = options;
+  const issues = [];
+  const lapsed = (value) => !value || new Date(value) <= asOf;
+
+  if (!transporter.active) {
+    issues.push('inactive');
+  }
+  if (hazardous && lapsed(transporter.hazmatRegistrationExpiresAt)) {
+    issues.push('hazmat registration is not current');
+  }
+  if (lapsed(transporter.insuranceExpiresAt)) {
+    issues.push('insurance certificate is not current');
+  }
+  if (vehicleType && !transporter.vehicleTypes.includes(vehicleType)) {
+    issues.push(`does not operate ${vehicleType}`);
+  }
+
+  const unserved = states.filter((state) => !transporter.statesServed.includes(state));
+  if (unserved.length > 0) {
+    issues.push(`does not serve ${unserved.join(', ')}`);
+  }
+
+  return issues;
+}
+
+export async function createTransporter(data, options = {}) {
+  const { traceId = `transporter-${Date.now()}`, userId = null } = options;
+
+  logger.info({ traceId, epaId: data.epaId }, 'Registering transporter');
+
+  const db = getDb();
+  const transporterId = randomUUID();
+
+  try {
+    await assertEpaIdAvailable(db, data.epaId);
+
+    const [result] = await db('transporters')
+      .insert({
+        id: transporterId,
+        ...toTransporterColumns(data),
+        vehicle_types: JSON.stringify(data.vehicleTypes || []),
+        states_served: JSON.stringify(data.statesServed || []),
+        active: true,
+        created_by: userId,
+        updated_by: userId,
+      })
+      .returning('*');
+
+    await recordAudit({
+      eventType: 'transporter_creation',
+      action: 'create',
+      resourceType: 'transporter',
+      resourceId: result.id,
+      traceId,
+      status: 'completed',
+      metadata: { name: result.name, epaId: result.epa_id, userId },
+    });
+
+    logger.info({ traceId, transporterId: result.id }, 'Transporter registered');
+
+    return formatTransporter(result);
+  } catch (error) {
+    logger.error({ error: error.message, traceId }, 'Failed to register transporter');
+    throw error;
+  }
+}
+
+/**
+ * List registered transporters, optionally only those serving a state or operating a
+ * vehicle type
+ */
+export async function getAllTransporters(options = {}) {
+  const { state, vehicleType, includeInactive = false, limit = 50, offset = 0 } = options;
+
+  const db = getDb();
+
+  try {
+    let query = db('transporters').select('*').orderBy('name', 'asc');
+
+    if (!includeInactive) {
+      query = query.where('active', true);
+    }
+
+    // State and vehicle type live in JSON lists, which are filtered here for SQLite
+    const transporters = (await query)
+      .map(formatTransporter)
+      .filter((transporter) => !state || transporter.statesServed.includes(state))
+      .filter((transporter) => !vehicleType || transporter.vehicleTypes.includes(vehicleType));
+
+    return transporters.slice(offset, offset + limit);
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to get transporters');
+    throw error;
+  }
+}
+
+export async function getTransporterById(transporterId) {
+  const db = getDb();
+
+  try {
+    const transporter = await db('transporters').where('id', transporterId).first();
+
+    return transporter ? formatTransporter(transporter) : null;
+  } catch (error) {
+    logger.error({ error: error.message, transporterId }, 'Failed to get transporter by ID');
+    throw error;
+  }
+}
+
+/**
+ * Get the registered transporter with an EPA ID, or null
+ */
+export async function findTransporterByEpaId(epaId) {
+  const db = getDb();
+
+  try {
+    const transporter = await db('transporters').where('epa_id', epaId).first();
+
+    return transporter ? formatTransporter(transporter) : null;
+  } catch (error) {
+    logger.error({ error: error.message, epaId }, 'Failed to find transporter by EPA ID');
+    throw error;
+  }
+}
+
+export async function updateTransporter(transporterId, changes, options = {}) {
+  const { traceId = `transporter-update-${Date.now()}`, userId = null } = options;
+
+  logger.info({ traceId, transporterId }, 'Updating transporter');
+
+  const db = getDb();
+
+  try {
+    const transporter = await db('transporters').where('id', transporterId).first();
+
+    if (!transporter) {
+      throw createError(`Transporter not found: ${transporterId}`, 404);
+    }
+    if (changes.epaId && changes.epaId !== transporter.epa_id) {
+      await assertEpaIdAvailable(db, changes.epaId, transporterId);
+    }
+
+    const columns = toTransporterColumns(changes);
+
+    await db('transporters')
+      .where('id', transporterId)
+      .update({ ...columns, updated_by: userId, updated_at: db.fn.now() });
+
+    await recordAudit({
+      eventType: 'transporter_update',
+      action: 'update',
+      resourceType: 'transporter',
+      resourceId: transporterId,
+      traceId,
+      status: 'completed',
+      metadata: { changedFields: Object.keys(columns), userId },
+    });
+
+    return getTransporterById(transporterId);
+  } catch (error) {
+    logger.error({ error: error.message, traceId, transporterId }, 'Failed to update transporter');
+    throw error;
+  }
+}
+
+/**
+ * Take a transporter out of service; manifests that list it keep their copy
+ */
+export async function deactivateTransporter(transporterId, options = {}) {
+  const { traceId = `transporter-deactivate-${Date.now()}`, userId = null } = options;
+
+  const db = getDb();
+
+  try {
+    const transporter = await db('transporters').where('id', transporterId).first();
+
+    if (!transporter) {
+      throw createError(`Transporter not found: ${transporterId}`, 404);
+    }
+
+    await db('transporters')
+      .where('id', transporterId)
+      .update({ active: false, updated_by: userId, updated_at: db.fn.now() });
+
+    await recordAudit({
+      eventType: 'transporter_deactivation',
+      action: 'delete',
+      resourceType: 'transporter',
+      resourceId: transporterId,
+      traceId,
+      status: 'completed',
+      metadata: { name: transporter.name, epaId: transporter.epa_id, userId },
+    });
+
+    logger.info({ traceId, transporterId }, 'Transporter deactivated');
+
+    return getTransporterById(transporterId);
+  } catch (error) {
+    logger.error(
+      { error: error.message, traceId, transporterId },
+      'Failed to deactivate transporter'
+    );
+    throw error;
+  }
+}
+
+/**
+ * Find the transporters currently permitted to carry a shipment, by name
+ */
+export async function findPermittedTransporters(options = {}) {
+  const transporters = await getAllTransporters({ limit: Infinity });
+
+  return transporters.filter((transporter) => getPermitIssues(transporter, options).length === 0);
+}
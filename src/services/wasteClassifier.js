@@ -1,12 +1,113 @@
 import { createLogger } from '../utils/logger.js';
 import { defaultClaudeClient } from './ai/claudeClient.js';
 import { lifecycleManager } from './ai/lifecycle.js';
-import { EPA_WASTE_CODES, getAllWasteCodes, getWasteCode } from '../data/epaWasteCodes.js';
+import {
+  EPA_WASTE_CODES,
+  getAllWasteCodes,
+  getToxicityCharacteristicLevels,
+  getWasteCode,
+} from '../data/epaWasteCodes.js';
+import {
+  extractPhysicalProperties,
+  extractCommercialProducts,
+  evaluateCharacteristics,
+  evaluateCommercialChemicalProducts,
+  findRuleDisagreements,
+} from './rcraRuleEngine.js';
+import { formatAnalyteTable, toTclpResults } from './labReportParser.js';
+import { evaluateLineage } from './wasteLineage.js';
+import {
+  compareWasteCodes,
+  getWasteCodeList,
+  normalizeWasteCodeEntries,
+} from '../utils/wasteCodes.js';
 
 const logger = createLogger('waste-classifier');
 
+/**
+ * Toxicity characteristic regulatory levels listed in the classification prompt
+ */
+const TOXICITY_LEVELS_PROMPT = getToxicityCharacteristicLevels()
+  .map((level) => `  - ${level.code} ${level.constituent}: ${level.regulatoryLevel} mg/L`)
+  .join('\n');
+
+/**
+ * Build certain code entries from a registry or lineage evaluation
+ */
+function toCertainEntries(evaluation, modelCodes, source) {
+  return evaluation.codes.map((code) => {
+    const finding = evaluation.findings.find((f) => f.code === code && f.citation);
+    return {
+      code,
+      confidence: 1.0,
+      basis: `${finding.citation}: ${finding.observed}`,
+      source: modelCodes.includes(code) ? `model+${source}` : source,
+    };
+  });
+}
+
+/**
+ * Merge model-assigned codes with rule-established codes into one ordered list
+ * Rule codes, P/U listings matched by CAS number and listed codes carried forward from
+ * parent streams are certain; model codes the measurements or exemptions contradict are
+ * dropped.
+ */
+function mergeWasteCodes(modelEntries, ruleEvaluation, listingEvaluation, lineageEvaluation) {
+  const modelCodes = modelEntries.map((entry) => entry.code);
+
+  const ruleEntries = ruleEvaluation.codes.map((code) => {
+    const finding = ruleEvaluation.findings.find((f) => f.code === code && f.exhibited);
+    return {
+      code,
+      confidence: 1.0,
+      basis: `${finding.citation}: ${finding.observed} (threshold ${finding.threshold})`,
+      source: modelCodes.includes(code) ? 'model+rules' : 'rules',
+    };
+  });
+  const listingEntries = toCertainEntries(listingEvaluation, modelCodes, 'registry');
+  const lineageEntries = toCertainEntries(lineageEvaluation, modelCodes, 'lineage').filter(
+    (entry) => !listingEvaluation.codes.includes(entry.code)
+  );
+
+  // Codes the rules evaluated are either already in ruleEntries or contradicted by measurement
+  const decidedCodes = [
+    ...ruleEvaluation.evaluatedCodes,
+    ...listingEvaluation.codes,
+    ...lineageEvaluation.codes,
+    ...lineageEvaluation.exemptCodes,
+  ];
+  const modelOnlyEntries = modelEntries
+    .filter((entry) => !decidedCodes.includes(entry.code))
+    .map((entry) => ({ ...entry, source: 'model' }));
+
+  return [...ruleEntries, ...listingEntries, ...lineageEntries, ...modelOnlyEntries].sort((a, b) =>
+    compareWasteCodes(a.code, b.code)
+  );
+}
+
+/**
+ * Classify waste from a lab report into an ordered list of EPA waste codes
+ * The model classification is checked against the deterministic RCRA characteristic rules;
+ * rule-established codes are always included and any disagreement forces human review.
+ * wasteCode is the primary (first) code of wasteCodes.
+ * options.analytes takes the normalized analytes from parseLabReport; their TCLP results
+ * take precedence over values extracted from the report text.
+ * options.products lists unused commercial chemical products ({ name, casNumber,
+ * concentrationPercent }) checked against the P and U lists; without it, products are
+ * extracted from reports that declare the material unused.
+ * options.parentStreams references the waste streams this waste was mixed from or derived
+ * from ({ id, name, relationship: 'mixture' | 'derived-from', wasteCodes }); their listed
+ * codes are carried forward under 40 CFR 261.3 unless an exemption applies.
+ */
 export async function classifyWaste(labReportText, options = {}) {
-  const { traceId = `waste-${Date.now()}`, userId = 'system' } = options;
+  const {
+    traceId = `waste-${Date.now()}`,
+    userId = 'system',
+    physicalProperties,
+    analytes = [],
+    products,
+    parentStreams = [],
+  } = options;
 
   logger.info({ traceId, userId }, 'Classifying waste from lab report');
 
@@ -16,14 +117,16 @@ You have access to these EPA waste code categories:
 - D001: Ignitable (flash point < 140°F)
 - D002: Corrosive (pH ≤ 2 or ≥ 12.5)
 - D003: Reactive (unstable, explosive, water-reactive)
-- D004-D009: Toxic metals (Arsenic, Barium, Cadmium, Chromium, Lead, Mercury)
+- D004-D043: Toxicity characteristic (TCLP extract at or above the regulatory level)
+${TOXICITY_LEVELS_PROMPT}
 - F001-F003: Spent solvents
-- U-codes: Commercial chemical products
+- P-codes/U-codes: Discarded unused commercial chemical products (acutely hazardous/toxic)
 
-Return classification with reasoning and confidence score.`;
+A waste stream often carries several codes at once (e.g. D001 + D035 + F005). Return every applicable code with its own confidence and basis, plus overall reasoning.`;
 
   const schema = {
-    wasteCode: 'string (EPA code like D001, D009)',
+    wasteCodes:
+      'array of { code: EPA code like D001, confidence: number (0.0 to 1.0), basis: string } for every applicable code',
     category: 'string (ignitable, corrosive, reactive, toxic, solvent)',
     confidence: 'number (0.0 to 1.0)',
     reasoning: 'string (explanation of classification)',
@@ -32,41 +135,131 @@ Return classification with reasoning and confidence score.`;
     recommendedHandling: 'string',
   };
 
-  const classification = await defaultClaudeClient.generateStructuredOutput(labReportText, schema, {
+  const prompt =
+    analytes.length > 0
+      ? `${labReportText || ''}\n\n${formatAnalyteTable(analytes)}`.trim()
+      : labReportText;
+
+  const classification = await defaultClaudeClient.generateStructuredOutput(prompt, schema, {
     traceId,
     systemPrompt,
     temperature: 0.2,
     maxTokens: 2048,
   });
 
-  if (!EPA_WASTE_CODES[classification.wasteCode]) {
+  const modelEntries = normalizeWasteCodeEntries(
+    classification.wasteCodes || (classification.wasteCode ? [classification.wasteCode] : []),
+    { confidence: classification.confidence, basis: classification.reasoning }
+  ).filter((entry) => {
+    if (!EPA_WASTE_CODES[entry.code]) {
+      logger.warn({ traceId, wasteCode: entry.code }, 'Unknown waste code returned by model');
+      return false;
+    }
+    return true;
+  });
+
+  const extracted = extractPhysicalProperties(labReportText);
+  if (analytes.length > 0) {
+    // Structured results replace any free-text value for the same constituent
+    const structured = toTclpResults(analytes);
+    const structuredCodes = structured.map((result) => result.code);
+    extracted.tclpResults = [
+      ...structured,
+      ...extracted.tclpResults.filter((result) => !structuredCodes.includes(result.code)),
+    ];
+  }
+
+  const ruleEvaluation = evaluateCharacteristics(
+    { ...extracted, ...physicalProperties },
+    { traceId }
+  );
+  const listingEvaluation = evaluateCommercialChemicalProducts(
+    products || extractCommercialProducts(labReportText),
+    { traceId }
+  );
+  const lineageEvaluation = evaluateLineage(parentStreams, ruleEvaluation, { traceId });
+
+  const modelCodes = modelEntries.map((entry) => entry.code);
+  const ruleDisagreements = [
+    ...findRuleDisagreements(modelCodes, ruleEvaluation),
+    ...listingEvaluation.codes
+      .filter((code) => !modelCodes.includes(code))
+      .map((code) => ({
+        code,
+        type: 'missed_by_model',
+        message: `Unused commercial chemical product is listed as ${code} but the model did not assign it`,
+      })),
+    ...lineageEvaluation.codes
+      .filter((code) => !modelCodes.includes(code))
+      .map((code) => ({
+        code,
+        type: 'missed_by_model',
+        message: `Listed code ${code} carries forward from a parent stream but the model did not assign it`,
+      })),
+    ...lineageEvaluation.exemptCodes
+      .filter((code) => modelCodes.includes(code))
+      .map((code) => ({
+        code,
+        type: 'contradicted_by_rules',
+        message: `Model assigned ${code} but the resulting waste qualifies for the characteristic-only exemption`,
+      })),
+  ];
+  const wasteCodes = mergeWasteCodes(
+    modelEntries,
+    ruleEvaluation,
+    listingEvaluation,
+    lineageEvaluation
+  );
+
+  const primaryCode = wasteCodes[0]?.code || 'UNKNOWN';
+  const primaryFinding = [...ruleEvaluation.findings, ...listingEvaluation.findings].find(
+    (f) => f.code === primaryCode
+  );
+  const confidence =
+    wasteCodes.length > 0 ? Math.min(...wasteCodes.map((entry) => entry.confidence ?? 0)) : 0.0;
+
+  if (ruleDisagreements.length > 0) {
     logger.warn(
-      { traceId, wasteCode: classification.wasteCode },
-      'Unknown waste code returned by model'
+      { traceId, disagreements: ruleDisagreements },
+      'Model and characteristic rules disagree'
     );
-    classification.wasteCode = 'UNKNOWN';
-    classification.confidence = 0.0;
   }
 
-  lifecycleManager.recordMetric('classification-confidence', classification.confidence, {
-    wasteCode: classification.wasteCode,
+  lifecycleManager.recordMetric('classification-confidence', confidence, {
+    wasteCode: primaryCode,
     userId,
   });
 
   logger.info(
     {
       traceId,
-      wasteCode: classification.wasteCode,
-      confidence: classification.confidence,
+      wasteCodes: wasteCodes.map((entry) => entry.code),
+      confidence,
+      ruleCodes: ruleEvaluation.codes,
+      listingCodes: listingEvaluation.codes,
+      lineageCodes: lineageEvaluation.codes,
     },
     'Waste classification completed'
   );
 
   return {
     ...classification,
+    wasteCode: primaryCode,
+    wasteCodes,
+    category:
+      primaryFinding?.category || EPA_WASTE_CODES[primaryCode]?.category || classification.category,
+    confidence,
+    ruleEvaluation: {
+      codes: ruleEvaluation.codes,
+      findings: ruleEvaluation.findings,
+      listings: listingEvaluation.findings,
+      lineage: lineageEvaluation.findings,
+      disagreements: ruleDisagreements,
+    },
+    parentStreams: lineageEvaluation.parents,
     traceId,
     timestamp: new Date().toISOString(),
-    requiresHumanReview: classification.confidence < 0.8,
+    requiresHumanReview: confidence < 0.8 || ruleDisagreements.length > 0,
   };
 }
 
@@ -75,6 +268,20 @@ export async function generateWasteProfile(classificationResult, options = {}) {
 
   logger.info({ traceId }, 'Generating EPA waste profile');
 
+  const wasteCodes =
+    classificationResult.wasteCodes ||
+    normalizeWasteCodeEntries(getWasteCodeList(classificationResult), {
+      confidence: classificationResult.confidence,
+    });
+
+  const parentStreams = classificationResult.parentStreams || [];
+  const lineage = parentStreams
+    .map(
+      (parent) =>
+        `${parent.relationship} of ${parent.name || parent.id} (${parent.wasteCodes.join(', ')})`
+    )
+    .join('; ');
+
   const systemPrompt = `You are an EPA waste profile documentation expert. Generate comprehensive, compliant waste profiles for RCRA manifests.
 
 Include all required sections:
@@ -90,11 +297,12 @@ Be detailed and use proper EPA terminology.`;
 
   const prompt = `Generate a complete EPA waste profile based on this classification:
 
-Waste Code: ${classificationResult.wasteCode}
+Waste Codes: ${wasteCodes.map((entry) => entry.code).join(', ') || 'UNKNOWN'}
 Category: ${classificationResult.category}
 Chemicals: ${classificationResult.chemicalsDetected?.join(', ') || 'Not specified'}
 Physical Properties: ${JSON.stringify(classificationResult.physicalProperties || {}, null, 2)}
 Classification Reasoning: ${classificationResult.reasoning}
+Waste Lineage: ${lineage || 'None (original waste stream)'}
 
 Generate a comprehensive waste profile document (100+ words minimum) that would satisfy EPA RCRA requirements.`;
 
@@ -107,6 +315,8 @@ Generate a comprehensive waste profile document (100+ words minimum) that would
 
   const profile = {
     wasteCode: classificationResult.wasteCode,
+    wasteCodes,
+    parentStreams,
     category: classificationResult.category,
     profileDocument,
     generatedAt: new Date().toISOString(),
@@ -115,7 +325,10 @@ Generate a comprehensive waste profile document (100+ words minimum) that would
     traceId,
   };
 
-  logger.info({ traceId, wasteCode: profile.wasteCode }, 'Waste profile generated');
+  logger.info(
+    { traceId, wasteCodes: wasteCodes.map((entry) => entry.code) },
+    'Waste profile generated'
+  );
 
   return profile;
 }
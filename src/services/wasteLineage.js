@@ -0,0 +1,154 @@
+import { createLogger } from '../utils/logger.js';
+import { getWasteCodeList } from '../utils/wasteCodes.js';
+
+const logger = createLogger('waste-lineage');
+
+export const LINEAGE_RELATIONSHIPS = ['mixture', 'derived-from'];
+
+/**
+ * Citations for the mixture and derived-from rules (40 CFR 261.3)
+ */
+const RULE_CITATIONS = {
+  mixture: '40 CFR 261.3(a)(2)(iv)',
+  'derived-from': '40 CFR 261.3(c)(2)(i)',
+};
+
+const EXEMPTION_CITATIONS = {
+  mixture: '40 CFR 261.3(g)(2)(i)',
+  'derived-from': '40 CFR 261.3(g)(2)(ii)',
+};
+
+/**
+ * Listed wastes listed solely for ignitability, corrosivity or reactivity, keyed by the
+ * characteristic codes they were listed for. Mixtures and residues of these wastes are
+ * exempt once they no longer exhibit any characteristic (40 CFR 261.3(g)).
+ */
+const ICR_ONLY_LISTINGS = {
+  F003: ['D001'],
+  K044: ['D003'],
+  K045: ['D003'],
+  K047: ['D003'],
+  U001: ['D001'],
+  U002: ['D001'],
+  U031: ['D001'],
+  U055: ['D001'],
+  U056: ['D001'],
+  U057: ['D001'],
+  U112: ['D001'],
+  U117: ['D001'],
+  U154: ['D001'],
+  U161: ['D001'],
+  U213: ['D001'],
+  U239: ['D001'],
+};
+
+const CHARACTERISTIC_NAMES = { D001: 'ignitability', D002: 'corrosivity', D003: 'reactivity' };
+
+function isListedCode(code) {
+  return !code.startsWith('D');
+}
+
+/**
+ * Normalize parent stream references into { id, name, relationship, wasteCodes }
+ * wasteCodes may be given as strings, code entries, or through a parent classification.
+ */
+export function normalizeParentStreams(parentStreams = []) {
+  return parentStreams.map((parent, index) => {
+    const relationship = parent.relationship || 'mixture';
+    if (!LINEAGE_RELATIONSHIPS.includes(relationship)) {
+      throw new Error(
+        `Invalid lineage relationship: ${relationship}. Supported: ${LINEAGE_RELATIONSHIPS.join(', ')}`
+      );
+    }
+
+    return {
+      id: parent.id || parent.wasteProfileId || `parent-${index + 1}`,
+      name: parent.name || null,
+      relationship,
+      process: parent.process || null,
+      wasteCodes: getWasteCodeList(parent),
+    };
+  });
+}
+
+/**
+ * Decide whether the ICR-only exemption applies to a carried-forward listed code
+ * The characteristics the waste was listed for must have been evaluated on the resulting
+ * waste and found absent, and no other characteristic may be exhibited.
+ */
+function checkIcrExemption(code, ruleEvaluation) {
+  const listedFor = ICR_ONLY_LISTINGS[code];
+  if (!listedFor) {
+    return { applies: false, pending: false };
+  }
+
+  const stillExhibited = ruleEvaluation.codes.length > 0;
+  const unevaluated = listedFor.filter((d) => !ruleEvaluation.evaluatedCodes.includes(d));
+
+  return {
+    applies: !stillExhibited && unevaluated.length === 0,
+    pending: !stillExhibited && unevaluated.length > 0,
+    characteristics: listedFor.map((d) => CHARACTERISTIC_NAMES[d]),
+  };
+}
+
+/**
+ * Apply the mixture and derived-from rules to a waste's parent streams
+ * Listed codes are carried forward from every parent unless the ICR-only exemption applies.
+ * Characteristic (D) codes are not carried: they are re-evaluated on the resulting waste.
+ */
+export function evaluateLineage(parentStreams = [], ruleEvaluation, options = {}) {
+  const { traceId } = options;
+  const parents = normalizeParentStreams(parentStreams);
+  const findings = [];
+
+  for (const parent of parents) {
+    for (const code of parent.wasteCodes) {
+      if (!isListedCode(code)) {
+        findings.push({
+          code,
+          parentId: parent.id,
+          relationship: parent.relationship,
+          carried: false,
+          note: `Characteristic code ${code} is not carried forward; the resulting waste is evaluated on its own properties`,
+        });
+        continue;
+      }
+
+      const exemption = checkIcrExemption(code, ruleEvaluation);
+      const finding = {
+        code,
+        parentId: parent.id,
+        relationship: parent.relationship,
+        citation: RULE_CITATIONS[parent.relationship],
+        observed: `${parent.relationship} of ${parent.name || parent.id} (${code})`,
+        carried: !exemption.applies,
+      };
+
+      if (exemption.applies) {
+        finding.exemption = {
+          citation: EXEMPTION_CITATIONS[parent.relationship],
+          reason: `${code} is listed solely for ${exemption.characteristics.join(', ')} and the resulting waste no longer exhibits any characteristic`,
+        };
+      } else if (exemption.pending) {
+        finding.note = `${EXEMPTION_CITATIONS[parent.relationship]} exemption may apply if the resulting waste is shown not to exhibit ${exemption.characteristics.join(', ')}`;
+      }
+
+      findings.push(finding);
+    }
+  }
+
+  const codes = [
+    ...new Set(findings.filter((finding) => finding.carried).map((finding) => finding.code)),
+  ].sort();
+  const exemptCodes = [
+    ...new Set(findings.filter((finding) => finding.exemption).map((finding) => finding.code)),
+  ].filter((code) => !codes.includes(code));
+
+  logger.info(
+    { traceId, parentCount: parents.length, codes, exemptCodes },
+    'Waste lineage evaluated'
+  );
+
+  return { parents, codes, exemptCodes, findings };
+}
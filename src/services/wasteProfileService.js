@@ -0,0 +1,634 @@
+import { createLogger } from '../utils/logger.js';
+import { getKnex as getDb } from '../db/connection.js';
+import { recordAudit } from './auditService.js';
+import { randomUUID } from 'crypto';
+import { getWasteCodeList, normalizeWasteCodeEntries } from '../utils/wasteCodes.js';
+import { createError } from '../utils/errors.js';
+
+const logger = createLogger('waste-profile-service');
+
+export const PROFILE_STATUSES = [
+  'draft',
+  'pending_review',
+  'submitted',
+  'accepted',
+  'rejected',
+  'expired',
+];
+
+/**
+ * Approval workflow: draft -> internal review (pending_review) -> submitted to the receiving
+ * facility -> accepted or rejected -> expired. Rejected, expired and accepted profiles go back
+ * to draft to be revised.
+ */
+export const PROFILE_STATUS_TRANSITIONS = {
+  draft: ['pending_review'],
+  pending_review: ['draft', 'submitted'],
+  submitted: ['accepted', 'rejected'],
+  accepted: ['expired', 'draft'],
+  rejected: ['draft'],
+  expired: ['draft'],
+};
+
+const INITIAL_STATUSES = ['draft', 'pending_review'];
+const EDITABLE_STATUSES = ['draft'];
+
+/**
+ * Profile fields that may be set on create or update, keyed by request field
+ */
+const PROFILE_FIELDS = {
+  wasteName: 'profile_name',
+  category: 'category',
+  generatorId: 'generator_id',
+  physicalState: 'physical_state',
+  quantity: 'quantity_kg',
+  containerType: 'container_type',
+  profileDocument: 'profile_document',
+  labReportText: 'lab_report_text',
+};
+
+const JSON_FIELDS = {
+  chemicalComposition: 'chemical_composition',
+  classification: 'classification',
+  parentStreams: 'parent_streams',
+  analytes: 'lab_analytes',
+};
+
+/**
+ * Map request fields onto waste_profiles columns
+ * The ordered wasteCodes list wins over a single wasteCode; the first entry is the primary code.
+ */
+function toProfileColumns(profileData) {
+  const columns = {};
+
+  for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+    if (profileData[field] !== undefined) {
+      columns[column] = profileData[field];
+    }
+  }
+
+  for (const [field, column] of Object.entries(JSON_FIELDS)) {
+    if (profileData[field] !== undefined) {
+      columns[column] = JSON.stringify(profileData[field]);
+    }
+  }
+
+  if (['wasteCodes', 'wasteCode', 'classification'].some((field) => field in profileData)) {
+    const wasteCodes = normalizeWasteCodeEntries(
+      profileData.wasteCodes?.length ? profileData.wasteCodes : getWasteCodeList(profileData)
+    );
+    columns.waste_codes = JSON.stringify(wasteCodes);
+    columns.waste_code = wasteCodes[0]?.code || null;
+  }
+
+  if (profileData.classification?.confidence !== undefined) {
+    columns.ai_classification_confidence = profileData.classification.confidence;
+  }
+
+  return columns;
+}
+
+function parseNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+function toIsoString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function formatWasteProfileResponse(profile) {
+  return {
+    id: profile.id,
+    wasteName: profile.profile_name,
+    wasteCode: profile.waste_code,
+    wasteCodes: JSON.parse(profile.waste_codes) || [],
+    category: profile.category,
+    generatorId: profile.generator_id,
+    physicalState: profile.physical_state,
+    quantityKg: parseNumber(profile.quantity_kg),
+    containerType: profile.container_type,
+    chemicalComposition: JSON.parse(profile.chemical_composition),
+    classification: JSON.parse(profile.classification),
+    parentStreams: JSON.parse(profile.parent_streams) || [],
+    confidence: parseNumber(profile.ai_classification_confidence),
+    profileDocument: profile.profile_document,
+    labReportText: profile.lab_report_text,
+    analytes: JSON.parse(profile.lab_analytes) || [],
+    version: profile.version,
+    status: profile.status,
+    facilityId: profile.facility_id,
+    facilityApproval: {
+      approvalNumber: profile.facility_approval_number,
+      expiresAt: toIsoString(profile.approval_expires_at),
+      acceptedAt: toIsoString(profile.accepted_at),
+      rejectionReason: profile.rejection_reason,
+    },
+    review: {
+      reviewedBy: profile.reviewed_by,
+      reviewedAt: toIsoString(profile.reviewed_at),
+    },
+    statusHistory: JSON.parse(profile.status_history) || [],
+    createdBy: profile.created_by,
+    updatedBy: profile.updated_by,
+    dates: {
+      created: profile.created_at,
+      updated: profile.updated_at,
+      submitted: toIsoString(profile.submitted_at),
+    },
+  };
+}
+
+/**
+ * Whether a profile is accepted by the given facility and its approval has not lapsed
+ */
+export function isProfileAcceptedByFacility(profile, facilityId, asOf = new Date()) {
+  if (profile.status !== 'accepted' || profile.facilityId !== facilityId) {
+    return false;
+  }
+
+  const expiresAt = profile.facilityApproval?.expiresAt;
+  return !expiresAt || new Date(expiresAt) > asOf;
+}
+
+export async function createWasteProfile(profileData, options = {}) {
+  const { traceId = `profile-${Date.now()}`, userId = null } = options;
+  const status = profileData.status || 'draft';
+
+  logger.info({ traceId, wasteName: profileData.wasteName }, 'Creating waste profile');
+
+  if (!INITIAL_STATUSES.includes(status)) {
+    throw new Error(
+      `Invalid initial profile status: ${status}. Valid statuses: ${INITIAL_STATUSES.join(', ')}`
+    );
+  }
+
+  const db = getDb();
+
+  const profileId = randomUUID();
+
+  try {
+    const columns = toProfileColumns(profileData);
+    const [result] = await db('waste_profiles')
+      .insert({
+        id: profileId,
+        ...columns,
+        waste_codes: columns.waste_codes || JSON.stringify([]),
+        version: 1,
+        status,
+        status_history: JSON.stringify([
+          {
+            timestamp: new Date().toISOString(),
+            from: null,
+            to: status,
+            actor: userId || 'system',
+          },
+        ]),
+        created_by: userId,
+        updated_by: userId,
+      })
+      .returning('*');
+
+    await recordAudit({
+      eventType: 'waste_profile_creation',
+      action: 'create',
+      resourceType: 'waste_profile',
+      resourceId: result.id,
+      traceId,
+      status: 'completed',
+      metadata: {
+        wasteName: result.profile_name,
+        wasteCodes: JSON.parse(result.waste_codes).map((entry) => entry.code),
+        userId,
+      },
+    });
+
+    logger.info({ traceId, profileId: result.id }, 'Waste profile created');
+
+    return formatWasteProfileResponse(result);
+  } catch (error) {
+    logger.error(
+      {
+        error: error.message,
+        traceId,
+      },
+      'Failed to create waste profile'
+    );
+    throw error;
+  }
+}
+
+export async function getAllWasteProfiles(options = {}) {
+  const { limit = 50, offset = 0, status, wasteCode, generatorId } = options;
+
+  const db = getDb();
+
+  try {
+    let query = db('waste_profiles').select('*').orderBy('created_at', 'desc');
+
+    if (status) {
+      query = query.where('status', status);
+    }
+    if (wasteCode) {
+      query = query.where('waste_code', wasteCode);
+    }
+    if (generatorId) {
+      query = query.where('generator_id', generatorId);
+    }
+
+    const profiles = await query.limit(limit).offset(offset);
+
+    return profiles.map(formatWasteProfileResponse);
+  } catch (error) {
+    logger.error(
+      {
+        error: error.message,
+      },
+      'Failed to get all waste profiles'
+    );
+    throw error;
+  }
+}
+
+export async function getWasteProfileById(profileId) {
+  const db = getDb();
+
+  try {
+    const profile = await db('waste_profiles').where('id', profileId).first();
+
+    if (!profile) {
+      return null;
+    }
+
+    return formatWasteProfileResponse(profile);
+  } catch (error) {
+    logger.error(
+      {
+        error: error.message,
+        profileId,
+      },
+      'Failed to get waste profile by ID'
+    );
+    throw error;
+  }
+}
+
+/**
+ * Fill in the waste codes of parent streams given only by wasteProfileId from the stored
+ * profiles, so their listed codes are carried forward under the mixture and derived-from rules
+ */
+export async function resolveParentStreams(parentStreams = []) {
+  return Promise.all(
+    parentStreams.map(async (parent) => {
+      if (!parent.wasteProfileId || getWasteCodeList(parent).length > 0) {
+        return parent;
+      }
+
+      const profile = await getWasteProfileById(parent.wasteProfileId);
+      if (!profile) {
+        throw createError(`Parent waste profile not found: ${parent.wasteProfileId}`, 400);
+      }
+
+      return {
+        ...parent,
+        name: parent.name || profile.wasteName,
+        wasteCodes: profile.wasteCodes,
+      };
+    })
+  );
+}
+
+/**
+ * Update a waste profile, bumping its version
+ * Pass the version the change was based on to reject edits made against a stale copy.
+ */
+export async function updateWasteProfile(profileId, changes, options = {}) {
+  const { traceId = `profile-update-${Date.now()}`, userId = null } = options;
+
+  logger.info({ traceId, profileId }, 'Updating waste profile');
+
+  const db = getDb();
+
+  try {
+    const profile = await db('waste_profiles').where('id', profileId).first();
+
+    if (!profile) {
+      throw createError(`Waste profile not found: ${profileId}`, 404);
+    }
+
+    if (!EDITABLE_STATUSES.includes(profile.status)) {
+      throw createError(
+        `Cannot edit waste profile with status ${profile.status}. Move it back to draft to revise it.`,
+        409
+      );
+    }
+
+    if (changes.version !== undefined && Number(changes.version) !== profile.version) {
+      throw createError(
+        `Waste profile ${profileId} has been modified: expected version ${changes.version}, current version ${profile.version}`,
+        409
+      );
+    }
+
+    const columns = toProfileColumns(changes);
+    const nextVersion = profile.version + 1;
+
+    const updated = await db('waste_profiles')
+      .where({ id: profileId, version: profile.version })
+      .update({
+        ...columns,
+        version: nextVersion,
+        updated_by: userId,
+        updated_at: db.fn.now(),
+      });
+
+    if (updated === 0) {
+      throw createError(`Waste profile ${profileId} was modified concurrently`, 409);
+    }
+
+    await recordAudit({
+      eventType: 'waste_profile_update',
+      action: 'update',
+      resourceType: 'waste_profile',
+      resourceId: profileId,
+      traceId,
+      status: 'completed',
+      metadata: {
+        previousVersion: profile.version,
+        version: nextVersion,
+        changedFields: Object.keys(columns),
+        userId,
+      },
+    });
+
+    logger.info({ traceId, profileId, version: nextVersion }, 'Waste profile updated');
+
+    const updatedProfile = await db('waste_profiles').where('id', profileId).first();
+    return formatWasteProfileResponse(updatedProfile);
+  } catch (error) {
+    logger.error(
+      {
+        error: error.message,
+        traceId,
+        profileId,
+      },
+      'Failed to update waste profile'
+    );
+    throw error;
+  }
+}
+
+/**
+ * Check the details a transition needs and return the columns it sets
+ */
+function getTransitionColumns(profile, newStatus, actor, details) {
+  const now = new Date();
+
+  if (newStatus === 'submitted') {
+    const facilityId = details.facilityId || profile.facility_id;
+    if (!facilityId) {
+      throw createError('A facility ID is required to submit a profile to a facility', 400);
+    }
+    return {
+      facility_id: facilityId,
+      reviewed_by: actor,
+      reviewed_at: now.toISOString(),
+      submitted_at: now.toISOString(),
+      rejection_reason: null,
+    };
+  }
+
+  if (newStatus === 'accepted') {
+    const expiresAt = details.expiresAt ? new Date(details.expiresAt) : null;
+    if (!details.approvalNumber) {
+      throw createError('The facility approval number is required to accept a profile', 400);
+    }
+    if (!expiresAt || Number.isNaN(expiresAt.getTime()) || expiresAt <= now) {
+      throw createError('A future approval expiration date is required', 400);
+    }
+    return {
+      facility_approval_number: details.approvalNumber,
+      approval_expires_at: expiresAt.toISOString(),
+      accepted_at: now.toISOString(),
+    };
+  }
+
+  if (newStatus === 'rejected') {
+    return { rejection_reason: details.reason || null };
+  }
+
+  if (newStatus === 'draft') {
+    return {
+      facility_approval_number: null,
+      approval_expires_at: null,
+      accepted_at: null,
+      submitted_at: null,
+    };
+  }
+
+  return {};
+}
+
+/**
+ * Move a waste profile through the approval workflow
+ * details: { facilityId } to submit, { approvalNumber, expiresAt } to accept, { reason } to reject.
+ */
+export async function transitionWasteProfile(profileId, newStatus, actor, details = {}) {
+  const traceId = details.traceId || `profile-status-${Date.now()}`;
+
+  logger.info({ traceId, profileId, newStatus }, 'Updating waste profile status');
+
+  if (!PROFILE_STATUSES.includes(newStatus)) {
+    throw createError(
+      `Invalid status: ${newStatus}. Valid statuses: ${PROFILE_STATUSES.join(', ')}`,
+      400
+    );
+  }
+
+  const db = getDb();
+
+  try {
+    const profile = await db('waste_profiles').where('id', profileId).first();
+
+    if (!profile) {
+      throw createError(`Waste profile not found: ${profileId}`, 404);
+    }
+
+    const previousStatus = profile.status;
+
+    if (!PROFILE_STATUS_TRANSITIONS[previousStatus]?.includes(newStatus)) {
+      throw createError(
+        `Invalid status transition from ${previousStatus} to ${newStatus}. Valid transitions: ${PROFILE_STATUS_TRANSITIONS[previousStatus]?.join(', ') || 'none'}`,
+        409
+      );
+    }
+
+    const columns = getTransitionColumns(profile, newStatus, actor, details);
+    const { traceId: _traceId, ...historyDetails } = details;
+
+    const statusHistory = JSON.parse(profile.status_history) || [];
+    statusHistory.push({
+      timestamp: new Date().toISOString(),
+      from: previousStatus,
+      to: newStatus,
+      actor,
+      ...(Object.keys(historyDetails).length > 0 ? { details: historyDetails } : {}),
+    });
+
+    const updated = await db('waste_profiles')
+      .where({ id: profileId, status: previousStatus })
+      .update({
+        ...columns,
+        status: newStatus,
+        status_history: JSON.stringify(statusHistory),
+        updated_by: actor,
+        updated_at: db.fn.now(),
+      });
+
+    if (updated === 0) {
+      throw createError(`Waste profile ${profileId} status changed concurrently`, 409);
+    }
+
+    await recordAudit({
+      eventType: 'waste_profile_status_change',
+      action: 'update',
+      resourceType: 'waste_profile',
+      resourceId: profileId,
+      traceId,
+      status: 'completed',
+      metadata: {
+        previousStatus,
+        newStatus,
+        actor,
+        facilityId: columns.facility_id || profile.facility_id,
+        approvalNumber: columns.facility_approval_number,
+        expiresAt: columns.approval_expires_at,
+      },
+    });
+
+    logger.info(
+      { traceId, profileId, previousStatus, newStatus, actor },
+      'Waste profile status updated'
+    );
+
+    const updatedProfile = await db('waste_profiles').where('id', profileId).first();
+    return formatWasteProfileResponse(updatedProfile);
+  } catch (error) {
+    logger.error(
+      {
+        error: error.message,
+        traceId,
+        profileId,
+      },
+      'Failed to update waste profile status'
+    );
+    throw error;
+  }
+}
+
+/**
+ * Move accepted profiles whose facility approval has lapsed to expired
+ */
+export async function expireLapsedProfiles(options = {}) {
+  const { asOf = new Date(), traceId = `profile-expiry-${Date.now()}` } = options;
+
+  const db = getDb();
+
+  try {
+    const lapsed = await db('waste_profiles')
+      .where('status', 'accepted')
+      .whereNotNull('approval_expires_at')
+      .where('approval_expires_at', '<=', asOf.toISOString());
+
+    const expired = [];
+    for (const profile of lapsed) {
+      expired.push(
+        await transitionWasteProfile(profile.id, 'expired', 'system', {
+          traceId,
+          reason: `Facility approval ${profile.facility_approval_number} expired`,
+        })
+      );
+    }
+
+    logger.info({ traceId, expiredCount: expired.length }, 'Lapsed waste profiles expired');
+
+    return expired;
+  } catch (error) {
+    logger.error({ error: error.message, traceId }, 'Failed to expire lapsed waste profiles');
+    throw error;
+  }
+}
+
+/**
+ * Delete a waste profile that no manifest or LDR notice references
+ */
+export async function deleteWasteProfile(profileId, options = {}) {
+  const { traceId = `profile-delete-${Date.now()}`, userId = null } = options;
+
+  const db = getDb();
+
+  try {
+    const profile = await db('waste_profiles').where('id', profileId).first();
+
+    if (!profile) {
+      throw createError(`Waste profile not found: ${profileId}`, 404);
+    }
+
+    // Manifests and LDR notices are regulatory records; the profile stays while they name it
+    await db.transaction(async (trx) => {
+      const manifest = await trx('manifests')
+        .leftJoin('manifest_line_items', 'manifests.id', 'manifest_line_items.manifest_id')
+        .where('manifests.waste_profile_id', profileId)
+        .orWhere('manifest_line_items.waste_profile_id', profileId)
+        .select('manifests.manifest_number')
+        .first();
+
+      if (manifest) {
+        throw createError(
+          `Cannot delete waste profile ${profileId}: it is referenced by manifest ${manifest.manifest_number}`,
+          409
+        );
+      }
+
+      const ldrNotice = await trx('ldr_notices').where('waste_profile_id', profileId).first();
+
+      if (ldrNotice) {
+        throw createError(
+          `Cannot delete waste profile ${profileId}: it is referenced by LDR notice ${ldrNotice.id}`,
+          409
+        );
+      }
+
+      await trx('recertification_tasks').where('waste_profile_id', profileId).del();
+      await trx('waste_profiles').where('id', profileId).del();
+    });
+
+    await recordAudit({
+      eventType: 'waste_profile_deletion',
+      action: 'delete',
+      resourceType: 'waste_profile',
+      resourceId: profileId,
+      traceId,
+      status: 'completed',
+      metadata: {
+        wasteName: profile.profile_name,
+        version: profile.version,
+        previousStatus: profile.status,
+        userId,
+      },
+    });
+
+    logger.info({ traceId, profileId }, 'Waste profile deleted');
+
+    return true;
+  } catch (error) {
+    logger.error(
+      {
+        error: error.message,
+        traceId,
+        profileId,
+      },
+      'Failed to delete waste profile'
+    );
+    throw error;
+  }
+}
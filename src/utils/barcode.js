@@ -0,0 +1,68 @@
+/**
+ * Code 128 barcode encoding (code set B)
+ * Each symbol is six alternating bar and space widths in modules, starting with a bar; the
+ * stop symbol has a seventh bar. Code set B covers printable ASCII, which is enough for
+ * manifest tracking numbers.
+ */
+
+// prettier-ignore
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212',
+  '221213', '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221',
+  '223211', '221132', '221231', '213212', '223112', '312131', '311222', '321122', '321221',
+  '312212', '322112', '322211', '212123', '212321', '232121', '111323', '131123', '131321',
+  '112313', '132113', '132311', '211313', '231113', '231311', '112133', '112331', '132131',
+  '113123', '113321', '133121', '313121', '211331', '231131', '213113', '213311', '213131',
+  '311123', '311321', '331121', '312113', '312311', '332111', '314111', '221411', '431111',
+  '111224', '111422', '121124', '121421', '141122', '141221', '112214', '112412', '122114',
+  '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111', '111242',
+  '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311',
+  '113141', '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+
+const START_B = 104;
+const STOP = 106;
+
+/**
+ * Quiet zone on each side of the symbol, in modules
+ */
+const QUIET_ZONE_MODULES = 10;
+
+/**
+ * Encode text as Code 128 symbol values: start code, data, check symbol and stop code
+ */
+export function encodeCode128(text) {
+  const values = [...String(text)].map((character) => {
+    const code = character.charCodeAt(0);
+    if (code < 32 || code > 127) {
+      throw new Error(`Character "${character}" cannot be encoded in Code 128 set B`);
+    }
+    return code - 32;
+  });
+
+  const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), START_B) % 103;
+
+  return [START_B, ...values, checksum, STOP];
+}
+
+/**
+ * Get the bars of a Code 128 barcode as { x, width } in modules from the left edge,
+ * along with the total width including quiet zones
+ */
+export function getCode128Bars(text) {
+  const bars = [];
+  let position = QUIET_ZONE_MODULES;
+
+  for (const value of encodeCode128(text)) {
+    [...CODE128_PATTERNS[value]].forEach((digit, index) => {
+      const width = Number(digit);
+      if (index % 2 === 0) {
+        bars.push({ x: position, width });
+      }
+      position += width;
+    });
+  }
+
+  return { bars, totalModules: position + QUIET_ZONE_MODULES };
+}
@@ -0,0 +1,8 @@
+/**
+ * Create an error carrying the HTTP status the error handler responds with
+ */
+export function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
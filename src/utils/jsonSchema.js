@@ -0,0 +1,128 @@
+/**
+ * Validator for the JSON Schema (draft-07) keywords used by the bundled document schemas:
+ * type, enum, required, properties, additionalProperties, items, minItems/maxItems,
+ * minLength/maxLength, pattern, minimum/maximum, exclusiveMinimum, format (date-time)
+ * and local $ref (#/definitions/...).
+ */
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+function resolveRef(ref, root) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node?.[key], root);
+}
+
+function getType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  return getType(value) === type;
+}
+
+function validateNode(value, schema, root, path, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), root, path, errors);
+    return;
+  }
+
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some((type) => matchesType(value, type))) {
+    errors.push({ path, message: `must be of type ${types.join(' or ')}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+    if (schema.format === 'date-time' && !ISO_DATE_TIME.test(value)) {
+      errors.push({ path, message: 'must be an ISO 8601 date-time' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        validateNode(item, schema.items, root, `${path}[${index}]`, errors)
+      );
+    }
+  }
+
+  if (getType(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key) || value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = path ? `${path}.${key}` : key;
+      if (Object.hasOwn(properties, key)) {
+        validateNode(item, properties[key], root, itemPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: itemPath, message: 'is not allowed' });
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema, returning { valid, errors: [{ path, message }] }
+ */
+export function validateSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, schema, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Resolve the schema node that applies to a value, following a local $ref
+ */
+export function resolveSchema(schema, root) {
+  return schema?.$ref ? resolveSchema(resolveRef(schema.$ref, root), root) : schema;
+}
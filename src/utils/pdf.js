@@ -0,0 +1,204 @@
+/**
+ * Minimal PDF writer for printable forms
+ * Draws text in the standard Helvetica fonts, lines and rectangles on US Letter pages and
+ * writes an uncompressed PDF 1.4 file. Coordinates are in points from the top-left corner.
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+};
+
+/**
+ * Average glyph width of Helvetica as a fraction of the font size, used to wrap text
+ */
+const AVERAGE_CHARACTER_WIDTH = 0.55;
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Escape a string for a PDF literal, replacing characters outside WinAnsi with '?'
+ */
+function escapePdfText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+function formatPdfDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return (
+    `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+  );
+}
+
+/**
+ * Split text into lines that fit a width at the given font size
+ */
+export function wrapText(text, width, size) {
+  const maxCharacters = Math.max(1, Math.floor(width / (size * AVERAGE_CHARACTER_WIDTH)));
+  const lines = [];
+  let current = '';
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+
+    if (candidate.length <= maxCharacters) {
+      current = candidate;
+    } else {
+      if (current) {
+        lines.push(current);
+      }
+      current = word;
+      while (current.length > maxCharacters) {
+        lines.push(current.slice(0, maxCharacters));
+        current = current.slice(maxCharacters);
+      }
+    }
+  }
+
+  if (current) {
+    lines.push(current);
+  }
+
+  return lines;
+}
+
+class PdfPage {
+  constructor() {
+    this.operations = [];
+  }
+
+  /**
+   * Draw text with its baseline at (x, y)
+   */
+  text(value, x, y, options = {}) {
+    const { size = 9, bold = false } = options;
+    const font = bold ? FONTS.bold : FONTS.regular;
+
+    this.operations.push(
+      `BT /${font.resource} ${formatNumber(size)} Tf ${formatNumber(x)} ` +
+        `${formatNumber(PAGE_HEIGHT - y)} Td (${escapePdfText(value)}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Draw text wrapped to a width, returning the number of lines drawn
+   */
+  textBlock(value, x, y, width, options = {}) {
+    const { size = 9, maxLines = Infinity } = options;
+    const lines = wrapText(value, width, size).slice(0, maxLines);
+
+    lines.forEach((line, index) => this.text(line, x, y + index * size * 1.2, options));
+    return lines.length;
+  }
+
+  /**
+   * Outline or fill a rectangle whose top-left corner is at (x, y)
+   */
+  rect(x, y, width, height, options = {}) {
+    const { fill = false, lineWidth = 0.5 } = options;
+    const path = [x, PAGE_HEIGHT - y - height, width, height].map(formatNumber).join(' ');
+
+    this.operations.push(fill ? `${path} re f` : `${formatNumber(lineWidth)} w ${path} re S`);
+    return this;
+  }
+
+  line(x1, y1, x2, y2, options = {}) {
+    const { lineWidth = 0.5 } = options;
+
+    this.operations.push(
+      `${formatNumber(lineWidth)} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ` +
+        `${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+    );
+    return this;
+  }
+
+  getContent() {
+    return this.operations.join('\n');
+  }
+}
+
+/**
+ * PDF document made of US Letter pages
+ */
+export class PdfDocument {
+  constructor(options = {}) {
+    this.title = options.title;
+    this.createdAt = options.createdAt || new Date();
+    this.pages = [];
+  }
+
+  get width() {
+    return PAGE_WIDTH;
+  }
+
+  get height() {
+    return PAGE_HEIGHT;
+  }
+
+  addPage() {
+    const page = new PdfPage();
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * Serialize the document to a PDF file
+   */
+  toBuffer() {
+    const fontEntries = Object.values(FONTS);
+    const fontIds = fontEntries.map((_, index) => 3 + index);
+    const firstPageId = 3 + fontEntries.length;
+    const pageIds = this.pages.map((_, index) => firstPageId + index * 2);
+    const infoId = firstPageId + this.pages.length * 2;
+
+    const fontResources = fontEntries
+      .map((font, index) => `/${font.resource} ${fontIds[index]} 0 R`)
+      .join(' ');
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] ` +
+        `/Count ${this.pages.length} >>`,
+      ...fontEntries.map(
+        (font) =>
+          `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} ` +
+          '/Encoding /WinAnsiEncoding >>'
+      ),
+      ...this.pages.flatMap((page, index) => {
+        const content = page.getContent();
+        return [
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << ${fontResources} >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+          `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+        ];
+      }),
+      `<< ${this.title ? `/Title (${escapePdfText(this.title)}) ` : ''}` +
+        `/Producer (hospital-hazard) /CreationDate (${formatPdfDate(this.createdAt)}) >>`,
+    ];
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output +=
+      `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+      offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+      `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\n` +
+      `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
@@ -0,0 +1,27 @@
+import { createLogger } from './logger.js';
+
+const logger = createLogger('scheduler');
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Run a scan now and then once a day, or every options.intervalMs
+ * A failed run is logged and the next one still happens. The timer does not keep the process
+ * alive on its own.
+ */
+export function startDailyScheduler(name, scan, options = {}) {
+  const { intervalMs = DAY_MS } = options;
+
+  const runScan = () =>
+    scan().catch((error) => {
+      logger.error({ error: error.message, scheduler: name }, `Scheduled ${name} failed`);
+    });
+
+  runScan();
+  const timer = setInterval(runScan, intervalMs);
+  timer.unref();
+
+  logger.info({ scheduler: name, intervalMs }, `Scheduler started for ${name}`);
+
+  return timer;
+}
@@ -0,0 +1,67 @@
+/**
+ * Helpers for the ordered waste code lists carried by classifications, profiles and manifests
+ * Entries have the shape { code, confidence, basis, source }.
+ */
+
+const LISTED_PREFIXES = ['F', 'K', 'P', 'U'];
+
+/**
+ * Sort order: listed codes (F, K, P, U) before characteristic D-codes, then alphabetically
+ */
+export function compareWasteCodes(a, b) {
+  const aListed = LISTED_PREFIXES.includes(a.charAt(0));
+  const bListed = LISTED_PREFIXES.includes(b.charAt(0));
+
+  if (aListed !== bListed) {
+    return aListed ? -1 : 1;
+  }
+
+  return a.localeCompare(b);
+}
+
+/**
+ * Normalize waste code entries given as strings or objects, dropping duplicates
+ */
+export function normalizeWasteCodeEntries(entries = [], defaults = {}) {
+  const seen = new Set();
+  const normalized = [];
+
+  for (const entry of entries) {
+    const item = typeof entry === 'string' ? { code: entry } : entry;
+    const code = item?.code?.trim().toUpperCase();
+
+    if (!code || seen.has(code)) {
+      continue;
+    }
+
+    seen.add(code);
+    normalized.push({
+      code,
+      confidence: item.confidence ?? defaults.confidence ?? null,
+      basis: item.basis ?? defaults.basis ?? null,
+      ...(item.source || defaults.source ? { source: item.source ?? defaults.source } : {}),
+    });
+  }
+
+  return normalized;
+}
+
+/**
+ * Get the ordered list of codes from a classification, waste profile or manifest waste details
+ * Falls back to the single wasteCode field used by older records.
+ */
+export function getWasteCodeList(source) {
+  if (!source) {
+    return [];
+  }
+
+  if (Array.isArray(source.wasteCodes) && source.wasteCodes.length > 0) {
+    return normalizeWasteCodeEntries(source.wasteCodes).map((entry) => entry.code);
+  }
+
+  if (source.wasteCode && source.wasteCode !== 'UNKNOWN') {
+    return [source.wasteCode];
+  }
+
+  return getWasteCodeList(source.classification);
+}
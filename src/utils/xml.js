@@ -0,0 +1,186 @@
+import { resolveSchema } from './jsonSchema.js';
+import { createError } from './errors.js';
+
+/**
+ * Minimal XML support for exchanging schema-described documents
+ * Objects become nested elements and each array item becomes a repeated element named after
+ * its property. Reading goes the other way, using the schema to tell arrays, numbers and
+ * booleans apart from strings. Attributes other than namespaces are not used.
+ */
+
+const TOKEN_PATTERN =
+  /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Element names that would reach Object.prototype when read into a plain object
+const RESERVED_NAMES = ['__proto__', 'constructor', 'prototype'];
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function fromCharacterReference(reference, codePoint) {
+  try {
+    return String.fromCodePoint(codePoint);
+  } catch {
+    throw createXmlError(`invalid character reference ${reference}`);
+  }
+}
+
+function unescapeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity.startsWith('#x') || entity.startsWith('#X')) {
+      return fromCharacterReference(match, parseInt(entity.slice(2), 16));
+    }
+    if (entity.startsWith('#')) {
+      return fromCharacterReference(match, parseInt(entity.slice(1), 10));
+    }
+    return Object.hasOwn(ENTITIES, entity) ? ENTITIES[entity] : match;
+  });
+}
+
+function createXmlError(message) {
+  return createError(`Malformed XML: ${message}`, 400);
+}
+
+function serializeElement(name, value, indent) {
+  const padding = '  '.repeat(indent);
+
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => serializeElement(name, item, indent));
+  }
+  if (typeof value === 'object') {
+    const children = Object.entries(value).flatMap(([key, item]) =>
+      serializeElement(key, item, indent + 1)
+    );
+    return [`${padding}<${name}>`, ...children, `${padding}</${name}>`];
+  }
+
+  return [`${padding}<${name}>${escapeXml(value)}</${name}>`];
+}
+
+/**
+ * Serialize a value as an XML document with the given root element
+ */
+export function toXml(rootName, value, options = {}) {
+  const { namespace } = options;
+  const [open, ...rest] = serializeElement(rootName, value, 0);
+  const root = namespace ? open.replace(/>$/, ` xmlns="${namespace}">`) : open;
+
+  return ['<?xml version="1.0" encoding="UTF-8"?>', root, ...rest].join('\n');
+}
+
+/**
+ * Parse an XML document into a tree of { name, children, text } elements
+ */
+export function parseXml(text) {
+  const stack = [{ name: null, children: [], text: '' }];
+  let position = 0;
+
+  while (position < text.length) {
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(text);
+
+    if (!match) {
+      throw createXmlError(`unexpected content at position ${position}`);
+    }
+    position = TOKEN_PATTERN.lastIndex;
+
+    const [, cdata, closingName, openingName, , selfClosing, textContent] = match;
+    const current = stack[stack.length - 1];
+
+    // Comments and processing instructions match none of the groups and are skipped
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closingName) {
+      if (current.name !== closingName) {
+        throw createXmlError(`unexpected closing tag </${closingName}>`);
+      }
+      stack.pop();
+    } else if (openingName) {
+      const element = { name: openingName, children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (textContent !== undefined) {
+      current.text += unescapeXml(textContent);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw createXmlError(`unclosed element <${stack[stack.length - 1].name}>`);
+  }
+
+  const roots = stack[0].children;
+  if (roots.length !== 1 || stack[0].text.trim()) {
+    throw createXmlError('a document must have exactly one root element');
+  }
+
+  return roots[0];
+}
+
+function convertElement(element, schema, root) {
+  const node = resolveSchema(schema, root) || {};
+  const types = [].concat(node.type || []);
+
+  if (element.children.length > 0 || types.includes('object')) {
+    const value = {};
+    const properties = node.properties || {};
+
+    for (const child of element.children) {
+      const key = child.name.replace(/^[\w.-]+:/, '');
+
+      if (RESERVED_NAMES.includes(key)) {
+        throw createXmlError(`element <${child.name}> is not allowed`);
+      }
+
+      const propertySchema = resolveSchema(
+        Object.hasOwn(properties, key) ? properties[key] : undefined,
+        root
+      );
+
+      if (propertySchema?.type === 'array') {
+        value[key] = [...(value[key] || []), convertElement(child, propertySchema.items, root)];
+      } else {
+        value[key] = convertElement(child, propertySchema, root);
+      }
+    }
+
+    return value;
+  }
+
+  const text = element.text.trim();
+
+  if ((types.includes('integer') || types.includes('number')) && text !== '') {
+    const number = Number(text);
+    return Number.isNaN(number) ? text : number;
+  }
+  if (types.includes('boolean') && ['true', 'false'].includes(text)) {
+    return text === 'true';
+  }
+
+  return text;
+}
+
+/**
+ * Parse an XML document into a plain value shaped by a schema
+ * Returns { rootName, value }.
+ */
+export function fromXml(text, schema) {
+  const rootElement = parseXml(text);
+
+  return {
+    rootName: rootElement.name.replace(/^[\w.-]+:/, ''),
+    value: convertElement(rootElement, schema, schema),
+  };
+}
@@ -0,0 +1,53 @@
+import {
+  findListedChemicalsByCas,
+  findListedChemicalsByName,
+  getListedChemical,
+  isValidCasNumber,
+  lookupCommercialChemical,
+  LISTED_COMMERCIAL_CHEMICALS,
+} from '../../src/data/commercialChemicalProducts.js';
+import { EPA_WASTE_CODES } from '../../src/data/epaWasteCodes.js';
+
+describe('commercialChemicalProducts', () => {
+  it('should carry a valid CAS number for every listing that has one', () => {
+    const invalid = LISTED_COMMERCIAL_CHEMICALS.filter(
+      (chemical) => chemical.casNumber && !isValidCasNumber(chemical.casNumber)
+    );
+
+    expect(invalid).toEqual([]);
+  });
+
+  it('should find listings by CAS number', () => {
+    expect(findListedChemicalsByCas('67-64-1').map((c) => c.code)).toEqual(['U002']);
+    expect(findListedChemicalsByCas('143-33-9').map((c) => c.code)).toEqual(['P106']);
+    expect(findListedChemicalsByCas('7732-18-5')).toEqual([]);
+  });
+
+  it('should find listings by name or synonym', () => {
+    expect(findListedChemicalsByName('MEK').map((c) => c.code)).toEqual(['U159']);
+    expect(findListedChemicalsByName('perchloroethylene').map((c) => c.code)).toEqual(['U210']);
+  });
+
+  it('should resolve concentration-dependent listings', () => {
+    expect(lookupCommercialChemical({ casNumber: '81-81-2' }).map((c) => c.code)).toEqual([
+      'P001',
+      'U248',
+    ]);
+    expect(lookupCommercialChemical({ casNumber: '81-81-2', concentrationPercent: 0.025 })).toEqual(
+      [expect.objectContaining({ code: 'U248' })]
+    );
+  });
+
+  it('should reject CAS numbers with a bad check digit', () => {
+    expect(isValidCasNumber('67-64-1')).toBe(true);
+    expect(isValidCasNumber('67-64-2')).toBe(false);
+  });
+
+  it('should register every listing as an EPA waste code', () => {
+    expect(getListedChemical('U154').name).toBe('Methanol');
+    expect(EPA_WASTE_CODES.U154).toEqual(
+      expect.objectContaining({ type: 'toxic', casNumber: '67-56-1' })
+    );
+    expect(EPA_WASTE_CODES.P106.type).toBe('acutely-hazardous');
+  });
+});
@@ -0,0 +1,53 @@
+import {
+  findRegulatoryLevelByCas,
+  getRegulatoryLevel,
+  getToxicityCharacteristicLevels,
+  getWasteCodesByCategory,
+} from '../../src/data/epaWasteCodes.js';
+
+describe('epaWasteCodes', () => {
+  describe('toxicity characteristic table', () => {
+    it('should list every TC constituent from D004 to D043 under the toxic category', () => {
+      const codes = getWasteCodesByCategory('toxic').map((waste) => waste.code);
+
+      expect(codes).toHaveLength(40);
+      expect(codes).toEqual(expect.arrayContaining(['D004', 'D018', 'D039', 'D043']));
+    });
+
+    it('should carry a CAS number and regulatory level for every constituent', () => {
+      const levels = getToxicityCharacteristicLevels();
+
+      expect(levels).toHaveLength(40);
+      levels.forEach((level) => {
+        expect(level.casNumber).toMatch(/^\d{2,7}-\d{2}-\d$/);
+        expect(level.regulatoryLevel).toBeGreaterThan(0);
+      });
+    });
+  });
+
+  describe('getRegulatoryLevel', () => {
+    it('should return the regulatory level in mg/L', () => {
+      expect(getRegulatoryLevel('D018')).toEqual({
+        code: 'D018',
+        constituent: 'Benzene',
+        casNumber: '71-43-2',
+        regulatoryLevel: 0.5,
+        unit: 'mg/L',
+      });
+    });
+
+    it('should return null for codes without a regulatory level', () => {
+      expect(getRegulatoryLevel('D001')).toBeNull();
+      expect(getRegulatoryLevel('F005')).toBeNull();
+    });
+  });
+
+  describe('findRegulatoryLevelByCas', () => {
+    it('should find a constituent by CAS number', () => {
+      expect(findRegulatoryLevelByCas('127-18-4')).toEqual(
+        expect.objectContaining({ code: 'D039', regulatoryLevel: 0.7 })
+      );
+      expect(findRegulatoryLevelByCas('67-64-1')).toBeNull();
+    });
+  });
+});
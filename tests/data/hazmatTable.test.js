@@ -0,0 +1,76 @@
+import {
+  HAZMAT_TABLE,
+  findHazmatEntry,
+  findMarinePollutant,
+  findReportableQuantity,
+  getGenericEntries,
+  getHazmatEntry,
+  getWasteCodeReportableQuantity,
+} from '../../src/data/hazmatTable.js';
+
+describe('hazmatTable', () => {
+  it('should carry a class and packing group for every entry', () => {
+    HAZMAT_TABLE.forEach((entry) => {
+      expect(entry.unNumber).toMatch(/^(UN|NA)\d{4}$/);
+      expect(entry.hazardClass).toBeTruthy();
+      expect(entry.packingGroups.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('findHazmatEntry', () => {
+    it('should find an entry by CAS number', () => {
+      expect(findHazmatEntry({ casNumber: '67-64-1' }).unNumber).toBe('UN1090');
+    });
+
+    it('should find an entry by synonym regardless of case', () => {
+      expect(findHazmatEntry({ name: 'Isopropyl Alcohol' }).unNumber).toBe('UN1219');
+    });
+
+    it('should resolve solid and liquid entries by physical state', () => {
+      expect(findHazmatEntry({ name: 'Sodium hydroxide', physicalState: 'solid' }).unNumber).toBe(
+        'UN1823'
+      );
+      expect(findHazmatEntry({ name: 'Sodium hydroxide', physicalState: 'liquid' }).unNumber).toBe(
+        'UN1824'
+      );
+    });
+
+    it('should not match generic entries', () => {
+      expect(findHazmatEntry({ name: 'Flammable liquids, n.o.s.' })).toBeNull();
+    });
+  });
+
+  describe('getGenericEntries', () => {
+    it('should return the n.o.s. entries for a class and state', () => {
+      const entries = getGenericEntries('3', 'liquid').map((entry) => entry.unNumber);
+
+      expect(entries).toEqual(['UN1993', 'UN2924', 'UN1992']);
+      entries.forEach((unNumber) =>
+        expect(getHazmatEntry(unNumber).technicalNameRequired).toBe(true)
+      );
+    });
+  });
+
+  describe('reportable quantities', () => {
+    it('should return the RQ in pounds for a waste code', () => {
+      expect(getWasteCodeReportableQuantity('D001')).toBe(100);
+      expect(getWasteCodeReportableQuantity('D009')).toBe(1);
+      expect(getWasteCodeReportableQuantity('F005')).toBe(100);
+      expect(getWasteCodeReportableQuantity('K001')).toBeNull();
+    });
+
+    it('should find the RQ of a hazardous substance by name or CAS number', () => {
+      expect(findReportableQuantity({ name: 'benzene' }).rqPounds).toBe(10);
+      expect(findReportableQuantity({ casNumber: '7439-97-6' }).rqPounds).toBe(1);
+      expect(findReportableQuantity({ name: 'Isopropanol' })).toBeNull();
+    });
+  });
+
+  describe('findMarinePollutant', () => {
+    it('should flag severe marine pollutants', () => {
+      expect(findMarinePollutant({ name: 'Pentachlorophenol' }).severe).toBe(true);
+      expect(findMarinePollutant({ casNumber: '127-18-4' }).name).toBe('Tetrachloroethylene');
+      expect(findMarinePollutant({ name: 'Acetone' })).toBeNull();
+    });
+  });
+});
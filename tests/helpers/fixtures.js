@@ -0,0 +1,101 @@
+import {
+  createWasteProfile,
+  getWasteProfileById,
+  transitionWasteProfile,
+} from '../../src/services/wasteProfileService.js';
+import { createTransporter } from '../../src/services/transporterService.js';
+import { importFacilities } from '../../src/services/facilityRepository.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A certified Houston facility, with the facilities table's columns, that the manifests in
+ * the tests ship to
+ */
+export const TEST_FACILITY = {
+  id: 'fac-001',
+  name: 'SafeWaste Disposal LLC',
+  epa_id: 'TXD987654321',
+  address: '1234 Industrial Pkwy, Houston, TX 77002',
+  city: 'Houston',
+  state: 'TX',
+  zip_code: '77002',
+  latitude: 29.7604,
+  longitude: -95.3698,
+  accepted_waste_codes: ['D001', 'D002', 'D008', 'F003', 'F005'],
+  certification_expiry: '2030-12-31',
+  active: true,
+};
+
+/**
+ * TEST_FACILITY as createManifest takes it, for the designatedFacility argument
+ */
+export const DESIGNATED_FACILITY = {
+  id: TEST_FACILITY.id,
+  name: TEST_FACILITY.name,
+  epaId: TEST_FACILITY.epa_id,
+  address: TEST_FACILITY.address,
+};
+
+/**
+ * The Houston hospital that generates the waste on the manifests in the tests
+ */
+export const GENERATOR_INFO = {
+  name: 'Memorial Hospital',
+  epaId: 'TXD111222333',
+  address: '123 Medical Center Blvd, Houston, TX 77030',
+  contactName: 'Dr. Sarah Johnson',
+};
+
+export function daysFromNow(days) {
+  return new Date(Date.now() + days * DAY_MS).toISOString();
+}
+
+/**
+ * Take a draft or pending-review waste profile through the facility's acceptance.
+ * options.approvalNumber and options.expiresAt set the approval; it runs a year by default.
+ */
+export async function acceptProfile(profileId, facilityId = 'fac-001', options = {}) {
+  const { approvalNumber = 'SW-2025-0042', expiresAt = daysFromNow(365) } = options;
+  const profile = await getWasteProfileById(profileId);
+
+  if (profile.status === 'draft') {
+    await transitionWasteProfile(profileId, 'pending_review', 'Lab Supervisor');
+  }
+  await transitionWasteProfile(profileId, 'submitted', 'EHS Manager', { facilityId });
+  return transitionWasteProfile(profileId, 'accepted', 'Facility Approver', {
+    approvalNumber,
+    expiresAt,
+  });
+}
+
+/**
+ * Create a waste profile the facility has accepted, ready to go on a manifest
+ */
+export async function createAcceptedProfile(profileData, facilityId = 'fac-001', options = {}) {
+  const profile = await createWasteProfile({ ...profileData, status: 'pending_review' });
+  return acceptProfile(profile.id, facilityId, options);
+}
+
+/**
+ * Register a truck transporter permitted in Texas for the next year, so manifests have a
+ * transporter currently permitted to carry the waste; overrides replace any of its fields.
+ */
+export function createPermittedTransporter(overrides = {}) {
+  return createTransporter({
+    name: 'SafeHaul Logistics',
+    epaId: 'TXR111222333',
+    hazmatRegistrationExpiresAt: daysFromNow(365),
+    insuranceExpiresAt: daysFromNow(365),
+    vehicleTypes: ['truck'],
+    statesServed: ['TX'],
+    ...overrides,
+  });
+}
+
+/**
+ * Add TEST_FACILITY to the facility list
+ */
+export function registerTestFacility() {
+  return importFacilities([TEST_FACILITY]);
+}
@@ -1,5 +1,52 @@
 import request from 'supertest';
 import app from '../../src/server.js';
+import { apiLimiter } from '../../src/middleware/rateLimiter.js';
+import { importFacilities } from '../../src/services/facilityRepository.js';
+import { TSDF_FACILITIES } from '../../src/data/facilityData.js';
+import { acceptProfile } from '../helpers/fixtures.js';
+
+const inOneYear = () => new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+
+// Facility searches need the facility list, and routes and manifests need transporters
+// currently permitted to carry the waste
+beforeAll(async () => {
+  await importFacilities(TSDF_FACILITIES);
+
+  const permits = {
+    hazmatRegistrationExpiresAt: inOneYear(),
+    insuranceExpiresAt: inOneYear(),
+    statesServed: ['TX', 'CA', 'NV', 'AZ', 'IL', 'IN', 'MI', 'GA', 'FL', 'NC', 'NJ', 'MA', 'WA'],
+  };
+  await request(app)
+    .post('/api/transporters')
+    .send({
+      ...permits,
+      name: 'SafeHaul Logistics',
+      epaId: 'TXR111222333',
+      vehicleTypes: ['truck'],
+    });
+  await request(app)
+    .post('/api/transporters')
+    .send({
+      ...permits,
+      name: 'FreightMaster Inc',
+      epaId: 'TXR444555666',
+      vehicleTypes: ['freight'],
+    });
+  await request(app)
+    .post('/api/transporters')
+    .send({
+      ...permits,
+      name: 'Gulf Rail',
+      epaId: 'TXR222333444',
+      vehicleTypes: ['rail'],
+    });
+});
+
+// Every request here comes from the same address; give each test a fresh API rate limit
+beforeEach(async () => {
+  await apiLimiter.resetKey('127.0.0.1');
+});
 
 describe('API Integration Tests', () => {
   describe('GET /health', () => {
@@ -66,6 +113,67 @@ describe('API Integration Tests', () => {
       expect(response.body.confidence).toBeGreaterThanOrEqual(0);
       expect(response.body.confidence).toBeLessThanOrEqual(1);
     });
+
+    it('should classify a structured lab report and return row errors', async () => {
+      const response = await request(app)
+        .post('/api/waste-profiles/classify')
+        .send({
+          labReportText: validLabReport,
+          labReport: {
+            format: 'csv',
+            content: 'Analyte,Result,Units\nLead,8.2,mg/L\nBarium,n/a,mg/L\n',
+          },
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ruleEvaluation.codes).toContain('D008');
+      expect(response.body.labReport.errors).toEqual([
+        expect.objectContaining({ row: 3, field: 'result' }),
+      ]);
+    });
+
+    it('should carry forward the listed codes of a parent given only by profile ID', async () => {
+      const parentResponse = await request(app).post('/api/waste-profiles').send({
+        wasteName: 'Spent toluene from extraction',
+        wasteCodes: ['F005'],
+        physicalState: 'liquid',
+      });
+      expect(parentResponse.status).toBe(201);
+
+      const response = await request(app)
+        .post('/api/waste-profiles/classify')
+        .send({
+          labReportText: validLabReport,
+          parentStreams: [{ wasteProfileId: parentResponse.body.id, relationship: 'mixture' }],
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.wasteCodes.map((entry) => entry.code)).toContain('F005');
+      expect(response.body.parentStreams).toEqual([
+        expect.objectContaining({ id: parentResponse.body.id, wasteCodes: ['F005'] }),
+      ]);
+    });
+
+    it('should return 400 if a parent profile does not exist', async () => {
+      const response = await request(app)
+        .post('/api/waste-profiles/classify')
+        .send({
+          labReportText: validLabReport,
+          parentStreams: [{ wasteProfileId: '00000000-0000-4000-8000-000000000000' }],
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toContain('Parent waste profile not found');
+    });
+
+    it('should return 400 if a structured lab report has no parseable rows', async () => {
+      const response = await request(app)
+        .post('/api/waste-profiles/classify')
+        .send({ labReport: { format: 'csv', content: 'Analyte,Result\nLead,n/a\n' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.labReport.errors).toHaveLength(1);
+    });
   });
 
   describe('POST /api/waste-profiles/generate', () => {
@@ -94,6 +202,26 @@ describe('API Integration Tests', () => {
       );
     });
 
+    it('should store the generated profile', async () => {
+      const response = await request(app).post('/api/waste-profiles/generate').send({
+        classificationResult: validClassification,
+        wasteName: 'Lab solvent waste',
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(
+        expect.objectContaining({
+          id: expect.any(String),
+          version: 1,
+          wasteName: 'Lab solvent waste',
+        })
+      );
+
+      const stored = await request(app).get(`/api/waste-profiles/${response.body.id}`);
+      expect(stored.status).toBe(200);
+      expect(stored.body.status).toBe('pending_review');
+    });
+
     it('should return 400 if classification is missing', async () => {
       const response = await request(app).post('/api/waste-profiles/generate').send({});
 
@@ -102,6 +230,216 @@ describe('API Integration Tests', () => {
     });
   });
 
+  describe('Waste profile CRUD', () => {
+    const validProfile = {
+      wasteName: 'Spent xylene from histology',
+      wasteCodes: ['F003', 'D001'],
+      category: 'ignitable',
+      physicalState: 'liquid',
+      quantity: 80,
+    };
+
+    it('should create, read, update and delete a waste profile', async () => {
+      const createResponse = await request(app).post('/api/waste-profiles').send(validProfile);
+
+      expect(createResponse.status).toBe(201);
+      expect(createResponse.body).toEqual(
+        expect.objectContaining({ id: expect.any(String), version: 1, status: 'draft' })
+      );
+      const profileId = createResponse.body.id;
+
+      const getResponse = await request(app).get(`/api/waste-profiles/${profileId}`);
+      expect(getResponse.status).toBe(200);
+      expect(getResponse.body.wasteCodes.map((entry) => entry.code)).toEqual(['F003', 'D001']);
+
+      const updateResponse = await request(app)
+        .put(`/api/waste-profiles/${profileId}`)
+        .send({ quantity: 120, version: 1 });
+      expect(updateResponse.status).toBe(200);
+      expect(updateResponse.body.version).toBe(2);
+
+      const staleResponse = await request(app)
+        .put(`/api/waste-profiles/${profileId}`)
+        .send({ quantity: 140, version: 1 });
+      expect(staleResponse.status).toBe(409);
+
+      const listResponse = await request(app).get('/api/waste-profiles?wasteCode=F003');
+      expect(listResponse.status).toBe(200);
+      expect(listResponse.body.profiles.map((profile) => profile.id)).toContain(profileId);
+
+      const deleteResponse = await request(app).delete(`/api/waste-profiles/${profileId}`);
+      expect(deleteResponse.status).toBe(200);
+
+      const missingResponse = await request(app).get(`/api/waste-profiles/${profileId}`);
+      expect(missingResponse.status).toBe(404);
+    });
+
+    it('should return 400 if waste name is missing', async () => {
+      const response = await request(app).post('/api/waste-profiles').send({ wasteCode: 'D001' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+
+  describe('GET /api/waste-profiles/recertifications', () => {
+    it('should list open recertification tasks after a scan', async () => {
+      const scanResponse = await request(app).post('/api/waste-profiles/recertifications/scan');
+      expect(scanResponse.status).toBe(200);
+      expect(scanResponse.body).toEqual(
+        expect.objectContaining({ scanned: expect.any(Number), opened: expect.any(Array) })
+      );
+
+      const response = await request(app).get('/api/waste-profiles/recertifications?windowDays=90');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ count: expect.any(Number), tasks: expect.any(Array) });
+    });
+
+    it('should return 400 for an unsupported window', async () => {
+      const response = await request(app).get('/api/waste-profiles/recertifications?windowDays=45');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('LDR notices', () => {
+    it('should generate an LDR notice for a profile and facility and list it', async () => {
+      const createResponse = await request(app)
+        .post('/api/waste-profiles')
+        .send({ wasteName: 'Spent xylene', wasteCodes: ['F003', 'D001'] });
+      const profileId = createResponse.body.id;
+
+      const response = await request(app)
+        .post(`/api/waste-profiles/${profileId}/ldr-notices`)
+        .send({ facilityId: 'TSDF-TX-001', treatabilityGroup: 'wastewater' });
+      const listResponse = await request(app).get(`/api/waste-profiles/${profileId}/ldr-notices`);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(
+        expect.objectContaining({
+          wasteProfileId: profileId,
+          facilityId: 'TSDF-TX-001',
+          noticeType: 'notification',
+          treatabilityGroup: 'wastewater',
+          manifestId: null,
+        })
+      );
+      expect(response.body.document.wastes.map((waste) => waste.wasteCode)).toEqual([
+        'F003',
+        'D001',
+      ]);
+      expect(listResponse.status).toBe(200);
+      expect(listResponse.body).toEqual(
+        expect.objectContaining({ wasteProfileId: profileId, count: 1 })
+      );
+    });
+
+    it('should return 400 for an unknown notice type', async () => {
+      const response = await request(app)
+        .post('/api/waste-profiles/00000000-0000-4000-8000-000000000000/ldr-notices')
+        .send({ facilityId: 'TSDF-TX-001', type: 'waiver' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for an unknown profile', async () => {
+      const response = await request(app)
+        .post('/api/waste-profiles/00000000-0000-4000-8000-000000000000/ldr-notices')
+        .send({ facilityId: 'TSDF-TX-001' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Transporter registry', () => {
+    let transporterId;
+
+    it('should register a transporter', async () => {
+      const response = await request(app)
+        .post('/api/transporters')
+        .set('x-user-id', 'ehs-manager')
+        .send({
+          name: 'Gulf Coast Tankers',
+          epaId: 'TXR777888999',
+          dotNumber: '7654321',
+          hazmatRegistrationExpiresAt: inOneYear(),
+          insuranceExpiresAt: inOneYear(),
+          vehicleTypes: ['tanker'],
+          statesServed: ['TX', 'LA'],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(
+        expect.objectContaining({
+          id: expect.any(String),
+          epaId: 'TXR777888999',
+          vehicleTypes: ['tanker'],
+          statesServed: ['TX', 'LA'],
+          active: true,
+          createdBy: 'ehs-manager',
+        })
+      );
+      transporterId = response.body.id;
+    });
+
+    it('should reject an unknown vehicle type', async () => {
+      const response = await request(app)
+        .post('/api/transporters')
+        .send({
+          name: 'Airlift Hazmat',
+          epaId: 'TXR121212121',
+          vehicleTypes: ['helicopter'],
+          statesServed: ['TX'],
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map((detail) => detail.field)).toContain('vehicleTypes[0]');
+    });
+
+    it('should reject a duplicate EPA ID', async () => {
+      const response = await request(app)
+        .post('/api/transporters')
+        .send({
+          name: 'Copycat Hauling',
+          epaId: 'TXR777888999',
+          vehicleTypes: ['truck'],
+          statesServed: ['TX'],
+        });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should list transporters serving a state', async () => {
+      const response = await request(app).get('/api/transporters?state=LA');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.transporters[0].id).toBe(transporterId);
+    });
+
+    it('should update and deactivate a transporter', async () => {
+      const updated = await request(app)
+        .put(`/api/transporters/${transporterId}`)
+        .send({ statesServed: ['TX', 'LA', 'MS'] });
+      const deactivated = await request(app).delete(`/api/transporters/${transporterId}`);
+      const fetched = await request(app).get(`/api/transporters/${transporterId}`);
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.statesServed).toEqual(['TX', 'LA', 'MS']);
+      expect(deactivated.status).toBe(200);
+      expect(fetched.body.active).toBe(false);
+    });
+
+    it('should return 404 for an unknown transporter', async () => {
+      const response = await request(app).get(
+        '/api/transporters/00000000-0000-4000-8000-000000000000'
+      );
+
+      expect(response.status).toBe(404);
+    });
+  });
+
   describe('POST /api/facilities/search', () => {
     const validWasteProfile = {
       wasteCode: 'D001',
@@ -218,18 +556,212 @@ describe('API Integration Tests', () => {
     });
   });
 
+  describe('Facility CRUD', () => {
+    let facilityId;
+
+    it('should add a facility to the approved vendor list', async () => {
+      const response = await request(app)
+        .post('/api/facilities')
+        .set('x-user-id', 'vendor-manager')
+        .send({
+          name: 'Coastal Bend Environmental',
+          epaId: 'TXD192837465',
+          address: '500 Harbor Dr, Corpus Christi, TX 78401',
+          state: 'TX',
+          acceptedWasteCodes: ['D001'],
+          maxCapacityKg: 30000,
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(
+        expect.objectContaining({ id: expect.any(String), epaId: 'TXD192837465', active: true })
+      );
+      facilityId = response.body.id;
+    });
+
+    it('should reject a facility without an EPA ID', async () => {
+      const response = await request(app)
+        .post('/api/facilities')
+        .send({ name: 'Unnamed Works', address: '1 Main St', state: 'TX' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toContain('an EPA ID');
+    });
+
+    it('should patch and replace a facility', async () => {
+      const patched = await request(app)
+        .patch(`/api/facilities/${facilityId}`)
+        .send({ rating: 4.2 });
+      const replaced = await request(app).put(`/api/facilities/${facilityId}`).send({
+        name: 'Coastal Bend Environmental Services',
+        epaId: 'TXD192837465',
+        address: '500 Harbor Dr, Corpus Christi, TX 78401',
+        state: 'TX',
+      });
+
+      expect(patched.status).toBe(200);
+      expect(patched.body.rating).toBe(4.2);
+      expect(replaced.status).toBe(200);
+      expect(replaced.body.name).toBe('Coastal Bend Environmental Services');
+      expect(replaced.body.maxCapacityKg).toBeNull();
+    });
+
+    it('should deactivate rather than delete a facility', async () => {
+      const response = await request(app).delete(`/api/facilities/${facilityId}`);
+      const fetched = await request(app).get(`/api/facilities/${facilityId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(fetched.status).toBe(200);
+      expect(fetched.body.active).toBe(false);
+    });
+
+    it('should patch a seeded facility whose ID is not a UUID', async () => {
+      const response = await request(app)
+        .patch('/api/facilities/TSDF-IL-001')
+        .set('x-user-id', 'vendor-manager')
+        .send({ phone: '(708) 555-0142' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(
+        expect.objectContaining({ id: 'TSDF-IL-001', phone: '(708) 555-0142' })
+      );
+    });
+
+    it('should return 404 when changing an unknown facility', async () => {
+      const response = await request(app)
+        .patch('/api/facilities/7d9f6a52-3c1e-4b8a-9f0d-2e4c6b8a1f3d')
+        .send({ rating: 3 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Facility permits', () => {
+    let permitId;
+
+    it('should record a permit for a facility', async () => {
+      const response = await request(app)
+        .post('/api/facilities/TSDF-IL-001/permits')
+        .set('x-user-id', 'vendor-manager')
+        .send({
+          permitNumber: 'IL-HW-0042',
+          wasteCodes: ['D001', 'F003'],
+          processes: ['fuel blending'],
+          expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(
+        expect.objectContaining({ permitNumber: 'IL-HW-0042', status: 'expiring' })
+      );
+      permitId = response.body.id;
+    });
+
+    it('should reject a permit with a malformed waste code', async () => {
+      const response = await request(app)
+        .post('/api/facilities/TSDF-IL-001/permits')
+        .send({ permitNumber: 'IL-HW-0043', wasteCodes: ['d1'], expiresAt: '2030-01-01' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map((detail) => detail.field)).toContain('wasteCodes[0]');
+    });
+
+    it('should renew a permit and list it', async () => {
+      const renewed = await request(app)
+        .put(`/api/facilities/TSDF-IL-001/permits/${permitId}`)
+        .send({ expiresAt: '2035-12-31' });
+      const listed = await request(app).get('/api/facilities/TSDF-IL-001/permits');
+
+      expect(renewed.status).toBe(200);
+      expect(renewed.body.status).toBe('current');
+      expect(listed.body.count).toBe(1);
+      expect(listed.body.permits[0].expiresAt).toBe('2035-12-31T00:00:00.000Z');
+    });
+
+    it('should run the permit scan on demand', async () => {
+      const response = await request(app).post('/api/facilities/permits/scan');
+
+      // The permit recorded above is current but covers only some of the codes TSDF-IL-001
+      // accepts
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(
+        expect.objectContaining({
+          scanned: expect.any(Number),
+          coverageWarnings: [
+            expect.objectContaining({
+              facilityId: 'TSDF-IL-001',
+              issues: [expect.stringContaining('no current permit covers')],
+            }),
+          ],
+          blockedFacilities: [],
+        })
+      );
+    });
+  });
+
+  describe('POST /api/facilities/optimal', () => {
+    it('should report the management method of the chosen facility', async () => {
+      const response = await request(app)
+        .post('/api/facilities/optimal')
+        .send({
+          latitude: 29.7604,
+          longitude: -95.3698,
+          wasteCode: 'D001',
+          quantity_kg: 500,
+          requiredMethods: ['H040'],
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.managementMethod).toEqual(
+        expect.objectContaining({ code: 'H040', category: 'destruction' })
+      );
+    });
+
+    it('should reject an unknown management method', async () => {
+      const response = await request(app)
+        .post('/api/facilities/optimal')
+        .send({
+          latitude: 29.7604,
+          longitude: -95.3698,
+          wasteCode: 'D001',
+          quantity_kg: 500,
+          forbiddenMethods: ['landfill'],
+        });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/facilities/:id/capacity', () => {
+    it('should return the facility capacity and booking timeline', async () => {
+      const response = await request(app).get('/api/facilities/TSDF-TX-002/capacity');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(
+        expect.objectContaining({
+          facilityId: 'TSDF-TX-002',
+          maxCapacityKg: expect.any(Number),
+          availableKg: expect.any(Number),
+          timeline: expect.any(Array),
+        })
+      );
+    });
+
+    it('should return 404 for an unknown facility', async () => {
+      const response = await request(app).get('/api/facilities/fac-missing/capacity');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
   describe('POST /api/manifests', () => {
     const validManifestData = {
-      wasteProfile: {
-        wasteCode: 'D001',
-        category: 'ignitable',
-        quantityKg: 150,
-      },
       facility: {
-        id: 'fac-001',
-        name: 'Test Facility',
-        epaId: 'TXD123456789',
-        address: '123 Test St, Houston, TX',
+        id: 'TSDF-TX-001',
+        name: 'Clean Harbors Environmental Services - Deer Park',
+        epaId: 'TXD055141378',
+        address: '2027 Independence Parkway South',
       },
       route: {
         route: {
@@ -239,6 +771,18 @@ describe('API Integration Tests', () => {
       },
     };
 
+    beforeAll(async () => {
+      const response = await request(app).post('/api/waste-profiles').send({
+        wasteName: 'Waste acetone',
+        wasteCode: 'D001',
+        category: 'ignitable',
+        quantity: 150,
+      });
+      validManifestData.wasteProfileId = response.body.id;
+
+      await acceptProfile(response.body.id, validManifestData.facility.id);
+    });
+
     it('should create electronic manifest', async () => {
       const response = await request(app).post('/api/manifests').send(validManifestData);
 
@@ -246,7 +790,7 @@ describe('API Integration Tests', () => {
       expect(response.body).toEqual(
         expect.objectContaining({
           id: expect.any(String),
-          manifestNumber: expect.stringMatching(/^EPA-/),
+          manifestNumber: expect.stringMatching(/^\d{12}[A-Z]{3}$/),
           status: 'draft',
           wasteProfile: expect.any(Object),
           generator: expect.any(Object),
@@ -264,14 +808,313 @@ describe('API Integration Tests', () => {
       expect(response1.body.manifestNumber).not.toBe(response2.body.manifestNumber);
     });
 
+    it('should create a manifest with several line items', async () => {
+      const response = await request(app)
+        .post('/api/manifests')
+        .send({
+          ...validManifestData,
+          lineItems: [
+            { containerCount: 2, containerType: 'DM', quantity: 100, unit: 'K' },
+            { containerCount: 1, containerType: 'CF', quantity: 25, unit: 'P' },
+          ],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.lineItems).toHaveLength(2);
+      expect(response.body.lineItems[1].containers).toEqual({ count: 1, type: 'CF' });
+    });
+
+    it('should sign for each transporter leg in turn', async () => {
+      const created = await request(app)
+        .post('/api/manifests')
+        .send({
+          ...validManifestData,
+          transporters: [
+            { name: 'SafeHaul Logistics', epaId: 'TXR111222333', vehicleType: 'truck' },
+            { name: 'Gulf Rail', epaId: 'TXR222333444', vehicleType: 'rail' },
+          ],
+        });
+
+      expect(created.status).toBe(201);
+      expect(created.body.transporters).toHaveLength(2);
+
+      await request(app)
+        .post(`/api/manifests/${created.body.id}/sign`)
+        .send({ role: 'transporter', name: 'Driver', transporterIndex: 0 });
+      const signed = await request(app)
+        .post(`/api/manifests/${created.body.id}/sign`)
+        .send({ role: 'transporter', name: 'Rail Clerk', transporterIndex: 1 });
+
+      expect(signed.status).toBe(200);
+      expect(signed.body.transporters[0].handedOffAt).toEqual(expect.any(String));
+
+      const tracking = await request(app).get(`/api/manifests/${created.body.id}/track`);
+      expect(tracking.body.currentLeg).toEqual(expect.objectContaining({ leg: 2, totalLegs: 2 }));
+    });
+
+    it('should return 400 for a transporter without a valid EPA ID', async () => {
+      const response = await request(app)
+        .post('/api/manifests')
+        .send({ ...validManifestData, transporters: [{ name: 'SafeHaul', epaId: '123' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('transporters[0]');
+    });
+
+    it('should return 400 for a line item with an unknown unit of measure', async () => {
+      const response = await request(app)
+        .post('/api/manifests')
+        .send({
+          ...validManifestData,
+          lineItems: [{ containerCount: 1, containerType: 'DM', quantity: 10, unit: 'X' }],
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('lineItems[0].unit');
+    });
+
     it('should return 400 if required fields are missing', async () => {
       const response = await request(app).post('/api/manifests').send({
-        wasteProfile: validManifestData.wasteProfile,
+        wasteProfileId: validManifestData.wasteProfileId,
       });
 
       expect(response.status).toBe(400);
       expect(response.body).toHaveProperty('error');
     });
+
+    it('should return 409 if the facility has not accepted the waste profile', async () => {
+      const profileResponse = await request(app)
+        .post('/api/waste-profiles')
+        .send({ wasteName: 'Unsubmitted acetone', wasteCode: 'D001' });
+
+      const response = await request(app)
+        .post('/api/manifests')
+        .send({ ...validManifestData, wasteProfileId: profileResponse.body.id });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 404 if the waste profile does not exist', async () => {
+      const response = await request(app)
+        .post('/api/manifests')
+        .send({ ...validManifestData, wasteProfileId: '00000000-0000-4000-8000-000000000000' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should export a manifest as an e-Manifest XML document', async () => {
+      const created = await request(app).post('/api/manifests').send(validManifestData);
+
+      const response = await request(app)
+        .get(`/api/manifests/${created.body.id}/export`)
+        .query({ format: 'emanifest-xml' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/application\/xml/);
+      expect(response.text).toContain(
+        `<manifestTrackingNumber>${created.body.manifestNumber}</manifestTrackingNumber>`
+      );
+    });
+
+    it('should render a printable manifest PDF', async () => {
+      const created = await request(app).post('/api/manifests').send(validManifestData);
+
+      const response = await request(app).get(`/api/manifests/${created.body.id}/pdf`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/application\/pdf/);
+      expect(response.headers['content-disposition']).toBe(
+        `inline; filename="${created.body.manifestNumber}.pdf"`
+      );
+      expect(response.body.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+    });
+
+    it('should return 400 for an unknown export format', async () => {
+      const created = await request(app).post('/api/manifests').send(validManifestData);
+
+      const response = await request(app)
+        .get(`/api/manifests/${created.body.id}/export`)
+        .query({ format: 'pdf' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should import an e-Manifest document exported by another system', async () => {
+      const created = await request(app).post('/api/manifests').send(validManifestData);
+      const exported = await request(app)
+        .get(`/api/manifests/${created.body.id}/export`)
+        .query({ format: 'emanifest-xml' });
+      // Same serial and check digit under a vendor's registrant suffix
+      const vendorNumber = `${created.body.manifestNumber.slice(0, 12)}VND`;
+      const xml = exported.text.replace(created.body.manifestNumber, vendorNumber);
+
+      const response = await request(app)
+        .post('/api/manifests/import')
+        .set('Content-Type', 'application/xml')
+        .send(xml);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(
+        expect.objectContaining({
+          manifestNumber: vendorNumber,
+          origin: 'emanifest-import',
+          status: 'draft',
+        })
+      );
+      expect(response.body.lineItems).toHaveLength(created.body.lineItems.length);
+    });
+
+    it('should allocate numbers from a registered tracking number block', async () => {
+      const blockResponse = await request(app)
+        .post('/api/manifests/tracking-blocks')
+        .send({ suffix: 'APB', firstSerial: 500, lastSerial: 599, registrant: 'Acme Printing' });
+
+      expect(blockResponse.status).toBe(201);
+      expect(blockResponse.body).toEqual(
+        expect.objectContaining({ firstNumber: '000000005009APB', remaining: 100 })
+      );
+
+      const response = await request(app)
+        .post('/api/manifests')
+        .send({ ...validManifestData, registrantSuffix: 'APB' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.manifestNumber).toBe('000000005009APB');
+
+      const listResponse = await request(app)
+        .get('/api/manifests/tracking-blocks')
+        .query({ suffix: 'APB' });
+
+      expect(listResponse.body.blocks).toEqual([expect.objectContaining({ remaining: 99 })]);
+    });
+
+    it('should return 409 for a block that overlaps a registered one', async () => {
+      const response = await request(app)
+        .post('/api/manifests/tracking-blocks')
+        .send({ suffix: 'APB', firstSerial: 590, lastSerial: 650 });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should reject a delivered load onto a new manifest back to the generator', async () => {
+      const created = await request(app).post('/api/manifests').send(validManifestData);
+      for (const status of ['submitted', 'in_transit', 'delivered']) {
+        await request(app)
+          .put(`/api/manifests/${created.body.id}/status`)
+          .send({ status, actor: 'Dispatcher' });
+      }
+
+      const response = await request(app)
+        .post(`/api/manifests/${created.body.id}/rejection`)
+        .send({
+          type: 'full',
+          destination: { type: 'generator' },
+          reason: 'Unlabeled containers',
+          actor: 'Facility Manager',
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.manifest.status).toBe('rejected');
+      expect(response.body.rejectedWasteManifest.rejection).toEqual(
+        expect.objectContaining({ sourceManifestNumber: created.body.manifestNumber })
+      );
+    });
+
+    it('should return 400 for an alternate facility rejection without a facility', async () => {
+      const created = await request(app).post('/api/manifests').send(validManifestData);
+
+      const response = await request(app)
+        .post(`/api/manifests/${created.body.id}/rejection`)
+        .send({ type: 'full', destination: { type: 'alternate_facility' }, actor: 'Manager' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should correct a submitted manifest and list its revisions', async () => {
+      const created = await request(app).post('/api/manifests').send(validManifestData);
+      await request(app)
+        .put(`/api/manifests/${created.body.id}/status`)
+        .send({ status: 'submitted', actor: 'EHS Manager' });
+
+      const response = await request(app)
+        .post(`/api/manifests/${created.body.id}/corrections`)
+        .send({
+          corrections: { facility: { epaId: 'TXD055141387' } },
+          reason: 'Facility ID mistyped',
+          correctedBy: 'EHS Manager',
+          revision: 1,
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.revision.changes).toEqual([
+        { field: 'facility.epaId', previous: 'TXD055141378', corrected: 'TXD055141387' },
+      ]);
+
+      const history = await request(app).get(`/api/manifests/${created.body.id}/revisions`);
+
+      expect(history.status).toBe(200);
+      expect(history.body.currentRevision).toBe(2);
+      expect(history.body.revisions).toHaveLength(2);
+    });
+
+    it('should return 400 for a corrected generator EPA ID that is not valid', async () => {
+      const created = await request(app).post('/api/manifests').send(validManifestData);
+
+      const response = await request(app)
+        .post(`/api/manifests/${created.body.id}/corrections`)
+        .send({
+          corrections: { generator: { epaId: 'TX-111' } },
+          reason: 'Generator ID mistyped',
+          correctedBy: 'EHS Manager',
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('corrections.generator.epaId');
+    });
+
+    it('should return 400 for a correction without a reason', async () => {
+      const created = await request(app).post('/api/manifests').send(validManifestData);
+
+      const response = await request(app)
+        .post(`/api/manifests/${created.body.id}/corrections`)
+        .send({ corrections: { facility: { epaId: 'TXD123456780' } }, correctedBy: 'EHS' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should list open manifest exceptions', async () => {
+      const response = await request(app).get('/api/manifests/exceptions');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ count: expect.any(Number), exceptions: expect.any(Array) });
+    });
+
+    it('should return 400 for an unknown generator category', async () => {
+      const response = await request(app)
+        .post('/api/manifests')
+        .send({ ...validManifestData, generatorInfo: { name: 'Clinic', category: 'VLQG' } });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for the exception report of a manifest without an exception', async () => {
+      const created = await request(app).post('/api/manifests').send(validManifestData);
+
+      const response = await request(app).get(`/api/manifests/${created.body.id}/exception-report`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 400 with details for an invalid e-Manifest document', async () => {
+      const response = await request(app)
+        .post('/api/manifests/import')
+        .send({ manifestTrackingNumber: 'VENDOR-1', status: 'Lost' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details).toEqual(
+        expect.arrayContaining([expect.objectContaining({ field: 'status' })])
+      );
+    });
   });
 
   describe('Complete Workflow Integration', () => {
@@ -326,15 +1169,38 @@ describe('API Integration Tests', () => {
 
       expect(routeResponse.status).toBe(200);
 
-      // Step 5: Create manifest
-      const manifestResponse = await request(app)
-        .post('/api/manifests')
+      // Step 5: Submit the profile and record the facility's acceptance
+      const submitResponse = await request(app)
+        .put(`/api/waste-profiles/${profile.id}/status`)
         .send({
-          wasteProfile: { ...profile, quantityKg: 100 },
-          facility: routeResponse.body.facility,
-          route: routeResponse.body,
+          status: 'submitted',
+          actor: 'EHS Manager',
+          details: { facilityId: routeResponse.body.facility.id },
         });
 
+      expect(submitResponse.status).toBe(200);
+
+      const acceptResponse = await request(app)
+        .put(`/api/waste-profiles/${profile.id}/status`)
+        .send({
+          status: 'accepted',
+          actor: 'Facility Approver',
+          details: {
+            approvalNumber: 'APP-2025-118',
+            expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
+          },
+        });
+
+      expect(acceptResponse.status).toBe(200);
+      expect(acceptResponse.body.facilityApproval.approvalNumber).toBe('APP-2025-118');
+
+      // Step 6: Create manifest
+      const manifestResponse = await request(app).post('/api/manifests').send({
+        wasteProfileId: profile.id,
+        facility: routeResponse.body.facility,
+        route: routeResponse.body,
+      });
+
       expect(manifestResponse.status).toBe(201);
       expect(manifestResponse.body.status).toBe('draft');
     });
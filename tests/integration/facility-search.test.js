@@ -6,8 +6,10 @@ import {
   calculateDistance,
   kmToMiles,
   canFacilityHandleWaste,
+  selectManagementMethod,
 } from '../../src/services/facilitySearch.js';
 import { TSDF_FACILITIES } from '../../src/data/facilityData.js';
+import { isValidManagementMethod } from '../../src/data/managementMethodCodes.js';
 
 describe('Facility Search Integration', () => {
   describe('calculateDistance', () => {
@@ -48,9 +50,10 @@ describe('Facility Search Integration', () => {
   describe('canFacilityHandleWaste', () => {
     const testFacility = {
       id: 'TEST-001',
-      accepted_waste_codes: ['D001', 'D002', 'D003'],
-      max_capacity_kg: 5000000,
-      current_capacity_kg: 2000000,
+      acceptedWasteCodes: ['D001', 'D002', 'D003'],
+      maxCapacityKg: 5000000,
+      currentCapacityKg: 2000000,
+      availableCapacityKg: 3000000,
       active: true,
     };
 
@@ -207,6 +210,45 @@ describe('Facility Search Integration', () => {
       const isoCertified = TSDF_FACILITIES.filter((f) => f.certifications.includes('ISO 14001'));
       expect(isoCertified.length).toBeGreaterThan(8);
     });
+
+    it('should record valid handling methods for every accepted waste code', () => {
+      TSDF_FACILITIES.forEach((facility) => {
+        expect(Object.keys(facility.handling_methods).sort()).toEqual(
+          [...facility.accepted_waste_codes].sort()
+        );
+        Object.values(facility.handling_methods).forEach((methods) => {
+          expect(methods.length).toBeGreaterThan(0);
+          methods.forEach((method) => expect(isValidManagementMethod(method)).toBe(true));
+        });
+      });
+    });
+  });
+
+  describe('selectManagementMethod', () => {
+    const facility = { handlingMethods: { F003: ['H020', 'H040', 'H132'] } };
+
+    it('should pick the most preferred method', () => {
+      expect(selectManagementMethod(facility, 'F003').code).toBe('H020');
+    });
+
+    it('should honor required and forbidden methods', () => {
+      expect(
+        selectManagementMethod(facility, 'F003', { requiredMethods: ['H040', 'H132'] }).code
+      ).toBe('H040');
+      expect(
+        selectManagementMethod(facility, 'F003', { forbiddenMethods: ['H020', 'H040'] })
+      ).toEqual(expect.objectContaining({ code: 'H132', category: 'disposal' }));
+      expect(
+        selectManagementMethod(facility, 'F003', {
+          requiredMethods: ['H040'],
+          forbiddenMethods: ['H040'],
+        })
+      ).toBeNull();
+    });
+
+    it('should return null for a code without recorded methods', () => {
+      expect(selectManagementMethod(facility, 'D001')).toBeNull();
+    });
   });
 
   describe('Contact information', () => {
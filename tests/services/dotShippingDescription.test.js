@@ -0,0 +1,183 @@
+import { generateShippingDescription } from '../../src/services/dotShippingDescription.js';
+
+describe('dotShippingDescription', () => {
+  describe('generateShippingDescription', () => {
+    it('should use the named entry for a single hazardous constituent', () => {
+      const result = generateShippingDescription({
+        wasteCodes: ['D001', 'F003'],
+        chemicals: ['Acetone', 'Water'],
+        physicalState: 'liquid',
+        quantityKg: 10,
+      });
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          unNumber: 'UN1090',
+          properShippingName: 'Waste Acetone',
+          hazardClass: '3',
+          packingGroup: 'II',
+          basis: 'named-entry',
+        })
+      );
+      expect(result.description).toBe('UN1090, Waste Acetone, 3, PG II');
+    });
+
+    it('should use the n.o.s. entry with technical names for a mixture', () => {
+      const result = generateShippingDescription({
+        wasteCodes: ['D001'],
+        chemicals: [
+          { name: 'Isopropyl alcohol', concentrationPercent: 10 },
+          { name: 'Acetone', concentrationPercent: 85 },
+        ],
+        physicalState: 'liquid',
+        physicalProperties: { flashPoint: 0 },
+        quantityKg: 10,
+      });
+
+      expect(result.unNumber).toBe('UN1993');
+      expect(result.technicalNames).toEqual(['Acetone', 'Isopropanol']);
+      expect(result.description).toBe(
+        'UN1993, Waste Flammable liquids, n.o.s. (Acetone, Isopropanol), 3, PG II'
+      );
+    });
+
+    it('should use a generic entry when the named entry does not cover every hazard', () => {
+      const result = generateShippingDescription({
+        wasteCodes: ['D001', 'D002'],
+        chemicals: ['Acetone'],
+        physicalState: 'liquid',
+        physicalProperties: { flashPoint: 0, pH: 1.5 },
+      });
+
+      expect(result.unNumber).toBe('UN2924');
+      expect(result.subsidiaryHazards).toEqual(['8']);
+      expect(result.description).toContain('3 (8), PG II');
+    });
+
+    it('should pick the acidic corrosive entry from the pH', () => {
+      const result = generateShippingDescription({
+        wasteCodes: ['D002'],
+        physicalState: 'liquid',
+        physicalProperties: { pH: 1 },
+        quantityKg: 10,
+      });
+
+      expect(result.unNumber).toBe('UN3264');
+      expect(result.warnings[0]).toContain('requires technical names');
+    });
+
+    it('should assign the flammable liquid packing group from flash and boiling point', () => {
+      const describe = (physicalProperties) =>
+        generateShippingDescription({
+          wasteCodes: ['D001'],
+          physicalState: 'liquid',
+          physicalProperties,
+        }).packingGroup;
+
+      expect(describe({ flashPoint: 20, boilingPoint: 90 })).toBe('I');
+      expect(describe({ flashPoint: 20 })).toBe('II');
+      expect(describe({ flashPoint: 100 })).toBe('III');
+    });
+
+    it('should fall back to hazardous waste n.o.s. for toxicity-only wastes', () => {
+      const result = generateShippingDescription({
+        wasteCodes: ['D008'],
+        physicalState: 'solid',
+        quantityKg: 1,
+      });
+
+      expect(result.unNumber).toBe('NA3077');
+      expect(result.properShippingName).toBe('Hazardous waste, solid, n.o.s.');
+    });
+
+    it('should add the RQ notation with the waste codes that meet their RQ', () => {
+      const result = generateShippingDescription({
+        wasteCodes: ['D001', 'F005'],
+        chemicals: ['Toluene'],
+        physicalState: 'liquid',
+        quantityKg: 100,
+      });
+
+      expect(result.reportableQuantity).toEqual(
+        expect.objectContaining({ applies: true, rqPounds: 100, substances: ['D001', 'F005'] })
+      );
+      expect(result.description).toBe('RQ, UN1294, Waste Toluene, 3, PG II (D001, F005)');
+    });
+
+    it('should name a constituent that meets its RQ when the shipping name does not', () => {
+      const result = generateShippingDescription({
+        wasteCodes: ['D001'],
+        chemicals: [
+          { name: 'Acetone', concentrationPercent: 80 },
+          { name: 'Benzene', concentrationPercent: 20 },
+        ],
+        physicalState: 'liquid',
+        quantityKg: 30,
+      });
+
+      expect(result.reportableQuantity.substances).toEqual(['Benzene']);
+      expect(result.description).toBe(
+        'RQ, UN1993, Waste Flammable liquids, n.o.s. (Acetone, Benzene), 3, PG II'
+      );
+    });
+
+    it('should add the marine pollutant notation and technical name', () => {
+      const result = generateShippingDescription({
+        wasteCodes: ['D039'],
+        chemicals: ['Tetrachloroethylene'],
+        physicalState: 'liquid',
+        quantityKg: 5,
+      });
+
+      expect(result.marinePollutant).toEqual({
+        applies: true,
+        constituents: ['Tetrachloroethylene'],
+      });
+      expect(result.description).toBe(
+        'UN1897, Waste Tetrachloroethylene, 6.1, PG III, Marine Pollutant'
+      );
+    });
+
+    it('should ship a spent solvent sludge as a flammable solid', () => {
+      const result = generateShippingDescription({
+        wasteCodes: ['F003'],
+        chemicals: [
+          { name: 'Xylene', concentrationPercent: 40 },
+          { name: 'Methanol', concentrationPercent: 20 },
+        ],
+        physicalState: 'sludge',
+        quantityKg: 50,
+      });
+
+      expect(result.unNumber).toBe('UN1325');
+      expect(result.technicalNames).toEqual(['Xylenes', 'Methanol']);
+    });
+
+    it('should describe an ignitable solid with a flammable liquid constituent', () => {
+      const result = generateShippingDescription({
+        wasteCodes: ['D001'],
+        chemicals: ['Acetone'],
+        physicalState: 'solid',
+      });
+
+      expect(result).toEqual(
+        expect.objectContaining({ unNumber: 'UN1325', hazardClass: '4.1', basis: 'generic-entry' })
+      );
+    });
+
+    it('should carry the corrosive subsidiary hazard for an ignitable corrosive solid', () => {
+      const result = generateShippingDescription({
+        wasteCodes: ['D001', 'D002'],
+        physicalState: 'solid',
+      });
+
+      expect(result.unNumber).toBe('UN2925');
+      expect(result.subsidiaryHazards).toEqual(['8']);
+      expect(result.description).toContain('4.1 (8), PG II');
+    });
+
+    it('should return a null description without waste codes', () => {
+      expect(generateShippingDescription({ chemicals: ['Acetone'] }).description).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,365 @@
+import {
+  exportManifest,
+  importManifest,
+  parseEManifestDocument,
+  validateEManifestDocument,
+} from '../../src/services/eManifestService.js';
+import { createManifest, updateManifestStatus } from '../../src/services/manifestGenerator.js';
+import { rejectManifest } from '../../src/services/manifestDiscrepancies.js';
+import { getFacilityCapacity } from '../../src/services/facilityCapacity.js';
+import {
+  getManifestException,
+  scanOverdueManifests,
+} from '../../src/services/manifestExceptions.js';
+import { importFacilities } from '../../src/services/facilityRepository.js';
+import { TSDF_FACILITIES } from '../../src/data/facilityData.js';
+import {
+  GENERATOR_INFO,
+  createAcceptedProfile,
+  createPermittedTransporter,
+} from '../helpers/fixtures.js';
+
+const facility = {
+  id: 'TSDF-TX-002',
+  name: 'Waste Management - El Paso',
+  epaId: 'TXD987654321',
+  address: '12000 Rojas Drive, El Paso, TX 79936',
+};
+
+const generatorInfo = { ...GENERATOR_INFO, contactPhone: '713-555-0100' };
+
+const vendorDocument = {
+  manifestTrackingNumber: '000000123455ELC',
+  status: 'InTransit',
+  submissionType: 'FullElectronic',
+  generator: {
+    epaSiteId: 'TXD111222333',
+    name: 'Memorial Hospital',
+    siteAddress: { address1: '123 Medical Center Blvd', city: 'Houston', state: 'TX' },
+    emergencyPhone: { number: '800-555-0199' },
+    signatureInfo: { printedName: 'Sarah Johnson', signatureDate: '2025-02-03T14:00:00Z' },
+  },
+  transporters: [{ order: 1, epaSiteId: 'TXR111222333', name: 'SafeHaul Logistics' }],
+  designatedFacility: { epaSiteId: 'TXD987654321', name: 'Waste Management - El Paso' },
+  wastes: [
+    {
+      lineNumber: 2,
+      dotHazardous: true,
+      dotInformation: {
+        idNumber: { code: 'UN1789' },
+        printedDotInformation: 'UN1789, Waste Hydrochloric acid, 8, PG II',
+      },
+      quantity: {
+        containerNumber: 2,
+        containerType: { code: 'DF' },
+        quantity: 30,
+        unitOfMeasurement: { code: 'P' },
+      },
+      hazardousWaste: { federalWasteCodes: [{ code: 'D002' }] },
+    },
+    {
+      lineNumber: 1,
+      dotHazardous: true,
+      wasteDescription: 'Spent xylene',
+      quantity: {
+        containerNumber: 1,
+        containerType: { code: 'DM' },
+        quantity: 200,
+        unitOfMeasurement: { code: 'P' },
+      },
+      hazardousWaste: { federalWasteCodes: [{ code: 'F003' }, { code: 'D001' }] },
+    },
+  ],
+};
+
+// Imports look up the designated facility by EPA ID; the El Paso facility also takes the
+// spent solvent (F003) shipped on the exported manifest
+beforeAll(async () => {
+  await importFacilities(
+    TSDF_FACILITIES.map((record) =>
+      record.id === facility.id
+        ? { ...record, accepted_waste_codes: [...record.accepted_waste_codes, 'F003'] }
+        : record
+    )
+  );
+  await createPermittedTransporter();
+});
+
+describe('eManifestService', () => {
+  let manifest;
+
+  beforeAll(async () => {
+    const profile = await createAcceptedProfile(
+      {
+        wasteName: 'Spent acetone',
+        wasteCodes: ['F003', 'D001'],
+        chemicalComposition: [{ name: 'Acetone', concentrationPercent: 90 }],
+        physicalState: 'liquid',
+        quantity: 150,
+      },
+      'TSDF-TX-002',
+      { approvalNumber: 'SW-2025-0100' }
+    );
+
+    manifest = await createManifest(
+      profile.id,
+      facility,
+      { route: { method: 'truck' } },
+      {
+        generatorInfo,
+        lineItems: [
+          { containerCount: 2, containerType: 'DM', quantity: 100, unit: 'K' },
+          { containerCount: 1, containerType: 'DF', quantity: 15, unit: 'G' },
+        ],
+      }
+    );
+  });
+
+  describe('exportManifest', () => {
+    it('should map the manifest to a valid e-Manifest JSON document', async () => {
+      const exported = await exportManifest(manifest.id, 'emanifest-json');
+      const document = JSON.parse(exported.body);
+
+      expect(exported.contentType).toBe('application/json');
+      expect(validateEManifestDocument(document).valid).toBe(true);
+      expect(document).toEqual(
+        expect.objectContaining({
+          manifestTrackingNumber: manifest.manifestNumber,
+          status: 'Pending',
+          submissionType: 'FullElectronic',
+        })
+      );
+      expect(document.generator).toEqual(
+        expect.objectContaining({ epaSiteId: 'TXD111222333', name: 'Memorial Hospital' })
+      );
+      expect(document.designatedFacility.epaSiteId).toBe('TXD987654321');
+      expect(document.transporters).toEqual([
+        { order: 1, epaSiteId: 'TXR111222333', name: 'SafeHaul Logistics' },
+      ]);
+      expect(document.wastes).toHaveLength(2);
+      expect(document.wastes[0]).toEqual(
+        expect.objectContaining({
+          lineNumber: 1,
+          dotHazardous: true,
+          quantity: {
+            containerNumber: 2,
+            containerType: { code: 'DM' },
+            quantity: 100,
+            unitOfMeasurement: { code: 'K' },
+          },
+          hazardousWaste: { federalWasteCodes: [{ code: 'F003' }, { code: 'D001' }] },
+        })
+      );
+      expect(document.wastes[0].dotInformation.printedDotInformation).toContain('UN1090');
+    });
+
+    it('should export XML that reads back to the same document', async () => {
+      const json = await exportManifest(manifest.id, 'emanifest-json');
+      const xml = await exportManifest(manifest.id, 'emanifest-xml');
+
+      expect(xml.contentType).toBe('application/xml');
+      expect(xml.body).toContain('<manifest xmlns="urn:hospital-hazard:emanifest">');
+      expect(parseEManifestDocument(xml.body, 'emanifest-xml')).toEqual(JSON.parse(json.body));
+    });
+
+    it('should carry signatures once the parties sign', async () => {
+      const signed = await createManifest(manifest.wasteProfile.wasteProfileId, facility, {
+        route: { method: 'truck' },
+      });
+      const { signManifest } = await import('../../src/services/manifestGenerator.js');
+      await signManifest(signed.id, 'generator', { name: 'Sarah Johnson' });
+
+      const { document } = await exportManifest(signed.id);
+
+      expect(document.generator.signatureInfo).toEqual({
+        printedName: 'Sarah Johnson',
+        signatureDate: expect.any(String),
+      });
+    });
+
+    it('should export a rejected manifest as signed', async () => {
+      const rejected = await createManifest(manifest.wasteProfile.wasteProfileId, facility, {
+        route: { method: 'truck' },
+      });
+      await updateManifestStatus(rejected.id, 'submitted', 'EHS Manager');
+      await updateManifestStatus(rejected.id, 'in_transit', 'Driver');
+      await updateManifestStatus(rejected.id, 'delivered', 'Driver');
+      await rejectManifest(rejected.id, {
+        type: 'full',
+        destination: { type: 'generator' },
+        actor: 'Facility Manager',
+      });
+
+      const { document } = await exportManifest(rejected.id);
+
+      expect(document.status).toBe('Signed');
+    });
+
+    it('should refuse to export a cancelled manifest', async () => {
+      const cancelled = await createManifest(manifest.wasteProfile.wasteProfileId, facility, {
+        route: { method: 'truck' },
+      });
+      await updateManifestStatus(cancelled.id, 'cancelled', 'EHS Manager');
+
+      await expect(exportManifest(cancelled.id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('importManifest', () => {
+    it('should create a local manifest from a JSON document', async () => {
+      const imported = await importManifest(vendorDocument, { userId: 'vendor-sync' });
+
+      expect(imported).toEqual(
+        expect.objectContaining({
+          manifestNumber: '000000123455ELC',
+          origin: 'emanifest-import',
+          status: 'in_transit',
+        })
+      );
+      expect(imported.facility.id).toBe('TSDF-TX-002');
+      expect(imported.signatures.generator.signedBy).toBe('Sarah Johnson');
+      expect(imported.lineItems.map((line) => line.wasteCodes)).toEqual([
+        ['F003', 'D001'],
+        ['D002'],
+      ]);
+      expect(imported.lineItems[0]).toEqual(
+        expect.objectContaining({
+          wasteProfileId: null,
+          wasteDescription: 'Spent xylene',
+          containers: { count: 1, type: 'DM' },
+        })
+      );
+    });
+
+    it('should book capacity and start the exception clock for a load in transit', async () => {
+      const imported = await importManifest({
+        ...vendorDocument,
+        manifestTrackingNumber: '000000123505ELC',
+      });
+
+      const { timeline } = await getFacilityCapacity('TSDF-TX-002');
+      expect(timeline.filter((entry) => entry.manifestId === imported.id)).toEqual([
+        expect.objectContaining({ event: 'reserved', quantityKg: expect.any(Number) }),
+      ]);
+
+      expect((await scanOverdueManifests()).opened).toContain(imported.id);
+      expect((await getManifestException(imported.id)).inTransitAt).toBe(
+        '2025-02-03T14:00:00.000Z'
+      );
+    });
+
+    it('should import an XML document', async () => {
+      const { toXml } = await import('../../src/utils/xml.js');
+      const xml = toXml('manifest', {
+        ...vendorDocument,
+        manifestTrackingNumber: '000000123463ELC',
+      });
+
+      const imported = await importManifest(xml, { format: 'emanifest-xml' });
+
+      expect(imported.lineItems).toHaveLength(2);
+      expect(imported.lineItems[1].dotDescription.unNumber).toBe('UN1789');
+    });
+
+    it('should import every transporter in order with its signature and handoff', async () => {
+      const imported = await importManifest({
+        ...vendorDocument,
+        manifestTrackingNumber: '000000123489ELC',
+        transporters: [
+          {
+            order: 2,
+            epaSiteId: 'TXR222333444',
+            name: 'Gulf Rail',
+            signatureInfo: { printedName: 'Rail Clerk', signatureDate: '2025-02-04T09:00:00Z' },
+          },
+          {
+            order: 1,
+            epaSiteId: 'TXR111222333',
+            name: 'SafeHaul Logistics',
+            signatureInfo: { printedName: 'Driver', signatureDate: '2025-02-03T15:00:00Z' },
+          },
+        ],
+      });
+
+      expect(imported.transporters).toEqual([
+        expect.objectContaining({
+          index: 0,
+          name: 'SafeHaul Logistics',
+          handedOffAt: '2025-02-04T09:00:00Z',
+        }),
+        expect.objectContaining({ index: 1, name: 'Gulf Rail', handedOffAt: null }),
+      ]);
+
+      const { document } = await exportManifest(imported.id);
+      expect(document.transporters.map((transporter) => transporter.order)).toEqual([1, 2]);
+      expect(document.transporters[1].signatureInfo.printedName).toBe('Rail Clerk');
+    });
+
+    it('should reject a document that fails the schema with the failing fields', async () => {
+      const invalid = {
+        ...vendorDocument,
+        manifestTrackingNumber: '000000123471ELC',
+        wastes: [{ ...vendorDocument.wastes[0], hazardousWaste: { federalWasteCodes: [] } }],
+      };
+
+      await expect(importManifest(invalid)).rejects.toMatchObject({
+        statusCode: 400,
+        details: [
+          { field: 'wastes[0].hazardousWaste.federalWasteCodes', message: expect.any(String) },
+        ],
+      });
+    });
+
+    it('should reject a tracking number with a wrong check digit', async () => {
+      await expect(
+        importManifest({ ...vendorDocument, manifestTrackingNumber: '000000123456ELC' })
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        details: [{ field: 'manifestTrackingNumber', message: 'has an invalid check digit' }],
+      });
+    });
+
+    it('should reject a tracking number that already exists', async () => {
+      await expect(importManifest(vendorDocument)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject malformed XML', async () => {
+      await expect(
+        importManifest('<manifest><status>Pending</manifest>', { format: 'emanifest-xml' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject a character reference outside the Unicode range', async () => {
+      await expect(
+        importManifest('<manifest><status>&#x110000;</status></manifest>', {
+          format: 'emanifest-xml',
+        })
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Malformed XML: invalid character reference &#x110000;',
+      });
+    });
+
+    it('should not read an element into the object prototype', async () => {
+      await expect(
+        importManifest(
+          '<manifest><__proto__><manifestTrackingNumber>x</manifestTrackingNumber></__proto__></manifest>',
+          { format: 'emanifest-xml' }
+        )
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Malformed XML: element <__proto__> is not allowed',
+      });
+      expect({}.manifestTrackingNumber).toBeUndefined();
+    });
+
+    it('should not take required fields from the object prototype', async () => {
+      const { validateSchema } = await import('../../src/utils/jsonSchema.js');
+      const schema = { type: 'object', required: ['toString'], properties: {} };
+
+      expect(validateSchema({}, schema).errors).toEqual([
+        { path: 'toString', message: 'is required' },
+      ]);
+    });
+  });
+});
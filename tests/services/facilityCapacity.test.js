@@ -0,0 +1,225 @@
+import { getFacilityCapacity } from '../../src/services/facilityCapacity.js';
+import { createFacility } from '../../src/services/facilityService.js';
+import { searchFacilitiesByLocation } from '../../src/services/facilitySearch.js';
+import {
+  createManifest,
+  deleteManifest,
+  updateManifestStatus,
+} from '../../src/services/manifestGenerator.js';
+import { rejectManifest } from '../../src/services/manifestDiscrepancies.js';
+import { correctManifest } from '../../src/services/manifestCorrections.js';
+import {
+  GENERATOR_INFO,
+  createAcceptedProfile,
+  createPermittedTransporter,
+} from '../helpers/fixtures.js';
+
+const route = { route: { distance: 40, method: 'truck', estimatedDuration: 1 } };
+
+describe('facilityCapacity', () => {
+  let facility;
+  let profileId;
+
+  async function bookManifest(quantity) {
+    return createManifest(profileId, facility, route, {
+      generatorInfo: GENERATOR_INFO,
+      lineItems: [{ quantity, unit: 'K', containerCount: 4 }],
+    });
+  }
+
+  async function deliver(manifestId) {
+    await updateManifestStatus(manifestId, 'submitted', 'EHS Manager');
+    await updateManifestStatus(manifestId, 'in_transit', 'Driver');
+    return updateManifestStatus(manifestId, 'delivered', 'Driver');
+  }
+
+  beforeAll(async () => {
+    await createPermittedTransporter();
+    facility = await createFacility({
+      name: 'Bayou Solvent Recovery',
+      epaId: 'TXD555444333',
+      address: '77 Channel Rd, Pasadena, TX 77506',
+      state: 'TX',
+      latitude: 29.6911,
+      longitude: -95.2091,
+      acceptedWasteCodes: ['D001'],
+      certificationExpiry: '2030-12-31',
+      maxCapacityKg: 1000,
+    });
+
+    const profile = await createAcceptedProfile(
+      {
+        wasteName: 'Spent acetone',
+        wasteCode: 'D001',
+        category: 'ignitable',
+      },
+      facility.id,
+      { approvalNumber: 'BSR-2025-0007' }
+    );
+    profileId = profile.id;
+  });
+
+  it('should reserve capacity when a manifest is submitted', async () => {
+    const manifest = await bookManifest(400);
+
+    await updateManifestStatus(manifest.id, 'submitted', 'EHS Manager');
+    const capacity = await getFacilityCapacity(facility.id);
+    const roomFor = (minCapacity) =>
+      searchFacilitiesByLocation({
+        latitude: 29.7604,
+        longitude: -95.3698,
+        wasteCode: 'D001',
+        minCapacity,
+        limit: 100,
+      });
+
+    expect(capacity).toEqual(
+      expect.objectContaining({ maxCapacityKg: 1000, reservedKg: 400, availableKg: 600 })
+    );
+    expect((await roomFor(600)).map((match) => match.id)).toContain(facility.id);
+    expect((await roomFor(700)).map((match) => match.id)).not.toContain(facility.id);
+
+    await updateManifestStatus(manifest.id, 'cancelled', 'EHS Manager');
+    expect((await getFacilityCapacity(facility.id)).reservedKg).toBe(0);
+  });
+
+  it('should not book more than the facility has when manifests are submitted together', async () => {
+    const first = await bookManifest(600);
+    const second = await bookManifest(600);
+
+    const results = await Promise.allSettled([
+      updateManifestStatus(first.id, 'submitted', 'EHS Manager'),
+      updateManifestStatus(second.id, 'submitted', 'EHS Manager'),
+    ]);
+    const rejected = results.filter((result) => result.status === 'rejected');
+
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason).toMatchObject({
+      statusCode: 409,
+      message: expect.stringContaining('does not have capacity for 600 kg (400 kg available)'),
+    });
+    expect((await getFacilityCapacity(facility.id)).reservedKg).toBe(600);
+
+    const booked = results[0].status === 'fulfilled' ? first : second;
+    await updateManifestStatus(booked.id, 'cancelled', 'EHS Manager');
+  });
+
+  it('should refuse to book a load measured by volume', async () => {
+    const manifest = await createManifest(profileId, facility, route, {
+      generatorInfo: GENERATOR_INFO,
+      lineItems: [{ quantity: 2, unit: 'Y', containerType: 'CM' }],
+    });
+
+    await expect(
+      updateManifestStatus(manifest.id, 'submitted', 'EHS Manager')
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining('Line 1 is measured by volume (Y)'),
+    });
+    expect((await getFacilityCapacity(facility.id)).reservedKg).toBe(0);
+  });
+
+  it('should keep a cancelled manifest that has capacity history', async () => {
+    const booked = await bookManifest(100);
+    const draft = await bookManifest(100);
+
+    await updateManifestStatus(booked.id, 'submitted', 'EHS Manager');
+    await updateManifestStatus(booked.id, 'cancelled', 'EHS Manager');
+
+    await expect(deleteManifest(booked.id)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(deleteManifest(draft.id)).resolves.toBe(true);
+    expect(
+      (await getFacilityCapacity(facility.id)).timeline.filter(
+        (entry) => entry.manifestId === booked.id
+      )
+    ).toHaveLength(2);
+  });
+
+  it('should use the reservation when the manifest completes', async () => {
+    const manifest = await bookManifest(300);
+
+    await deliver(manifest.id);
+    await updateManifestStatus(manifest.id, 'completed', 'Facility Manager');
+
+    expect(await getFacilityCapacity(facility.id)).toEqual(
+      expect.objectContaining({ consumedKg: 300, reservedKg: 0, availableKg: 700 })
+    );
+  });
+
+  it('should release what the facility rejects', async () => {
+    const partial = await bookManifest(200);
+    const full = await bookManifest(100);
+
+    await deliver(partial.id);
+    await deliver(full.id);
+    await rejectManifest(partial.id, {
+      type: 'partial',
+      lines: [{ lineNumber: 1, containerCount: 1, quantity: 50 }],
+      destination: { type: 'generator' },
+      actor: 'Facility Manager',
+    });
+    await rejectManifest(full.id, {
+      type: 'full',
+      destination: { type: 'generator' },
+      actor: 'Facility Manager',
+    });
+    await updateManifestStatus(partial.id, 'completed', 'Facility Manager');
+
+    expect(await getFacilityCapacity(facility.id)).toEqual(
+      expect.objectContaining({ consumedKg: 450, reservedKg: 0, availableKg: 550 })
+    );
+  });
+
+  it('should give a timeline of the bookings with running totals', async () => {
+    const { timeline } = await getFacilityCapacity(facility.id);
+
+    expect(timeline[0]).toEqual(
+      expect.objectContaining({
+        event: 'reserved',
+        manifestNumber: expect.stringMatching(/^\d{12}HHZ$/),
+        quantityKg: 400,
+        reservedKg: 400,
+        consumedKg: 0,
+        availableKg: 600,
+      })
+    );
+    expect(timeline[1]).toEqual(
+      expect.objectContaining({ event: 'released', reason: 'manifest cancelled', reservedKg: 0 })
+    );
+    expect(timeline.filter((entry) => entry.event === 'consumed')).toHaveLength(2);
+    expect(timeline.at(-1)).toEqual(
+      expect.objectContaining({ reservedKg: 0, consumedKg: 450, availableKg: 550 })
+    );
+  });
+
+  it('should move the reservation when a correction changes the quantity', async () => {
+    const manifest = await bookManifest(100);
+    const correct = (quantity, unit = 'K') =>
+      correctManifest(manifest.id, {
+        corrections: { lineItems: [{ lineNumber: 1, quantity, unit }] },
+        reason: 'Reweighed at the dock',
+        correctedBy: 'EHS Manager',
+      });
+
+    await updateManifestStatus(manifest.id, 'submitted', 'EHS Manager');
+    await correct(300);
+    expect((await getFacilityCapacity(facility.id)).reservedKg).toBe(300);
+
+    await correct(0.1, 'T');
+    expect((await getFacilityCapacity(facility.id)).reservedKg).toBe(91);
+
+    await expect(correct(1000)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(correct(2, 'Y')).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining('measured by volume'),
+    });
+    expect((await getFacilityCapacity(facility.id)).reservedKg).toBe(91);
+
+    await updateManifestStatus(manifest.id, 'cancelled', 'EHS Manager');
+    expect((await getFacilityCapacity(facility.id)).reservedKg).toBe(0);
+  });
+
+  it('should reject an unknown facility', async () => {
+    await expect(getFacilityCapacity('fac-missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
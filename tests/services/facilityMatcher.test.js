@@ -4,8 +4,17 @@ import {
   getFacilitiesByState,
   getAvailableStates,
 } from '../../src/services/facilityMatcher.js';
+import { createTransporter } from '../../src/services/transporterService.js';
+import { importFacilities } from '../../src/services/facilityRepository.js';
+import { TSDF_FACILITIES } from '../../src/data/facilityData.js';
+
+const inOneYear = () => new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
 
 describe('facilityMatcher', () => {
+  beforeAll(async () => {
+    await importFacilities(TSDF_FACILITIES);
+  });
+
   describe('findApprovedFacilities', () => {
     const mockWasteProfile = {
       wasteCode: 'D001',
@@ -84,6 +93,48 @@ describe('facilityMatcher', () => {
       }
     });
 
+    it('should only return facilities that accept every waste code', async () => {
+      const result = await findApprovedFacilities({
+        ...mockWasteProfile,
+        wasteCodes: [
+          { code: 'F003', confidence: 0.9 },
+          { code: 'D001', confidence: 1.0 },
+          { code: 'D002', confidence: 1.0 },
+        ],
+      });
+
+      expect(result.wasteCodes).toEqual(['F003', 'D001', 'D002']);
+      expect(result.facilities.length).toBeGreaterThan(0);
+      result.facilities.forEach((facility) => {
+        expect(facility.acceptedWasteCodes).toEqual(
+          expect.arrayContaining(['F003', 'D001', 'D002'])
+        );
+      });
+    });
+
+    it('should return no facilities when no facility accepts the full code list', async () => {
+      // P001 and K001 are each accepted somewhere, but never by the same facility
+      const result = await findApprovedFacilities({
+        ...mockWasteProfile,
+        wasteCodes: ['P001', 'K001'],
+      });
+
+      expect(result.facilities).toEqual([]);
+      expect(result.totalFound).toBe(0);
+    });
+
+    it('should leave out facilities without that much capacity still available', async () => {
+      // TSDF-TX-002 can hold 4,000,000 kg but already has 1,900,000 kg on site
+      const result = await findApprovedFacilities(
+        { ...mockWasteProfile, quantityKg: 3000000 },
+        { states: ['TX'] }
+      );
+      const ids = result.facilities.map((facility) => facility.id);
+
+      expect(ids).toContain('TSDF-TX-001');
+      expect(ids).not.toContain('TSDF-TX-002');
+    });
+
     it('should include distance in facility results', async () => {
       const result = await findApprovedFacilities(mockWasteProfile);
 
@@ -92,6 +143,45 @@ describe('facilityMatcher', () => {
         expect(typeof facility.distance).toBe('number');
       });
     });
+
+    it('should sort facilities without a price after every priced facility', async () => {
+      const pricedFacility = {
+        id: 'fac-priced-k048',
+        name: 'Ship Channel Recovery',
+        epa_id: 'TXD300400500',
+        address: '12 Ship Channel Rd, Pasadena, TX 77506',
+        state: 'TX',
+        latitude: 29.72,
+        longitude: -95.2,
+        accepted_waste_codes: ['K048'],
+        certification_expiry: '2030-12-31',
+        price_per_kg: 3.1,
+      };
+      // Closer and added without a price
+      const unpricedFacility = {
+        ...pricedFacility,
+        id: 'fac-unpriced-k048',
+        name: 'Harrisburg Reclaimers',
+        epa_id: 'TXD300400600',
+        latitude: 29.76,
+        longitude: -95.36,
+        price_per_kg: null,
+      };
+      await importFacilities([unpricedFacility, pricedFacility]);
+
+      const result = await findApprovedFacilities(
+        { ...mockWasteProfile, wasteCodes: ['K048'] },
+        { sortBy: 'price' }
+      );
+
+      expect(result.facilities.map((facility) => facility.id)).toEqual([
+        'fac-priced-k048',
+        'fac-unpriced-k048',
+      ]);
+      expect(result.facilities[1]).toEqual(
+        expect.objectContaining({ estimatedDisposalCost: null, totalEstimatedCost: null })
+      );
+    });
   });
 
   describe('calculateOptimalRoute', () => {
@@ -107,9 +197,36 @@ describe('facilityMatcher', () => {
 
     let mockFacilities;
 
+    let lapsedTransporter;
+
     beforeAll(async () => {
       const result = await findApprovedFacilities(mockWasteProfile);
       mockFacilities = result.facilities;
+
+      const permits = {
+        hazmatRegistrationExpiresAt: inOneYear(),
+        insuranceExpiresAt: inOneYear(),
+        statesServed: [...new Set(mockFacilities.map((facility) => facility.state))],
+      };
+      await createTransporter({
+        ...permits,
+        name: 'SafeHaul Logistics',
+        epaId: 'TXR111222333',
+        vehicleTypes: ['truck'],
+      });
+      await createTransporter({
+        ...permits,
+        name: 'FreightMaster Inc',
+        epaId: 'TXR444555666',
+        vehicleTypes: ['freight'],
+      });
+      lapsedTransporter = await createTransporter({
+        ...permits,
+        name: 'Lapsed Carriers',
+        epaId: 'TXR999000111',
+        insuranceExpiresAt: '2020-01-01T00:00:00.000Z',
+        vehicleTypes: ['truck', 'freight'],
+      });
     });
 
     it('should return optimal facility and route', async () => {
@@ -160,6 +277,22 @@ describe('facilityMatcher', () => {
       );
     });
 
+    it('should propose only transporters permitted for the route', async () => {
+      const result = await calculateOptimalRoute(mockWasteProfile, mockFacilities);
+      const proposed = [result.transporter, ...result.alternativeTransporters];
+
+      expect(result.transporter.vehicleType).toBe(result.route.method);
+      expect(proposed.map((transporter) => transporter.id)).not.toContain(lapsedTransporter.id);
+    });
+
+    it('should reject a route when no transporter is currently permitted', async () => {
+      await expect(
+        calculateOptimalRoute(mockWasteProfile, mockFacilities, {
+          asOf: new Date(Date.now() + 5 * 365 * 24 * 60 * 60 * 1000),
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
     it('should prioritize cost when prioritizeCost option is true', async () => {
       const result = await calculateOptimalRoute(mockWasteProfile, mockFacilities, {
         prioritizeCost: true,
@@ -171,8 +304,8 @@ describe('facilityMatcher', () => {
   });
 
   describe('getFacilitiesByState', () => {
-    it('should return facilities for valid state', () => {
-      const txFacilities = getFacilitiesByState('TX');
+    it('should return facilities for valid state', async () => {
+      const txFacilities = await getFacilitiesByState('TX');
 
       expect(txFacilities.length).toBeGreaterThan(0);
       txFacilities.forEach((facility) => {
@@ -180,30 +313,30 @@ describe('facilityMatcher', () => {
       });
     });
 
-    it('should return empty array for invalid state', () => {
-      const facilities = getFacilitiesByState('ZZ');
+    it('should return empty array for invalid state', async () => {
+      const facilities = await getFacilitiesByState('ZZ');
 
       expect(facilities).toEqual([]);
     });
   });
 
   describe('getAvailableStates', () => {
-    it('should return array of state codes', () => {
-      const states = getAvailableStates();
+    it('should return array of state codes', async () => {
+      const states = await getAvailableStates();
 
       expect(Array.isArray(states)).toBe(true);
       expect(states.length).toBeGreaterThan(0);
     });
 
-    it('should return sorted state codes', () => {
-      const states = getAvailableStates();
+    it('should return sorted state codes', async () => {
+      const states = await getAvailableStates();
 
       const sortedStates = [...states].sort();
       expect(states).toEqual(sortedStates);
     });
 
-    it('should include TX and CA states', () => {
-      const states = getAvailableStates();
+    it('should include TX and CA states', async () => {
+      const states = await getAvailableStates();
 
       expect(states).toContain('TX');
       expect(states).toContain('CA');
@@ -0,0 +1,280 @@
+import {
+  addFacilityPermit,
+  assertFacilityPermitted,
+  getFacilityPermitIssues,
+  getFacilityPermits,
+  getPermitStatus,
+  scanFacilityPermits,
+  updateFacilityPermit,
+} from '../../src/services/facilityPermits.js';
+import { findFacilityById, importFacilities } from '../../src/services/facilityRepository.js';
+import { findApprovedFacilities } from '../../src/services/facilityMatcher.js';
+import { searchFacilitiesByLocation } from '../../src/services/facilitySearch.js';
+import { createManifest } from '../../src/services/manifestGenerator.js';
+import { getResourceAuditTrail } from '../../src/services/auditService.js';
+import { TSDF_FACILITIES } from '../../src/data/facilityData.js';
+import {
+  createAcceptedProfile,
+  createPermittedTransporter,
+  daysFromNow,
+} from '../helpers/fixtures.js';
+
+const HOUSTON = { lat: 29.7604, lng: -95.3698 };
+
+const route = { route: { distance: 150, method: 'truck', estimatedDuration: 2.5 } };
+
+describe('facilityPermits', () => {
+  beforeAll(async () => {
+    await importFacilities(TSDF_FACILITIES);
+    await createPermittedTransporter();
+  });
+
+  describe('getFacilityPermitIssues', () => {
+    const asOf = new Date('2026-01-01T00:00:00Z');
+    const permit = {
+      permitNumber: 'TX-HW-50001',
+      wasteCodes: ['D001', 'D002'],
+      expiresAt: '2026-06-30T00:00:00.000Z',
+    };
+
+    it('should fall back to the certification expiry without permits', () => {
+      expect(
+        getFacilityPermitIssues({ permits: [], certificationExpiry: '2027-01-01' }, { asOf })
+      ).toEqual([]);
+      expect(
+        getFacilityPermitIssues({ permits: [], certificationExpiry: '2025-12-31' }, { asOf })
+      ).toEqual(['certification is not current']);
+    });
+
+    it('should require a current permit covering every waste code', () => {
+      const facility = { permits: [permit] };
+
+      expect(getFacilityPermitIssues(facility, { wasteCodes: ['D001'], asOf })).toEqual([]);
+      expect(getFacilityPermitIssues(facility, { wasteCodes: ['D001', 'F003'], asOf })).toEqual([
+        'no current permit covers F003',
+      ]);
+      expect(getFacilityPermitIssues(facility, { asOf: new Date('2026-07-01T00:00:00Z') })).toEqual(
+        ['permit TX-HW-50001 lapsed on 2026-06-30']
+      );
+    });
+
+    it('should report a permit as expiring within 60 days of its expiry', () => {
+      expect(getPermitStatus(permit, asOf)).toBe('current');
+      expect(getPermitStatus(permit, new Date('2026-05-15T00:00:00Z'))).toBe('expiring');
+      expect(getPermitStatus(permit, new Date('2026-06-30T00:00:00Z'))).toBe('lapsed');
+    });
+  });
+
+  describe('addFacilityPermit', () => {
+    it('should record the permit and audit it', async () => {
+      const permit = await addFacilityPermit(
+        'TSDF-TX-002',
+        {
+          permitNumber: 'TX-HW-50343',
+          wasteCodes: ['D001', 'D002'],
+          processes: ['incineration'],
+          issuedAt: '2016-05-01',
+          expiresAt: daysFromNow(30),
+        },
+        { userId: 'vendor-manager' }
+      );
+      const trail = await getResourceAuditTrail('facility', 'TSDF-TX-002');
+
+      expect(permit).toEqual(
+        expect.objectContaining({
+          facilityId: 'TSDF-TX-002',
+          permitType: 'rcra_part_b',
+          permitNumber: 'TX-HW-50343',
+          wasteCodes: ['D001', 'D002'],
+          processes: ['incineration'],
+          issuedAt: '2016-05-01',
+          status: 'expiring',
+        })
+      );
+      expect(trail.map((entry) => entry.event_type)).toContain('facility_permit_creation');
+      expect((await findFacilityById('TSDF-TX-002')).permits).toHaveLength(1);
+    });
+
+    it('should reject a permit number already recorded for the facility', async () => {
+      await expect(
+        addFacilityPermit('TSDF-TX-002', {
+          permitNumber: 'TX-HW-50343',
+          expiresAt: daysFromNow(90),
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject an unknown facility', async () => {
+      await expect(
+        addFacilityPermit('fac-missing', { permitNumber: 'XX-1', expiresAt: daysFromNow(90) })
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('scanFacilityPermits', () => {
+    it('should warn once about a permit expiring within 60 days', async () => {
+      const first = await scanFacilityPermits();
+      const second = await scanFacilityPermits();
+      const trail = await getResourceAuditTrail('facility', 'TSDF-TX-002');
+
+      expect(first.warnings).toEqual([
+        expect.objectContaining({
+          facilityId: 'TSDF-TX-002',
+          permitNumber: 'TX-HW-50343',
+          daysUntilExpiry: 30,
+        }),
+      ]);
+      expect(second.warnings).toEqual([]);
+      expect(
+        trail.filter((entry) => entry.event_type === 'facility_permit_expiry_warning')
+      ).toHaveLength(1);
+    });
+
+    it('should warn about, not block, a facility whose permits miss codes it accepts', async () => {
+      const warnedIds = (summary) => summary.coverageWarnings.map((warning) => warning.facilityId);
+      const scanned = await scanFacilityPermits();
+
+      expect(scanned.coverageWarnings).toContainEqual(
+        expect.objectContaining({
+          facilityId: 'TSDF-TX-002',
+          issues: ['no current permit covers D006, D007, D008, D009'],
+        })
+      );
+      expect(scanned.blockedFacilities.map((blocked) => blocked.facilityId)).not.toContain(
+        'TSDF-TX-002'
+      );
+
+      const [permit] = await getFacilityPermits('TSDF-TX-002');
+      await updateFacilityPermit('TSDF-TX-002', permit.id, {
+        wasteCodes: ['D001', 'D002', 'D006', 'D007', 'D008', 'D009'],
+      });
+
+      expect(warnedIds(await scanFacilityPermits())).not.toContain('TSDF-TX-002');
+    });
+  });
+
+  describe('updateFacilityPermit', () => {
+    it('should reject a permit number already recorded for the facility', async () => {
+      const permit = await addFacilityPermit('TSDF-TX-002', {
+        permitType: 'state',
+        permitNumber: 'TX-SW-11870',
+        expiresAt: daysFromNow(3650),
+      });
+
+      await expect(
+        updateFacilityPermit('TSDF-TX-002', permit.id, { permitNumber: 'TX-HW-50343' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      await expect(
+        updateFacilityPermit('TSDF-TX-002', permit.id, { permitNumber: 'TX-SW-11870' })
+      ).resolves.toEqual(expect.objectContaining({ permitNumber: 'TX-SW-11870' }));
+    });
+  });
+
+  describe('assertFacilityPermitted', () => {
+    beforeAll(async () => {
+      await importFacilities([
+        {
+          id: 'fac-lapsed-cert',
+          name: 'Brazos Waste Services',
+          epa_id: 'TXD000111222',
+          address: '12 Levee Rd, Freeport, TX 77541',
+          state: 'TX',
+          accepted_waste_codes: ['D001'],
+          certification_expiry: '2020-12-31',
+          active: true,
+        },
+      ]);
+    });
+
+    it('should reject a facility not in the facility list', async () => {
+      await expect(assertFacilityPermitted('fac-missing', ['D001'])).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+
+    it('should hold a facility without permits to its certification expiry', async () => {
+      await expect(assertFacilityPermitted('TSDF-TX-002', ['D001'])).resolves.toBeUndefined();
+      await expect(assertFacilityPermitted('fac-lapsed-cert', ['D001'])).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining('certification is not current'),
+      });
+    });
+  });
+
+  describe('lapsed permits', () => {
+    let profile;
+    let facility;
+    let inFlight;
+    let permit;
+
+    beforeAll(async () => {
+      profile = await createAcceptedProfile(
+        { wasteName: 'Spent acetone', wasteCode: 'D001', category: 'ignitable', quantity: 150 },
+        'TSDF-TX-001'
+      );
+      facility = await findFacilityById('TSDF-TX-001');
+      inFlight = await createManifest(profile.id, facility, route);
+      permit = await addFacilityPermit('TSDF-TX-001', {
+        permitNumber: 'TX-HW-50212',
+        expiresAt: daysFromNow(-1),
+      });
+    });
+
+    it('should list the facility with its in-flight manifests', async () => {
+      const summary = await scanFacilityPermits();
+      const trail = await getResourceAuditTrail('facility', 'TSDF-TX-001');
+
+      expect(summary.blockedFacilities).toEqual([
+        expect.objectContaining({
+          facilityId: 'TSDF-TX-001',
+          issues: [expect.stringContaining('permit TX-HW-50212 lapsed on')],
+          inFlightManifests: [
+            { id: inFlight.id, manifestNumber: inFlight.manifestNumber, status: 'draft' },
+          ],
+        }),
+      ]);
+      expect(trail.map((entry) => entry.event_type)).toContain('facility_permit_lapse');
+      expect((await getFacilityPermits('TSDF-TX-001'))[0].lapsedAt).not.toBeNull();
+    });
+
+    it('should block new manifests to the facility', async () => {
+      await expect(createManifest(profile.id, facility, route)).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining('cannot receive new manifests'),
+      });
+    });
+
+    it('should leave the facility out of matches and location searches', async () => {
+      const approved = await findApprovedFacilities(
+        { wasteCode: 'D001', generatorLocation: HOUSTON },
+        { maxResults: 100 }
+      );
+      const nearby = await searchFacilitiesByLocation({
+        latitude: HOUSTON.lat,
+        longitude: HOUSTON.lng,
+        wasteCode: 'D001',
+        maxDistanceKm: 10000,
+        limit: 100,
+      });
+
+      expect(approved.facilities.map((match) => match.id)).not.toContain('TSDF-TX-001');
+      expect(approved.excludedFacilities).toContainEqual(
+        expect.objectContaining({ id: 'TSDF-TX-001' })
+      );
+      expect(nearby.map((match) => match.id)).not.toContain('TSDF-TX-001');
+    });
+
+    it('should accept manifests again once the permit is renewed', async () => {
+      const renewed = await updateFacilityPermit('TSDF-TX-001', permit.id, {
+        expiresAt: daysFromNow(3650),
+      });
+
+      expect(renewed).toEqual(
+        expect.objectContaining({ status: 'current', warnedAt: null, lapsedAt: null })
+      );
+      await expect(createManifest(profile.id, facility, route)).resolves.toEqual(
+        expect.objectContaining({ status: 'draft' })
+      );
+    });
+  });
+});
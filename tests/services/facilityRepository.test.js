@@ -0,0 +1,107 @@
+import {
+  findFacilityByEpaId,
+  importFacilities,
+  listFacilities,
+  toFacility,
+} from '../../src/services/facilityRepository.js';
+import { findApprovedFacilities } from '../../src/services/facilityMatcher.js';
+import { searchFacilitiesByLocation } from '../../src/services/facilitySearch.js';
+import { deactivateFacility } from '../../src/services/facilityService.js';
+import { TSDF_FACILITIES } from '../../src/data/facilityData.js';
+import config from '../../src/config/env.js';
+
+const HOUSTON = { lat: 29.7604, lng: -95.3698 };
+
+describe('facilityRepository', () => {
+  beforeAll(async () => {
+    await importFacilities(TSDF_FACILITIES);
+  });
+
+  describe('toFacility', () => {
+    it('should convert a facilities record to the canonical model', () => {
+      const facility = toFacility({
+        ...TSDF_FACILITIES[0],
+        latitude: '33.7175000',
+        price_per_kg: '2.45',
+        accepted_waste_codes: JSON.stringify(['D001']),
+        active: 1,
+      });
+
+      expect(facility).toEqual(
+        expect.objectContaining({
+          id: 'TSDF-CA-001',
+          epaId: 'CAD000629972',
+          zipCode: '92704',
+          location: { lat: 33.7175, lng: -117.8678 },
+          acceptedWasteCodes: ['D001'],
+          pricePerKg: 2.45,
+          maxCapacityKg: 5000000,
+          availableCapacityKg: 2700000,
+          certificationExpiry: '2028-03-31',
+          active: true,
+        })
+      );
+    });
+  });
+
+  describe('listFacilities', () => {
+    it('should list active facilities accepting every waste code', async () => {
+      const facilities = await listFacilities({ wasteCodes: ['D001', 'K001'] });
+
+      expect(facilities.length).toBeGreaterThan(0);
+      facilities.forEach((facility) => {
+        expect(facility.acceptedWasteCodes).toEqual(expect.arrayContaining(['D001', 'K001']));
+      });
+    });
+
+    it('should leave out deactivated facilities unless asked for them', async () => {
+      await deactivateFacility('TSDF-NC-001');
+
+      const active = await listFacilities({ states: ['NC'] });
+      const all = await listFacilities({ states: ['NC'], includeInactive: true });
+
+      expect(active).toEqual([]);
+      expect(all.map((facility) => facility.id)).toEqual(['TSDF-NC-001']);
+    });
+
+    it('should pick up imported changes', async () => {
+      await importFacilities([{ ...TSDF_FACILITIES[4], rating: 3.9 }]);
+
+      expect((await findFacilityByEpaId('TXD987654321')).rating).toBe(3.9);
+    });
+  });
+
+  describe('offline mode', () => {
+    afterEach(() => {
+      config.FACILITY_OFFLINE_MODE = false;
+    });
+
+    it('should serve the built-in facilities instead of the database', async () => {
+      config.FACILITY_OFFLINE_MODE = true;
+
+      const facilities = await listFacilities({ states: ['NC'] });
+
+      expect(facilities.map((facility) => facility.id)).toEqual(['TSDF-NC-001']);
+      expect((await findFacilityByEpaId('TXD987654321')).rating).toBe(4.3);
+    });
+  });
+
+  it('should give the matcher and the location search the same facilities for a waste', async () => {
+    const approved = await findApprovedFacilities(
+      { wasteCode: 'D002', generatorLocation: HOUSTON },
+      { maxResults: 100 }
+    );
+    const nearby = await searchFacilitiesByLocation({
+      latitude: HOUSTON.lat,
+      longitude: HOUSTON.lng,
+      wasteCode: 'D002',
+      maxDistanceKm: 10000,
+      limit: 100,
+    });
+
+    const ids = (facilities) => facilities.map((facility) => facility.id).sort();
+
+    expect(approved.facilities.length).toBeGreaterThan(0);
+    expect(ids(approved.facilities)).toEqual(ids(nearby));
+  });
+});
@@ -0,0 +1,145 @@
+import {
+  canFacilityHandleWaste,
+  findOptimalFacility,
+  searchFacilitiesByLocation,
+} from '../../src/services/facilitySearch.js';
+import { importFacilities } from '../../src/services/facilityRepository.js';
+import { createFacility } from '../../src/services/facilityService.js';
+import { TSDF_FACILITIES } from '../../src/data/facilityData.js';
+
+// Barstow, CA: within reach of the California, Nevada and Arizona facilities
+const BARSTOW = { latitude: 34.8958, longitude: -117.0173 };
+
+describe('facilitySearch', () => {
+  beforeAll(async () => {
+    await importFacilities(TSDF_FACILITIES);
+  });
+
+  describe('facilities without a maximum capacity', () => {
+    let facility;
+
+    beforeAll(async () => {
+      facility = await createFacility({
+        name: 'High Desert Recovery',
+        epaId: 'CAD975318642',
+        address: '40 Rimrock Rd, Barstow, CA 92311',
+        state: 'CA',
+        latitude: 34.88,
+        longitude: -117.05,
+        acceptedWasteCodes: ['D001'],
+        certificationExpiry: '2030-12-31',
+      });
+    });
+
+    it('should treat the capacity as unlimited in location searches', async () => {
+      const matches = await searchFacilitiesByLocation({
+        ...BARSTOW,
+        wasteCode: 'D001',
+        minCapacity: 1000000000,
+        limit: 100,
+      });
+
+      expect(facility.availableCapacityKg).toBeNull();
+      expect(matches.map((match) => match.id)).toEqual([facility.id]);
+    });
+
+    it('should treat the capacity as unlimited when checking a waste request', () => {
+      expect(canFacilityHandleWaste(facility, 'D001', 1000000000)).toEqual(
+        expect.objectContaining({ canHandle: true, hasCapacity: true })
+      );
+    });
+  });
+
+  describe('findOptimalFacility', () => {
+    it('should report the management method that will be used', async () => {
+      const facility = await findOptimalFacility({
+        ...BARSTOW,
+        wasteCode: 'D002',
+        quantity_kg: 500,
+      });
+
+      expect(facility.managementMethod).toEqual(
+        expect.objectContaining({ code: expect.stringMatching(/^H\d{3}$/) })
+      );
+      expect(facility.managementMethod.code).toBe(facility.handlingMethods.D002[0]);
+    });
+
+    it('should only pick a facility using a required method', async () => {
+      const facility = await findOptimalFacility({
+        ...BARSTOW,
+        wasteCode: 'D008',
+        quantity_kg: 500,
+        requiredMethods: ['H111'],
+      });
+
+      expect(facility.id).toBe('TSDF-CA-003');
+      expect(facility.managementMethod.code).toBe('H111');
+    });
+
+    it('should skip facilities whose methods are all forbidden', async () => {
+      const facility = await findOptimalFacility({
+        ...BARSTOW,
+        wasteCode: 'D008',
+        quantity_kg: 500,
+        priority: 'distance',
+        forbiddenMethods: ['H070', 'H110', 'H111'],
+      });
+
+      expect(facility).toBeNull();
+    });
+
+    it('should never landfill F-listed solvents', async () => {
+      const beatty = { latitude: 36.9086, longitude: -116.7592 };
+      const nearest = await findOptimalFacility({
+        ...beatty,
+        wasteCode: 'D008',
+        quantity_kg: 500,
+        priority: 'distance',
+      });
+      const solvent = await findOptimalFacility({
+        ...beatty,
+        wasteCode: 'F003',
+        quantity_kg: 500,
+        priority: 'distance',
+      });
+
+      // The Beatty landfill takes F003 but only landfills it
+      expect(nearest.id).toBe('TSDF-CA-003');
+      expect(solvent.id).not.toBe('TSDF-CA-003');
+      expect(solvent.managementMethod.category).not.toBe('disposal');
+    });
+
+    it('should need recorded methods when the method is constrained', async () => {
+      await createFacility({
+        name: 'Mojave Desert Treatment',
+        epaId: 'CAD864213579',
+        address: '1 Desert Way, Barstow, CA 92311',
+        state: 'CA',
+        latitude: 34.9,
+        longitude: -117.02,
+        acceptedWasteCodes: ['D002'],
+        certificationExpiry: '2030-12-31',
+        maxCapacityKg: 100000,
+      });
+
+      const unconstrained = await findOptimalFacility({
+        ...BARSTOW,
+        wasteCode: 'D002',
+        quantity_kg: 500,
+        priority: 'distance',
+      });
+      const constrained = await findOptimalFacility({
+        ...BARSTOW,
+        wasteCode: 'D002',
+        quantity_kg: 500,
+        priority: 'distance',
+        requiredMethods: ['H121'],
+      });
+
+      expect(unconstrained.name).toBe('Mojave Desert Treatment');
+      expect(unconstrained.managementMethod).toBeNull();
+      expect(constrained.name).not.toBe('Mojave Desert Treatment');
+      expect(constrained.managementMethod.code).toBe('H121');
+    });
+  });
+});
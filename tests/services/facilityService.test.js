@@ -0,0 +1,151 @@
+import {
+  createFacility,
+  deactivateFacility,
+  updateFacility,
+} from '../../src/services/facilityService.js';
+import { getFacilityById } from '../../src/services/facilitySearch.js';
+import { getResourceAuditTrail } from '../../src/services/auditService.js';
+
+function buildFacility(overrides = {}) {
+  return {
+    name: 'Gulf Coast Thermal Treatment',
+    epaId: 'TXD246813579',
+    address: '2468 Refinery Rd, Baytown, TX 77520',
+    city: 'Baytown',
+    state: 'TX',
+    zipCode: '77520',
+    latitude: 29.7355,
+    longitude: -94.9774,
+    acceptedWasteCodes: ['D001', 'F003'],
+    handlingMethods: { D001: ['H040'], F003: ['H020', 'H040'] },
+    pricePerKg: 2.75,
+    maxCapacityKg: 40000,
+    certifications: ['RCRA-TSD'],
+    rating: 4.4,
+    ...overrides,
+  };
+}
+
+describe('facilityService', () => {
+  describe('createFacility', () => {
+    it('should add an active facility and audit it', async () => {
+      const facility = await createFacility(buildFacility(), { userId: 'vendor-manager' });
+      const trail = await getResourceAuditTrail('facility', facility.id);
+
+      expect(facility).toEqual(
+        expect.objectContaining({
+          id: expect.any(String),
+          name: 'Gulf Coast Thermal Treatment',
+          epaId: 'TXD246813579',
+          state: 'TX',
+          location: { lat: 29.7355, lng: -94.9774 },
+          handlingMethods: { D001: ['H040'], F003: ['H020', 'H040'] },
+          maxCapacityKg: 40000,
+          availableCapacityKg: 40000,
+          active: true,
+        })
+      );
+      expect(trail.map((entry) => entry.event_type)).toEqual(['facility_creation']);
+    });
+
+    it('should reject a second facility with the same EPA ID', async () => {
+      await expect(createFacility(buildFacility())).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject a facility without the details it is registered by', async () => {
+      await expect(
+        createFacility(buildFacility({ epaId: undefined, state: undefined }))
+      ).rejects.toMatchObject({ statusCode: 400, message: 'A facility needs an EPA ID, a state' });
+    });
+  });
+
+  describe('updateFacility', () => {
+    it('should change only the given fields and serve the change despite the cache', async () => {
+      const created = await createFacility(
+        buildFacility({ name: 'Permian Basin Disposal', epaId: 'TXD135792468' })
+      );
+      await getFacilityById(created.id);
+
+      const updated = await updateFacility(created.id, { pricePerKg: 3.1 });
+      const trail = await getResourceAuditTrail('facility', created.id);
+
+      expect(updated.pricePerKg).toBe(3.1);
+      expect(updated.city).toBe('Baytown');
+      expect((await getFacilityById(created.id)).pricePerKg).toBe(3.1);
+      expect(JSON.parse(trail[1].metadata)).toEqual(
+        expect.objectContaining({
+          changedFields: ['price_per_kg'],
+          changes: { price_per_kg: { previous: 2.75, updated: 3.1 } },
+        })
+      );
+    });
+
+    it('should compare JSON fields by value when listing the changed fields', async () => {
+      const created = await createFacility(
+        buildFacility({ name: 'Brazoria Solvent Recovery', epaId: 'TXD802468135' })
+      );
+
+      await updateFacility(created.id, {
+        acceptedWasteCodes: ['D001', 'F003', 'F005'],
+        handlingMethods: { F003: ['H020', 'H040'], D001: ['H040'] },
+        certifications: ['RCRA-TSD'],
+      });
+      const trail = await getResourceAuditTrail('facility', created.id);
+
+      expect(JSON.parse(trail[1].metadata).changes).toEqual({
+        accepted_waste_codes: {
+          previous: ['D001', 'F003'],
+          updated: ['D001', 'F003', 'F005'],
+        },
+      });
+    });
+
+    it('should clear the fields left out of a replacement', async () => {
+      const created = await createFacility(
+        buildFacility({ name: 'Hill Country Recycling', epaId: 'TXD975318642' })
+      );
+
+      const replaced = await updateFacility(
+        created.id,
+        {
+          name: 'Hill Country Recycling',
+          epaId: 'TXD975318642',
+          address: '100 Quarry Ln, Kerrville, TX 78028',
+          state: 'TX',
+        },
+        { replace: true }
+      );
+
+      expect(replaced.address).toBe('100 Quarry Ln, Kerrville, TX 78028');
+      expect(replaced.city).toBeNull();
+      expect(replaced.maxCapacityKg).toBeNull();
+
+      const trail = await getResourceAuditTrail('facility', created.id);
+      expect(JSON.parse(trail[1].metadata).changes.city).toEqual({
+        previous: 'Baytown',
+        updated: null,
+      });
+    });
+
+    it('should reject an unknown facility', async () => {
+      await expect(updateFacility('fac-missing', { rating: 3 })).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('deactivateFacility', () => {
+    it('should keep the facility but mark it inactive', async () => {
+      const created = await createFacility(
+        buildFacility({ name: 'Closing Treatment Works', epaId: 'TXD864209753' })
+      );
+
+      const deactivated = await deactivateFacility(created.id, { userId: 'vendor-manager' });
+      const trail = await getResourceAuditTrail('facility', created.id);
+
+      expect(deactivated.id).toBe(created.id);
+      expect(deactivated.active).toBe(false);
+      expect(trail.map((entry) => entry.event_type)).toContain('facility_deactivation');
+    });
+  });
+});
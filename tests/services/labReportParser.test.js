@@ -0,0 +1,172 @@
+import {
+  parseLabReport,
+  toTclpResults,
+  convertToMgPerL,
+  formatAnalyteTable,
+} from '../../src/services/labReportParser.js';
+import { evaluateCharacteristics } from '../../src/services/rcraRuleEngine.js';
+
+describe('labReportParser', () => {
+  describe('parseLabReport', () => {
+    it('should parse a CSV TCLP table into normalized analytes', () => {
+      const result = parseLabReport(
+        [
+          'Analyte,CAS Number,Result,Units,Reporting Limit,Method',
+          'Lead,7439-92-1,8.2,mg/L,0.05,SW-846 6010D',
+          'Benzene,71-43-2,120,ug/L,5,SW-846 8260D',
+        ].join('\n')
+      );
+
+      expect(result.errors).toEqual([]);
+      expect(result.analytes).toEqual([
+        expect.objectContaining({
+          row: 2,
+          analyte: 'Lead',
+          casNumber: '7439-92-1',
+          result: 8.2,
+          unit: 'mg/L',
+          detected: true,
+          method: 'SW-846 6010D',
+          tclpCode: 'D008',
+        }),
+        expect.objectContaining({
+          row: 3,
+          analyte: 'Benzene',
+          result: 0.12,
+          detectionLimit: 0.005,
+          originalUnit: 'ug/L',
+          tclpCode: 'D018',
+        }),
+      ]);
+    });
+
+    it('should keep quoted analyte names containing commas', () => {
+      const result = parseLabReport('Analyte,Result,Units\n"2,4-D",1.2,mg/L\n');
+
+      expect(result.analytes[0]).toEqual(
+        expect.objectContaining({ analyte: '2,4-D', tclpCode: 'D016' })
+      );
+    });
+
+    it('should report non-detects at the detection limit', () => {
+      const result = parseLabReport(
+        'Analyte,Result,Units,Reporting Limit\nMercury,ND,mg/L,0.002\nCadmium,<0.01,mg/L,\n'
+      );
+
+      expect(result.analytes).toEqual([
+        expect.objectContaining({ analyte: 'Mercury', detected: false, result: null }),
+        expect.objectContaining({ analyte: 'Cadmium', detected: false, qualifier: '<' }),
+      ]);
+      expect(result.analytes[0].detectionLimit).toBe(0.002);
+      expect(result.analytes[1].detectionLimit).toBe(0.01);
+    });
+
+    it('should use the "<" value as the detection limit when there is no detection limit column', () => {
+      const { analytes, errors } = parseLabReport(
+        'Analyte,Result,Units\nLead,<10,mg/L\nCadmium,<5000,ug/L\n'
+      );
+
+      expect(errors).toEqual([]);
+      expect(analytes).toEqual([
+        expect.objectContaining({ analyte: 'Lead', detected: false, detectionLimit: 10 }),
+        expect.objectContaining({ analyte: 'Cadmium', detected: false, detectionLimit: 5 }),
+      ]);
+      expect(formatAnalyteTable(analytes)).toContain('Lead: ND (<10 mg/L)');
+
+      // Both limits sit above the regulatory level, so neither code is ruled in or out
+      const evaluation = evaluateCharacteristics({ tclpResults: toTclpResults(analytes) });
+      expect(evaluation.evaluatedCodes).toEqual([]);
+      expect(evaluation.codes).toEqual([]);
+    });
+
+    it('should use a "U"-qualified value as the detection limit when there is no detection limit column', () => {
+      const { analytes, errors } = parseLabReport(
+        'Analyte,Result,Units,Qualifier\nLead,0.05 U,mg/L,\nMercury,0.002,mg/L,U\n'
+      );
+
+      expect(errors).toEqual([]);
+      expect(analytes).toEqual([
+        expect.objectContaining({
+          analyte: 'Lead',
+          detected: false,
+          result: null,
+          detectionLimit: 0.05,
+        }),
+        expect.objectContaining({
+          analyte: 'Mercury',
+          detected: false,
+          result: null,
+          detectionLimit: 0.002,
+        }),
+      ]);
+    });
+
+    it('should parse tab-delimited EDD files using EDD field names', () => {
+      const result = parseLabReport(
+        [
+          'chemical_name\tcas_rn\tresult_value\tresult_unit\tdetect_flag\treporting_detection_limit',
+          'Lead\t7439-92-1\t6.1\tmg/l\tY\t0.05',
+          'Silver\t7440-22-4\t\tmg/l\tN\t0.01',
+        ].join('\n'),
+        { format: 'edd' }
+      );
+
+      expect(result.errors).toEqual([]);
+      expect(result.analytes.map((a) => [a.tclpCode, a.detected])).toEqual([
+        ['D008', true],
+        ['D011', false],
+      ]);
+    });
+
+    it('should report per-row errors without stopping the parse', () => {
+      const result = parseLabReport(
+        [
+          'Analyte,Result,Units',
+          'Lead,8.2,mg/L',
+          'Chromium,see note,mg/L',
+          'Barium,12,mg/kg',
+          ',1.0,mg/L',
+        ].join('\n')
+      );
+
+      expect(result.analytes).toHaveLength(1);
+      expect(result.errors).toEqual([
+        expect.objectContaining({ row: 3, field: 'result' }),
+        expect.objectContaining({ row: 4, field: 'unit' }),
+        expect.objectContaining({ row: 5, field: 'analyte' }),
+      ]);
+    });
+
+    it('should report missing required columns', () => {
+      const result = parseLabReport('Name,Units\nLead,mg/L');
+
+      expect(result.analytes).toEqual([]);
+      expect(result.errors[0].message).toContain('analyte');
+    });
+
+    it('should reject unsupported formats', () => {
+      expect(() => parseLabReport('', { format: 'pdf' })).toThrow('Unsupported lab report format');
+    });
+  });
+
+  describe('convertToMgPerL', () => {
+    it('should convert common aqueous units', () => {
+      expect(convertToMgPerL(500, 'µg/L')).toBe(0.5);
+      expect(convertToMgPerL(2, 'ppm')).toBe(2);
+      expect(convertToMgPerL(1, 'mg/kg')).toBeNull();
+    });
+  });
+
+  describe('toTclpResults', () => {
+    it('should map regulated analytes to rule engine TCLP results', () => {
+      const { analytes } = parseLabReport(
+        'Analyte,Result,Units,Reporting Limit\nLead,8.2,mg/L,\nAcetone,12,mg/L,\nMercury,ND,mg/L,0.002\n'
+      );
+
+      expect(toTclpResults(analytes)).toEqual([
+        { code: 'D008', analyte: 'Lead', concentrationMgL: 8.2, qualifier: null },
+        { code: 'D009', analyte: 'Mercury', concentrationMgL: 0.002, qualifier: '<' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,295 @@
+import { buildLdrNotice, createLdrNotice, getLdrNotices } from '../../src/services/ldrNotices.js';
+import { createFacility } from '../../src/services/facilityService.js';
+import {
+  createManifest,
+  deleteManifest,
+  updateManifestStatus,
+} from '../../src/services/manifestGenerator.js';
+import { createWasteProfile } from '../../src/services/wasteProfileService.js';
+import { getResourceAuditTrail } from '../../src/services/auditService.js';
+import { createAcceptedProfile, createPermittedTransporter } from '../helpers/fixtures.js';
+
+const route = { route: { distance: 40, method: 'truck', estimatedDuration: 1 } };
+const generatorInfo = {
+  name: 'Memorial Hospital',
+  epaId: 'TXD111222333',
+  address: '123 Medical Center Blvd, Houston, TX 77030',
+};
+const facilityStub = { id: 'fac-001', name: 'SafeWaste Disposal LLC', epaId: 'TXD987654321' };
+
+describe('ldrNotices', () => {
+  let facility;
+
+  beforeAll(async () => {
+    await createPermittedTransporter();
+    facility = await createFacility({
+      name: 'Gulf Coast Treatment',
+      epaId: 'TXD444555666',
+      address: '900 Refinery Rd, Deer Park, TX 77536',
+      state: 'TX',
+      latitude: 29.7055,
+      longitude: -95.1238,
+      acceptedWasteCodes: ['D001', 'D008', 'F005'],
+      certificationExpiry: '2030-12-31',
+    });
+  });
+
+  describe('buildLdrNotice', () => {
+    it('should list the standards for each code and the underlying hazardous constituents', () => {
+      const notice = buildLdrNotice(
+        {
+          id: 'profile-1',
+          version: 2,
+          wasteName: 'Spent xylene and acetone',
+          wasteCodes: [{ code: 'F003' }, { code: 'D001' }],
+          chemicalComposition: [
+            { name: 'Xylene', concentrationPercent: 60 },
+            { name: 'Acetone', concentrationPercent: 35 },
+          ],
+          analytes: [
+            { analyte: 'Toluene', casNumber: '108-88-3', detected: true },
+            { analyte: 'Benzene', casNumber: '71-43-2', detected: false },
+          ],
+        },
+        facilityStub,
+        { generator: generatorInfo }
+      );
+
+      expect(notice).toEqual(
+        expect.objectContaining({
+          title: 'Land Disposal Restriction Notification',
+          regulation: '40 CFR 268.7(a)',
+          noticeType: 'notification',
+          generator: { name: 'Memorial Hospital', epaId: 'TXD111222333' },
+          wasteProfile: { id: 'profile-1', version: 2, wasteName: 'Spent xylene and acetone' },
+          treatabilityGroup: 'nonwastewater',
+          wasteCodesWithoutStandards: [],
+          certifiedBy: null,
+        })
+      );
+      expect(notice.wastes.map((waste) => waste.wasteCode)).toEqual(['F003', 'D001']);
+      expect(notice.wastes[0].constituents).toContainEqual({
+        constituent: 'Acetone',
+        casNumber: '67-64-1',
+        concentration: 160,
+        unit: 'mg/kg',
+      });
+      expect(notice.wastes[1].technology).toMatch(/^DEACT and meet 268\.48 standards/);
+      expect(notice.underlyingHazardousConstituents).toEqual([
+        { constituent: 'Toluene', casNumber: '108-88-3', concentration: 10, unit: 'mg/kg' },
+      ]);
+      expect(notice.statement).toMatch(/must be treated to those standards/);
+    });
+
+    it('should not repeat a constituent the waste code already regulates', () => {
+      const notice = buildLdrNotice(
+        {
+          id: 'profile-2',
+          version: 1,
+          wasteCodes: [{ code: 'D008' }],
+          analytes: [
+            { analyte: 'Lead', casNumber: '7439-92-1', detected: true },
+            { analyte: 'Cadmium', casNumber: '7440-43-9', detected: true },
+          ],
+        },
+        facilityStub,
+        { treatabilityGroup: 'wastewater' }
+      );
+
+      expect(notice.wastes[0].constituents).toEqual([
+        { constituent: 'Lead', casNumber: '7439-92-1', concentration: 0.69, unit: 'mg/L' },
+      ]);
+      expect(notice.underlyingHazardousConstituents.map((entry) => entry.constituent)).toEqual([
+        'Cadmium',
+      ]);
+    });
+
+    it('should return null when no waste code carries a treatment standard', () => {
+      expect(
+        buildLdrNotice(
+          { id: 'profile-3', version: 1, wasteCodes: [{ code: 'U999' }] },
+          facilityStub
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe('createLdrNotice', () => {
+    it('should generate a certification and record it in the audit trail', async () => {
+      const profile = await createAcceptedProfile(
+        {
+          wasteName: 'Treated lead sludge',
+          wasteCodes: ['D008'],
+          category: 'toxic',
+        },
+        facility.id,
+        { approvalNumber: 'GCT-2025-0311' }
+      );
+
+      await expect(
+        createLdrNotice(profile.id, facility.id, { type: 'certification' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      const notice = await createLdrNotice(profile.id, facility.id, {
+        type: 'certification',
+        certifiedBy: 'Dana Ortiz, EHS Manager',
+        userId: 'ehs-manager',
+      });
+      const trail = await getResourceAuditTrail('waste_profile', profile.id);
+
+      expect(notice).toEqual(
+        expect.objectContaining({
+          wasteProfileId: profile.id,
+          profileVersion: profile.version,
+          facilityId: facility.id,
+          manifestId: null,
+          noticeType: 'certification',
+          createdBy: 'ehs-manager',
+        })
+      );
+      expect(notice.document).toEqual(
+        expect.objectContaining({
+          title: 'Land Disposal Restriction Certification',
+          certifiedBy: 'Dana Ortiz, EHS Manager',
+          statement: expect.stringMatching(/^I certify under penalty of law/),
+        })
+      );
+      expect(trail.map((entry) => entry.event_type)).toContain('ldr_notice_generation');
+    });
+
+    it('should refuse a profile whose codes carry no treatment standards', async () => {
+      const profile = await createWasteProfile({ wasteName: 'Unlisted', wasteCodes: ['U999'] });
+
+      await expect(createLdrNotice(profile.id, facility.id)).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+
+    it('should reject an unknown facility', async () => {
+      const profile = await createWasteProfile({ wasteName: 'Spent acetone', wasteCode: 'D001' });
+
+      await expect(createLdrNotice(profile.id, 'fac-missing')).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('attaching notices to manifests', () => {
+    it('should attach a notice to the first manifest for a stream only', async () => {
+      const profile = await createAcceptedProfile(
+        {
+          wasteName: 'Spent toluene',
+          wasteCodes: ['F005', 'D001'],
+          category: 'ignitable',
+          chemicalComposition: [{ name: 'Toluene', concentrationPercent: 95 }],
+          physicalState: 'liquid',
+        },
+        facility.id,
+        { approvalNumber: 'GCT-2025-0311' }
+      );
+
+      const first = await createManifest(profile.id, facility, route, { generatorInfo });
+      const second = await createManifest(profile.id, facility, route, { generatorInfo });
+      const trail = await getResourceAuditTrail('waste_profile', profile.id);
+
+      expect(first.ldrNotices).toHaveLength(1);
+      expect(first.ldrNotices[0]).toEqual(
+        expect.objectContaining({
+          wasteProfileId: profile.id,
+          manifestId: first.id,
+          noticeType: 'notification',
+          attachedAt: expect.any(String),
+        })
+      );
+      expect(first.ldrNotices[0].document).toEqual(
+        expect.objectContaining({
+          manifestNumber: first.manifestNumber,
+          generator: { name: 'Memorial Hospital', epaId: 'TXD111222333' },
+        })
+      );
+      expect(first.auditTrail.map((entry) => entry.action)).toContain('ldr_notices_attached');
+      expect(second.ldrNotices).toEqual([]);
+      expect(trail.filter((entry) => entry.event_type === 'ldr_notice_attachment')).toHaveLength(1);
+      await expect(createLdrNotice(profile.id, facility.id)).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+
+    it('should attach a notice generated ahead of the shipment', async () => {
+      const profile = await createAcceptedProfile(
+        {
+          wasteName: 'Lead-contaminated debris',
+          wasteCodes: ['D008'],
+          category: 'toxic',
+        },
+        facility.id,
+        { approvalNumber: 'GCT-2025-0311' }
+      );
+      const generated = await createLdrNotice(profile.id, facility.id, {
+        type: 'certification',
+        certifiedBy: 'Dana Ortiz, EHS Manager',
+      });
+
+      const manifest = await createManifest(profile.id, facility, route, { generatorInfo });
+      const [notice] = await getLdrNotices(profile.id);
+
+      expect(manifest.ldrNotices.map((entry) => entry.id)).toEqual([generated.id]);
+      expect(notice).toEqual(
+        expect.objectContaining({ manifestId: manifest.id, noticeType: 'certification' })
+      );
+      expect(notice.document.manifestNumber).toBe(manifest.manifestNumber);
+    });
+
+    it('should release the notice of a cancelled manifest to the next one', async () => {
+      const profile = await createAcceptedProfile(
+        {
+          wasteName: 'Lead paint chips',
+          wasteCodes: ['D008'],
+          category: 'toxic',
+        },
+        facility.id,
+        { approvalNumber: 'GCT-2025-0311' }
+      );
+
+      const cancelled = await createManifest(profile.id, facility, route, { generatorInfo });
+      await updateManifestStatus(cancelled.id, 'cancelled', 'EHS Manager');
+      const [released] = await getLdrNotices(profile.id);
+      const next = await createManifest(profile.id, facility, route, { generatorInfo });
+      const trail = await getResourceAuditTrail('waste_profile', profile.id);
+
+      expect(released).toEqual(
+        expect.objectContaining({ id: cancelled.ldrNotices[0].id, manifestId: null })
+      );
+      expect(released.document.manifestNumber).toBeNull();
+      expect(next.ldrNotices.map((notice) => notice.id)).toEqual([released.id]);
+      expect(trail.map((entry) => entry.event_type)).toContain('ldr_notice_detachment');
+    });
+
+    it('should release the notice of a deleted manifest', async () => {
+      const profile = await createAcceptedProfile(
+        {
+          wasteName: 'Lead-lined shielding',
+          wasteCodes: ['D008'],
+          category: 'toxic',
+        },
+        facility.id,
+        { approvalNumber: 'GCT-2025-0311' }
+      );
+
+      const draft = await createManifest(profile.id, facility, route, { generatorInfo });
+      await deleteManifest(draft.id);
+      const regenerated = await createLdrNotice(profile.id, facility.id, {
+        type: 'certification',
+        certifiedBy: 'Dana Ortiz, EHS Manager',
+      });
+
+      expect(regenerated).toEqual(
+        expect.objectContaining({
+          id: draft.ldrNotices[0].id,
+          manifestId: null,
+          noticeType: 'certification',
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,325 @@
+import {
+  correctManifest,
+  diffSnapshots,
+  getManifestRevisions,
+} from '../../src/services/manifestCorrections.js';
+import {
+  createManifest,
+  trackManifest,
+  updateManifestStatus,
+} from '../../src/services/manifestGenerator.js';
+import { addFacilityPermit } from '../../src/services/facilityPermits.js';
+import {
+  DESIGNATED_FACILITY,
+  GENERATOR_INFO,
+  createAcceptedProfile,
+  createPermittedTransporter,
+  daysFromNow,
+  registerTestFacility,
+} from '../helpers/fixtures.js';
+
+beforeAll(async () => {
+  await registerTestFacility();
+  await createPermittedTransporter();
+  await createPermittedTransporter({ name: 'Gulf Coast Haulers', epaId: 'TXR444555666' });
+  await createPermittedTransporter({
+    name: 'Lapsed Freight',
+    epaId: 'TXR777888999',
+    insuranceExpiresAt: daysFromNow(-1),
+  });
+});
+
+describe('manifestCorrections', () => {
+  describe('diffSnapshots', () => {
+    const snapshot = {
+      generator: { name: 'Memorial Hospital', epaId: 'TXD111222333' },
+      transporters: [{ index: 0, name: 'SafeHaul Logistics', epaId: 'TXR111222333' }],
+      facility: { name: 'SafeWaste', epaId: 'TXD987654321' },
+      lineItems: [
+        {
+          lineNumber: 1,
+          containerCount: 2,
+          containerType: 'DM',
+          quantity: 100,
+          unit: 'K',
+          wasteCodes: ['D001'],
+        },
+      ],
+    };
+
+    it('should list only the fields that changed', () => {
+      const changes = diffSnapshots(snapshot, {
+        ...snapshot,
+        generator: { ...snapshot.generator, epaId: 'TXD111222334' },
+        lineItems: [{ ...snapshot.lineItems[0], wasteCodes: ['D001', 'F003'] }],
+      });
+
+      expect(changes).toEqual([
+        { field: 'generator.epaId', previous: 'TXD111222333', corrected: 'TXD111222334' },
+        { field: 'lineItems[1].wasteCodes', previous: ['D001'], corrected: ['D001', 'F003'] },
+      ]);
+    });
+  });
+
+  describe('correctManifest', () => {
+    let wasteProfileId;
+    let manifest;
+
+    beforeAll(async () => {
+      const profile = await createAcceptedProfile(
+        {
+          wasteName: 'Spent acetone',
+          wasteCodes: ['D001', 'F003', 'D003'],
+          chemicalComposition: [{ name: 'Acetone', concentrationPercent: 95 }],
+          physicalState: 'liquid',
+          quantity: 150,
+        },
+        'fac-001',
+        { approvalNumber: 'SW-2025-0400' }
+      );
+      wasteProfileId = profile.id;
+    });
+
+    beforeEach(async () => {
+      const created = await createManifest(
+        wasteProfileId,
+        DESIGNATED_FACILITY,
+        { route: { distance: 150, method: 'truck' } },
+        {
+          generatorInfo: GENERATOR_INFO,
+          transporters: [{ epaId: 'TXR111222333' }],
+          lineItems: [
+            {
+              containerCount: 2,
+              containerType: 'DM',
+              quantity: 100,
+              unit: 'K',
+              wasteCodes: ['D001'],
+            },
+          ],
+        }
+      );
+      manifest = await updateManifestStatus(created.id, 'submitted', 'EHS Manager');
+    });
+
+    it('should record a correction as the new current revision', async () => {
+      const result = await correctManifest(manifest.id, {
+        corrections: {
+          generator: { epaId: 'TXD111222334' },
+          lineItems: [{ lineNumber: 1, quantity: 110 }],
+        },
+        reason: 'Generator ID transposed; drums re-gauged',
+        correctedBy: 'EHS Manager',
+      });
+
+      expect(result.revision).toEqual(
+        expect.objectContaining({
+          revisionNumber: 2,
+          current: true,
+          reason: 'Generator ID transposed; drums re-gauged',
+          correctedBy: 'EHS Manager',
+          changes: [
+            { field: 'generator.epaId', previous: 'TXD111222333', corrected: 'TXD111222334' },
+            { field: 'lineItems[1].quantity', previous: 100, corrected: 110 },
+          ],
+        })
+      );
+      expect(result.manifest.revisionNumber).toBe(2);
+      expect(result.manifest.generator.epaId).toBe('TXD111222334');
+      expect(result.manifest.lineItems[0].quantity).toBe(110);
+      expect(result.manifest.auditTrail.map((event) => event.action)).toContain(
+        'manifest_corrected'
+      );
+    });
+
+    it('should keep the full history with only the latest revision current', async () => {
+      await correctManifest(manifest.id, {
+        corrections: { transporters: [{ index: 0, name: 'SafeHaul Logistics LLC' }] },
+        reason: 'Legal name',
+        correctedBy: 'EHS Manager',
+      });
+      await correctManifest(manifest.id, {
+        corrections: { facility: { address: '1234 Industrial Pkwy, Houston, TX 77003' } },
+        reason: 'ZIP code',
+        correctedBy: 'Facility Clerk',
+        revision: 2,
+      });
+
+      const revisions = await getManifestRevisions(manifest.id);
+
+      expect(revisions.map((revision) => [revision.revisionNumber, revision.current])).toEqual([
+        [1, false],
+        [2, false],
+        [3, true],
+      ]);
+      expect(revisions[0].snapshot.transporters[0].name).toBe('SafeHaul Logistics');
+      expect(revisions[2].snapshot.transporters[0].name).toBe('SafeHaul Logistics LLC');
+      expect(revisions[1].changes).toEqual([
+        {
+          field: 'transporters[0].name',
+          previous: 'SafeHaul Logistics',
+          corrected: 'SafeHaul Logistics LLC',
+        },
+      ]);
+
+      const tracking = await trackManifest(manifest.id);
+      expect(tracking.revisionNumber).toBe(3);
+      expect(tracking.transporters[0].name).toBe('SafeHaul Logistics LLC');
+    });
+
+    it('should only correct a transporter onto a registered, permitted one', async () => {
+      const correctTransporter = (epaId) =>
+        correctManifest(manifest.id, {
+          corrections: { transporters: [{ index: 0, name: 'Replacement carrier', epaId }] },
+          reason: 'Load handed to another carrier',
+          correctedBy: 'EHS Manager',
+        });
+
+      await expect(correctTransporter('TXR000000000')).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining('is not in the transporter registry'),
+      });
+      await expect(correctTransporter('TXR777888999')).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining('insurance certificate is not current'),
+      });
+      expect((await getManifestRevisions(manifest.id))[0].revisionNumber).toBe(1);
+
+      await correctTransporter('TXR444555666');
+      const [transporter] = (await trackManifest(manifest.id)).transporters;
+      expect(transporter).toEqual(
+        expect.objectContaining({
+          transporterId: expect.any(String),
+          epaId: 'TXR444555666',
+          vehicleType: 'truck',
+        })
+      );
+    });
+
+    it('should regenerate the DOT description when waste codes change', async () => {
+      const result = await correctManifest(manifest.id, {
+        corrections: { lineItems: [{ lineNumber: 1, wasteCodes: ['D001', 'F003'] }] },
+        reason: 'Spent solvent listing missed',
+        correctedBy: 'EHS Manager',
+      });
+
+      expect(result.manifest.lineItems[0].dotDescription.wasteCodes).toEqual(['D001', 'F003']);
+    });
+
+    it('should not correct waste codes onto ones the waste profile does not carry', async () => {
+      await expect(
+        correctManifest(manifest.id, {
+          corrections: { lineItems: [{ lineNumber: 1, wasteCodes: ['D001', 'D008'] }] },
+          reason: 'Lead found',
+          correctedBy: 'EHS Manager',
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining(`D008 not on waste profile ${wasteProfileId}`),
+      });
+    });
+
+    it('should not correct waste codes onto ones the facility does not accept', async () => {
+      // D003 is on the profile, but the facility does not take reactive waste
+      await expect(
+        correctManifest(manifest.id, {
+          corrections: { lineItems: [{ lineNumber: 1, wasteCodes: ['D001', 'D003'] }] },
+          reason: 'Reactive residue found',
+          correctedBy: 'EHS Manager',
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining('SafeWaste Disposal LLC does not accept D003'),
+      });
+      expect((await getManifestRevisions(manifest.id))[0].revisionNumber).toBe(1);
+    });
+
+    it('should not correct waste codes onto ones the facility is not permitted for', async () => {
+      await addFacilityPermit('fac-001', {
+        permitNumber: 'TX-HW-50401',
+        wasteCodes: ['D001', 'F003'],
+        expiresAt: daysFromNow(3650),
+      });
+
+      await expect(
+        correctManifest(manifest.id, {
+          corrections: { lineItems: [{ lineNumber: 1, wasteCodes: ['D001', 'D002'] }] },
+          reason: 'Corrosive drum found',
+          correctedBy: 'EHS Manager',
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining('no current permit covers D002'),
+      });
+      expect((await getManifestRevisions(manifest.id))[0].revisionNumber).toBe(1);
+    });
+
+    it('should reject a correction against a stale revision', async () => {
+      await correctManifest(manifest.id, {
+        corrections: { generator: { contactPhone: '713-555-0101' } },
+        reason: 'New phone',
+        correctedBy: 'EHS Manager',
+      });
+
+      await expect(
+        correctManifest(manifest.id, {
+          corrections: { generator: { contactPhone: '713-555-0102' } },
+          reason: 'New phone',
+          correctedBy: 'EHS Manager',
+          revision: 1,
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject corrections that change nothing or break the form rules', async () => {
+      await expect(
+        correctManifest(manifest.id, {
+          corrections: { generator: { name: 'Memorial Hospital' } },
+          reason: 'No change',
+          correctedBy: 'EHS Manager',
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      await expect(
+        correctManifest(manifest.id, {
+          corrections: { lineItems: [{ lineNumber: 1, wasteCodes: ['Z999'] }] },
+          reason: 'Bad code',
+          correctedBy: 'EHS Manager',
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      await expect(
+        correctManifest(manifest.id, {
+          corrections: { generator: { category: 'SQG' } },
+          reason: 'Not correctable',
+          correctedBy: 'EHS Manager',
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should not correct a draft manifest', async () => {
+      const draft = await createManifest(
+        wasteProfileId,
+        DESIGNATED_FACILITY,
+        { route: { method: 'truck' } },
+        { generatorInfo: GENERATOR_INFO, lineItems: [{ wasteCodes: ['D001'] }] }
+      );
+
+      await expect(
+        correctManifest(draft.id, {
+          corrections: { generator: { name: 'Memorial Hospital East' } },
+          reason: 'Name',
+          correctedBy: 'EHS Manager',
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should report a single current revision for an uncorrected manifest', async () => {
+      const revisions = await getManifestRevisions(manifest.id);
+
+      expect(revisions).toEqual([
+        expect.objectContaining({ revisionNumber: 1, current: true, changes: [] }),
+      ]);
+    });
+  });
+});
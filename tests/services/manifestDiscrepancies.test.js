@@ -0,0 +1,390 @@
+import {
+  findLineDiscrepancies,
+  recordDiscrepancies,
+  rejectManifest,
+} from '../../src/services/manifestDiscrepancies.js';
+import {
+  createManifest,
+  deleteManifest,
+  signManifest,
+  trackManifest,
+  updateManifestStatus,
+} from '../../src/services/manifestGenerator.js';
+import {
+  DESIGNATED_FACILITY,
+  GENERATOR_INFO,
+  createAcceptedProfile,
+  createPermittedTransporter,
+  registerTestFacility,
+} from '../helpers/fixtures.js';
+import { importFacilities } from '../../src/services/facilityRepository.js';
+
+const alternateFacility = {
+  id: 'fac-alt-001',
+  name: 'Gulf Coast Treatment',
+  epa_id: 'TXD555666777',
+  address: '900 Refinery Rd, Baytown, TX 77520',
+  state: 'TX',
+  accepted_waste_codes: ['D001'],
+  certification_expiry: '2030-12-31',
+  active: true,
+};
+
+const lapsedFacility = {
+  ...alternateFacility,
+  id: 'fac-alt-002',
+  name: 'Bayou Reclamation',
+  epa_id: 'TXD555666888',
+  certification_expiry: '2020-12-31',
+};
+
+beforeAll(async () => {
+  await registerTestFacility();
+  await importFacilities([alternateFacility, lapsedFacility]);
+  await createPermittedTransporter();
+});
+
+describe('manifestDiscrepancies', () => {
+  describe('findLineDiscrepancies', () => {
+    const drumLine = {
+      lineNumber: 1,
+      containers: { count: 4, type: 'DM' },
+      quantity: 220,
+      unit: 'G',
+      wasteCodes: ['D001'],
+    };
+    const tankLine = {
+      lineNumber: 2,
+      containers: { count: 1, type: 'TT' },
+      quantity: 5000,
+      unit: 'G',
+      wasteCodes: ['D001'],
+    };
+
+    it('should allow bulk quantities to vary by up to ten percent', () => {
+      expect(findLineDiscrepancies(tankLine, { quantity: 4500 })).toEqual([]);
+    });
+
+    it('should flag bulk quantities that vary by more than ten percent', () => {
+      const [discrepancy] = findLineDiscrepancies(tankLine, { quantity: 4400 });
+
+      expect(discrepancy).toEqual(
+        expect.objectContaining({
+          type: 'quantity',
+          variancePercent: 12,
+          manifested: expect.objectContaining({ quantity: 5000 }),
+          received: expect.objectContaining({ quantity: 4400 }),
+        })
+      );
+    });
+
+    it('should flag any difference in a container count', () => {
+      expect(findLineDiscrepancies(drumLine, { containerCount: 4, quantity: 200 })).toEqual([]);
+
+      const [discrepancy] = findLineDiscrepancies(drumLine, { containerCount: 3 });
+      expect(discrepancy.type).toBe('quantity');
+      expect(discrepancy.description).toBe('Received 3 DM containers against 4 manifested');
+    });
+
+    it('should flag waste codes that are not on the manifest as a type discrepancy', () => {
+      const [discrepancy] = findLineDiscrepancies(drumLine, { wasteCodes: ['D001', 'D008'] });
+
+      expect(discrepancy.type).toBe('type');
+      expect(discrepancy.description).toBe('Waste codes not on the manifest: D008');
+    });
+  });
+
+  describe('with a delivered manifest', () => {
+    let wasteProfileId;
+    let manifest;
+
+    beforeAll(async () => {
+      const profile = await createAcceptedProfile({
+        wasteName: 'Spent acetone',
+        wasteCode: 'D001',
+        category: 'ignitable',
+        physicalState: 'liquid',
+        quantity: 150,
+      });
+      wasteProfileId = profile.id;
+    });
+
+    beforeEach(async () => {
+      const created = await createManifest(
+        wasteProfileId,
+        DESIGNATED_FACILITY,
+        { route: { distance: 150, method: 'truck' } },
+        {
+          generatorInfo: GENERATOR_INFO,
+          lineItems: [
+            { containerCount: 4, containerType: 'DM', quantity: 220, unit: 'K' },
+            { containerCount: 1, containerType: 'TT', quantity: 5000, unit: 'K' },
+          ],
+        }
+      );
+      await updateManifestStatus(created.id, 'submitted', 'EHS Manager');
+      await updateManifestStatus(created.id, 'in_transit', 'Transporter');
+      manifest = await updateManifestStatus(created.id, 'delivered', 'Transporter');
+    });
+
+    it('should record the significant discrepancies found on inspection', async () => {
+      const result = await recordDiscrepancies(manifest.id, {
+        reportedBy: 'Receiving Inspector',
+        lines: [
+          { lineNumber: 1, containerCount: 3 },
+          { lineNumber: 2, quantity: 4800 },
+        ],
+      });
+
+      expect(result.recorded).toBe(1);
+      expect(result.manifest.discrepancies).toEqual([
+        expect.objectContaining({
+          lineNumber: 1,
+          type: 'quantity',
+          reportedBy: 'Receiving Inspector',
+          referenceManifestNumber: null,
+        }),
+      ]);
+      expect(result.manifest.auditTrail.map((event) => event.action)).toContain(
+        'discrepancy_recorded'
+      );
+    });
+
+    it('should refuse a line the manifest does not have', async () => {
+      await expect(
+        recordDiscrepancies(manifest.id, {
+          reportedBy: 'Receiving Inspector',
+          lines: [{ lineNumber: 9, containerCount: 1 }],
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should only record discrepancies once the load is delivered', async () => {
+      const draft = await createManifest(
+        wasteProfileId,
+        DESIGNATED_FACILITY,
+        { route: { distance: 150, method: 'truck' } },
+        { generatorInfo: GENERATOR_INFO }
+      );
+
+      await expect(
+        recordDiscrepancies(draft.id, {
+          reportedBy: 'Receiving Inspector',
+          lines: [{ lineNumber: 1, containerCount: 1 }],
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should put a fully rejected load on a new manifest to the alternate facility', async () => {
+      const result = await rejectManifest(manifest.id, {
+        type: 'full',
+        destination: { type: 'alternate_facility', facility: { id: alternateFacility.id } },
+        reason: 'Waste is not acetone',
+        actor: 'Facility Manager',
+      });
+
+      const { rejectedWasteManifest } = result;
+      expect(result.manifest.status).toBe('rejected');
+      expect(rejectedWasteManifest).toEqual(
+        expect.objectContaining({
+          status: 'draft',
+          manifestNumber: expect.stringMatching(/^\d{12}HHZ$/),
+          generator: expect.objectContaining({ epaId: GENERATOR_INFO.epaId }),
+          facility: expect.objectContaining({ epaId: 'TXD555666777' }),
+          rejection: expect.objectContaining({
+            type: 'full',
+            destination: 'alternate_facility',
+            sourceManifestNumber: manifest.manifestNumber,
+          }),
+        })
+      );
+      expect(
+        rejectedWasteManifest.lineItems.map((line) => [line.lineNumber, line.quantity])
+      ).toEqual([
+        [1, 220],
+        [2, 5000],
+      ]);
+      expect(result.manifest.discrepancies).toEqual([
+        expect.objectContaining({
+          lineNumber: 1,
+          type: 'full_rejection',
+          referenceManifestNumber: rejectedWasteManifest.manifestNumber,
+        }),
+        expect.objectContaining({ lineNumber: 2, type: 'full_rejection' }),
+      ]);
+    });
+
+    it('should refuse an alternate facility that is not in the facility list', async () => {
+      await expect(
+        rejectManifest(manifest.id, {
+          type: 'full',
+          destination: {
+            type: 'alternate_facility',
+            facility: { id: 'fac-unknown', name: 'Nowhere Disposal', epaId: 'TXD000111222' },
+          },
+          actor: 'Facility Manager',
+        })
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should refuse an alternate facility whose certification has lapsed', async () => {
+      await expect(
+        rejectManifest(manifest.id, {
+          type: 'full',
+          destination: { type: 'alternate_facility', facility: { id: lapsedFacility.id } },
+          actor: 'Facility Manager',
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+
+      const unchanged = await trackManifest(manifest.id);
+      expect(unchanged.status).toBe('delivered');
+    });
+
+    it('should return a partially rejected line to the generator', async () => {
+      const result = await rejectManifest(manifest.id, {
+        type: 'partial',
+        lines: [{ lineNumber: 1, containerCount: 1, quantity: 55 }],
+        destination: { type: 'generator' },
+        reason: 'Leaking drum',
+        actor: 'Facility Manager',
+      });
+
+      // The rejecting facility ships the waste back, so it is the generator on the new manifest
+      expect(result.manifest.status).toBe('delivered');
+      expect(result.rejectedWasteManifest.generator).toEqual({
+        name: DESIGNATED_FACILITY.name,
+        epaId: DESIGNATED_FACILITY.epaId,
+        address: DESIGNATED_FACILITY.address,
+      });
+      expect(result.rejectedWasteManifest.facility).toEqual(
+        expect.objectContaining({ name: GENERATOR_INFO.name, epaId: GENERATOR_INFO.epaId })
+      );
+      expect(result.rejectedWasteManifest.lineItems).toEqual([
+        expect.objectContaining({ lineNumber: 1, containers: { count: 1, type: 'DM' } }),
+      ]);
+      expect(result.rejectedWasteManifest.wasteProfile).toEqual(
+        expect.objectContaining({ quantity: 55, unit: 'kg' })
+      );
+
+      await signManifest(manifest.id, 'generator', { name: 'Generator', signature: 'sig-1' });
+      await signManifest(manifest.id, 'transporter', { name: 'Transporter', signature: 'sig-2' });
+      const signed = await signManifest(manifest.id, 'facility', {
+        name: 'Facility',
+        signature: 'sig-3',
+      });
+      expect(signed.status).toBe('completed');
+    });
+
+    it('should not reject more than was manifested', async () => {
+      await expect(
+        rejectManifest(manifest.id, {
+          type: 'partial',
+          lines: [{ lineNumber: 1, containerCount: 5, quantity: 275 }],
+          destination: { type: 'generator' },
+          actor: 'Facility Manager',
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should need both the containers and the quantity of a part-rejected line', async () => {
+      await expect(
+        rejectManifest(manifest.id, {
+          type: 'partial',
+          lines: [{ lineNumber: 1, quantity: 55 }],
+          destination: { type: 'generator' },
+          actor: 'Facility Manager',
+        })
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message: expect.stringContaining('give both the containers and the quantity rejected'),
+      });
+    });
+
+    it('should only reject what earlier rejections left of a line', async () => {
+      const reject = (containerCount, quantity) =>
+        rejectManifest(manifest.id, {
+          type: 'partial',
+          lines: [{ lineNumber: 1, containerCount, quantity }],
+          destination: { type: 'generator' },
+          actor: 'Facility Manager',
+        });
+
+      await reject(2, 110);
+      await expect(reject(3, 165)).rejects.toMatchObject({
+        statusCode: 400,
+        message: expect.stringContaining('the 2 containers and 110 K not already rejected'),
+      });
+
+      const { manifest: rejected } = await reject(2, 110);
+      expect(rejected.discrepancies.map((discrepancy) => discrepancy.received)).toEqual([
+        { containerCount: 2, containerType: 'DM', quantity: 110, unit: 'K' },
+        { containerCount: 0, containerType: 'DM', quantity: 0, unit: 'K' },
+      ]);
+    });
+
+    it('should not accept the same line twice in one rejection', async () => {
+      await expect(
+        rejectManifest(manifest.id, {
+          type: 'partial',
+          lines: [
+            { lineNumber: 1, containerCount: 3, quantity: 165 },
+            { lineNumber: 1, containerCount: 3, quantity: 165 },
+          ],
+          destination: { type: 'generator' },
+          actor: 'Facility Manager',
+        })
+      ).rejects.toMatchObject({ statusCode: 400, message: 'Line 1 is listed more than once' });
+    });
+
+    it('should not fully reject a load earlier rejections already returned', async () => {
+      await rejectManifest(manifest.id, {
+        type: 'partial',
+        lines: [{ lineNumber: 1 }, { lineNumber: 2 }],
+        destination: { type: 'generator' },
+        actor: 'Facility Manager',
+      });
+
+      await expect(
+        rejectManifest(manifest.id, {
+          type: 'full',
+          destination: { type: 'generator' },
+          actor: 'Facility Manager',
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should show the rejection and discrepancies when tracking', async () => {
+      const { rejectedWasteManifest } = await rejectManifest(manifest.id, {
+        type: 'full',
+        destination: { type: 'generator' },
+        actor: 'Facility Manager',
+      });
+
+      const original = await trackManifest(manifest.id);
+      const returned = await trackManifest(rejectedWasteManifest.id);
+
+      expect(original.currentLocation.location).toBe('Rejected at Disposal Facility');
+      expect(original.discrepancies).toHaveLength(2);
+      expect(original.timeline.map((event) => event.event)).toContain('Manifest Rejected');
+      expect(returned.rejection.sourceManifestId).toBe(manifest.id);
+    });
+
+    it('should keep rejections out of ordinary status updates', async () => {
+      await expect(
+        updateManifestStatus(manifest.id, 'rejected', 'Facility Manager')
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should not delete the manifest rejected waste travels on', async () => {
+      const { rejectedWasteManifest } = await rejectManifest(manifest.id, {
+        type: 'full',
+        destination: { type: 'generator' },
+        actor: 'Facility Manager',
+      });
+
+      await expect(deleteManifest(rejectedWasteManifest.id)).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import {
+  describeTracingEfforts,
+  getExceptionDeadline,
+  getGeneratorCategory,
+  getManifestExceptions,
+  recordTracingEffort,
+  scanOverdueManifests,
+} from '../../src/services/manifestExceptions.js';
+import {
+  createManifest,
+  signManifest,
+  trackManifest,
+  updateManifestStatus,
+} from '../../src/services/manifestGenerator.js';
+import {
+  DESIGNATED_FACILITY,
+  GENERATOR_INFO,
+  createAcceptedProfile,
+  createPermittedTransporter,
+  registerTestFacility,
+} from '../helpers/fixtures.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysFromNow(days) {
+  return new Date(Date.now() + days * DAY_MS);
+}
+
+beforeAll(async () => {
+  await registerTestFacility();
+  await createPermittedTransporter();
+});
+
+describe('manifestExceptions', () => {
+  describe('exception periods', () => {
+    it('should allow large quantity generators 35 days and small ones 60', () => {
+      const inTransitAt = '2025-01-01T00:00:00.000Z';
+
+      expect(getExceptionDeadline(inTransitAt, 'LQG').toISOString()).toBe(
+        '2025-02-05T00:00:00.000Z'
+      );
+      expect(getExceptionDeadline(inTransitAt, 'SQG').toISOString()).toBe(
+        '2025-03-02T00:00:00.000Z'
+      );
+    });
+
+    it('should hold generators without a category to the LQG period', () => {
+      expect(getGeneratorCategory({ name: 'Clinic' })).toBe('LQG');
+      expect(getGeneratorCategory({ category: 'SQG' })).toBe('SQG');
+    });
+  });
+
+  describe('describeTracingEfforts', () => {
+    it('should name the last transporter to sign for the waste', () => {
+      const [opening] = describeTracingEfforts(
+        {
+          manifestNumber: '000000123455ELC',
+          status: 'in_transit',
+          generator: { name: 'Memorial Hospital', epaId: 'TXD111222333' },
+          facility: { name: 'SafeWaste Disposal LLC', epaId: 'TXD987654321' },
+          transporters: [
+            {
+              index: 0,
+              name: 'SafeHaul Logistics',
+              epaId: 'TXR111222333',
+              signature: { signedAt: '2025-01-01T10:00:00.000Z' },
+            },
+            {
+              index: 1,
+              name: 'Gulf Rail',
+              epaId: 'TXR222333444',
+              signature: { signedAt: '2025-01-03T10:00:00.000Z' },
+            },
+            { index: 2, name: 'Bayou Drayage', epaId: 'LAR333444555', signature: null },
+          ],
+        },
+        {
+          inTransitAt: '2025-01-01T00:00:00.000Z',
+          generatorCategory: 'LQG',
+          daysAllowed: 35,
+          tracingEfforts: [],
+        },
+        new Date('2025-02-10T00:00:00.000Z')
+      );
+
+      expect(opening).toContain(
+        'The first of 3 transporters, SafeHaul Logistics (TXR111222333), accepted the waste on 01/01/2025.'
+      );
+      expect(opening).toContain(
+        'Transporter 2, Gulf Rail (TXR222333444), last signed for it on 01/03/2025.'
+      );
+      expect(opening).toContain('40 days have passed');
+    });
+  });
+
+  describe('scanOverdueManifests', () => {
+    let wasteProfileId;
+
+    beforeAll(async () => {
+      const profile = await createAcceptedProfile(
+        {
+          wasteName: 'Spent xylene',
+          wasteCode: 'F003',
+          category: 'ignitable',
+          quantity: 80,
+        },
+        'fac-001',
+        { approvalNumber: 'SW-2025-0300' }
+      );
+      wasteProfileId = profile.id;
+    });
+
+    async function shipManifest(category) {
+      const manifest = await createManifest(
+        wasteProfileId,
+        DESIGNATED_FACILITY,
+        { route: { distance: 150, method: 'truck' } },
+        {
+          generatorInfo: { ...GENERATOR_INFO, category },
+        }
+      );
+      await updateManifestStatus(manifest.id, 'submitted', 'EHS Manager');
+      return updateManifestStatus(manifest.id, 'in_transit', 'Transporter');
+    }
+
+    it('should open an exception once an LQG manifest passes 35 days unsigned', async () => {
+      const manifest = await shipManifest('LQG');
+
+      const early = await scanOverdueManifests({ asOf: daysFromNow(34) });
+      expect(early.opened).not.toContain(manifest.id);
+
+      const late = await scanOverdueManifests({ asOf: daysFromNow(36) });
+      expect(late.opened).toContain(manifest.id);
+
+      const tracking = await trackManifest(manifest.id);
+      expect(tracking.exception).toEqual(
+        expect.objectContaining({ status: 'open', generatorCategory: 'LQG', daysAllowed: 35 })
+      );
+      expect(
+        new Date(tracking.exception.reportDueAt) - new Date(tracking.exception.inTransitAt)
+      ).toBe(45 * DAY_MS);
+      expect(tracking.timeline.map((event) => event.event)).toContain('Exception Detected');
+
+      const again = await scanOverdueManifests({ asOf: daysFromNow(37) });
+      expect(again.opened).not.toContain(manifest.id);
+    });
+
+    it('should give SQG manifests 60 days', async () => {
+      const manifest = await shipManifest('SQG');
+
+      expect((await scanOverdueManifests({ asOf: daysFromNow(36) })).opened).not.toContain(
+        manifest.id
+      );
+      expect((await scanOverdueManifests({ asOf: daysFromNow(61) })).opened).toContain(manifest.id);
+    });
+
+    it('should not flag a manifest the facility has signed for', async () => {
+      const manifest = await shipManifest('LQG');
+      await signManifest(manifest.id, 'facility', { name: 'Receiving Clerk' });
+
+      const summary = await scanOverdueManifests({ asOf: daysFromNow(40) });
+
+      expect(summary.opened).not.toContain(manifest.id);
+    });
+
+    it('should record tracing efforts and describe them for the report', async () => {
+      const manifest = await shipManifest('LQG');
+      await scanOverdueManifests({ asOf: daysFromNow(36) });
+
+      const exception = await recordTracingEffort(manifest.id, {
+        contactedParty: 'transporter',
+        contactName: 'SafeHaul dispatch',
+        method: 'phone',
+        outcome: 'Dispatch confirmed the load was delivered.',
+        actor: 'EHS Manager',
+      });
+
+      expect(exception.tracingEfforts).toHaveLength(1);
+
+      const tracked = await trackManifest(manifest.id);
+      const paragraphs = describeTracingEfforts(tracked, exception, daysFromNow(40));
+      expect(paragraphs[0]).toContain(`manifest ${manifest.manifestNumber}`);
+      expect(paragraphs[0]).toContain('beyond the 35 days allowed a large quantity generator');
+      expect(paragraphs[2]).toContain(
+        'EHS Manager contacted the transporter (SafeHaul dispatch) by phone.'
+      );
+    });
+
+    it('should resolve the exception when the facility signs', async () => {
+      const manifest = await shipManifest('LQG');
+      await scanOverdueManifests({ asOf: daysFromNow(36) });
+
+      await signManifest(manifest.id, 'facility', { name: 'Receiving Clerk' });
+
+      const { exception } = await trackManifest(manifest.id);
+      expect(exception).toEqual(
+        expect.objectContaining({ status: 'resolved', resolution: 'Facility signature received' })
+      );
+
+      const open = await getManifestExceptions({ status: 'open' });
+      expect(open.map((entry) => entry.manifestId)).not.toContain(manifest.id);
+    });
+
+    it('should list open exceptions with their manifest', async () => {
+      const manifest = await shipManifest('SQG');
+      await scanOverdueManifests({ asOf: daysFromNow(61) });
+
+      const exceptions = await getManifestExceptions({ status: 'open', generatorCategory: 'SQG' });
+
+      expect(exceptions).toContainEqual(
+        expect.objectContaining({
+          manifestId: manifest.id,
+          manifestNumber: manifest.manifestNumber,
+          manifestStatus: 'in_transit',
+          generator: { name: 'Memorial Hospital', epaId: 'TXD111222333' },
+        })
+      );
+    });
+
+    it('should return 404 when recording an effort for a manifest without an exception', async () => {
+      const manifest = await shipManifest('LQG');
+
+      await expect(
+        recordTracingEffort(manifest.id, {
+          contactedParty: 'facility',
+          outcome: 'No answer',
+          actor: 'EHS Manager',
+        })
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -4,22 +4,37 @@ import {
   trackManifest,
   updateManifestStatus,
 } from '../../src/services/manifestGenerator.js';
+import { createWasteProfile } from '../../src/services/wasteProfileService.js';
+import { createTransporter } from '../../src/services/transporterService.js';
+import { importFacilities } from '../../src/services/facilityRepository.js';
+import {
+  DESIGNATED_FACILITY,
+  GENERATOR_INFO,
+  TEST_FACILITY,
+  createAcceptedProfile,
+  createPermittedTransporter,
+  registerTestFacility,
+} from '../helpers/fixtures.js';
+
+beforeAll(async () => {
+  await registerTestFacility();
+  await createPermittedTransporter();
+});
 
 describe('manifestGenerator', () => {
-  describe('createManifest', () => {
-    const mockWasteProfile = {
+  let wasteProfileId;
+
+  beforeAll(async () => {
+    const profile = await createAcceptedProfile({
+      wasteName: 'Spent acetone',
       wasteCode: 'D001',
       category: 'ignitable',
-      quantityKg: 150,
-    };
-
-    const mockFacility = {
-      id: 'fac-001',
-      name: 'SafeWaste Disposal LLC',
-      epaId: 'TXD987654321',
-      address: '1234 Industrial Pkwy, Houston, TX 77002',
-    };
+      quantity: 150,
+    });
+    wasteProfileId = profile.id;
+  });
 
+  describe('createManifest', () => {
     const mockRoute = {
       route: {
         distance: 150,
@@ -28,27 +43,20 @@ describe('manifestGenerator', () => {
       },
     };
 
-    const mockGeneratorInfo = {
-      name: 'Memorial Hospital',
-      epaId: 'TXD111222333',
-      address: '123 Medical Center Blvd, Houston, TX 77030',
-      contactName: 'Dr. Sarah Johnson',
-    };
-
     it('should create a new manifest', async () => {
-      const result = await createManifest(mockWasteProfile, mockFacility, mockRoute, {
-        generatorInfo: mockGeneratorInfo,
+      const result = await createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+        generatorInfo: GENERATOR_INFO,
       });
 
       expect(result).toEqual(
         expect.objectContaining({
           id: expect.any(String),
-          manifestNumber: expect.stringMatching(/^EPA-\d+-[A-Z0-9]+$/),
+          manifestNumber: expect.stringMatching(/^\d{12}HHZ$/),
           status: 'draft',
           wasteProfile: expect.any(Object),
           generator: expect.any(Object),
           facility: expect.any(Object),
-          transporter: expect.any(Object),
+          transporters: [expect.objectContaining({ index: 0, name: 'SafeHaul Logistics' })],
           signatures: expect.any(Object),
           dates: expect.any(Object),
           auditTrail: expect.any(Array),
@@ -56,30 +64,360 @@ describe('manifestGenerator', () => {
       );
     });
 
+    it('should carry every waste code in the waste details', async () => {
+      const profile = await createAcceptedProfile({
+        wasteName: 'Spent toluene and acetone',
+        category: 'ignitable',
+        quantity: 150,
+        wasteCodes: [
+          { code: 'F005', confidence: 0.9, basis: 'Spent toluene' },
+          { code: 'D001', confidence: 1.0, basis: '40 CFR 261.21(a)(1)' },
+        ],
+      });
+      const result = await createManifest(profile.id, DESIGNATED_FACILITY, mockRoute, {
+        generatorInfo: GENERATOR_INFO,
+      });
+
+      expect(result.wasteProfile.wasteCode).toBe('F005');
+      expect(result.wasteProfile.wasteCodes).toEqual([
+        { code: 'F005', confidence: 0.9, basis: 'Spent toluene' },
+        { code: 'D001', confidence: 1.0, basis: '40 CFR 261.21(a)(1)' },
+      ]);
+    });
+
+    it('should carry the DOT shipping description for the waste line', async () => {
+      const profile = await createAcceptedProfile({
+        wasteName: 'Spent toluene',
+        wasteCodes: ['F005', 'D001'],
+        chemicalComposition: [{ name: 'Toluene', concentrationPercent: 95 }],
+        physicalState: 'liquid',
+        quantity: 150,
+      });
+      const result = await createManifest(profile.id, DESIGNATED_FACILITY, mockRoute, {
+        generatorInfo: GENERATOR_INFO,
+      });
+
+      expect(result.wasteProfile.dotDescription).toEqual(
+        expect.objectContaining({
+          unNumber: 'UN1294',
+          description: 'RQ, UN1294, Waste Toluene, 3, PG II (F005, D001)',
+        })
+      );
+    });
+
+    it('should reference the stored waste profile and its version', async () => {
+      const result = await createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+        generatorInfo: GENERATOR_INFO,
+      });
+
+      expect(result.wasteProfile).toEqual(
+        expect.objectContaining({
+          wasteProfileId,
+          profileVersion: 1,
+          facilityApprovalNumber: 'SW-2025-0042',
+          wasteCode: 'D001',
+          quantity: 150,
+        })
+      );
+    });
+
+    it('should total the line quantities in kilograms in the waste details', async () => {
+      // 200 kg plus 500 lb (226.8 kg), rounded up to whole kilograms as the booking is
+      const result = await createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+        generatorInfo: GENERATOR_INFO,
+        lineItems: [
+          { containerCount: 2, containerType: 'DM', quantity: 200, unit: 'K' },
+          { containerCount: 4, containerType: 'DM', quantity: 500, unit: 'P' },
+        ],
+      });
+
+      expect(result.wasteProfile).toEqual(expect.objectContaining({ quantity: 427, unit: 'kg' }));
+    });
+
+    it('should refuse a line code that is not on the accepted waste profile', async () => {
+      await expect(
+        createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+          generatorInfo: GENERATOR_INFO,
+          lineItems: [{ wasteCodes: ['D001', 'D008'] }],
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining(`D008 not on waste profile ${wasteProfileId}`),
+      });
+    });
+
+    it('should refuse a code the designated facility does not accept', async () => {
+      const profile = await createAcceptedProfile({
+        wasteName: 'Spent acetone with sodium residue',
+        wasteCodes: ['D001', 'D003'],
+        category: 'ignitable',
+        quantity: 150,
+      });
+
+      await expect(
+        createManifest(profile.id, DESIGNATED_FACILITY, mockRoute, {
+          generatorInfo: GENERATOR_INFO,
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining('SafeWaste Disposal LLC does not accept D003'),
+      });
+    });
+
+    it('should store a single line from the waste profile by default', async () => {
+      const result = await createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+        generatorInfo: GENERATOR_INFO,
+      });
+
+      expect(result.lineItems).toEqual([
+        expect.objectContaining({
+          lineNumber: 1,
+          sheet: { form: '8700-22', page: 1, line: 1 },
+          wasteProfileId,
+          hazardousMaterial: true,
+          containers: { count: 1, type: 'DM' },
+          quantity: 150,
+          unit: 'K',
+          wasteCodes: ['D001'],
+        }),
+      ]);
+      expect(result.continuationSheets).toBe(0);
+    });
+
+    it('should store line items in order with continuation sheets past four lines', async () => {
+      const acids = await createAcceptedProfile({
+        wasteName: 'Spent hydrochloric acid',
+        wasteCode: 'D002',
+        physicalState: 'liquid',
+        quantity: 40,
+      });
+      const lineItems = [
+        { containerCount: 2, containerType: 'DM', quantity: 300, unit: 'P' },
+        {
+          wasteProfileId: acids.id,
+          containerCount: 4,
+          containerType: 'DF',
+          quantity: 20,
+          unit: 'G',
+        },
+        { containerCount: 1, containerType: 'CF', quantity: 15, unit: 'K' },
+        { containerCount: 1, containerType: 'CF', quantity: 12, unit: 'K' },
+        {
+          wasteProfileId: acids.id,
+          containerCount: 1,
+          containerType: 'DF',
+          quantity: 5,
+          unit: 'G',
+        },
+      ];
+
+      const result = await createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+        generatorInfo: GENERATOR_INFO,
+        lineItems,
+      });
+
+      expect(result.lineItems.map((line) => line.lineNumber)).toEqual([1, 2, 3, 4, 5]);
+      expect(result.lineItems[1]).toEqual(
+        expect.objectContaining({
+          wasteProfileId: acids.id,
+          containers: { count: 4, type: 'DF' },
+          quantity: 20,
+          unit: 'G',
+          wasteCodes: ['D002'],
+        })
+      );
+      expect(result.lineItems[4].sheet).toEqual({ form: '8700-22A', page: 2, line: 1 });
+      expect(result.continuationSheets).toBe(1);
+    });
+
+    it('should reject line items that break the form rules', async () => {
+      await expect(
+        createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+          lineItems: [{ containerType: 'ZZ', quantity: 10, unit: 'G' }],
+        })
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message: expect.stringContaining('Line 1: unknown container type ZZ'),
+      });
+    });
+
+    it('should require facility acceptance for every line', async () => {
+      const draft = await createWasteProfile({ wasteName: 'Unreviewed rinse', wasteCode: 'D002' });
+
+      await expect(
+        createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+          lineItems: [{}, { wasteProfileId: draft.id }],
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should refuse a profile the facility has not accepted', async () => {
+      const draft = await createWasteProfile({
+        wasteName: 'Unreviewed solvent',
+        wasteCode: 'D001',
+      });
+
+      await expect(
+        createManifest(draft.id, DESIGNATED_FACILITY, mockRoute, { generatorInfo: GENERATOR_INFO })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should refuse to ship to a different facility than the one that accepted', async () => {
+      await importFacilities([
+        { ...TEST_FACILITY, id: 'fac-002', name: 'Lone Star Disposal', epa_id: 'TXD987654322' },
+      ]);
+
+      await expect(
+        createManifest(wasteProfileId, { ...DESIGNATED_FACILITY, id: 'fac-002' }, mockRoute, {
+          generatorInfo: GENERATOR_INFO,
+        })
+      ).rejects.toThrow('no current acceptance from facility fac-002');
+    });
+
+    it('should take the facility details from the facility list', async () => {
+      const result = await createManifest(
+        wasteProfileId,
+        { id: 'fac-001', name: 'SafeWaste', epaId: 'TXD000000000' },
+        mockRoute,
+        { generatorInfo: GENERATOR_INFO }
+      );
+
+      expect(result.facility).toEqual(
+        expect.objectContaining({
+          id: 'fac-001',
+          name: 'SafeWaste Disposal LLC',
+          epaId: 'TXD987654321',
+          address: '1234 Industrial Pkwy, Houston, TX 77002',
+        })
+      );
+    });
+
+    it('should reject a facility not in the facility list', async () => {
+      await expect(
+        createManifest(wasteProfileId, { ...DESIGNATED_FACILITY, id: 'fac-missing' }, mockRoute)
+      ).rejects.toMatchObject({ statusCode: 404, message: 'Facility not found: fac-missing' });
+    });
+
+    it('should reject an inactive facility', async () => {
+      await importFacilities([
+        {
+          ...TEST_FACILITY,
+          id: 'fac-closed',
+          name: 'Closed Disposal Co',
+          epa_id: 'TXD987654323',
+          active: false,
+        },
+      ]);
+      const profile = await createAcceptedProfile(
+        { wasteName: 'Spent acetone', wasteCode: 'D001', category: 'ignitable' },
+        'fac-closed'
+      );
+
+      await expect(
+        createManifest(profile.id, { id: 'fac-closed' }, mockRoute, {
+          generatorInfo: GENERATOR_INFO,
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining('Closed Disposal Co is inactive'),
+      });
+    });
+
+    it('should reject an unknown waste profile', async () => {
+      await expect(
+        createManifest('00000000-0000-4000-8000-000000000000', DESIGNATED_FACILITY, mockRoute)
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
     it('should generate unique manifest number', async () => {
-      const manifest1 = await createManifest(mockWasteProfile, mockFacility, mockRoute, {
-        generatorInfo: mockGeneratorInfo,
+      const manifest1 = await createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+        generatorInfo: GENERATOR_INFO,
       });
-      const manifest2 = await createManifest(mockWasteProfile, mockFacility, mockRoute, {
-        generatorInfo: mockGeneratorInfo,
+      const manifest2 = await createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+        generatorInfo: GENERATOR_INFO,
       });
 
       expect(manifest1.manifestNumber).not.toBe(manifest2.manifestNumber);
     });
 
     it('should initialize all signatures as null', async () => {
-      const result = await createManifest(mockWasteProfile, mockFacility, mockRoute, {
-        generatorInfo: mockGeneratorInfo,
+      const result = await createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+        generatorInfo: GENERATOR_INFO,
       });
 
       expect(result.signatures.generator).toBeNull();
-      expect(result.signatures.transporter).toBeNull();
+      expect(result.transporters[0].signature).toBeNull();
       expect(result.signatures.facility).toBeNull();
     });
 
+    it('should reject a transporter without an EPA ID', async () => {
+      await expect(
+        createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+          generatorInfo: GENERATOR_INFO,
+          transporters: [{ name: 'SafeHaul Logistics', epaId: 'TXR111222333' }, { name: 'Rail' }],
+        })
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Transporter 2 needs a registered transporter ID or EPA ID',
+      });
+    });
+
+    it('should reject a transporter that is not in the registry', async () => {
+      await expect(
+        createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+          generatorInfo: GENERATOR_INFO,
+          transporters: [{ name: 'Unlisted Hauling', epaId: 'TXR999888777' }],
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it("should reject a transporter that does not serve the generator's state", async () => {
+      await expect(
+        createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+          generatorInfo: {
+            ...GENERATOR_INFO,
+            address: '400 Market St, Shreveport, LA 71101',
+          },
+          transporters: [{ name: 'SafeHaul Logistics', epaId: 'TXR111222333' }],
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should take the default transporter from the permitted registry entries', async () => {
+      const result = await createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+        generatorInfo: GENERATOR_INFO,
+      });
+
+      expect(result.transporters[0]).toEqual(
+        expect.objectContaining({
+          transporterId: expect.any(String),
+          name: 'SafeHaul Logistics',
+          epaId: 'TXR111222333',
+        })
+      );
+    });
+
+    it('should reject a registered transporter whose permits have lapsed', async () => {
+      const lapsed = await createTransporter({
+        name: 'Lapsed Carriers',
+        epaId: 'TXR999000111',
+        hazmatRegistrationExpiresAt: '2020-01-01T00:00:00.000Z',
+        insuranceExpiresAt: '2020-01-01T00:00:00.000Z',
+        vehicleTypes: ['truck'],
+        statesServed: ['TX'],
+      });
+
+      await expect(
+        createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+          generatorInfo: GENERATOR_INFO,
+          transporters: [{ transporterId: lapsed.id }],
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
     it('should include audit trail with creation event', async () => {
-      const result = await createManifest(mockWasteProfile, mockFacility, mockRoute, {
-        generatorInfo: mockGeneratorInfo,
+      const result = await createManifest(wasteProfileId, DESIGNATED_FACILITY, mockRoute, {
+        generatorInfo: GENERATOR_INFO,
       });
 
       expect(result.auditTrail).toHaveLength(1);
@@ -96,9 +434,15 @@ describe('manifestGenerator', () => {
   describe('signManifest', () => {
     let testManifestId;
 
+    const deliver = async (manifestId) => {
+      await updateManifestStatus(manifestId, 'submitted', 'EHS Manager');
+      await updateManifestStatus(manifestId, 'in_transit', 'Transporter');
+      await updateManifestStatus(manifestId, 'delivered', 'Transporter');
+    };
+
     beforeEach(async () => {
       const manifest = await createManifest(
-        { wasteCode: 'D001', category: 'ignitable', quantityKg: 150 },
+        wasteProfileId,
         {
           id: 'fac-001',
           name: 'SafeWaste',
@@ -146,6 +490,7 @@ describe('manifestGenerator', () => {
     });
 
     it('should mark manifest as completed when all parties sign', async () => {
+      await deliver(testManifestId);
       await signManifest(testManifestId, 'generator', { name: 'Generator', signature: 'sig-1' });
       await signManifest(testManifestId, 'transporter', {
         name: 'Transporter',
@@ -159,6 +504,35 @@ describe('manifestGenerator', () => {
       expect(result.status).toBe('completed');
     });
 
+    it('should not complete a manifest that has not been delivered', async () => {
+      await signManifest(testManifestId, 'generator', { name: 'Generator', signature: 'sig-1' });
+      await signManifest(testManifestId, 'transporter', {
+        name: 'Transporter',
+        signature: 'sig-2',
+      });
+      const result = await signManifest(testManifestId, 'facility', {
+        name: 'Facility',
+        signature: 'sig-3',
+      });
+
+      expect(result.status).toBe('draft');
+      expect(result.auditTrail.map((event) => event.action)).not.toContain('manifest_completed');
+    });
+
+    it('should not sign or complete a cancelled manifest', async () => {
+      await signManifest(testManifestId, 'generator', { name: 'Generator', signature: 'sig-1' });
+      await signManifest(testManifestId, 'transporter', {
+        name: 'Transporter',
+        signature: 'sig-2',
+      });
+      await updateManifestStatus(testManifestId, 'cancelled', 'EHS Manager');
+
+      await expect(
+        signManifest(testManifestId, 'facility', { name: 'Facility', signature: 'sig-3' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect((await trackManifest(testManifestId)).status).toBe('cancelled');
+    });
+
     it('should not mark as completed if any signature is missing', async () => {
       await signManifest(testManifestId, 'generator', { name: 'Generator', signature: 'sig-1' });
       const result = await signManifest(testManifestId, 'transporter', {
@@ -168,6 +542,113 @@ describe('manifestGenerator', () => {
 
       expect(result.status).not.toBe('completed');
     });
+
+    describe('with several transporters', () => {
+      let manifestId;
+
+      beforeAll(async () => {
+        await createPermittedTransporter({
+          name: 'Gulf Rail',
+          epaId: 'TXR222333444',
+          vehicleTypes: ['rail'],
+        });
+        await createPermittedTransporter({
+          name: 'Bayou Drayage',
+          epaId: 'LAR333444555',
+          statesServed: ['TX', 'LA'],
+        });
+      });
+
+      beforeEach(async () => {
+        const manifest = await createManifest(
+          wasteProfileId,
+          { id: 'fac-001', name: 'SafeWaste', epaId: 'TXD987654321', address: '123 Main St' },
+          { route: { distance: 900, method: 'truck' } },
+          {
+            generatorInfo: { name: 'Hospital', epaId: 'TXD111222333', address: '123 Medical' },
+            transporters: [
+              { name: 'SafeHaul Logistics', epaId: 'TXR111222333', vehicleType: 'truck' },
+              { name: 'Gulf Rail', epaId: 'TXR222333444', vehicleType: 'rail' },
+              { name: 'Bayou Drayage', epaId: 'LAR333444555', vehicleType: 'truck' },
+            ],
+          }
+        );
+        manifestId = manifest.id;
+      });
+
+      it('should list the transporters in carrying order', async () => {
+        const tracking = await trackManifest(manifestId);
+
+        expect(tracking.transporters.map((transporter) => transporter.epaId)).toEqual([
+          'TXR111222333',
+          'TXR222333444',
+          'LAR333444555',
+        ]);
+        expect(tracking.currentLeg).toBeNull();
+      });
+
+      it('should hand the waste off as each transporter signs', async () => {
+        await signManifest(
+          manifestId,
+          'transporter',
+          { name: 'Driver 1' },
+          { transporterIndex: 0 }
+        );
+        const result = await signManifest(
+          manifestId,
+          'transporter',
+          { name: 'Rail Clerk' },
+          { transporterIndex: 1 }
+        );
+
+        expect(result.transporters[0].handedOffAt).toBe(result.transporters[1].signature.signedAt);
+        expect(result.transporters[1].handedOffAt).toBeNull();
+        expect(result.continuationSheets).toBe(1);
+
+        const tracking = await trackManifest(manifestId);
+        expect(tracking.currentLeg).toEqual(
+          expect.objectContaining({
+            transporterIndex: 1,
+            leg: 2,
+            totalLegs: 3,
+            transporter: { name: 'Gulf Rail', epaId: 'TXR222333444', vehicleType: 'rail' },
+          })
+        );
+      });
+
+      it('should default to the next transporter yet to sign', async () => {
+        await signManifest(manifestId, 'transporter', { name: 'Driver 1' });
+        const result = await signManifest(manifestId, 'transporter', { name: 'Rail Clerk' });
+
+        expect(result.transporters[1].signature.signedBy).toBe('Rail Clerk');
+      });
+
+      it('should complete only once every transporter and the facility sign', async () => {
+        await deliver(manifestId);
+        await signManifest(manifestId, 'generator', { name: 'Generator' });
+        await signManifest(manifestId, 'transporter', { name: 'Driver 1' });
+        await signManifest(manifestId, 'transporter', { name: 'Rail Clerk' });
+        const partial = await signManifest(manifestId, 'facility', { name: 'Receiving Clerk' });
+
+        expect(partial.status).not.toBe('completed');
+        expect(partial.transporters[1].handedOffAt).toBe(partial.signatures.facility.signedAt);
+
+        const result = await signManifest(manifestId, 'transporter', { name: 'Driver 3' });
+        expect(result.status).toBe('completed');
+      });
+
+      it('should not let a transporter sign before the one handing it the waste', async () => {
+        await expect(
+          signManifest(manifestId, 'transporter', { name: 'Driver 3' }, { transporterIndex: 2 })
+        ).rejects.toMatchObject({ statusCode: 409 });
+      });
+
+      it('should reject a transporter index the manifest does not have', async () => {
+        await expect(
+          signManifest(manifestId, 'transporter', { name: 'Driver 4' }, { transporterIndex: 3 })
+        ).rejects.toMatchObject({ statusCode: 400 });
+      });
+    });
   });
 
   describe('trackManifest', () => {
@@ -175,7 +656,7 @@ describe('manifestGenerator', () => {
 
     beforeEach(async () => {
       const manifest = await createManifest(
-        { wasteCode: 'D001', category: 'ignitable', quantityKg: 150 },
+        wasteProfileId,
         {
           id: 'fac-001',
           name: 'SafeWaste',
@@ -232,7 +713,7 @@ describe('manifestGenerator', () => {
 
     beforeEach(async () => {
       const manifest = await createManifest(
-        { wasteCode: 'D001', category: 'ignitable', quantityKg: 150 },
+        wasteProfileId,
         {
           id: 'fac-001',
           name: 'SafeWaste',
@@ -269,5 +750,18 @@ describe('manifestGenerator', () => {
       expect(statusEvent.details.previousStatus).toBe('draft');
       expect(statusEvent.details.newStatus).toBe('submitted');
     });
+
+    it('should apply only one of two concurrent updates', async () => {
+      const results = await Promise.allSettled([
+        updateManifestStatus(testManifestId, 'submitted', 'EHS Manager'),
+        updateManifestStatus(testManifestId, 'submitted', 'EHS Manager'),
+      ]);
+      const tracking = await trackManifest(testManifestId);
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      expect(
+        tracking.timeline.filter((event) => event.details?.newStatus === 'submitted')
+      ).toHaveLength(1);
+    });
   });
 });
@@ -0,0 +1,107 @@
+import {
+  getContinuationSheetCount,
+  getSheetPosition,
+  getTotalQuantityKg,
+  toKilograms,
+  validateLineItem,
+  validateLineItems,
+} from '../../src/services/manifestLineItems.js';
+
+describe('manifestLineItems', () => {
+  const validLine = {
+    lineNumber: 1,
+    containerCount: 2,
+    containerType: 'DM',
+    quantity: 110,
+    unit: 'G',
+    physicalState: 'liquid',
+    wasteCodes: ['D001', 'F003'],
+  };
+
+  describe('validateLineItem', () => {
+    it('should accept a line that follows the form rules', () => {
+      expect(validateLineItem(validLine)).toEqual([]);
+    });
+
+    it('should reject unknown container types and units', () => {
+      const errors = validateLineItem({ ...validLine, containerType: 'XX', unit: 'Q' });
+
+      expect(errors).toEqual([
+        'Line 1: unknown container type XX',
+        'Line 1: unknown unit of measure Q',
+      ]);
+    });
+
+    it('should only allow gallons and liters for liquids', () => {
+      const errors = validateLineItem({ ...validLine, unit: 'L', physicalState: 'solid' });
+
+      expect(errors).toEqual(['Line 1: unit L may only be used for liquids']);
+    });
+
+    it('should enforce the container count and quantity field limits', () => {
+      const errors = validateLineItem({ ...validLine, containerCount: 1000, quantity: 0 });
+
+      expect(errors).toHaveLength(2);
+    });
+
+    it('should allow at most six known waste codes', () => {
+      const tooMany = validateLineItem({
+        ...validLine,
+        wasteCodes: ['D001', 'D002', 'D003', 'D004', 'D005', 'D006', 'D007'],
+      });
+      const unknown = validateLineItem({ ...validLine, wasteCodes: ['D001', 'Z999'] });
+
+      expect(tooMany).toEqual(['Line 1: at most 6 waste codes fit on a line']);
+      expect(unknown).toEqual(['Line 1: unknown waste codes Z999']);
+    });
+
+    it('should accept P and U listed codes', () => {
+      expect(validateLineItem({ ...validLine, wasteCodes: ['U002', 'P030'] })).toEqual([]);
+    });
+  });
+
+  describe('validateLineItems', () => {
+    it('should require at least one line', () => {
+      expect(validateLineItems([])).toEqual(['A manifest needs at least one line item']);
+    });
+  });
+
+  describe('continuation sheets', () => {
+    it('should place the first four lines on the manifest and ten per continuation sheet', () => {
+      expect(getSheetPosition(4)).toEqual({ form: '8700-22', page: 1, line: 4 });
+      expect(getSheetPosition(5)).toEqual({ form: '8700-22A', page: 2, line: 1 });
+      expect(getSheetPosition(14)).toEqual({ form: '8700-22A', page: 2, line: 10 });
+      expect(getSheetPosition(15)).toEqual({ form: '8700-22A', page: 3, line: 1 });
+    });
+
+    it('should count the continuation sheets needed', () => {
+      expect(getContinuationSheetCount(4)).toBe(0);
+      expect(getContinuationSheetCount(5)).toBe(1);
+      expect(getContinuationSheetCount(15)).toBe(2);
+    });
+
+    it('should add continuation sheets for transporters past the second', () => {
+      expect(getContinuationSheetCount(1, 2)).toBe(0);
+      expect(getContinuationSheetCount(1, 3)).toBe(1);
+      expect(getContinuationSheetCount(1, 5)).toBe(2);
+      expect(getContinuationSheetCount(15, 3)).toBe(2);
+    });
+  });
+
+  describe('toKilograms', () => {
+    it('should convert weight units and leave volume units unconverted', () => {
+      expect(toKilograms(2, 'M')).toBe(2000);
+      expect(toKilograms(100, 'P')).toBeCloseTo(45.36, 2);
+      expect(toKilograms(55, 'G')).toBeNull();
+    });
+  });
+
+  describe('getTotalQuantityKg', () => {
+    it('should total weighed lines and give no total when a line is measured by volume', () => {
+      const drums = { quantity: 200, unit: 'K' };
+
+      expect(getTotalQuantityKg([drums, { quantity: 500, unit: 'P' }])).toBe(427);
+      expect(getTotalQuantityKg([drums, { quantity: 55, unit: 'G' }])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,271 @@
+import {
+  buildExceptionReportPdf,
+  buildManifestPdf,
+  renderManifestPdf,
+} from '../../src/services/manifestPdf.js';
+import {
+  createManifest,
+  signManifest,
+  updateManifestStatus,
+} from '../../src/services/manifestGenerator.js';
+import { encodeCode128, getCode128Bars } from '../../src/utils/barcode.js';
+import {
+  createAcceptedProfile,
+  createPermittedTransporter,
+  registerTestFacility,
+} from '../helpers/fixtures.js';
+
+function buildLine(lineNumber) {
+  return {
+    lineNumber,
+    hazardousMaterial: true,
+    containers: { count: 2, type: 'DM' },
+    quantity: 100,
+    unit: 'K',
+    wasteCodes: ['F003', 'D001'],
+    dotDescription: {
+      description: `UN1090, Waste Acetone, 3, PG II (F003, D001) line ${lineNumber}`,
+    },
+  };
+}
+
+const manifestFixture = {
+  manifestNumber: '000000123455ELC',
+  continuationSheets: 0,
+  lineItems: [buildLine(1)],
+  generator: {
+    name: 'Memorial Hospital',
+    epaId: 'TXD111222333',
+    address: '123 Medical Center Blvd, Houston, TX 77030',
+    contactPhone: '713-555-0100',
+    emergencyPhone: '800-555-0199',
+  },
+  facility: { name: 'SafeWaste Disposal LLC', epaId: 'TXD987654321', address: 'Houston, TX' },
+  transporters: [{ index: 0, name: 'SafeHaul Logistics', epaId: 'TXR111222333' }],
+  signatures: {
+    generator: { signedBy: 'Sarah Johnson', signedAt: '2025-02-03T14:00:00.000Z' },
+  },
+  wasteProfile: { facilityApprovalNumber: 'SW-2025-0100' },
+};
+
+function pdfText(buffer) {
+  return buffer.toString('latin1');
+}
+
+beforeAll(async () => {
+  await registerTestFacility();
+  await createPermittedTransporter();
+});
+
+describe('manifestPdf', () => {
+  describe('barcode', () => {
+    it('should encode text with start, check and stop symbols', () => {
+      // Start B (104) + 'A' (33) * 1 = 137, and 137 mod 103 = 34
+      expect(encodeCode128('A')).toEqual([104, 33, 34, 106]);
+    });
+
+    it('should lay out eleven modules per symbol and thirteen for the stop code', () => {
+      const { bars, totalModules } = getCode128Bars('EPA-1');
+
+      // Quiet zones of 10 modules, start, 5 data symbols, check symbol and stop code
+      expect(totalModules).toBe(10 + 11 * 7 + 13 + 10);
+      expect(bars[0]).toEqual({ x: 10, width: 2 });
+    });
+
+    it('should reject characters outside code set B', () => {
+      expect(() => encodeCode128('EPAé')).toThrow(/cannot be encoded/);
+    });
+  });
+
+  describe('buildManifestPdf', () => {
+    it('should write a well-formed PDF with one page per sheet', () => {
+      const text = pdfText(buildManifestPdf(manifestFixture));
+
+      expect(text.startsWith('%PDF-1.4')).toBe(true);
+      expect(text).toContain('/Count 1');
+      expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+
+      const xrefOffset = Number(text.match(/startxref\n(\d+)/)[1]);
+      expect(text.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+      const offsets = [...text.matchAll(/^(\d{10}) 00000 n $/gm)].map((match) => Number(match[1]));
+      offsets.forEach((offset, index) => {
+        expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+      });
+    });
+
+    it('should fill in the parties, emergency phone and tracking number', () => {
+      const text = pdfText(buildManifestPdf(manifestFixture));
+
+      expect(text).toContain('(TXD111222333) Tj');
+      expect(text).toContain('(800-555-0199) Tj');
+      expect(text).toContain('(000000123455ELC) Tj');
+      expect(text).toContain('(SafeHaul Logistics) Tj');
+      expect(text).toContain('(TXD987654321) Tj');
+      expect(text).toContain('(F003 D001) Tj');
+    });
+
+    it('should print the name and date of each signature', () => {
+      const text = pdfText(buildManifestPdf(manifestFixture));
+
+      expect(text).toContain('(Sarah Johnson) Tj');
+      expect(text).toContain('(/s/ Sarah Johnson) Tj');
+      expect(text).toContain('(02/03/2025) Tj');
+    });
+
+    it('should draw the tracking number as a barcode', () => {
+      const text = pdfText(buildManifestPdf(manifestFixture));
+      const { bars } = getCode128Bars(manifestFixture.manifestNumber);
+
+      expect(text.match(/ re f$/gm)).toHaveLength(bars.length);
+    });
+
+    it('should fall back to the contact phone for emergency response', () => {
+      const text = pdfText(
+        buildManifestPdf({
+          ...manifestFixture,
+          generator: { ...manifestFixture.generator, emergencyPhone: undefined },
+        })
+      );
+
+      expect(text).not.toContain('(800-555-0199) Tj');
+      expect(text).toContain('(713-555-0100) Tj');
+    });
+
+    it('should print lines past the fourth on continuation sheets', () => {
+      const text = pdfText(
+        buildManifestPdf({
+          ...manifestFixture,
+          continuationSheets: 2,
+          lineItems: Array.from({ length: 16 }, (_, index) => buildLine(index + 1)),
+        })
+      );
+
+      expect(text).toContain('/Count 3');
+      expect(
+        text.match(/\(UNIFORM HAZARDOUS WASTE MANIFEST \\\(Continuation Sheet\\\)\) Tj/g)
+      ).toHaveLength(2);
+      expect(text).toContain('(3 of 3) Tj');
+      expect(text).toContain('2 continuation sheet\\(s\\) attached.) Tj');
+      expect(text).toContain('line 16) Tj');
+    });
+
+    it('should print transporters past the second on continuation sheets', () => {
+      const transporters = ['SafeHaul Logistics', 'RailWay Freight', 'Gulf Drayage'].map(
+        (name, index) => ({
+          index,
+          name,
+          epaId: `TXR00000000${index + 1}`,
+          signature:
+            index === 2 ? { signedBy: 'Dana Reyes', signedAt: '2025-02-05T09:00:00.000Z' } : null,
+        })
+      );
+      const text = pdfText(
+        buildManifestPdf({ ...manifestFixture, continuationSheets: 1, transporters })
+      );
+
+      expect(text).toContain('/Count 2');
+      expect(text).toContain('(7. Transporter 2 Company Name) Tj');
+      expect(text).toContain('(RailWay Freight) Tj');
+      expect(text).toContain('(25. Transporter 3 Company Name) Tj');
+      expect(text).toContain('(26. Transporter 4 Company Name) Tj');
+      expect(text).toContain('(Gulf Drayage) Tj');
+      expect(text).toContain('(Transporter 3 Printed/Typed Name) Tj');
+      expect(text).toContain('(/s/ Dana Reyes) Tj');
+    });
+  });
+
+  describe('buildExceptionReportPdf', () => {
+    const exception = {
+      generatorCategory: 'LQG',
+      daysAllowed: 35,
+      inTransitAt: '2025-01-02T15:00:00.000Z',
+      tracingEfforts: [
+        {
+          timestamp: '2025-02-07T16:00:00.000Z',
+          contactedParty: 'transporter',
+          method: 'phone',
+          outcome: 'Load confirmed delivered',
+          actor: 'Sarah Johnson',
+        },
+      ],
+    };
+
+    it('should put a cover letter with the tracing efforts before the manifest copy', () => {
+      const text = pdfText(
+        buildExceptionReportPdf({ ...manifestFixture, status: 'in_transit' }, exception, {
+          generatedAt: new Date('2025-02-17T12:00:00.000Z'),
+        })
+      );
+
+      expect(text).toContain('/Count 2');
+      expect(text).toContain('(HAZARDOUS WASTE EXCEPTION REPORT) Tj');
+      expect(text).toContain('(Date: 02/17/2025) Tj');
+      expect(text).toContain('02/07/2025: Sarah Johnson contacted the transporter by phone.');
+      expect(text.indexOf('EXCEPTION REPORT')).toBeLessThan(
+        text.indexOf('(UNIFORM HAZARDOUS WASTE MANIFEST) Tj')
+      );
+    });
+  });
+
+  describe('renderManifestPdf', () => {
+    let wasteProfileId;
+    const facility = {
+      id: 'fac-001',
+      name: 'SafeWaste Disposal LLC',
+      epaId: 'TXD987654321',
+      address: '1234 Industrial Pkwy, Houston, TX 77002',
+    };
+
+    beforeAll(async () => {
+      const profile = await createAcceptedProfile(
+        {
+          wasteName: 'Spent acetone',
+          wasteCodes: ['F003', 'D001'],
+          physicalState: 'liquid',
+          quantity: 150,
+        },
+        'fac-001',
+        { approvalNumber: 'SW-2025-0200' }
+      );
+      wasteProfileId = profile.id;
+    });
+
+    it('should render a stored manifest with its continuation sheet and signatures', async () => {
+      const manifest = await createManifest(
+        wasteProfileId,
+        facility,
+        { route: { method: 'truck' } },
+        {
+          generatorInfo: { name: 'Memorial Hospital', emergencyPhone: '800-555-0199' },
+          lineItems: Array.from({ length: 5 }, () => ({ quantity: 10, unit: 'K' })),
+        }
+      );
+      await signManifest(manifest.id, 'generator', { name: 'Sarah Johnson' });
+
+      const { filename, body } = await renderManifestPdf(manifest.id);
+      const text = pdfText(body);
+
+      expect(filename).toBe(`${manifest.manifestNumber}.pdf`);
+      expect(text).toContain('/Count 2');
+      expect(text).toContain('(800-555-0199) Tj');
+      expect(text).toContain('(/s/ Sarah Johnson) Tj');
+      expect(text).toContain('(Facility approval SW-2025-0200. 1 continuation sheet\\(s\\)');
+    });
+
+    it('should return 404 for an unknown manifest', async () => {
+      await expect(renderManifestPdf('00000000-0000-4000-8000-000000000000')).rejects.toMatchObject(
+        { statusCode: 404 }
+      );
+    });
+
+    it('should refuse to print a cancelled manifest', async () => {
+      const manifest = await createManifest(wasteProfileId, facility, {
+        route: { method: 'truck' },
+      });
+      await updateManifestStatus(manifest.id, 'cancelled', 'EHS Manager');
+
+      await expect(renderManifestPdf(manifest.id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
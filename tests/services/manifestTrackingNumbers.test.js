@@ -0,0 +1,138 @@
+import {
+  allocateTrackingNumber,
+  calculateCheckDigit,
+  formatTrackingNumber,
+  getTrackingNumberBlocks,
+  isValidTrackingNumber,
+  registerTrackingNumberBlock,
+} from '../../src/services/manifestTrackingNumbers.js';
+
+describe('manifestTrackingNumbers', () => {
+  describe('check digits', () => {
+    it('should calculate the Luhn check digit of a serial', () => {
+      expect(calculateCheckDigit('7992739871')).toBe(3);
+      expect(calculateCheckDigit('00000000017')).toBe(4);
+    });
+
+    it('should format twelve digits followed by the registrant suffix', () => {
+      expect(formatTrackingNumber(17, 'JJK')).toBe('000000000174JJK');
+    });
+
+    it('should accept numbers with a matching check digit', () => {
+      expect(isValidTrackingNumber('000000000174JJK')).toBe(true);
+    });
+
+    it('should reject a mistyped digit, a bad suffix or the old EPA- format', () => {
+      expect(isValidTrackingNumber('000000000184JJK')).toBe(false);
+      expect(isValidTrackingNumber('000000000174jjk')).toBe(false);
+      expect(isValidTrackingNumber('00000000174JJK')).toBe(false);
+      expect(isValidTrackingNumber('EPA-1706000000000-ABC12')).toBe(false);
+    });
+  });
+
+  describe('allocateTrackingNumber', () => {
+    it('should allocate from the configured default block without a registered block', async () => {
+      const first = await allocateTrackingNumber();
+      const second = await allocateTrackingNumber();
+
+      expect(first).toBe(formatTrackingNumber(1, 'HHZ'));
+      expect(isValidTrackingNumber(first)).toBe(true);
+      expect(Number(second.slice(0, 11))).toBe(Number(first.slice(0, 11)) + 1);
+      expect(await getTrackingNumberBlocks({ suffix: 'HHZ' })).toEqual([
+        expect.objectContaining({
+          firstSerial: 1,
+          lastSerial: 999999,
+          registrant: 'default block',
+        }),
+      ]);
+    });
+
+    it('should leave serials past the default block free to register', async () => {
+      await expect(
+        registerTrackingNumberBlock({ suffix: 'HHZ', firstSerial: 500, lastSerial: 600 })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      await expect(
+        registerTrackingNumberBlock({ suffix: 'HHZ', firstSerial: 1000000, lastSerial: 1000999 })
+      ).resolves.toEqual(expect.objectContaining({ remaining: 1000 }));
+    });
+
+    it('should allocate preassigned blocks in serial order', async () => {
+      await registerTrackingNumberBlock({ suffix: 'JJK', firstSerial: 2000, lastSerial: 2001 });
+      await registerTrackingNumberBlock({ suffix: 'JJK', firstSerial: 1000, lastSerial: 1000 });
+
+      const numbers = [];
+      for (let index = 0; index < 3; index++) {
+        numbers.push(await allocateTrackingNumber({ suffix: 'JJK' }));
+      }
+
+      expect(numbers).toEqual([
+        formatTrackingNumber(1000, 'JJK'),
+        formatTrackingNumber(2000, 'JJK'),
+        formatTrackingNumber(2001, 'JJK'),
+      ]);
+    });
+
+    it('should return 409 once every block for a suffix is used up', async () => {
+      await expect(allocateTrackingNumber({ suffix: 'JJK' })).rejects.toMatchObject({
+        statusCode: 409,
+      });
+
+      const blocks = await getTrackingNumberBlocks({ suffix: 'JJK' });
+      expect(blocks.map((block) => block.remaining)).toEqual([0, 0]);
+    });
+
+    it('should return 409 for a suffix with no blocks', async () => {
+      await expect(allocateTrackingNumber({ suffix: 'QQQ' })).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+
+    it('should never hand out the same number to concurrent requests', async () => {
+      await registerTrackingNumberBlock({ suffix: 'CNC', firstSerial: 1, lastSerial: 100 });
+
+      const numbers = await Promise.all(
+        Array.from({ length: 25 }, () => allocateTrackingNumber({ suffix: 'CNC' }))
+      );
+
+      expect(new Set(numbers).size).toBe(25);
+      expect(numbers.every(isValidTrackingNumber)).toBe(true);
+    });
+  });
+
+  describe('registerTrackingNumberBlock', () => {
+    it('should reject a block that overlaps one already registered', async () => {
+      await registerTrackingNumberBlock({ suffix: 'OVL', firstSerial: 100, lastSerial: 199 });
+
+      await expect(
+        registerTrackingNumberBlock({ suffix: 'OVL', firstSerial: 150, lastSerial: 250 })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should allow the same serials under another suffix', async () => {
+      const block = await registerTrackingNumberBlock({
+        suffix: 'OVM',
+        firstSerial: 100,
+        lastSerial: 199,
+        registrant: 'Acme Printing',
+      });
+
+      expect(block).toEqual(
+        expect.objectContaining({
+          firstNumber: formatTrackingNumber(100, 'OVM'),
+          lastNumber: formatTrackingNumber(199, 'OVM'),
+          remaining: 100,
+          registrant: 'Acme Printing',
+        })
+      );
+    });
+
+    it('should reject an invalid suffix or range', async () => {
+      await expect(
+        registerTrackingNumberBlock({ suffix: 'jjk', firstSerial: 1, lastSerial: 2 })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(
+        registerTrackingNumberBlock({ suffix: 'JJL', firstSerial: 10, lastSerial: 5 })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import {
+  extractPhysicalProperties,
+  evaluateCharacteristics,
+  evaluateCommercialChemicalProducts,
+  extractCommercialProducts,
+  findRuleDisagreements,
+  findTclpCode,
+} from '../../src/services/rcraRuleEngine.js';
+
+describe('rcraRuleEngine', () => {
+  describe('extractPhysicalProperties', () => {
+    it('should extract flash point, pH and physical state', () => {
+      const properties = extractPhysicalProperties(`
+        - Flash Point: 20°F
+        - pH: 1.5
+        - Physical State: Liquid
+      `);
+
+      expect(properties.flashPointF).toBe(20);
+      expect(properties.pH).toBe(1.5);
+      expect(properties.physicalState).toBe('liquid');
+    });
+
+    it('should convert Celsius flash points to Fahrenheit', () => {
+      const properties = extractPhysicalProperties('Flash Point (Pensky-Martens): 50°C');
+
+      expect(properties.flashPointF).toBe(122);
+    });
+
+    it('should extract TCLP results reported in mg/L', () => {
+      const properties = extractPhysicalProperties(`
+        - Lead (Pb): 8.2 mg/L (Regulatory limit: 5.0 mg/L)
+        - Benzene: <0.05 mg/L
+        - Acetone: 85%
+      `);
+
+      expect(properties.tclpResults).toEqual([
+        { code: 'D008', analyte: 'Lead', concentrationMgL: 8.2, qualifier: null },
+        { code: 'D018', analyte: 'Benzene', concentrationMgL: 0.05, qualifier: '<' },
+      ]);
+    });
+
+    it('should only extract declared reactivity properties', () => {
+      const properties = extractPhysicalProperties(`
+        Water Reactive: Yes
+        Reactive Cyanide: Negative
+        Lower Explosive Limit (LEL): 2.6%
+      `);
+
+      expect(properties.reactivity).toEqual({ waterReactive: true, cyanideBearing: false });
+    });
+  });
+
+  describe('findTclpCode', () => {
+    it('should prefer the most specific analyte name', () => {
+      expect(findTclpCode('2,4-Dinitrotoluene')).toBe('D030');
+      expect(findTclpCode('2,4-D')).toBe('D016');
+      expect(findTclpCode('o-Cresol')).toBe('D023');
+      expect(findTclpCode('Cresols, total')).toBe('D026');
+    });
+
+    it('should resolve common synonyms', () => {
+      expect(findTclpCode('Perchloroethylene')).toBe('D039');
+      expect(findTclpCode('MEK')).toBe('D035');
+    });
+
+    it('should return null for analytes without a regulatory level', () => {
+      expect(findTclpCode('Acetone')).toBeNull();
+    });
+  });
+
+  describe('evaluateCharacteristics', () => {
+    it('should establish D001 for liquids with flash point below 140°F', () => {
+      const result = evaluateCharacteristics({ flashPointF: 20, physicalState: 'liquid' });
+
+      expect(result.codes).toEqual(['D001']);
+      expect(result.findings[0]).toEqual(
+        expect.objectContaining({ code: 'D001', category: 'ignitable', exhibited: true })
+      );
+    });
+
+    it('should not apply the flash point test to solids', () => {
+      const result = evaluateCharacteristics({ flashPointF: 20, physicalState: 'solid' });
+
+      expect(result.codes).toEqual([]);
+      expect(result.evaluatedCodes).toEqual([]);
+    });
+
+    it('should establish D002 at the pH boundaries', () => {
+      expect(evaluateCharacteristics({ pH: 2 }).codes).toEqual(['D002']);
+      expect(evaluateCharacteristics({ pH: 12.5 }).codes).toEqual(['D002']);
+      expect(evaluateCharacteristics({ pH: 2.1 }).codes).toEqual([]);
+    });
+
+    it('should establish D003 when any reactive property is declared', () => {
+      const result = evaluateCharacteristics({
+        reactivity: { waterReactive: true, cyanideBearing: false },
+      });
+
+      expect(result.codes).toEqual(['D003']);
+    });
+
+    it('should establish toxicity codes at or above the regulatory level', () => {
+      const result = evaluateCharacteristics({
+        tclpResults: [
+          { code: 'D008', concentrationMgL: 5.0, qualifier: null },
+          { code: 'D006', concentrationMgL: 0.9, qualifier: null },
+          { code: 'D043', concentrationMgL: 0.3, qualifier: null },
+        ],
+      });
+
+      expect(result.codes).toEqual(['D008', 'D043']);
+      expect(result.evaluatedCodes).toEqual(['D006', 'D008', 'D043']);
+    });
+
+    it('should treat inconclusive qualified results as not evaluated', () => {
+      const result = evaluateCharacteristics({
+        flashPointF: 100,
+        flashPointQualifier: '>',
+        tclpResults: [{ code: 'D009', concentrationMgL: 0.5, qualifier: '<' }],
+      });
+
+      expect(result.codes).toEqual([]);
+      expect(result.evaluatedCodes).toEqual([]);
+    });
+  });
+
+  describe('commercial chemical products', () => {
+    it('should extract products only from reports declaring them unused', () => {
+      const inventory = '- Methanol, CAS 67-56-1, 4 L\n- Sodium azide (CAS 26628-22-8)';
+
+      expect(extractCommercialProducts(`Spent solvent\n${inventory}`)).toEqual([]);
+      expect(extractCommercialProducts(`Unused lab-pack inventory\n${inventory}`)).toEqual([
+        expect.objectContaining({ name: 'Methanol', casNumber: '67-56-1' }),
+        expect.objectContaining({ name: 'Sodium azide', casNumber: '26628-22-8' }),
+      ]);
+    });
+
+    it('should list unused products under 261.33(e) and (f)', () => {
+      const result = evaluateCommercialChemicalProducts([
+        { name: 'Methanol', casNumber: '67-56-1' },
+        { name: 'Sodium azide', casNumber: '26628-22-8' },
+        { name: 'Water', casNumber: '7732-18-5' },
+      ]);
+
+      expect(result.codes).toEqual(['P105', 'U154']);
+      expect(result.findings[1]).toEqual(
+        expect.objectContaining({ code: 'P105', citation: '40 CFR 261.33(e)' })
+      );
+    });
+
+    it('should skip products that are used or not the sole active ingredient', () => {
+      const result = evaluateCommercialChemicalProducts([
+        { casNumber: '67-56-1', unused: false },
+        { casNumber: '108-88-3', soleActiveIngredient: false },
+      ]);
+
+      expect(result.codes).toEqual([]);
+    });
+  });
+
+  describe('findRuleDisagreements', () => {
+    const ruleEvaluation = evaluateCharacteristics({
+      flashPointF: 20,
+      pH: 7,
+      physicalState: 'liquid',
+    });
+
+    it('should report no disagreement when the model matches the rules', () => {
+      expect(findRuleDisagreements(['D001'], ruleEvaluation)).toEqual([]);
+    });
+
+    it('should report codes the model missed', () => {
+      const disagreements = findRuleDisagreements(['F003'], ruleEvaluation);
+
+      expect(disagreements).toEqual([
+        expect.objectContaining({ code: 'D001', type: 'missed_by_model' }),
+      ]);
+    });
+
+    it('should report characteristic codes the measurements contradict', () => {
+      const disagreements = findRuleDisagreements(['D001', 'D002'], ruleEvaluation);
+
+      expect(disagreements).toEqual([
+        expect.objectContaining({ code: 'D002', type: 'contradicted_by_rules' }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import {
+  getRecertificationWindow,
+  scanExpiringProfiles,
+  getRecertificationTasks,
+} from '../../src/services/recertificationScheduler.js';
+import { transitionWasteProfile } from '../../src/services/wasteProfileService.js';
+import { getResourceAuditTrail } from '../../src/services/auditService.js';
+import { createAcceptedProfile, daysFromNow } from '../helpers/fixtures.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const labReportText = `
+  HAZARDOUS WASTE ANALYSIS REPORT
+  - Acetone: 85%
+  Flash Point: 0°F
+`;
+
+describe('recertificationScheduler', () => {
+  describe('getRecertificationWindow', () => {
+    const asOf = new Date('2025-06-01T00:00:00Z');
+
+    it('should return the narrowest window the expiry falls in', () => {
+      expect(getRecertificationWindow('2025-06-20T00:00:00Z', asOf)).toBe(30);
+      expect(getRecertificationWindow('2025-07-20T00:00:00Z', asOf)).toBe(60);
+      expect(getRecertificationWindow('2025-08-20T00:00:00Z', asOf)).toBe(90);
+    });
+
+    it('should return null outside the 90 day horizon or after expiry', () => {
+      expect(getRecertificationWindow('2025-12-01T00:00:00Z', asOf)).toBeNull();
+      expect(getRecertificationWindow('2025-05-01T00:00:00Z', asOf)).toBeNull();
+    });
+  });
+
+  describe('scanExpiringProfiles', () => {
+    let unchangedProfile;
+    let changedProfile;
+    let distantProfile;
+    let summary;
+
+    beforeAll(async () => {
+      unchangedProfile = await createAcceptedProfile(
+        { wasteName: 'Waste acetone', wasteCode: 'D001', labReportText },
+        'fac-001',
+        { approvalNumber: 'SW-20', expiresAt: daysFromNow(20) }
+      );
+      changedProfile = await createAcceptedProfile(
+        { wasteName: 'Spent solvent blend', wasteCodes: ['F003', 'D001'], labReportText },
+        'fac-001',
+        { approvalNumber: 'SW-75', expiresAt: daysFromNow(75) }
+      );
+      distantProfile = await createAcceptedProfile(
+        { wasteName: 'Waste xylene', wasteCode: 'D001', labReportText },
+        'fac-001',
+        { approvalNumber: 'SW-200', expiresAt: daysFromNow(200) }
+      );
+
+      summary = await scanExpiringProfiles();
+    });
+
+    it('should open a task for each profile expiring within 90 days', async () => {
+      const tasks = await getRecertificationTasks({ status: 'open' });
+      const profileIds = tasks.map((task) => task.wasteProfileId);
+
+      expect(summary.opened).toHaveLength(2);
+      expect(profileIds).toEqual(expect.arrayContaining([unchangedProfile.id, changedProfile.id]));
+      expect(profileIds).not.toContain(distantProfile.id);
+    });
+
+    it('should flag the window each profile falls in', async () => {
+      const [task] = await getRecertificationTasks({ wasteProfileId: unchangedProfile.id });
+
+      expect(task.windowDays).toBe(30);
+      expect(await getRecertificationTasks({ windowDays: 30 })).toHaveLength(1);
+    });
+
+    it('should report waste code changes from reclassification', async () => {
+      const [unchanged] = await getRecertificationTasks({ wasteProfileId: unchangedProfile.id });
+      const [changed] = await getRecertificationTasks({ wasteProfileId: changedProfile.id });
+
+      expect(unchanged.changesDetected).toBe(false);
+      expect(changed.changesDetected).toBe(true);
+      expect(changed.codeChanges).toEqual({ added: [], removed: ['F003'] });
+    });
+
+    it('should record the recertification in the audit trail', async () => {
+      const trail = await getResourceAuditTrail('waste_profile', changedProfile.id);
+      const recertification = trail.find(
+        (entry) => entry.event_type === 'waste_profile_recertification'
+      );
+
+      expect(recertification).toBeDefined();
+    });
+
+    it('should not open a second task on the next scan', async () => {
+      const nextSummary = await scanExpiringProfiles();
+
+      expect(nextSummary.opened).toEqual([]);
+    });
+
+    it('should move open tasks to a narrower window as expiry approaches', async () => {
+      const nextSummary = await scanExpiringProfiles({ asOf: new Date(Date.now() + 50 * DAY_MS) });
+      const [task] = await getRecertificationTasks({ wasteProfileId: changedProfile.id });
+
+      expect(nextSummary.escalated).toContain(task.id);
+      expect(task.windowDays).toBe(30);
+    });
+
+    it('should resolve the task once the facility accepts the profile again', async () => {
+      await transitionWasteProfile(changedProfile.id, 'draft', 'EHS Manager');
+      await transitionWasteProfile(changedProfile.id, 'pending_review', 'EHS Manager');
+      await transitionWasteProfile(changedProfile.id, 'submitted', 'EHS Manager');
+      await transitionWasteProfile(changedProfile.id, 'accepted', 'Facility Approver', {
+        approvalNumber: 'SW-2026-0001',
+        expiresAt: new Date(Date.now() + 365 * DAY_MS).toISOString(),
+      });
+
+      const nextSummary = await scanExpiringProfiles();
+      const [task] = await getRecertificationTasks({ wasteProfileId: changedProfile.id });
+
+      expect(nextSummary.resolved).toBe(1);
+      expect(task.status).toBe('resolved');
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import {
+  createTransporter,
+  deactivateTransporter,
+  findPermittedTransporters,
+  getAllTransporters,
+  getPermitIssues,
+  getTransporterById,
+  updateTransporter,
+} from '../../src/services/transporterService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysFromNow(days) {
+  return new Date(Date.now() + days * DAY_MS).toISOString();
+}
+
+function buildTransporter(overrides = {}) {
+  return {
+    name: 'SafeHaul Logistics',
+    epaId: 'TXR111222333',
+    dotNumber: '1234567',
+    hazmatRegistrationExpiresAt: daysFromNow(365),
+    insuranceExpiresAt: daysFromNow(180),
+    vehicleTypes: ['truck', 'tanker'],
+    statesServed: ['TX', 'OK'],
+    ...overrides,
+  };
+}
+
+describe('transporterService', () => {
+  describe('createTransporter', () => {
+    it('should register a transporter with its permits and service area', async () => {
+      const transporter = await createTransporter(buildTransporter(), { userId: 'ehs-manager' });
+
+      expect(transporter).toEqual(
+        expect.objectContaining({
+          id: expect.any(String),
+          name: 'SafeHaul Logistics',
+          epaId: 'TXR111222333',
+          dotNumber: '1234567',
+          vehicleTypes: ['truck', 'tanker'],
+          statesServed: ['TX', 'OK'],
+          active: true,
+          createdBy: 'ehs-manager',
+        })
+      );
+      expect(await getTransporterById(transporter.id)).toEqual(transporter);
+    });
+
+    it('should reject a second transporter with the same EPA ID', async () => {
+      await expect(createTransporter(buildTransporter())).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+  });
+
+  describe('updateTransporter', () => {
+    it('should renew permits and widen the service area', async () => {
+      const created = await createTransporter(
+        buildTransporter({ name: 'Renewal Freight', epaId: 'TXR222333444' })
+      );
+      const renewedUntil = daysFromNow(730);
+
+      const updated = await updateTransporter(created.id, {
+        insuranceExpiresAt: renewedUntil,
+        statesServed: ['TX', 'OK', 'LA'],
+      });
+
+      expect(updated.insuranceExpiresAt).toBe(renewedUntil);
+      expect(updated.statesServed).toEqual(['TX', 'OK', 'LA']);
+      expect(updated.vehicleTypes).toEqual(['truck', 'tanker']);
+    });
+
+    it('should reject an unknown transporter', async () => {
+      await expect(
+        updateTransporter('00000000-0000-4000-8000-000000000000', { name: 'Nobody' })
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should reject an EPA ID registered to another transporter', async () => {
+      const created = await createTransporter(
+        buildTransporter({ name: 'Duplicate Haulers', epaId: 'TXR333444555' })
+      );
+
+      await expect(updateTransporter(created.id, { epaId: 'TXR111222333' })).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+  });
+
+  describe('deactivateTransporter', () => {
+    it('should keep the transporter but leave it out of listings', async () => {
+      const created = await createTransporter(
+        buildTransporter({ name: 'Retired Transport', epaId: 'TXR444555666' })
+      );
+
+      const deactivated = await deactivateTransporter(created.id);
+      const active = await getAllTransporters();
+      const all = await getAllTransporters({ includeInactive: true });
+
+      expect(deactivated.active).toBe(false);
+      expect(active.map((transporter) => transporter.id)).not.toContain(created.id);
+      expect(all.map((transporter) => transporter.id)).toContain(created.id);
+    });
+  });
+
+  describe('getAllTransporters', () => {
+    it('should filter by state served and vehicle type', async () => {
+      await createTransporter(
+        buildTransporter({
+          name: 'Desert Rail',
+          epaId: 'AZR555666777',
+          vehicleTypes: ['rail'],
+          statesServed: ['AZ'],
+        })
+      );
+
+      const inArizona = await getAllTransporters({ state: 'AZ' });
+      const tankers = await getAllTransporters({ vehicleType: 'tanker' });
+
+      expect(inArizona.map((transporter) => transporter.name)).toEqual(['Desert Rail']);
+      expect(tankers.every((transporter) => transporter.vehicleTypes.includes('tanker'))).toBe(
+        true
+      );
+    });
+  });
+
+  describe('getPermitIssues', () => {
+    const transporter = {
+      ...buildTransporter(),
+      active: true,
+    };
+
+    it('should find no issues for a permitted transporter', () => {
+      expect(getPermitIssues(transporter, { states: ['TX'], vehicleType: 'truck' })).toEqual([]);
+    });
+
+    it('should flag a lapsed hazmat registration only for hazardous waste', () => {
+      const lapsed = { ...transporter, hazmatRegistrationExpiresAt: daysFromNow(-1) };
+
+      expect(getPermitIssues(lapsed)).toEqual(['hazmat registration is not current']);
+      expect(getPermitIssues(lapsed, { hazardous: false })).toEqual([]);
+    });
+
+    it('should flag a lapsed insurance certificate', () => {
+      const lapsed = { ...transporter, insuranceExpiresAt: daysFromNow(-1) };
+
+      expect(getPermitIssues(lapsed)).toEqual(['insurance certificate is not current']);
+    });
+
+    it('should check permits as of the shipment date', () => {
+      expect(getPermitIssues(transporter, { asOf: new Date(daysFromNow(200)) })).toEqual([
+        'insurance certificate is not current',
+      ]);
+    });
+
+    it('should flag vehicle types and states the transporter does not cover', () => {
+      expect(
+        getPermitIssues(transporter, { states: ['TX', 'NM', 'AZ'], vehicleType: 'rail' })
+      ).toEqual(['does not operate rail', 'does not serve NM, AZ']);
+    });
+
+    it('should flag an inactive transporter', () => {
+      expect(getPermitIssues({ ...transporter, active: false })).toEqual(['inactive']);
+    });
+  });
+
+  describe('findPermittedTransporters', () => {
+    it('should list only transporters permitted for the shipment', async () => {
+      await createTransporter(
+        buildTransporter({
+          name: 'Expired Hazmat Hauling',
+          epaId: 'TXR666777888',
+          hazmatRegistrationExpiresAt: daysFromNow(-30),
+        })
+      );
+
+      const permitted = await findPermittedTransporters({ states: ['TX'], vehicleType: 'truck' });
+      const names = permitted.map((transporter) => transporter.name);
+
+      expect(names).toContain('SafeHaul Logistics');
+      expect(names).not.toContain('Expired Hazmat Hauling');
+      expect(names).not.toContain('Retired Transport');
+    });
+  });
+});
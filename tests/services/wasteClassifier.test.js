@@ -49,6 +49,80 @@ describe('wasteClassifier', () => {
       }
     });
 
+    it('should return an ordered list of waste codes with confidence and basis', async () => {
+      const result = await classifyWaste(mockLabReport);
+
+      expect(result.wasteCodes).toEqual([
+        expect.objectContaining({
+          code: 'D001',
+          confidence: 1.0,
+          basis: expect.stringContaining('40 CFR 261.21'),
+          source: 'model+rules',
+        }),
+      ]);
+      expect(result.wasteCode).toBe(result.wasteCodes[0].code);
+    });
+
+    it('should include the characteristic rule evaluation', async () => {
+      const result = await classifyWaste(mockLabReport);
+
+      expect(result.ruleEvaluation.codes).toEqual(['D001']);
+      expect(result.ruleEvaluation.disagreements).toEqual([]);
+    });
+
+    it('should require human review when the rules disagree with the model', async () => {
+      const result = await classifyWaste(`${mockLabReport}\n      pH: 1.5`);
+
+      expect(result.ruleEvaluation.codes).toEqual(['D001', 'D002']);
+      expect(result.wasteCodes.map((entry) => entry.code)).toEqual(['D001', 'D002']);
+      expect(result.ruleEvaluation.disagreements).toEqual([
+        expect.objectContaining({ code: 'D002', type: 'missed_by_model' }),
+      ]);
+      expect(result.requiresHumanReview).toBe(true);
+    });
+
+    it('should evaluate structured analytes ahead of report text', async () => {
+      const result = await classifyWaste(`${mockLabReport}\n      - Lead: 1.0 mg/L`, {
+        analytes: [
+          {
+            analyte: 'Lead',
+            result: 8.2,
+            unit: 'mg/L',
+            detected: true,
+            qualifier: null,
+            tclpCode: 'D008',
+          },
+        ],
+      });
+
+      expect(result.ruleEvaluation.codes).toEqual(['D001', 'D008']);
+    });
+
+    it('should flag unused commercial chemical products by CAS number', async () => {
+      const result = await classifyWaste(mockLabReport, {
+        products: [{ name: 'Acetone', casNumber: '67-64-1' }],
+      });
+
+      expect(result.wasteCodes.map((entry) => entry.code)).toEqual(['U002', 'D001']);
+      expect(result.wasteCodes[0]).toEqual(
+        expect.objectContaining({ source: 'registry', basis: expect.stringContaining('261.33(f)') })
+      );
+      expect(result.ruleEvaluation.disagreements).toEqual([
+        expect.objectContaining({ code: 'U002', type: 'missed_by_model' }),
+      ]);
+      expect(result.requiresHumanReview).toBe(true);
+    });
+
+    it('should carry listed codes forward from parent streams', async () => {
+      const result = await classifyWaste(mockLabReport, {
+        parentStreams: [{ id: 'spent-toluene', relationship: 'mixture', wasteCodes: ['F005'] }],
+      });
+
+      expect(result.wasteCodes.map((entry) => entry.code)).toEqual(['F005', 'D001']);
+      expect(result.wasteCodes[0].source).toBe('lineage');
+      expect(result.parentStreams).toEqual([expect.objectContaining({ id: 'spent-toluene' })]);
+    });
+
     it('should include timestamp in ISO format', async () => {
       const result = await classifyWaste(mockLabReport);
 
@@ -92,6 +166,27 @@ describe('wasteClassifier', () => {
       expect(result.status).toBe('pending_review');
     });
 
+    it('should carry every waste code from the classification', async () => {
+      const result = await generateWasteProfile({
+        ...mockClassification,
+        wasteCodes: [
+          { code: 'F003', confidence: 0.85, basis: 'Spent acetone' },
+          { code: 'D001', confidence: 1.0, basis: '40 CFR 261.21(a)(1)' },
+        ],
+      });
+
+      expect(result.wasteCodes.map((entry) => entry.code)).toEqual(['F003', 'D001']);
+    });
+
+    it('should carry the parent streams of the classification', async () => {
+      const parentStreams = [
+        { id: 'k048-stream', relationship: 'derived-from', wasteCodes: ['K048'] },
+      ];
+      const result = await generateWasteProfile({ ...mockClassification, parentStreams });
+
+      expect(result.parentStreams).toEqual(parentStreams);
+    });
+
     it('should include classification data', async () => {
       const result = await generateWasteProfile(mockClassification);
 
@@ -0,0 +1,66 @@
+import { evaluateLineage, normalizeParentStreams } from '../../src/services/wasteLineage.js';
+import { evaluateCharacteristics } from '../../src/services/rcraRuleEngine.js';
+
+describe('wasteLineage', () => {
+  describe('normalizeParentStreams', () => {
+    it('should default to the mixture relationship and read codes from classifications', () => {
+      const [parent] = normalizeParentStreams([
+        { id: 'profile-1', classification: { wasteCodes: [{ code: 'F005' }, { code: 'D001' }] } },
+      ]);
+
+      expect(parent).toEqual(
+        expect.objectContaining({
+          id: 'profile-1',
+          relationship: 'mixture',
+          wasteCodes: ['F005', 'D001'],
+        })
+      );
+    });
+
+    it('should reject unknown relationships', () => {
+      expect(() => normalizeParentStreams([{ relationship: 'blended', wasteCodes: [] }])).toThrow(
+        'Invalid lineage relationship'
+      );
+    });
+  });
+
+  describe('evaluateLineage', () => {
+    const notIgnitable = evaluateCharacteristics({ flashPointF: 200, physicalState: 'liquid' });
+    const unmeasured = evaluateCharacteristics({});
+
+    it('should carry listed codes forward through treatment residues', () => {
+      const result = evaluateLineage(
+        [{ id: 'k048-stream', relationship: 'derived-from', wasteCodes: ['K048', 'D001'] }],
+        unmeasured
+      );
+
+      expect(result.codes).toEqual(['K048']);
+      expect(result.findings).toEqual([
+        expect.objectContaining({ code: 'K048', carried: true, citation: '40 CFR 261.3(c)(2)(i)' }),
+        expect.objectContaining({ code: 'D001', carried: false }),
+      ]);
+    });
+
+    it('should exempt ignitability-only F003 mixtures that are no longer ignitable', () => {
+      const result = evaluateLineage([{ id: 'spent-xylene', wasteCodes: ['F003'] }], notIgnitable);
+
+      expect(result.codes).toEqual([]);
+      expect(result.exemptCodes).toEqual(['F003']);
+      expect(result.findings[0].exemption.citation).toBe('40 CFR 261.3(g)(2)(i)');
+    });
+
+    it('should carry F003 forward until the flash point is measured', () => {
+      const result = evaluateLineage([{ id: 'spent-xylene', wasteCodes: ['F003'] }], unmeasured);
+
+      expect(result.codes).toEqual(['F003']);
+      expect(result.findings[0].note).toContain('ignitability');
+    });
+
+    it('should not exempt wastes listed for toxicity', () => {
+      const result = evaluateLineage([{ id: 'spent-toluene', wasteCodes: ['F005'] }], notIgnitable);
+
+      expect(result.codes).toEqual(['F005']);
+      expect(result.exemptCodes).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+import {
+  createWasteProfile,
+  getAllWasteProfiles,
+  getWasteProfileById,
+  updateWasteProfile,
+  deleteWasteProfile,
+  transitionWasteProfile,
+  expireLapsedProfiles,
+  isProfileAcceptedByFacility,
+} from '../../src/services/wasteProfileService.js';
+import { createManifest } from '../../src/services/manifestGenerator.js';
+import { createLdrNotice, getLdrNotices } from '../../src/services/ldrNotices.js';
+import {
+  createAcceptedProfile,
+  createPermittedTransporter,
+  daysFromNow,
+  registerTestFacility,
+} from '../helpers/fixtures.js';
+
+beforeAll(async () => {
+  await registerTestFacility();
+  await createPermittedTransporter();
+});
+
+describe('wasteProfileService', () => {
+  const profileData = {
+    wasteName: 'Spent acetone from histology lab',
+    wasteCodes: [
+      { code: 'F003', confidence: 0.85, basis: 'Spent acetone' },
+      { code: 'D001', confidence: 1.0, basis: '40 CFR 261.21(a)(1)' },
+    ],
+    category: 'ignitable',
+    physicalState: 'liquid',
+    quantity: 150,
+    containerType: 'DM',
+    parentStreams: [{ id: 'solvent-still', relationship: 'derived-from', wasteCodes: ['F003'] }],
+  };
+
+  describe('createWasteProfile', () => {
+    it('should store a draft profile at version 1', async () => {
+      const result = await createWasteProfile(profileData, { userId: 'ehs-officer' });
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          id: expect.any(String),
+          wasteName: 'Spent acetone from histology lab',
+          wasteCode: 'F003',
+          quantityKg: 150,
+          version: 1,
+          status: 'draft',
+          createdBy: 'ehs-officer',
+        })
+      );
+      expect(result.wasteCodes.map((entry) => entry.code)).toEqual(['F003', 'D001']);
+      expect(result.parentStreams).toEqual(profileData.parentStreams);
+    });
+
+    it('should fall back to the single waste code', async () => {
+      const result = await createWasteProfile({ wasteName: 'Corrosive rinse', wasteCode: 'D002' });
+
+      expect(result.wasteCodes).toEqual([{ code: 'D002', confidence: null, basis: null }]);
+    });
+
+    it('should reject a status a new profile cannot start in', async () => {
+      await expect(createWasteProfile({ ...profileData, status: 'accepted' })).rejects.toThrow(
+        'Invalid initial profile status'
+      );
+    });
+  });
+
+  describe('getWasteProfileById', () => {
+    it('should return the stored profile', async () => {
+      const created = await createWasteProfile(profileData);
+      const result = await getWasteProfileById(created.id);
+
+      expect(result).toEqual(created);
+    });
+
+    it('should return null for an unknown profile', async () => {
+      const result = await getWasteProfileById('00000000-0000-4000-8000-000000000000');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getAllWasteProfiles', () => {
+    it('should filter by primary waste code', async () => {
+      await createWasteProfile({ wasteName: 'Reactive cyanide waste', wasteCode: 'D003' });
+
+      const result = await getAllWasteProfiles({ wasteCode: 'D003' });
+
+      expect(result.length).toBeGreaterThan(0);
+      result.forEach((profile) => expect(profile.wasteCode).toBe('D003'));
+    });
+  });
+
+  describe('updateWasteProfile', () => {
+    it('should apply changes and bump the version', async () => {
+      const created = await createWasteProfile(profileData);
+      const result = await updateWasteProfile(created.id, { quantity: 200, version: 1 });
+
+      expect(result.quantityKg).toBe(200);
+      expect(result.version).toBe(2);
+      expect(result.wasteName).toBe(profileData.wasteName);
+    });
+
+    it('should reject changes made against a stale version', async () => {
+      const created = await createWasteProfile(profileData);
+      await updateWasteProfile(created.id, { quantity: 200 });
+
+      await expect(
+        updateWasteProfile(created.id, { quantity: 300, version: 1 })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should refuse to edit a profile that has left draft', async () => {
+      const created = await createWasteProfile({ ...profileData, status: 'pending_review' });
+
+      await expect(updateWasteProfile(created.id, { quantity: 300 })).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+
+    it('should throw a 404 for an unknown profile', async () => {
+      await expect(
+        updateWasteProfile('00000000-0000-4000-8000-000000000000', { quantity: 1 })
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('transitionWasteProfile', () => {
+    const oneYearFromNow = () => new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+
+    async function submitProfile() {
+      const created = await createWasteProfile(profileData);
+      await transitionWasteProfile(created.id, 'pending_review', 'Lab Supervisor');
+      return transitionWasteProfile(created.id, 'submitted', 'EHS Manager', {
+        facilityId: 'fac-001',
+      });
+    }
+
+    it('should record the reviewer and receiving facility on submission', async () => {
+      const result = await submitProfile();
+
+      expect(result.status).toBe('submitted');
+      expect(result.facilityId).toBe('fac-001');
+      expect(result.review.reviewedBy).toBe('EHS Manager');
+      expect(result.statusHistory.map((entry) => entry.to)).toEqual([
+        'draft',
+        'pending_review',
+        'submitted',
+      ]);
+    });
+
+    it('should store the facility approval number and expiration on acceptance', async () => {
+      const submitted = await submitProfile();
+      const expiresAt = oneYearFromNow();
+
+      const result = await transitionWasteProfile(submitted.id, 'accepted', 'Facility Approver', {
+        approvalNumber: 'SW-2025-0042',
+        expiresAt,
+      });
+
+      expect(result.status).toBe('accepted');
+      expect(result.facilityApproval).toEqual(
+        expect.objectContaining({ approvalNumber: 'SW-2025-0042', expiresAt })
+      );
+      expect(isProfileAcceptedByFacility(result, 'fac-001')).toBe(true);
+      expect(isProfileAcceptedByFacility(result, 'fac-002')).toBe(false);
+    });
+
+    it('should require an approval number to accept', async () => {
+      const submitted = await submitProfile();
+
+      await expect(
+        transitionWasteProfile(submitted.id, 'accepted', 'Facility Approver', {
+          expiresAt: oneYearFromNow(),
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should record the rejection reason', async () => {
+      const submitted = await submitProfile();
+
+      const result = await transitionWasteProfile(submitted.id, 'rejected', 'Facility Approver', {
+        reason: 'Missing TCLP results for mercury',
+      });
+
+      expect(result.facilityApproval.rejectionReason).toBe('Missing TCLP results for mercury');
+    });
+
+    it('should reject transitions the workflow does not allow', async () => {
+      const created = await createWasteProfile(profileData);
+
+      await expect(
+        transitionWasteProfile(created.id, 'accepted', 'Facility Approver', {
+          approvalNumber: 'SW-1',
+          expiresAt: oneYearFromNow(),
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should expire accepted profiles whose approval has lapsed', async () => {
+      const submitted = await submitProfile();
+      await transitionWasteProfile(submitted.id, 'accepted', 'Facility Approver', {
+        approvalNumber: 'SW-2025-0043',
+        expiresAt: oneYearFromNow(),
+      });
+
+      const expired = await expireLapsedProfiles({
+        asOf: new Date(Date.now() + 2 * 365 * 24 * 60 * 60 * 1000),
+      });
+
+      expect(expired.map((profile) => profile.id)).toContain(submitted.id);
+      expect((await getWasteProfileById(submitted.id)).status).toBe('expired');
+    });
+  });
+
+  describe('deleteWasteProfile', () => {
+    it('should delete an unreferenced profile', async () => {
+      const created = await createWasteProfile(profileData);
+
+      await expect(deleteWasteProfile(created.id)).resolves.toBe(true);
+      expect(await getWasteProfileById(created.id)).toBeNull();
+    });
+
+    it('should refuse to delete a profile referenced by a manifest', async () => {
+      const created = await createAcceptedProfile(profileData, 'fac-001', {
+        approvalNumber: 'SW-2025-0044',
+        expiresAt: daysFromNow(1),
+      });
+      await createManifest(created.id, { id: 'fac-001' }, { route: { method: 'truck' } });
+
+      await expect(deleteWasteProfile(created.id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should refuse to delete a profile and keep its LDR notices', async () => {
+      const created = await createAcceptedProfile(profileData, 'fac-001', {
+        approvalNumber: 'SW-2025-0045',
+      });
+      const notice = await createLdrNotice(created.id, 'fac-001');
+
+      await expect(deleteWasteProfile(created.id)).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining(`LDR notice ${notice.id}`),
+      });
+      expect(await getWasteProfileById(created.id)).not.toBeNull();
+      expect((await getLdrNotices(created.id)).map((entry) => entry.id)).toEqual([notice.id]);
+    });
+  });
+});